@@ -4,6 +4,7 @@ import path from "path";
 
 import { Client, GatewayIntentBits, Collection } from "discord.js";
 import { initDb } from "./utils/db.js";
+import { startHttpServer } from "./utils/httpServer.js";
 
 dotenv.config({ quiet: true });
 
@@ -19,7 +20,14 @@ if (!GUILD_ID) {
   process.exit(1);
 }
 
-const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+// Thread messages carry the seller's delivery evidence files (handlers/messages.js).
+// Their attachments need the privileged Message Content intent, unless the bot is mentioned.
+const intents = [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages];
+if (String(process.env.MESSAGE_CONTENT_INTENT || "").toLowerCase() === "true") {
+  intents.push(GatewayIntentBits.MessageContent);
+}
+
+const client = new Client({ intents });
 client.commands = new Collection();
 
 // Load all commands from /commands
@@ -59,5 +67,8 @@ for (const file of eventFiles) {
   }
 }
 
+// Optional /healthz, /readyz and /metrics (HTTP_PORT)
+startHttpServer(client);
+
 await initDb();
 client.login(process.env.TOKEN);
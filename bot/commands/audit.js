@@ -0,0 +1,129 @@
+import {
+  SlashCommandBuilder,
+  MessageFlags,
+  PermissionFlagsBits,
+} from "discord.js";
+
+import { isAdmin } from "../utils/roles.js";
+import { buildTxAuditEmbed } from "../utils/components.js";
+import {
+  listTxAudit,
+  getTxAuditByHash,
+  TX_AUDIT_STATUS,
+} from "../utils/txAuditRepo.js";
+
+// Contract functions the bot signs (see the write helpers in utils/amis.js)
+const FUNCTION_CHOICES = [
+  "createTrade",
+  "markDelivered",
+  "approveDelivery",
+  "releaseAfterTimeout",
+  "openDispute",
+  "resolveDispute",
+  "cancelTrade",
+];
+
+export const data = new SlashCommandBuilder()
+  .setName("audit")
+  .setDescription("List transactions signed by the bot wallet. (Admin only)")
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .setDMPermission(false)
+  .addStringOption((opt) =>
+    opt.setName("trade_id").setDescription("On-chain trade ID (e.g. 42)"),
+  )
+  .addUserOption((opt) =>
+    opt.setName("user").setDescription("Member whose action sent the tx"),
+  )
+  .addStringOption((opt) =>
+    opt
+      .setName("function")
+      .setDescription("Contract function")
+      .addChoices(...FUNCTION_CHOICES.map((f) => ({ name: f, value: f }))),
+  )
+  .addStringOption((opt) =>
+    opt
+      .setName("status")
+      .setDescription("Receipt status")
+      .addChoices(
+        ...Object.values(TX_AUDIT_STATUS).map((s) => ({ name: s, value: s })),
+      ),
+  )
+  .addStringOption((opt) =>
+    opt.setName("tx_hash").setDescription("Look up a single transaction"),
+  )
+  .addIntegerOption((opt) =>
+    opt
+      .setName("limit")
+      .setDescription("Number of rows (default 10)")
+      .setMinValue(1)
+      .setMaxValue(25),
+  );
+
+export async function execute(interaction) {
+  if (!isAdmin(interaction)) {
+    await interaction.reply({
+      content: "This command is restricted to admins.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const txHash = interaction.options.getString("tx_hash")?.trim() || null;
+  const rawTradeId = String(interaction.options.getString("trade_id") ?? "")
+    .trim()
+    .replace(/^#/u, "");
+  const actor = interaction.options.getUser("user");
+  const functionName = interaction.options.getString("function");
+  const status = interaction.options.getString("status");
+  const limit = interaction.options.getInteger("limit") ?? 10;
+
+  if (txHash && !/^0x[0-9a-fA-F]{64}$/u.test(txHash)) {
+    await interaction.editReply({
+      content: "⚠️ Transaction hash must be 0x followed by 64 hex characters.",
+    });
+    return;
+  }
+  if (rawTradeId && !/^\d+$/u.test(rawTradeId)) {
+    await interaction.editReply({
+      content: "⚠️ Trade ID must be a number, e.g. `42`.",
+    });
+    return;
+  }
+
+  try {
+    let entries;
+    let filterText;
+    if (txHash) {
+      const row = await getTxAuditByHash(txHash);
+      entries = row ? [row] : [];
+      filterText = `tx ${txHash.slice(0, 10)}…`;
+    } else {
+      entries = await listTxAudit({
+        tradeId: rawTradeId || null,
+        actorDiscordId: actor?.id ?? null,
+        functionName,
+        status,
+        limit,
+      });
+      filterText = [
+        rawTradeId ? `trade #${rawTradeId}` : null,
+        actor ? `by ${actor.username}` : null,
+        functionName,
+        status,
+      ]
+        .filter(Boolean)
+        .join(" • ");
+    }
+
+    await interaction.editReply({
+      embeds: [buildTxAuditEmbed({ entries, filterText })],
+    });
+  } catch (e) {
+    console.error("/audit failed:", e);
+    await interaction.editReply({
+      content: `❌ Could not load the audit log: ${e?.message ?? e}`,
+    });
+  }
+}
@@ -0,0 +1,14 @@
+import { SlashCommandBuilder } from "discord.js";
+
+import { handleCancelTradeRequest } from "../utils/amisCancel.js";
+
+export const data = new SlashCommandBuilder()
+  .setName("cancel_trade")
+  .setDescription(
+    "Request or confirm cancelling this thread's trade (before funding only)",
+  )
+  .setDMPermission(false);
+
+export async function execute(interaction) {
+  await handleCancelTradeRequest(interaction);
+}
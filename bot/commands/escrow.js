@@ -0,0 +1,466 @@
+import {
+  SlashCommandBuilder,
+  MessageFlags,
+  PermissionFlagsBits,
+  AttachmentBuilder,
+} from "discord.js";
+
+import { getManagerAddress } from "../utils/amisContract.js";
+import { getTradeState, AMIS_STATUS } from "../utils/amis.js";
+import { loadTradeThreadContext } from "../utils/amisStatus.js";
+import { syncTradeStatus } from "../utils/amisWatcher.js";
+import {
+  cancelTradeOnChain,
+  announceTradeCancelled,
+} from "../utils/amisCancel.js";
+import {
+  releaseTradeAfterTimeout,
+  announceRelease,
+} from "../utils/autoRelease.js";
+import {
+  addChainOption,
+  buildAdminTradeInspectEmbed,
+  buildEscrowStatusEmbed,
+  buildActionsForStatus,
+} from "../utils/components.js";
+import {
+  getEscrowByManagerTrade,
+  setStatusMessageIdByManagerTrade,
+  statusLabel,
+} from "../utils/escrowRepo.js";
+import {
+  recordAdminAction,
+  listAdminActionsForTrade,
+  ADMIN_ACTION_OUTCOME,
+} from "../utils/adminActionRepo.js";
+import { setFlow } from "../utils/flowRepo.js";
+import { formatEvidenceLines } from "../utils/deliveryEvidence.js";
+import { listDeliveryEvidence } from "../utils/deliveryEvidenceRepo.js";
+import { isAdmin } from "../utils/roles.js";
+import { safeThreadSend, safeThreadPatchMessage } from "../utils/threads.js";
+
+const tradeIdOption = (opt) =>
+  opt
+    .setName("trade_id")
+    .setDescription("On-chain trade ID (e.g. 42)")
+    .setRequired(true);
+
+const reasonOption = (opt) =>
+  opt
+    .setName("reason")
+    .setDescription("Why (recorded in the audit log)")
+    .setRequired(true)
+    .setMaxLength(300);
+
+export const data = new SlashCommandBuilder()
+  .setName("escrow")
+  .setDescription("Inspect or intervene in an escrow trade. (Admin only)")
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .setDMPermission(false)
+  // /escrow inspect <trade_id>
+  .addSubcommand((sub) =>
+    addChainOption(
+      sub
+        .setName("inspect")
+        .setDescription(
+          "Show on-chain and stored state of a trade. (Admin only)",
+        )
+        .addStringOption(tradeIdOption),
+    ),
+  )
+  // /escrow force-release <trade_id> <reason>
+  .addSubcommand((sub) =>
+    addChainOption(
+      sub
+        .setName("force-release")
+        .setDescription(
+          "Release a Delivered trade whose release timeout has passed. (Admin only)",
+        )
+        .addStringOption(tradeIdOption)
+        .addStringOption(reasonOption),
+    ),
+  )
+  // /escrow cancel <trade_id> <reason>
+  .addSubcommand((sub) =>
+    addChainOption(
+      sub
+        .setName("cancel")
+        .setDescription("Cancel an unfunded (Created) trade. (Admin only)")
+        .addStringOption(tradeIdOption)
+        .addStringOption(reasonOption),
+    ),
+  )
+  // /escrow resync <trade_id>
+  .addSubcommand((sub) =>
+    addChainOption(
+      sub
+        .setName("resync")
+        .setDescription(
+          "Re-read the trade on-chain and update the DB and thread. (Admin only)",
+        )
+        .addStringOption(tradeIdOption),
+    ),
+  )
+  // /escrow repost-status <trade_id>
+  .addSubcommand((sub) =>
+    addChainOption(
+      sub
+        .setName("repost-status")
+        .setDescription(
+          "Post a fresh status message in the trade thread. (Admin only)",
+        )
+        .addStringOption(tradeIdOption),
+    ),
+  )
+  // /escrow evidence <trade_id>
+  .addSubcommand((sub) =>
+    addChainOption(
+      sub
+        .setName("evidence")
+        .setDescription(
+          "List the seller's delivery evidence with SHA-256 hashes. (Admin only)",
+        )
+        .addStringOption(tradeIdOption),
+    ),
+  );
+
+export async function execute(interaction) {
+  if (!isAdmin(interaction)) {
+    await interaction.reply({
+      content: "This command is restricted to admins.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const sub = interaction.options.getSubcommand();
+  const reason = interaction.options.getString("reason") ?? null;
+  const tradeId = String(interaction.options.getString("trade_id") ?? "")
+    .trim()
+    .replace(/^#/u, "");
+  const managerAddress = getManagerAddress(
+    interaction.options.getString("network"),
+  );
+
+  let result;
+  try {
+    if (!/^\d+$/u.test(tradeId)) {
+      result = reject("⚠️ Trade ID must be a number, e.g. `42`.");
+    } else {
+      const escrow = await getEscrowByManagerTrade(managerAddress, tradeId);
+      result = escrow
+        ? await runSubcommand(sub, interaction, escrow)
+        : reject(`⚠️ Trade #${tradeId} is not known to this bot.`);
+    }
+  } catch (e) {
+    console.error(`/escrow ${sub} failed:`, e);
+    result = {
+      outcome: ADMIN_ACTION_OUTCOME.Failed,
+      reply: { content: `❌ ${sub} failed: ${e?.message ?? e}` },
+      details: { error: String(e?.shortMessage ?? e?.message ?? e) },
+    };
+  }
+
+  try {
+    await recordAdminAction({
+      action: sub.replace(/-/gu, "_"),
+      managerAddress,
+      tradeId: /^\d+$/u.test(tradeId) ? tradeId : null,
+      adminDiscordId: interaction.user.id,
+      guildId: interaction.guildId ?? null,
+      channelId: interaction.channelId ?? null,
+      reason,
+      outcome: result.outcome,
+      txHash: result.txHash ?? null,
+      details: result.details ?? null,
+    });
+  } catch (e) {
+    console.error("/escrow: failed to write audit log:", e);
+  }
+
+  await interaction.editReply(result.reply);
+}
+
+/**
+ * @param {string} content
+ */
+function reject(content) {
+  return { outcome: ADMIN_ACTION_OUTCOME.Rejected, reply: { content } };
+}
+
+/**
+ * @param {string} content
+ * @param {{ txHash?: string|null, details?: object|null }} [extra]
+ */
+function ok(content, extra = {}) {
+  return { outcome: ADMIN_ACTION_OUTCOME.Ok, reply: { content }, ...extra };
+}
+
+/**
+ * Run one subcommand for a known trade. Returns the reply and the audit outcome.
+ * @param {string} sub
+ * @param {import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {object} escrow - row from escrowRepo
+ */
+async function runSubcommand(sub, interaction, escrow) {
+  switch (sub) {
+    case "inspect":
+      return inspect(escrow);
+    case "force-release":
+      return forceRelease(interaction, escrow);
+    case "cancel":
+      return cancel(interaction, escrow);
+    case "resync":
+      return resync(interaction, escrow);
+    case "repost-status":
+      return repostStatus(interaction, escrow);
+    case "evidence":
+      return evidence(escrow);
+    default:
+      return reject(`⚠️ Unknown subcommand: ${sub}`);
+  }
+}
+
+async function inspect(escrow) {
+  let state = null;
+  try {
+    state = await getTradeState(escrow.tradeId, { chainId: escrow.chainId });
+  } catch (e) {
+    console.warn("/escrow inspect: getTradeState failed:", e?.message ?? e);
+  }
+  const recentActions = await listAdminActionsForTrade(
+    escrow.managerAddress,
+    escrow.tradeId,
+    5,
+  );
+
+  const embed = buildAdminTradeInspectEmbed({
+    tradeId: escrow.tradeId,
+    managerAddress: escrow.managerAddress,
+    chainId: escrow.chainId,
+    chainStatusText: state?.statusText ?? null,
+    dbStatusText: statusLabel(escrow.status),
+    amountEth: state?.amountEth ?? null,
+    amount: state?.amount ?? null,
+    tokenSymbol: state?.token?.symbol,
+    buyerId: escrow.buyerDiscordId,
+    sellerId: escrow.sellerDiscordId,
+    buyerAddress: state?.buyer ?? escrow.buyerAddress,
+    sellerAddress: state?.seller ?? escrow.sellerAddress,
+    deliveredAtSec: state?.deliveredAtSec || null,
+    deadlineSec: state?.deadlineSec ?? null,
+    threadId: escrow.threadId ?? escrow.channelId,
+    statusMessageId: escrow.statusMessageId,
+    recentActions,
+  });
+  return {
+    outcome: ADMIN_ACTION_OUTCOME.Ok,
+    reply: { embeds: [embed] },
+    details: { chainStatus: state?.status ?? null, dbStatus: escrow.status },
+  };
+}
+
+async function forceRelease(interaction, escrow) {
+  const state = await getTradeState(escrow.tradeId, {
+    chainId: escrow.chainId,
+  });
+  if (state.status !== AMIS_STATUS.Delivered) {
+    return reject(
+      `⚠️ Trade #${escrow.tradeId} is ${state.statusText}; only Delivered trades can be released.`,
+    );
+  }
+  if (!state.canReleaseByTimeout) {
+    return reject(
+      state.deadlineSec
+        ? `⚠️ Release timeout not reached yet. The contract allows it <t:${state.deadlineSec}:R>.`
+        : "⚠️ Release timeout not reached yet.",
+    );
+  }
+
+  const res = await releaseTradeAfterTimeout(escrow.tradeId, {
+    chainId: escrow.chainId,
+    actorDiscordId: interaction.user.id,
+    source: "command:escrow_force_release",
+  });
+  if (!res.ok) {
+    return reject(
+      res.reason === "unavailable"
+        ? "⚠️ The action lock store is unavailable; nothing was sent. Try again later."
+        : res.reason === "not_delivered"
+          ? "⚠️ The trade left Delivered meanwhile; nothing was sent."
+          : `⚠️ Another release is in progress. Try again in ${Math.ceil((res.remainingMs ?? 0) / 1000)}s.`,
+    );
+  }
+
+  await announceRelease(interaction.client, escrow, {
+    description: "Released by an admin after the release timeout.",
+    notice:
+      "An admin released the funds to the seller after the release timeout.",
+  });
+  return ok(`✅ Trade #${escrow.tradeId} released.`, { txHash: res.txHash });
+}
+
+async function cancel(interaction, escrow) {
+  const state = await getTradeState(escrow.tradeId, {
+    chainId: escrow.chainId,
+  });
+  if (state.status !== AMIS_STATUS.Created) {
+    return reject(
+      `⚠️ Trade #${escrow.tradeId} is ${state.statusText}; only unfunded (Created) trades can be cancelled.`,
+    );
+  }
+
+  const res = await cancelTradeOnChain(escrow.tradeId, {
+    chainId: escrow.chainId,
+    actorDiscordId: interaction.user.id,
+    source: "command:escrow_cancel",
+  });
+  if (!res.ok) {
+    return reject(
+      res.reason === "unavailable"
+        ? "⚠️ The action lock store is unavailable; nothing was sent. Try again later."
+        : res.reason === "not_created"
+          ? "⚠️ The trade was funded meanwhile; nothing was sent."
+          : `⚠️ Another cancellation is in progress. Try again in ${Math.ceil((res.remainingMs ?? 0) / 1000)}s.`,
+    );
+  }
+
+  const ctx = await loadTradeThreadContext(interaction.client, escrow);
+  if (ctx) {
+    await announceTradeCancelled({
+      channel: ctx.channel,
+      messageId: ctx.messageId,
+      tradeId: escrow.tradeId,
+      chainId: ctx.chainId,
+      buyerId: ctx.buyerId,
+      sellerId: ctx.sellerId,
+      priceUsd: ctx.priceUsd,
+      reason: "cancelled by an admin",
+    });
+  }
+  return ok(`✅ Trade #${escrow.tradeId} cancelled.`, { txHash: res.txHash });
+}
+
+async function resync(interaction, escrow) {
+  const res = await syncTradeStatus(interaction.client, escrow.tradeId, {
+    chainId: escrow.chainId,
+  });
+  const details = {
+    before: escrow.status,
+    after: res.status,
+    changed: res.changed,
+  };
+  return ok(
+    res.changed
+      ? `✅ Trade #${escrow.tradeId}: ${statusLabel(escrow.status)} → ${statusLabel(res.status)} (thread updated).`
+      : `✅ Trade #${escrow.tradeId} already in sync (${statusLabel(res.status)}).`,
+    { details },
+  );
+}
+
+async function repostStatus(interaction, escrow) {
+  const ctx = await loadTradeThreadContext(interaction.client, escrow);
+  if (!ctx) {
+    return reject(
+      `⚠️ The thread of trade #${escrow.tradeId} is not reachable.`,
+    );
+  }
+
+  const state = await getTradeState(escrow.tradeId, {
+    chainId: escrow.chainId,
+  });
+  const embed = buildEscrowStatusEmbed({
+    escrowAddress: escrow.managerAddress,
+    chainId: escrow.chainId,
+    buyerId: ctx.buyerId,
+    sellerId: ctx.sellerId,
+    statusText: state.statusText,
+    amountEth: state.amountEth,
+    amount: state.amount,
+    tokenSymbol: state.token.symbol,
+    priceUsd: ctx.priceUsd,
+    evidence: await listDeliveryEvidence(escrow.managerAddress, escrow.tradeId),
+    description: "Status message re-posted by an admin.",
+  });
+  const msg = await safeThreadSend(ctx.channel, {
+    embeds: [embed],
+    components: buildActionsForStatus(state.status),
+  });
+
+  // Retire the previous message's buttons so only one set stays clickable
+  if (ctx.messageId && ctx.messageId !== msg.id) {
+    try {
+      await safeThreadPatchMessage(ctx.channel, ctx.messageId, {
+        components: [],
+      });
+    } catch (e) {
+      console.warn(
+        "/escrow repost-status: old status message not updated:",
+        e?.message ?? e,
+      );
+    }
+  }
+
+  await setStatusMessageIdByManagerTrade(
+    escrow.managerAddress,
+    escrow.tradeId,
+    msg.id,
+  );
+  if (ctx.flow?.id) {
+    await setFlow(ctx.flow.id, { escrowStatusMessageId: msg.id });
+  }
+  return ok(`✅ Status message re-posted in <#${ctx.channel.id}>.`, {
+    details: { previousMessageId: ctx.messageId, messageId: msg.id },
+  });
+}
+
+// Items shown inline; the full list is attached beyond that
+const EVIDENCE_INLINE = 8;
+
+async function evidence(escrow) {
+  const items = await listDeliveryEvidence(
+    escrow.managerAddress,
+    escrow.tradeId,
+    200,
+  );
+  if (items.length === 0) {
+    return ok(`ℹ️ No delivery evidence for trade #${escrow.tradeId}.`, {
+      details: { count: 0 },
+    });
+  }
+
+  const header = `📦 Delivery evidence for trade #${escrow.tradeId} (${items.length}):`;
+  const lines = formatEvidenceLines(items, {
+    max: EVIDENCE_INLINE,
+    fullHash: true,
+  });
+  const reply = { content: [header, ...lines].join("\n").slice(0, 1900) };
+  if (items.length > EVIDENCE_INLINE) {
+    const manifest = items
+      .map((e) =>
+        [
+          e.createdAt ? new Date(e.createdAt).toISOString() : "",
+          e.kind,
+          e.content ?? e.fileName ?? "",
+          e.sizeBytes ?? "",
+          e.sha256 ?? "not hashed",
+          e.submittedByDiscordId,
+          e.messageId ?? "",
+        ].join("\t"),
+      )
+      .join("\n");
+    reply.files = [
+      new AttachmentBuilder(Buffer.from(`${manifest}\n`, "utf8"), {
+        name: `evidence-${escrow.tradeId}.tsv`,
+        description: `${items.length} delivery evidence items`,
+      }),
+    ];
+  }
+  return {
+    outcome: ADMIN_ACTION_OUTCOME.Ok,
+    reply,
+    details: { count: items.length },
+  };
+}
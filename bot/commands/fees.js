@@ -0,0 +1,160 @@
+import {
+  SlashCommandBuilder,
+  MessageFlags,
+  PermissionFlagsBits,
+  AttachmentBuilder,
+} from "discord.js";
+
+import { addChainOption } from "../utils/components.js";
+import {
+  FEE_PERIODS,
+  buildFeeReport,
+  exportFeeCsv,
+} from "../utils/feeLedger.js";
+import { unitsToDecimalString } from "../utils/format.js";
+import { isAdmin } from "../utils/roles.js";
+
+// Discord message limit, minus the surrounding code block
+const MAX_CONTENT = 1_900;
+
+export const data = new SlashCommandBuilder()
+  .setName("fees")
+  .setDescription(
+    "Fee revenue earned by the bot and the fee receiver. (Admin only)",
+  )
+  .setDefaultMemberPermissions(PermissionFlagsBits.Administrator)
+  .setDMPermission(false)
+  // /fees report [period] [periods] [csv] [network]
+  .addSubcommand((sub) =>
+    addChainOption(
+      sub
+        .setName("report")
+        .setDescription("Fee totals per day, week or month")
+        .addStringOption((opt) =>
+          opt
+            .setName("period")
+            .setDescription("Grouping (default daily)")
+            .addChoices(
+              ...Object.keys(FEE_PERIODS).map((p) => ({ name: p, value: p })),
+            ),
+        )
+        .addIntegerOption((opt) =>
+          opt
+            .setName("periods")
+            .setDescription(
+              "Number of periods, current one included (default 14 days, 8 weeks, 6 months)",
+            )
+            .setMinValue(1)
+            .setMaxValue(366),
+        )
+        .addBooleanOption((opt) =>
+          opt
+            .setName("csv")
+            .setDescription("Attach every ledger entry of the period as CSV"),
+        ),
+    ),
+  );
+
+/**
+ * Render report rows as plain text lines, one block per period.
+ * @param {Awaited<ReturnType<typeof buildFeeReport>>} report
+ * @returns {string[]}
+ */
+function renderReport({ chain, period, since, rows }) {
+  const lines = [
+    `Fees on ${chain.name}, ${period} since ${since.toISOString().slice(0, 10)} (UTC)`,
+  ];
+  if (rows.length === 0) {
+    lines.push("", "No fees recorded in this period.");
+    return lines;
+  }
+
+  const totals = new Map(); // asset -> { symbol, decimals, units, usd }
+  let lastPeriod = null;
+  for (const r of rows) {
+    if (r.period !== lastPeriod) {
+      lines.push("", r.period);
+      lastPeriod = r.period;
+    }
+    const amount = (units) => unitsToDecimalString(units, r.assetDecimals, 6);
+    const notes = [
+      r.unpriced ? `${r.unpriced} without USD rate` : null,
+      r.mismatches ? `${r.mismatches} not reconciled ❌` : null,
+    ].filter(Boolean);
+    lines.push(
+      `- ${amount(r.feeWei)} ${r.assetSymbol} ≈ $${r.feeUsd} (${r.entries} fees)${notes.length ? `, ${notes.join(", ")}` : ""}`,
+      `  bot ${amount(r.botFeeWei)} ($${r.botFeeUsd}), receiver ${amount(r.receiverFeeWei)} ($${r.receiverFeeUsd})`,
+    );
+
+    const key = r.tokenAddress ?? "native";
+    const t = totals.get(key) ?? {
+      symbol: r.assetSymbol,
+      decimals: r.assetDecimals,
+      units: 0n,
+      usd: 0,
+    };
+    t.units += BigInt(r.feeWei);
+    t.usd += Number(r.feeUsd);
+    totals.set(key, t);
+  }
+
+  lines.push("", "Total");
+  for (const t of totals.values()) {
+    lines.push(
+      `- ${unitsToDecimalString(t.units, t.decimals, 6)} ${t.symbol} ≈ $${t.usd.toFixed(2)}`,
+    );
+  }
+  return lines;
+}
+
+export async function execute(interaction) {
+  if (!isAdmin(interaction)) {
+    await interaction.reply({
+      content: "This command is restricted to admins.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const period = interaction.options.getString("period") ?? "daily";
+  const periods = interaction.options.getInteger("periods");
+  const withCsv = interaction.options.getBoolean("csv") ?? false;
+
+  try {
+    const report = await buildFeeReport({
+      period,
+      periods,
+      chainId: interaction.options.getString("network"),
+    });
+    let content = renderReport(report).join("\n");
+    if (content.length > MAX_CONTENT) {
+      content = `${content.slice(0, MAX_CONTENT)}\n…`;
+    }
+
+    const files = [];
+    if (withCsv) {
+      const { csv, count } = await exportFeeCsv({
+        since: report.since,
+        chainId: report.chain.id,
+      });
+      files.push(
+        new AttachmentBuilder(Buffer.from(csv, "utf8"), {
+          name: `fees-${report.chain.id}-${period}-${report.since.toISOString().slice(0, 10)}.csv`,
+          description: `${count} fee ledger entries`,
+        }),
+      );
+    }
+
+    await interaction.editReply({
+      content: "```\n" + content + "\n```",
+      files,
+    });
+  } catch (e) {
+    console.error("/fees report failed:", e);
+    await interaction.editReply({
+      content: `❌ Could not build the fee report: ${e?.message ?? e}`,
+    });
+  }
+}
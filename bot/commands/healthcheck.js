@@ -3,14 +3,128 @@ import {
   MessageFlags,
   PermissionFlagsBits,
 } from "discord.js";
-import { query } from "../utils/db.js";
 import { isAdmin } from "../utils/roles.js";
+import { collectReadiness } from "../utils/readiness.js";
+import { GAS_LEVEL } from "../utils/gasMonitor.js";
+
+// Discord message limit, minus the surrounding code block
+const MAX_CONTENT = 1_900;
 
 export const data = new SlashCommandBuilder()
   .setName("healthcheck")
-  .setDescription("Check database connectivity and basic readiness")
+  .setDescription("Readiness report: database, migrations, RPC, contract, FX")
   .setDefaultMemberPermissions(PermissionFlagsBits.Administrator);
 
+function mark(ok, warn = false) {
+  if (ok) return "OK ✅";
+  return warn ? "WARN ⚠️" : "FAILED ❌";
+}
+
+/**
+ * Render the readiness report as plain text lines.
+ * @param {Awaited<ReturnType<typeof collectReadiness>>} report
+ * @returns {string[]}
+ */
+function renderReport(report) {
+  const lines = [];
+  const { database, migrations, fx, locks, watchers } = report;
+
+  lines.push(
+    `Database: ${mark(database.ok)} (${database.latencyMs}ms)`,
+    database.ok
+      ? `- DB time: ${database.now}`
+      : `- DB error: ${database.error}`,
+  );
+
+  if (migrations.error) {
+    lines.push(`Migrations: ${mark(false)}`, `- error: ${migrations.error}`);
+  } else {
+    lines.push(
+      `Migrations: ${mark(migrations.ok)} ${migrations.applied.length} applied, ${migrations.pending.length} pending`,
+      ...migrations.pending.map((m) => `- pending: ${m}`),
+      ...migrations.changed.map((m) => `- changed since applied: ${m}`),
+      ...migrations.unknown.map((m) => `- applied, file missing: ${m}`),
+    );
+  }
+
+  for (const c of report.chains) {
+    lines.push(`Chain ${c.chainName} (${c.chainId}): ${mark(c.ok)}`);
+    if (c.rpc) {
+      const total = c.rpc.endpoints.length;
+      lines.push(
+        `- RPC: ${c.rpc.healthy}/${total} healthy, head ${c.rpc.headBlock ?? "?"}${c.chainIdOk ? "" : ", chain id mismatch ❌"}`,
+      );
+      for (const ep of c.rpc.endpoints) {
+        const parts = [
+          ep.healthy ? "ok" : ep.coolingDown ? "cooling down" : "unhealthy",
+          `block ${ep.blockNumber ?? "?"}${ep.lag ? ` (-${ep.lag})` : ""}`,
+          `${ep.latencyMs ?? "?"}ms`,
+          `errors ${Math.round(ep.errorRate * 100)}% (${ep.failures}/${ep.requests})`,
+        ];
+        if (ep.chainIdMatch === false) parts.push(`chain id ${ep.chainId}`);
+        lines.push(`  ${ep.url}: ${parts.join(", ")}`);
+        if (ep.lastError && !ep.healthy) {
+          lines.push(`    last error: ${ep.lastError.slice(0, 120)}`);
+        }
+      }
+    }
+    if (c.balance) {
+      const ops =
+        c.balance.opsLeft !== null
+          ? `, ~${c.balance.opsLeft} transactions`
+          : "";
+      const level =
+        c.balance.level === GAS_LEVEL.Critical
+          ? `❌ critical, new trades paused`
+          : c.balance.low
+            ? `⚠️ below ${c.balance.minimum}`
+            : "✅";
+      lines.push(
+        `- Bot balance: ${c.balance.formatted} ${c.nativeSymbol}${ops} ${level}`,
+      );
+    }
+    if (c.manager) {
+      const m = c.manager;
+      lines.push(
+        `- Manager ${m.address}: ${m.hasCode === null ? "?" : m.hasCode ? "bytecode ✅" : "no bytecode ❌"}`,
+      );
+      if (m.bot !== null) {
+        lines.push(
+          `- bot(): ${m.botMatches ? "matches bot wallet ✅" : `${m.bot} ≠ bot wallet ❌`}`,
+        );
+      }
+    }
+    for (const e of c.errors ?? []) lines.push(`- error: ${e}`);
+  }
+
+  const fxOk = fx.providers.filter((p) => p.ok).length;
+  lines.push(
+    `FX: ${mark(fx.ok && fxOk === fx.providers.length, fx.ok)} ${fxOk}/${fx.providers.length} providers`,
+  );
+  for (const p of fx.providers) {
+    lines.push(
+      p.ok
+        ? `- ${p.source}: ${p.rate.toFixed(2)} USD/ETH`
+        : `- ${p.source}: ${String(p.error).slice(0, 80)}`,
+    );
+  }
+  if (fx.cached) {
+    lines.push(
+      `- cached: ${fx.cached.rate.toFixed(2)} (${fx.cached.source}, ${Math.round(fx.cached.ageMs / 1000)}s old)`,
+    );
+  }
+  if (fx.error) lines.push(`- error: ${fx.error}`);
+
+  lines.push(
+    locks.ok
+      ? `Locks (${locks.backend}): ${locks.locks} held, ${locks.cooldowns} cooldowns`
+      : `Locks: ${mark(false)} ${locks.error}`,
+    `Watchers: indexer ${watchers.indexer.active ? `running (${watchers.indexer.chains} chains)` : "stopped"}, auto-release ${watchers.autoRelease.active ? "running" : "stopped"}, ${watchers.subscriptions} event subscriptions, ${watchers.inFlightTxs} bot transactions in flight`,
+    `Overall: ${mark(report.ok)} in ${report.durationMs}ms`,
+  );
+  return lines;
+}
+
 export async function execute(interaction) {
   const allowed = isAdmin(interaction);
 
@@ -22,53 +136,24 @@ export async function execute(interaction) {
     return;
   }
 
-  const started = Date.now();
-  let dbOk = false;
-  let flowsOk = false;
-  let details = [];
+  // RPC and FX checks may take up to their request timeouts
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
+  let content;
   try {
-    // Basic connectivity check
-    const resNow = await query("SELECT NOW() as now");
-    dbOk = Array.isArray(resNow.rows) && resNow.rows.length > 0;
-
-    // Check if the 'flows' table from migrations exists
-    const resFlows = await query(
-      "SELECT to_regclass('public.flows') AS flows_table",
-    );
-    const flowsTable = resFlows?.rows?.[0]?.flows_table || null;
-    flowsOk = Boolean(flowsTable);
-
-    details.push(`DB time: ${resNow.rows[0].now}`);
-    details.push(`flows table: ${flowsTable ? "present" : "missing"}`);
+    content = renderReport(await collectReadiness()).join("\n");
   } catch (err) {
-    details.push(`DB error: ${err?.message || String(err)}`);
+    content = `Healthcheck failed: ${err?.message || String(err)}`;
+  }
+  if (content.length > MAX_CONTENT) {
+    content = `${content.slice(0, MAX_CONTENT)}\n…`;
   }
-
-  const duration = Date.now() - started;
-
-  const lines = [
-    `Database: ${dbOk ? "OK ✅" : "FAILED ❌"}`,
-    `Migrations (flows): ${flowsOk ? "OK ✅" : "MISSING ⚠️"}`,
-    `Latency: ${duration}ms`,
-    ...details.map((d) => `- ${d}`),
-  ];
-
-  const content = lines.join("\n");
 
   try {
-    await interaction.reply({
+    await interaction.editReply({
       content: "Healthcheck\n```\n" + content + "\n```",
-      flags: MessageFlags.Ephemeral,
     });
   } catch {
-    // If the interaction was already acknowledged differently, try edit
-    try {
-      await interaction.editReply({
-        content: "Healthcheck\n```\n" + content + "\n```",
-      });
-    } catch {
-      // swallow
-    }
+    // swallow
   }
 }
@@ -0,0 +1,87 @@
+import { SlashCommandBuilder, MessageFlags } from "discord.js";
+
+import { getManagerAddress } from "../utils/amisContract.js";
+import { addChainOption } from "../utils/components.js";
+import {
+  getEscrowByManagerTrade,
+  listEscrowsByThread,
+} from "../utils/escrowRepo.js";
+import { rateTrade, RATING_COMMENT_MAX } from "../utils/reputation.js";
+
+export const data = addChainOption(
+  new SlashCommandBuilder()
+    .setName("rate")
+    .setDescription("Rate your counterparty on a completed trade")
+    .setDMPermission(false)
+    .addIntegerOption((opt) =>
+      opt
+        .setName("score")
+        .setDescription("1 (bad) to 5 (excellent)")
+        .setMinValue(1)
+        .setMaxValue(5)
+        .setRequired(true),
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("comment")
+        .setDescription("Short comment shown with the rating")
+        .setMaxLength(RATING_COMMENT_MAX),
+    )
+    .addStringOption((opt) =>
+      opt
+        .setName("trade_id")
+        .setDescription("On-chain trade ID (default: this thread's trade)"),
+    ),
+);
+
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const raw = String(interaction.options.getString("trade_id") ?? "")
+    .trim()
+    .replace(/^#/u, "");
+  if (raw && !/^\d+$/u.test(raw)) {
+    await interaction.editReply({
+      content: "⚠️ Trade ID must be a number, e.g. `42`.",
+    });
+    return;
+  }
+
+  try {
+    const escrow = raw
+      ? await getEscrowByManagerTrade(
+          getManagerAddress(interaction.options.getString("network")),
+          raw,
+        )
+      : ((await listEscrowsByThread(interaction.channelId, 1))[0] ?? null);
+    if (!escrow) {
+      await interaction.editReply({
+        content: raw
+          ? `⚠️ Trade #${raw} was not found.`
+          : "⚠️ No trade is linked to this channel. Pass `trade_id`.",
+      });
+      return;
+    }
+
+    const res = await rateTrade({
+      escrow,
+      raterId: interaction.user.id,
+      score: interaction.options.getInteger("score"),
+      comment: interaction.options.getString("comment"),
+    });
+    if (!res.ok) {
+      await interaction.editReply({ content: `⚠️ ${res.error}` });
+      return;
+    }
+
+    await interaction.editReply({
+      content: `✅ ${res.created ? "Rated" : "Updated your rating of"} <@${res.rateeId}> ${res.rating.score}/5 for trade #${escrow.tradeId}.`,
+      allowedMentions: { parse: [] },
+    });
+  } catch (e) {
+    console.error("/rate failed:", e);
+    await interaction.editReply({
+      content: `❌ Could not save the rating: ${e?.message ?? e}`,
+    });
+  }
+}
@@ -0,0 +1,49 @@
+import { SlashCommandBuilder, MessageFlags } from "discord.js";
+
+import { buildReputationEmbed } from "../utils/components.js";
+import {
+  loadReputation,
+  loadRecentRatings,
+  formatReputationLines,
+} from "../utils/reputation.js";
+
+export const data = new SlashCommandBuilder()
+  .setName("reputation")
+  .setDescription("Show a member's trade history and ratings")
+  .setDMPermission(false)
+  .addUserOption((opt) =>
+    opt.setName("user").setDescription("Member to look up (default: you)"),
+  );
+
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const user = interaction.options.getUser("user") ?? interaction.user;
+  if (user.bot) {
+    await interaction.editReply({ content: "⚠️ Bots have no reputation." });
+    return;
+  }
+
+  const [stats, ratings] = await Promise.all([
+    loadReputation(user.id),
+    loadRecentRatings(user.id, 3),
+  ]);
+  if (!stats) {
+    await interaction.editReply({
+      content: "❌ Could not load the reputation right now. Try again later.",
+    });
+    return;
+  }
+
+  await interaction.editReply({
+    embeds: [
+      buildReputationEmbed({
+        userId: user.id,
+        lines: formatReputationLines(stats),
+        ratings,
+        firstTradeAt: stats.firstTradeAt,
+      }),
+    ],
+    allowedMentions: { parse: [] },
+  });
+}
@@ -0,0 +1,82 @@
+import { SlashCommandBuilder, MessageFlags } from "discord.js";
+
+import { addChainOption } from "../utils/components.js";
+import { isAdmin } from "../utils/roles.js";
+import { renderTradesPage, renderTradeDetail } from "../utils/tradeList.js";
+
+export const data = new SlashCommandBuilder()
+  .setName("trades")
+  .setDescription("List your escrow trades and their status")
+  .setDMPermission(false)
+  // /trades active
+  .addSubcommand((sub) =>
+    sub
+      .setName("active")
+      .setDescription("Trades that are not finished yet")
+      .addIntegerOption((opt) =>
+        opt.setName("page").setDescription("Page number").setMinValue(1),
+      ),
+  )
+  // /trades history
+  .addSubcommand((sub) =>
+    sub
+      .setName("history")
+      .setDescription("Completed and cancelled trades")
+      .addIntegerOption((opt) =>
+        opt.setName("page").setDescription("Page number").setMinValue(1),
+      ),
+  )
+  // /trades show <trade_id> [network]
+  .addSubcommand((sub) =>
+    addChainOption(
+      sub
+        .setName("show")
+        .setDescription("Show one of your trades")
+        .addStringOption((opt) =>
+          opt
+            .setName("trade_id")
+            .setDescription("On-chain trade ID (e.g. 42)")
+            .setRequired(true),
+        ),
+    ),
+  );
+
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const sub = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
+
+  try {
+    if (sub === "show") {
+      const raw = String(interaction.options.getString("trade_id") ?? "")
+        .trim()
+        .replace(/^#/u, "");
+      if (!/^\d+$/u.test(raw)) {
+        await interaction.editReply({
+          content: "⚠️ Trade ID must be a number, e.g. `42`.",
+        });
+        return;
+      }
+      await interaction.editReply(
+        await renderTradeDetail({
+          userId,
+          tradeId: raw,
+          chainId: interaction.options.getString("network"),
+          asAdmin: isAdmin(interaction),
+        }),
+      );
+      return;
+    }
+
+    const page = (interaction.options.getInteger("page") ?? 1) - 1;
+    await interaction.editReply(
+      await renderTradesPage({ userId, scope: sub, page }),
+    );
+  } catch (e) {
+    console.error("/trades failed:", e);
+    await interaction.editReply({
+      content: `❌ Could not load your trades: ${e?.message ?? e}`,
+    });
+  }
+}
@@ -0,0 +1,254 @@
+import { SlashCommandBuilder, MessageFlags } from "discord.js";
+
+import { addressUrl } from "../utils/explorer.js";
+import { normalizeAndValidateAddress } from "../utils/validation.js";
+import { issueWalletChallenge } from "../utils/walletProof.js";
+import { buildWalletProofPrompt } from "../utils/components.js";
+import {
+  listUserWallets,
+  findUserWallet,
+  addUserWallet,
+  setDefaultUserWallet,
+  removeUserWallet,
+} from "../utils/userWalletRepo.js";
+
+// Saved wallets per user; keeps the list and the autocomplete short
+const MAX_WALLETS = 10;
+
+const walletOption = (opt) =>
+  opt
+    .setName("wallet")
+    .setDescription("Saved address or label")
+    .setRequired(true)
+    .setAutocomplete(true);
+
+export const data = new SlashCommandBuilder()
+  .setName("wallet")
+  .setDescription("Manage the addresses you use for escrow trades")
+  .setDMPermission(false)
+  // /wallet add <address> [label] [default] [verify]
+  .addSubcommand((sub) =>
+    sub
+      .setName("add")
+      .setDescription("Save an address")
+      .addStringOption((opt) =>
+        opt
+          .setName("address")
+          .setDescription("Wallet address (0x…)")
+          .setRequired(true),
+      )
+      .addStringOption((opt) =>
+        opt
+          .setName("label")
+          .setDescription("Name to recognise it, e.g. Ledger")
+          .setMaxLength(32),
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName("default")
+          .setDescription("Pre-fill this address in trade forms"),
+      )
+      .addBooleanOption((opt) =>
+        opt
+          .setName("verify")
+          .setDescription(
+            "Prove ownership with a signed message (skips the proof in trades)",
+          ),
+      ),
+  )
+  // /wallet list
+  .addSubcommand((sub) =>
+    sub.setName("list").setDescription("Show your saved addresses"),
+  )
+  // /wallet remove <wallet>
+  .addSubcommand((sub) =>
+    sub
+      .setName("remove")
+      .setDescription("Forget a saved address")
+      .addStringOption(walletOption),
+  )
+  // /wallet default <wallet>
+  .addSubcommand((sub) =>
+    sub
+      .setName("default")
+      .setDescription("Choose the address pre-filled in trade forms")
+      .addStringOption(walletOption),
+  );
+
+export async function execute(interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const sub = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
+
+  try {
+    switch (sub) {
+      case "add":
+        return await add(interaction, userId);
+      case "list":
+        return await list(interaction, userId);
+      case "remove":
+        return await remove(interaction, userId);
+      case "default":
+        return await makeDefault(interaction, userId);
+      default:
+        await interaction.editReply({
+          content: `⚠️ Unknown subcommand: ${sub}`,
+        });
+    }
+  } catch (e) {
+    console.error(`/wallet ${sub} failed:`, e);
+    await interaction.editReply({
+      content: `❌ Could not update your wallets: ${e?.message ?? e}`,
+    });
+  }
+}
+
+/**
+ * Suggest the user's saved wallets for the `wallet` option.
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ */
+export async function autocomplete(interaction) {
+  const typed = String(interaction.options.getFocused() ?? "").toLowerCase();
+  let wallets = [];
+  try {
+    wallets = await listUserWallets(interaction.user.id);
+  } catch (e) {
+    console.warn("/wallet autocomplete failed:", e?.message ?? e);
+  }
+  await interaction.respond(
+    wallets
+      .filter(
+        (w) =>
+          !typed ||
+          w.address.toLowerCase().includes(typed) ||
+          w.label?.toLowerCase().includes(typed),
+      )
+      .slice(0, 25)
+      .map((w) => ({
+        name: (w.label ? `${w.label} — ${w.address}` : w.address).slice(0, 100),
+        value: w.address,
+      })),
+  );
+}
+
+async function add(interaction, userId) {
+  const v = await normalizeAndValidateAddress(
+    interaction.options.getString("address"),
+  );
+  if (!v.ok) {
+    await interaction.editReply({ content: `❌ ${v.error}` });
+    return;
+  }
+  const label = interaction.options.getString("label")?.trim() || null;
+  const makeDefault = interaction.options.getBoolean("default") ?? false;
+  const verify = interaction.options.getBoolean("verify") ?? false;
+
+  const existing = await listUserWallets(userId);
+  const known = existing.some((w) => w.address === v.address);
+  if (!known && existing.length >= MAX_WALLETS) {
+    await interaction.editReply({
+      content: `⚠️ You can save up to ${MAX_WALLETS} addresses. Remove one with \`/wallet remove\` first.`,
+    });
+    return;
+  }
+  if (
+    label &&
+    existing.some(
+      (w) =>
+        w.address !== v.address &&
+        w.label?.toLowerCase() === label.toLowerCase(),
+    )
+  ) {
+    await interaction.editReply({
+      content: `⚠️ You already use the label “${label}” for another address.`,
+    });
+    return;
+  }
+
+  const wallet = await addUserWallet({
+    discordId: userId,
+    address: v.address,
+    label,
+    makeDefault,
+  });
+  const saved =
+    `✅ ${known ? "Updated" : "Saved"} ${walletName(wallet)}` +
+    (wallet.isDefault ? " — pre-filled in trade forms." : ".");
+
+  if (!verify || wallet.verifiedAt) {
+    await interaction.editReply({ content: saved });
+    return;
+  }
+  const challenge = await issueWalletChallenge({
+    discordId: userId,
+    address: wallet.address,
+    purpose: "saved_wallet",
+  });
+  const prompt = buildWalletProofPrompt(challenge);
+  await interaction.editReply({
+    ...prompt,
+    content: `${saved}\n${prompt.content}`,
+  });
+}
+
+async function list(interaction, userId) {
+  const wallets = await listUserWallets(userId);
+  if (wallets.length === 0) {
+    await interaction.editReply({
+      content:
+        "You have no saved addresses. Add one with `/wallet add` to have it pre-filled in trade forms.",
+    });
+    return;
+  }
+  const lines = wallets.map(
+    (w) =>
+      `${w.isDefault ? "⭐" : "•"} ${walletName(w)} — [explorer](${addressUrl(w.address)})` +
+      (w.verifiedAt ? " ✅ verified" : ""),
+  );
+  await interaction.editReply({
+    content: `**Your saved addresses** (⭐ = default)\n${lines.join("\n")}`,
+  });
+}
+
+async function remove(interaction, userId) {
+  const wallet = await resolveWallet(interaction, userId);
+  if (!wallet) return;
+  await removeUserWallet(userId, wallet.address);
+  await interaction.editReply({
+    content: `🗑️ Removed ${walletName(wallet)}.`,
+  });
+}
+
+async function makeDefault(interaction, userId) {
+  const wallet = await resolveWallet(interaction, userId);
+  if (!wallet) return;
+  const updated = await setDefaultUserWallet(userId, wallet.address);
+  await interaction.editReply({
+    content: `⭐ ${walletName(updated ?? wallet)} is now pre-filled in trade forms.`,
+  });
+}
+
+/**
+ * Look up the `wallet` option (address or label); replies when it is not saved.
+ * @returns {Promise<object|null>}
+ */
+async function resolveWallet(interaction, userId) {
+  const ref = interaction.options.getString("wallet");
+  const wallet = await findUserWallet(userId, ref);
+  if (!wallet) {
+    await interaction.editReply({
+      content: `⚠️ \`${ref}\` is not one of your saved addresses. See \`/wallet list\`.`,
+    });
+  }
+  return wallet;
+}
+
+/**
+ * @param {{ address: string, label: string|null }} wallet
+ */
+function walletName(wallet) {
+  return wallet.label
+    ? `${wallet.label} (\`${wallet.address}\`)`
+    : `\`${wallet.address}\``;
+}
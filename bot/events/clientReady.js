@@ -1,4 +1,8 @@
 import { REST, Routes } from "discord.js";
+import { startAmisIndexer } from "../utils/amisIndexer.js";
+import { startAutoReleaseScheduler } from "../utils/autoRelease.js";
+import { startGasMonitor } from "../utils/gasMonitor.js";
+import { startTranscriptScheduler } from "../utils/transcripts.js";
 
 export const name = "clientReady";
 export const once = true;
@@ -26,4 +30,16 @@ export async function execute(client) {
   } catch (err) {
     console.error("Command registration failed:", err);
   }
+
+  // Follow all manager events from the persisted block cursor (catches up after downtime)
+  await startAmisIndexer(client);
+
+  // Release Delivered trades whose timeout elapsed (also catches up after downtime)
+  startAutoReleaseScheduler(client);
+
+  // Store and send thread transcripts of completed and disputed trades
+  startTranscriptScheduler(client);
+
+  // Alert admins before the bot wallet runs out of gas
+  startGasMonitor(client);
 }
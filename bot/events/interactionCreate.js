@@ -2,11 +2,30 @@ import { Events, MessageFlags } from "discord.js";
 import { handleButton } from "../handlers/buttons.js";
 import { handleModal } from "../handlers/modals.js";
 import { handleSelect } from "../handlers/selects.js";
+import { interactionLabel, interactionsTotal } from "../utils/metrics.js";
 
 export const name = Events.InteractionCreate;
 export const once = false;
 
+// Metric labels: slash commands and autocomplete by command name, components by customId
+function metricLabels(interaction) {
+  if (interaction.isChatInputCommand()) {
+    return { kind: "command", id: interaction.commandName };
+  }
+  if (interaction.isAutocomplete()) {
+    return { kind: "autocomplete", id: interaction.commandName };
+  }
+  const kind = interaction.isButton?.()
+    ? "button"
+    : interaction.isModalSubmit?.()
+      ? "modal"
+      : "select";
+  return { kind, id: interactionLabel(interaction.customId) };
+}
+
 export async function execute(client, interaction) {
+  const labels = metricLabels(interaction);
+  let outcome = "ok";
   try {
     if (interaction.isChatInputCommand()) {
       const command = client.commands.get(interaction.commandName);
@@ -15,6 +34,13 @@ export async function execute(client, interaction) {
       return;
     }
 
+    if (interaction.isAutocomplete()) {
+      const command = client.commands.get(interaction.commandName);
+      if (!command?.autocomplete) return;
+      await command.autocomplete(interaction);
+      return;
+    }
+
     if (interaction.isButton && interaction.isButton()) {
       await handleButton(client, interaction);
       return;
@@ -26,13 +52,16 @@ export async function execute(client, interaction) {
     }
 
     if (
-      typeof interaction.isUserSelectMenu === "function" &&
-      interaction.isUserSelectMenu()
+      (typeof interaction.isUserSelectMenu === "function" &&
+        interaction.isUserSelectMenu()) ||
+      (typeof interaction.isStringSelectMenu === "function" &&
+        interaction.isStringSelectMenu())
     ) {
       await handleSelect(client, interaction);
       return;
     }
   } catch (err) {
+    outcome = "error";
     console.error("Interaction error:", err);
 
     try {
@@ -49,5 +78,7 @@ export async function execute(client, interaction) {
     } catch {
       // Swallow errors from error-handling to avoid noise
     }
+  } finally {
+    interactionsTotal.inc({ ...labels, outcome });
   }
 }
@@ -0,0 +1,9 @@
+import { Events } from "discord.js";
+import { handleMessage } from "../handlers/messages.js";
+
+export const name = Events.MessageCreate;
+export const once = false;
+
+export async function execute(client, message) {
+  await handleMessage(client, message);
+}
@@ -7,7 +7,11 @@
  *   - create_trade_flow_button
  *   - role_buyer / role_seller
  *   - agree_buyer / agree_seller
- *   - mark_delivered / approve_release
+ *   - mark_delivered (delivery evidence modal, see modals.js) / approve_release
+ *   - raise_dispute (either party) / resolve_dispute (admin)
+ *   - cancel_trade (either party, before funding; see amisCancel.js)
+ *   - trades_page:<scope>:<page> (/trades pagination; see tradeList.js)
+ *   - wallet_proof:<challengeId> (signature modal for a wallet proof; see walletProof.js)
  *   - prefund_quote
  *
  * Notes:
@@ -15,15 +19,26 @@
  *   should remain in their respective handlers/modules.
  * - Uses AmisEscrowManager (tradeId-based). Buyer funds via fund(tradeId).
  * - We lock buyer/seller Discord IDs at thread creation to keep permissions consistent.
+ * - Flows are per trade: setup prompts use the user's draft flow, and in-thread buttons
+ *   resolve the flow bound to the thread (resolveInteractionFlow).
  */
 
 import { MessageFlags, ChannelType } from "discord.js";
 
-import { startFlow, setFlow, getFlow, clearFlow } from "../utils/flowRepo.js";
+import {
+  startFlow,
+  setFlow,
+  getFlow,
+  getDraftFlow,
+  resolveInteractionFlow,
+  clearFlow,
+} from "../utils/flowRepo.js";
 import {
   resolveLockedRoles,
   assertBuyer,
   assertSeller,
+  assertParty,
+  isAdmin,
 } from "../utils/roles.js";
 import {
   buildRoleButtonsRow,
@@ -34,18 +49,27 @@ import {
   buildSellerAddressModal,
   buildEscrowStatusEmbed,
   buildActionsForStatus,
+  buildDisputeReasonModal,
+  buildResolveDisputeModal,
+  buildDeliveryEvidenceModal,
+  buildWalletSignatureModal,
 } from "../utils/components.js";
 import { updateEphemeralOriginal } from "../utils/ephemeral.js";
-import { publicClient } from "../utils/client.js";
+import { getChainClients } from "../utils/client.js";
+import { getChain, isMultiChain } from "../utils/chains.js";
+import { txProgressReporter } from "../utils/txProgress.js";
+import { loadDeliveryEvidence } from "../utils/deliveryEvidence.js";
 import { convertUsdToEth } from "../utils/fx.js";
 import { safeThreadPatchMessage } from "../utils/threads.js";
+import { getDefaultUserWallet } from "../utils/userWalletRepo.js";
+import { escrowTokenSymbol } from "../utils/tokens.js";
 
 /**
  * Update the escrow status message if known, with the provided embed and action components
  * based on the updated status value or text.
  */
-async function updateEscrowStatusMessage(interaction, uid, embed, updated) {
-  const msgId = (await getFlow(uid))?.escrowStatusMessageId;
+async function updateEscrowStatusMessage(interaction, flowId, embed, updated) {
+  const msgId = (await getFlow(flowId))?.escrowStatusMessageId;
   if (!msgId) return;
   try {
     await safeThreadPatchMessage(
@@ -68,8 +92,7 @@ async function updateEscrowStatusMessage(interaction, uid, embed, updated) {
  */
 async function handleStartFlow(client, interaction) {
   const uid = interaction.user.id;
-  await startFlow(uid);
-  await setFlow(uid, { originalInteractionToken: interaction.token });
+  await startFlow(uid, { originalInteractionToken: interaction.token });
 
   await interaction.deferReply({ flags: MessageFlags.Ephemeral });
   await interaction.editReply({
@@ -84,8 +107,8 @@ async function handleStartFlow(client, interaction) {
  */
 async function handleSelectRole(interaction, role) {
   const uid = interaction.user.id;
-  const existing = await getFlow(uid);
-  await setFlow(uid, {
+  const existing = (await getDraftFlow(uid)) ?? (await startFlow(uid));
+  await setFlow(existing.id, {
     role,
     originalInteractionToken:
       (existing && existing.originalInteractionToken) || interaction.token,
@@ -104,7 +127,7 @@ async function handleSelectRole(interaction, role) {
  */
 async function handleCreateThread(client, interaction) {
   const uid = interaction.user.id;
-  const flow = await getFlow(uid);
+  const flow = await getDraftFlow(uid);
   if (!flow || !flow.role || !flow.counterpartyId || !flow.description) {
     return interaction.update({
       content:
@@ -112,39 +135,6 @@ async function handleCreateThread(client, interaction) {
       components: [],
     });
   }
-  if (flow.threadId) {
-    try {
-      const existingThread = await interaction.channel.threads.fetch(
-        flow.threadId,
-      );
-      if (existingThread) {
-        return interaction.update({
-          content: `✅ Private thread already exists: <#${flow.threadId}>`,
-          components: [],
-        });
-      }
-    } catch {
-      // Stale thread id; clear and proceed to create a fresh one
-      await setFlow(uid, {
-        threadId: null,
-        agreeMessageId: null,
-        buyerAgreed: false,
-        sellerAgreed: false,
-        buyerAddress: null,
-        sellerAddress: null,
-      });
-      if (flow?.counterpartyId) {
-        await setFlow(flow.counterpartyId, {
-          threadId: null,
-          agreeMessageId: null,
-          buyerAgreed: false,
-          sellerAgreed: false,
-          buyerAddress: null,
-          sellerAddress: null,
-        });
-      }
-    }
-  }
 
   await interaction.update({
     content: "⏳ Creating private thread...",
@@ -155,8 +145,8 @@ async function handleCreateThread(client, interaction) {
   const buyerId = flow.role === "buyer" ? uid : flow.counterpartyId;
   const sellerId = flow.role === "seller" ? uid : flow.counterpartyId;
 
-  // Lock buyer/seller Discord IDs for both parties
-  await setFlow(uid, {
+  // Lock buyer/seller Discord IDs on the trade's flow
+  await setFlow(flow.id, {
     buyerDiscordId: buyerId,
     sellerDiscordId: sellerId,
     buyerAgreed: false,
@@ -168,26 +158,14 @@ async function handleCreateThread(client, interaction) {
     escrowWatcherStarted: false,
     agreeMessageId: null,
   });
-  if (flow?.counterpartyId) {
-    await setFlow(flow.counterpartyId, {
-      buyerDiscordId: buyerId,
-      sellerDiscordId: sellerId,
-      buyerAgreed: false,
-      sellerAgreed: false,
-      buyerAddress: null,
-      sellerAddress: null,
-      escrowAddress: null,
-      escrowStatusMessageId: null,
-      escrowWatcherStarted: false,
-      agreeMessageId: null,
-    });
-  }
 
   const embed = buildCreatedEmbed({
     buyerId,
     sellerId,
     description: flow.description,
     priceUsd: flow.priceUsd,
+    tokenSymbol: escrowTokenSymbol(flow.tokenAddress, flow.chainId),
+    chainName: isMultiChain() ? getChain(flow.chainId).name : null,
   });
 
   const threadName = `trade-${uid.slice(-4)}-${flow.counterpartyId.slice(-4)}`;
@@ -209,11 +187,8 @@ async function handleCreateThread(client, interaction) {
     components: [buildAgreeRow()],
   });
 
-  await setFlow(uid, { threadId: thread.id, agreeMessageId: agreeMsg.id });
-  await setFlow(flow.counterpartyId, {
-    threadId: thread.id,
-    agreeMessageId: agreeMsg.id,
-  });
+  // Bind the flow to the thread: from here on it is resolved by thread id
+  await setFlow(flow.id, { threadId: thread.id, agreeMessageId: agreeMsg.id });
 
   const originalToken = flow?.originalInteractionToken;
   const appId = client?.application?.id;
@@ -231,6 +206,21 @@ async function handleCreateThread(client, interaction) {
   }
 }
 
+/**
+ * Address to pre-fill in the buyer/seller address modal: the user's default /wallet.
+ * Best effort; the modal is still shown empty when the lookup fails.
+ * @param {string} uid
+ * @returns {Promise<string|null>}
+ */
+async function savedDefaultAddress(uid) {
+  try {
+    return (await getDefaultUserWallet(uid))?.address ?? null;
+  } catch (e) {
+    console.warn("savedDefaultAddress failed:", e?.message ?? e);
+    return null;
+  }
+}
+
 /**
  * Show the buyer address modal (buyer only).
  */
@@ -238,7 +228,7 @@ async function handleAgreeBuyer(interaction) {
   const uid = interaction.user.id;
   // Early role enforcement: user must be the buyer before we even show the modal
   try {
-    const flow = await getFlow(uid);
+    const flow = await resolveInteractionFlow(interaction);
     const check = assertBuyer(uid, flow);
     if (!check.ok) {
       await interaction.reply({
@@ -257,7 +247,11 @@ async function handleAgreeBuyer(interaction) {
   }
 
   try {
-    await interaction.showModal(buildBuyerAddressModal());
+    await interaction.showModal(
+      buildBuyerAddressModal({
+        defaultAddress: await savedDefaultAddress(uid),
+      }),
+    );
   } catch (e) {
     console.error("handleAgreeBuyer: showModal failed:", e);
     const msg = (e && (e.rawError?.message || e.message)) || "";
@@ -298,7 +292,7 @@ async function handleAgreeSeller(interaction) {
   const uid = interaction.user.id;
   // Early role enforcement: user must be the seller before we show the modal
   try {
-    const flow = await getFlow(uid);
+    const flow = await resolveInteractionFlow(interaction);
     const check = assertSeller(uid, flow);
     if (!check.ok) {
       await interaction.reply({
@@ -317,7 +311,11 @@ async function handleAgreeSeller(interaction) {
   }
 
   try {
-    await interaction.showModal(buildSellerAddressModal());
+    await interaction.showModal(
+      buildSellerAddressModal({
+        defaultAddress: await savedDefaultAddress(uid),
+      }),
+    );
   } catch (e) {
     console.error("handleAgreeSeller: showModal failed:", e);
     const msg = (e && (e.rawError?.message || e.message)) || "";
@@ -352,136 +350,49 @@ async function handleAgreeSeller(interaction) {
 }
 
 /**
- * Seller marks delivered (contract write via bot).
+ * Seller: open the delivery evidence modal. Mark Delivered runs on submit (modals.js),
+ * where the Funded state is checked.
  */
 async function handleMarkDelivered(interaction) {
-  await interaction.reply({
-    content: "⏳ Processing...",
-    flags: MessageFlags.Ephemeral,
-  });
   const uid = interaction.user.id;
-  const flow = await getFlow(uid);
-  if (!flow) {
-    await interaction.editReply({
-      content: "⚠️ No active trade flow found.",
-      flags: MessageFlags.Ephemeral,
-    });
-    return;
-  }
-  const check = assertSeller(uid, flow);
-  if (!check.ok) {
-    await interaction.editReply({
-      content: check.message,
-      flags: MessageFlags.Ephemeral,
-    });
-    return;
-  }
-  const tradeId = flow.tradeId;
-  if (!tradeId) {
-    await interaction.editReply({
-      content: "⚠️ Trade is not created yet.",
-      flags: MessageFlags.Ephemeral,
-    });
-    return;
-  }
-
   try {
-    const { getTradeState, markDelivered: amisMarkDelivered } = await import(
-      "../utils/amis.js"
-    );
-    const { AMIS_ADDRESS } = await import("../utils/amisContract.js");
-
-    const state = await getTradeState(tradeId);
-    if (Number(state.status) !== 1) {
-      await interaction.editReply({
-        content: "⚠️ Trade is not at 'Funded' state.",
+    const flow = await resolveInteractionFlow(interaction);
+    const check = assertSeller(uid, flow);
+    if (!check.ok) {
+      await interaction.reply({
+        content: `⚠️ ${check.message}`,
         flags: MessageFlags.Ephemeral,
       });
       return;
     }
-
-    const { keyFor, checkCooldown, withLockThenCooldown } = await import(
-      "../utils/locks.js"
-    );
-    const rateKey = keyFor("mark_delivered", String(tradeId));
-    const cd = checkCooldown(rateKey);
-    if (!cd.ok) {
-      await interaction.editReply({
-        content: `Action cooling down. Try again in ${Math.ceil(cd.remainingMs / 1000)}s.`,
+    if (!flow.tradeId) {
+      await interaction.reply({
+        content: "⚠️ Trade is not created yet.",
         flags: MessageFlags.Ephemeral,
       });
       return;
     }
-    const res = await withLockThenCooldown(rateKey, 10000, 5000, async () => {
-      const tx = await amisMarkDelivered(tradeId);
-      await publicClient.waitForTransactionReceipt({ hash: tx });
-      return tx;
-    });
-    if (!res.ok) {
-      if (res.remainingMs) {
-        await interaction.editReply({
-          content: `Action already in progress. Try again in ${Math.ceil(res.remainingMs / 1000)}s.`,
-          flags: MessageFlags.Ephemeral,
-        });
-      } else {
-        await interaction.editReply({
-          content: "Action could not start. Please try again shortly.",
-          flags: MessageFlags.Ephemeral,
-        });
-      }
-      return;
-    }
-
-    const updated = await getTradeState(tradeId);
-    const { buyerId: buyerId2, sellerId: sellerId2 } = resolveLockedRoles(
-      flow,
-      uid,
-    );
-
-    const embed2 = buildEscrowStatusEmbed({
-      escrowAddress: AMIS_ADDRESS,
-      buyerId: buyerId2,
-      sellerId: sellerId2,
-      statusText: updated.statusText,
-      amountEth: updated.amountEth,
-      color: updated.color,
-      priceUsd: flow?.priceUsd,
-      description: "Seller marked as Delivered.",
+  } catch (e) {
+    console.error("handleMarkDelivered: pre-check failed:", e);
+    await interaction.reply({
+      content: "⚠️ Could not verify your role. Please try again shortly.",
+      flags: MessageFlags.Ephemeral,
     });
-    await updateEscrowStatusMessage(interaction, uid, embed2, updated);
+    return;
+  }
 
-    // Notify buyer in the thread about the next action
-    await interaction.channel.send({
-      content: `🔔 <@${buyerId2}> Seller marked delivered. Please approve & release.`,
-      allowedMentions: { users: [String(buyerId2)], parse: [] },
-    });
-    // Post a countdown banner and release breakdown
+  try {
+    await interaction.showModal(buildDeliveryEvidenceModal());
+  } catch (e) {
+    console.error("handleMarkDelivered: showModal failed:", e);
     try {
-      // Chain-aware deadline from on-chain deliveryTimestamp + releaseTimeout (fallback to 24h from now)
-      const deliveredAt = Number(updated?.deliveredAtSec ?? 0);
-      const timeoutSec = Number(updated?.releaseTimeoutSec ?? 0);
-      const deadline =
-        deliveredAt > 0 && timeoutSec > 0
-          ? deliveredAt + timeoutSec
-          : Math.floor(Date.now() / 1000) + 24 * 60 * 60;
-
-      const lines = [
-        `⏳ Auto‑release available at: <t:${deadline}:F> (that is <t:${deadline}:R>).`,
-      ];
-      await interaction.channel.send({ content: lines.join("\n") });
-    } catch (e) {
-      console.warn("Countdown banner failed:", e);
+      await interaction.reply({
+        content: "Couldn’t open the form. Please try again.",
+        flags: MessageFlags.Ephemeral,
+      });
+    } catch {
+      // swallow
     }
-
-    await interaction.editReply({
-      content: `✅ Marked delivered.`,
-      flags: MessageFlags.Ephemeral,
-    });
-  } catch (e) {
-    await interaction.editReply({
-      content: `❌ Failed to mark delivered: ${e.message}`,
-      flags: MessageFlags.Ephemeral,
-    });
   }
 }
 
@@ -494,7 +405,7 @@ async function handleApproveRelease(interaction) {
     flags: MessageFlags.Ephemeral,
   });
   const uid = interaction.user.id;
-  const flow = await getFlow(uid);
+  const flow = await resolveInteractionFlow(interaction);
   if (!flow) {
     await interaction.editReply({
       content: "⚠️ No active trade flow found.",
@@ -503,7 +414,8 @@ async function handleApproveRelease(interaction) {
     return;
   }
   const buyerId =
-    flow.buyerDiscordId ?? (flow.role === "buyer" ? uid : flow.counterpartyId);
+    flow.buyerDiscordId ??
+    (flow.role === "buyer" ? flow.userId : flow.counterpartyId);
   if (uid !== buyerId) {
     await interaction.editReply({
       content: "⚠️ You are not the buyer for this trade.",
@@ -523,9 +435,11 @@ async function handleApproveRelease(interaction) {
   try {
     const { getTradeState, approveDelivery: amisApproveDelivery } =
       await import("../utils/amis.js");
-    const { AMIS_ADDRESS } = await import("../utils/amisContract.js");
+    const { getManagerAddress } = await import("../utils/amisContract.js");
+    const chainId = flow.chainId;
+    const managerAddress = getManagerAddress(chainId);
 
-    const state = await getTradeState(tradeId);
+    const state = await getTradeState(tradeId, { chainId });
     if (Number(state.status) !== 2) {
       await interaction.editReply({
         content: "⚠️ Trade is not at 'Delivered' state.",
@@ -537,8 +451,12 @@ async function handleApproveRelease(interaction) {
     const { keyFor, checkCooldown, withLockThenCooldown } = await import(
       "../utils/locks.js"
     );
-    const rateKey = keyFor("approve_release", String(tradeId));
-    const cd = checkCooldown(rateKey);
+    const rateKey = keyFor(
+      "approve_release",
+      getChain(chainId).id,
+      String(tradeId),
+    );
+    const cd = await checkCooldown(rateKey);
     if (!cd.ok) {
       await interaction.editReply({
         content: `Action cooling down. Try again in ${Math.ceil(cd.remainingMs / 1000)}s.`,
@@ -547,8 +465,10 @@ async function handleApproveRelease(interaction) {
       return;
     }
     // Show release breakdown to the buyer before submitting the transaction
+    let breakdown = "";
     try {
-      const amt = Number.parseFloat(String(state?.amountEth ?? "0"));
+      const amt = Number.parseFloat(String(state?.amount ?? "0"));
+      const symbol = state?.token?.symbol ?? "ETH";
       const fee = Number.isFinite(amt) ? amt * 0.025 : null;
       const payout = Number.isFinite(amt) ? amt * 0.975 : null;
       const fmt = (n, d = 6) =>
@@ -559,24 +479,37 @@ async function handleApproveRelease(interaction) {
           .replace(/\.$/u, "");
       const parts = [
         `Release breakdown:`,
-        `• Base (escrowed): ${Number.isFinite(amt) ? fmt(amt) : "—"} ETH`,
-        `• Seller fee (2.5%): ${fee != null ? fmt(fee) : "—"} ETH`,
-        `• Seller receives: ${payout != null ? fmt(payout) : "—"} ETH`,
-        `Submitting approval...`,
+        `• Base (escrowed): ${Number.isFinite(amt) ? fmt(amt) : "—"} ${symbol}`,
+        `• Seller fee (2.5%): ${fee != null ? fmt(fee) : "—"} ${symbol}`,
+        `• Seller receives: ${payout != null ? fmt(payout) : "—"} ${symbol}`,
       ];
+      breakdown = parts.join("\n");
       await interaction.editReply({
-        content: parts.join("\n"),
+        content: `${breakdown}\nSubmitting approval...`,
         flags: MessageFlags.Ephemeral,
       });
     } catch (err) {
       console.warn("Release breakdown preflight failed:", err);
     }
     const res = await withLockThenCooldown(rateKey, 10000, 5000, async () => {
-      const tx = await amisApproveDelivery(tradeId);
-      await publicClient.waitForTransactionReceipt({ hash: tx });
+      const tx = await amisApproveDelivery(tradeId, {
+        chainId,
+        actorDiscordId: uid,
+        source: "button:approve_release",
+        onStatus: txProgressReporter(
+          interaction,
+          "Approve & release",
+          breakdown,
+          chainId,
+        ),
+      });
+      await getChainClients(chainId).publicClient.waitForTransactionReceipt({
+        hash: tx,
+      });
       return tx;
     });
     if (!res.ok) {
+      if (res.error) throw res.error;
       if (res.remainingMs) {
         await interaction.editReply({
           content: `Action already in progress. Try again in ${Math.ceil(res.remainingMs / 1000)}s.`,
@@ -591,23 +524,38 @@ async function handleApproveRelease(interaction) {
       return;
     }
 
-    const updated = await getTradeState(tradeId);
+    try {
+      const { setEscrowStatusByManagerTrade, ESCROW_STATUS } = await import(
+        "../utils/escrowRepo.js"
+      );
+      await setEscrowStatusByManagerTrade(managerAddress, tradeId, {
+        status: ESCROW_STATUS.Completed,
+      });
+    } catch (e) {
+      console.error("DB persist completed failed:", e);
+    }
+
+    const updated = await getTradeState(tradeId, { chainId });
     const { buyerId: buyerId2, sellerId: sellerId2 } = resolveLockedRoles(
       flow,
       uid,
     );
 
     const embed2 = buildEscrowStatusEmbed({
-      escrowAddress: AMIS_ADDRESS,
+      escrowAddress: managerAddress,
+      chainId,
       buyerId: buyerId2,
       sellerId: sellerId2,
       statusText: updated.statusText,
       amountEth: updated.amountEth,
+      amount: updated.amount,
+      tokenSymbol: updated.token.symbol,
       color: updated.color,
       priceUsd: flow?.priceUsd,
+      evidence: await loadDeliveryEvidence(managerAddress, tradeId),
       description: "Buyer approved delivery. Funds released.",
     });
-    await updateEscrowStatusMessage(interaction, uid, embed2, updated);
+    await updateEscrowStatusMessage(interaction, flow.id, embed2, updated);
 
     // Notify seller in the thread about completion
     await interaction.channel.send({
@@ -628,15 +576,187 @@ async function handleApproveRelease(interaction) {
 }
 
 /**
- * Main button dispatcher to be used by the top-level interaction handler.
- * @param {import('discord.js').Client} client
- * @param {import('discord.js').ButtonInteraction} interaction
+ * Either party: open the dispute reason modal. The Delivered state check happens
+ * on submit so the modal can be shown within the interaction window.
+ */
+async function handleRaiseDispute(interaction) {
+  const uid = interaction.user.id;
+  try {
+    const flow = await resolveInteractionFlow(interaction);
+    const check = assertParty(uid, flow);
+    if (!check.ok) {
+      await interaction.reply({
+        content: `⚠️ ${check.message}`,
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+    if (!flow.tradeId) {
+      await interaction.reply({
+        content: "⚠️ Trade is not created yet.",
+        flags: MessageFlags.Ephemeral,
+      });
+      return;
+    }
+  } catch (e) {
+    console.error("handleRaiseDispute: pre-check failed:", e);
+    await interaction.reply({
+      content: "⚠️ Could not verify your role. Please try again shortly.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  try {
+    await interaction.showModal(buildDisputeReasonModal());
+  } catch (e) {
+    console.error("handleRaiseDispute: showModal failed:", e);
+    try {
+      await interaction.reply({
+        content: "Couldn’t open the form. Please try again.",
+        flags: MessageFlags.Ephemeral,
+      });
+    } catch {
+      // swallow
+    }
+  }
+}
+
+/**
+ * Admin-only: open the dispute resolution modal (buyer/seller split).
+ */
+async function handleResolveDispute(interaction) {
+  if (!isAdmin(interaction)) {
+    await interaction.reply({
+      content: "⚠️ Only admins can resolve disputes.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  try {
+    await interaction.showModal(buildResolveDisputeModal());
+  } catch (e) {
+    console.error("handleResolveDispute: showModal failed:", e);
+    try {
+      await interaction.reply({
+        content: "Couldn’t open the form. Please try again.",
+        flags: MessageFlags.Ephemeral,
+      });
+    } catch {
+      // swallow
+    }
+  }
+}
+
+/**
+ * Either party: request/confirm cancellation of an unfunded trade.
  */
+async function handleCancelTrade(interaction) {
+  const { handleCancelTradeRequest } = await import("../utils/amisCancel.js");
+  return handleCancelTradeRequest(interaction);
+}
+
 /**
- * Cancel the pre-thread confirmation prompt and clear all flow state for both users.
+ * Open the signature modal for a wallet proof challenge (verified in modals.js).
  */
+async function handleWalletProof(interaction) {
+  const challengeId = interaction.customId.slice("wallet_proof:".length);
+  await interaction.showModal(buildWalletSignatureModal(challengeId));
+}
+
+/**
+ * /trades pager: re-render the requested page in place (ephemeral, invoker only).
+ */
+async function handleTradesPage(interaction) {
+  const { parseTradesPageId, renderTradesPage } = await import(
+    "../utils/tradeList.js"
+  );
+  const parsed = parseTradesPageId(interaction.customId);
+  if (!parsed) return;
+
+  await interaction.deferUpdate();
+  try {
+    await interaction.editReply(
+      await renderTradesPage({ userId: interaction.user.id, ...parsed }),
+    );
+  } catch (e) {
+    console.error("handleTradesPage failed:", e);
+    await interaction.followUp({
+      content: "⚠️ Could not load that page. Please try again.",
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
+
 /**
- * Buyer-only: show a pre‑fund quote with base amount, 2.5% fee, and total. No payment link.
+ * Approve + fund steps of an ERC-20 trade for the pre‑fund quote. Reads the buyer's
+ * current allowance and balance (when the buyer address is known) so already-approved
+ * buyers can skip straight to fund(); an unknown allowance counts as not approved.
+ * @param {object} flow
+ * @param {Awaited<ReturnType<typeof import("../utils/fundLink.js").buildFundLink>>} link
+ * @returns {Promise<{ lines: string[], approved: boolean }>}
+ */
+async function buildTokenFundingLines(flow, link) {
+  const { getTokenAllowance, getTokenBalance } = await import(
+    "../utils/tokens.js"
+  );
+  const { formatTokenAmount } = await import("../utils/format.js");
+  const { token, total, approve } = link;
+  const amount = (units) => formatTokenAmount(units, token);
+
+  let allowance = 0n;
+  const lines = [];
+  if (flow.buyerAddress) {
+    try {
+      const [approvedUnits, balance] = await Promise.all([
+        getTokenAllowance(
+          token.address,
+          flow.buyerAddress,
+          link.to,
+          link.chainId,
+        ),
+        getTokenBalance(token.address, flow.buyerAddress, link.chainId),
+      ]);
+      allowance = approvedUnits;
+      lines.push(
+        `Buyer wallet \`${flow.buyerAddress}\`: balance ${amount(balance)}, approved ${amount(allowance)}.`,
+      );
+      if (balance < total) {
+        lines.push(
+          `⚠️ Balance is ${amount(total - balance)} short of the total.`,
+        );
+      }
+    } catch (e) {
+      console.warn("Token allowance read failed:", e?.message ?? e);
+    }
+  }
+
+  const approved = allowance >= total;
+  if (!approved) {
+    lines.push(
+      `**Step 1 — approve:** scan the QR code or open this link (EIP‑681). It approves the contract to take exactly ${amount(total)}:`,
+      `\`${approve.uri}\``,
+      `Manual: to \`${approve.to}\`, value 0, data \`${approve.data}\``,
+      "",
+      `**Step 2 — fund:** after the approval is confirmed, call fund(${link.tradeId}) without ETH (press the button again for its QR code):`,
+    );
+  } else {
+    lines.push(
+      `**Fund:** the contract is already approved. Scan the QR code or open this link (EIP‑681) to call fund(${link.tradeId}) without ETH:`,
+    );
+  }
+  lines.push(
+    `\`${link.uri}\``,
+    `Manual: to \`${link.to}\`, value 0, data \`${link.data}\``,
+    `The contract pulls exactly ${amount(total)}; sending ETH is rejected.`,
+  );
+  return { lines, approved };
+}
+
+/**
+ * Buyer-only: show a pre‑fund quote with base amount, 2.5% fee, and total, plus the
+ * funding link (EIP‑681 URI with QR code and raw calldata; approve + fund for ERC‑20 trades).
  */
 async function handlePreFundQuote(interaction) {
   await interaction.reply({
@@ -644,7 +764,7 @@ async function handlePreFundQuote(interaction) {
     flags: MessageFlags.Ephemeral,
   });
   const uid = interaction.user.id;
-  const flow = await getFlow(uid);
+  const flow = await resolveInteractionFlow(interaction);
   if (!flow) {
     await interaction.editReply({
       content: "⚠️ No active trade flow found.",
@@ -670,9 +790,10 @@ async function handlePreFundQuote(interaction) {
     return;
   }
   // Allow the pre‑fund quote only while the trade is in Created (awaiting funding)
+  let state = null;
   try {
     const { getTradeState } = await import("../utils/amis.js");
-    const state = await getTradeState(tradeId);
+    state = await getTradeState(tradeId, { chainId: flow.chainId });
     if (Number(state?.status) !== 0) {
       await interaction.editReply({
         content:
@@ -685,16 +806,24 @@ async function handlePreFundQuote(interaction) {
     // If we cannot read state, proceed with caution (trade exists)
   }
 
-  // Prefer pinned ETH at creation; fallback to live FX from USD if available
-  let baseEthStr = flow?.priceEthAtCreation ?? null;
-  if (!baseEthStr && flow?.priceUsd) {
+  // Token trades: base amount as escrowed on-chain. ETH: prefer pinned ETH at creation;
+  // fallback to live FX from USD if available
+  const isTokenTrade = state?.token
+    ? !state.token.isNative
+    : !!flow.tokenAddress;
+  const symbol =
+    state?.token?.symbol ?? escrowTokenSymbol(flow.tokenAddress, flow.chainId);
+  let baseStr = isTokenTrade
+    ? (state?.amount ?? null)
+    : flow?.priceEthAtCreation;
+  if (!baseStr && !isTokenTrade && flow?.priceUsd) {
     try {
-      baseEthStr = (await convertUsdToEth(flow.priceUsd)).eth;
+      baseStr = (await convertUsdToEth(flow.priceUsd)).eth;
     } catch {
       // ignore
     }
   }
-  const baseEth = Number.parseFloat(String(baseEthStr ?? "0"));
+  const baseEth = Number.parseFloat(String(baseStr ?? "0"));
   if (!Number.isFinite(baseEth) || baseEth <= 0) {
     await interaction.editReply({
       content:
@@ -713,29 +842,74 @@ async function handlePreFundQuote(interaction) {
       .replace(/\.0+$/u, ".0")
       .replace(/\.$/u, "");
 
-  const { AMIS_ADDRESS } = await import("../utils/amisContract.js");
+  const { getManagerAddress } = await import("../utils/amisContract.js");
   const lines = [
     `Pre‑fund quote (buyer):`,
-    `• Escrow amount (base): ${fmt(baseEth)} ETH`,
-    `• Buyer fee (2.5%): ${fmt(buyerFee)} ETH`,
-    `• Total to send: ${fmt(totalEth)} ETH`,
+    `• Escrow amount (base): ${fmt(baseEth)} ${symbol}`,
+    `• Buyer fee (2.5%): ${fmt(buyerFee)} ${symbol}`,
+    `• Total to ${isTokenTrade ? "pay" : "send"}: ${fmt(totalEth)} ${symbol}`,
     `• Trade ID: ${tradeId}`,
-    `• Contract: \`${AMIS_ADDRESS}\``,
-    `Use your wallet to call fund(tradeId) with the total amount.`,
+    `• Contract: \`${getManagerAddress(flow.chainId)}\``,
   ];
+
+  // Exact msg.value from the contract, as a payment link + QR and as raw calldata
+  let files = [];
+  try {
+    const { buildFundLink, buildFundQrAttachment } = await import(
+      "../utils/fundLink.js"
+    );
+    const link = await buildFundLink(tradeId, { chainId: flow.chainId });
+    if (link.approve) {
+      const funding = await buildTokenFundingLines(flow, link);
+      lines.push("", ...funding.lines);
+      files = [
+        await buildFundQrAttachment(
+          link,
+          funding.approved ? {} : { uri: link.approve.uri, name: "approve" },
+        ),
+      ];
+    } else {
+      const { weiToEthString } = await import("../utils/format.js");
+      const qr = await buildFundQrAttachment(link);
+      files = [qr];
+      lines.push(
+        "",
+        `**Pay with your wallet:** scan the QR code or open this link (EIP‑681). It calls fund(${link.tradeId}) with exactly ${weiToEthString(link.valueWei, 18)} ETH:`,
+        `\`${link.uri}\``,
+        "",
+        "**Manual transaction** (wallets without payment links):",
+        `• To: \`${link.to}\``,
+        `• Value (wei): \`${link.valueWei}\``,
+        `• Data: \`${link.data}\``,
+        "Send exactly this value; the contract rejects any other amount.",
+      );
+    }
+  } catch (e) {
+    console.warn("Fund link failed:", e?.message ?? e);
+    lines.push(
+      isTokenTrade
+        ? `Approve the contract for the total in ${symbol}, then call fund(tradeId) without ETH.`
+        : `Use your wallet to call fund(tradeId) with the total amount.`,
+    );
+  }
+
   await interaction.editReply({
     content: lines.join("\n"),
+    files,
     flags: MessageFlags.Ephemeral,
   });
 }
+
+/**
+ * Cancel the pre-thread confirmation prompt and discard the user's draft flow.
+ */
 async function handleCancelCreateThread(client, interaction) {
   const uid = interaction.user.id;
-  const flow = await getFlow(uid);
+  const flow = await getDraftFlow(uid);
 
-  // Fully clear flows for both sides
-  await clearFlow(uid);
-  if (flow?.counterpartyId) {
-    await clearFlow(flow.counterpartyId);
+  // Discard the draft (trades already moved to a thread are not affected)
+  if (flow) {
+    await clearFlow(flow.id);
   }
 
   await interaction.update({
@@ -797,10 +971,21 @@ async function handleVerifyAssignRole(interaction) {
   }
 }
 
+/**
+ * Main button dispatcher to be used by the top-level interaction handler.
+ * @param {import('discord.js').Client} client
+ * @param {import('discord.js').ButtonInteraction} interaction
+ */
 export async function handleButton(client, interaction) {
   const id = interaction.customId;
 
   try {
+    if (id.startsWith("trades_page:")) {
+      return handleTradesPage(interaction);
+    }
+    if (id.startsWith("wallet_proof:")) {
+      return handleWalletProof(interaction);
+    }
     switch (id) {
       case "create_trade_flow_button":
         return handleStartFlow(client, interaction);
@@ -820,6 +1005,12 @@ export async function handleButton(client, interaction) {
         return handleMarkDelivered(interaction);
       case "approve_release":
         return handleApproveRelease(interaction);
+      case "raise_dispute":
+        return handleRaiseDispute(interaction);
+      case "resolve_dispute":
+        return handleResolveDispute(interaction);
+      case "cancel_trade":
+        return handleCancelTrade(interaction);
       case "prefund_quote":
         return handlePreFundQuote(interaction);
       case "verify_assign_role":
@@ -0,0 +1,105 @@
+/**
+ * Message handlers for trade threads.
+ *
+ * Handles:
+ * - files posted by the seller in a trade thread while the trade is Funded, Delivered or
+ *   Disputed: stored as delivery evidence with their SHA-256 hash (see deliveryEvidence.js)
+ *
+ * Notes:
+ * - Attachments are only visible to the bot with the Message Content intent
+ *   (MESSAGE_CONTENT_INTENT=true, also enabled in the Developer Portal), or in messages
+ *   that mention the bot.
+ * - Other messages are ignored without a reply.
+ */
+
+import { getFlowByThread } from "../utils/flowRepo.js";
+import { assertSeller, resolveLockedRoles } from "../utils/roles.js";
+import { getTradeState, AMIS_STATUS } from "../utils/amis.js";
+import { getManagerAddress } from "../utils/amisContract.js";
+import { refreshAmisStatusMessage } from "../utils/amisStatus.js";
+import {
+  recordAttachmentEvidence,
+  formatEvidenceLines,
+} from "../utils/deliveryEvidence.js";
+
+// Trade states in which the seller's files count as delivery evidence
+const EVIDENCE_STATUSES = new Set([
+  AMIS_STATUS.Funded,
+  AMIS_STATUS.Delivered,
+  AMIS_STATUS.Disputed,
+]);
+
+/**
+ * Record the seller's attachments in a trade thread as delivery evidence.
+ * @param {import('discord.js').Client} client
+ * @param {import('discord.js').Message} message
+ */
+async function handleEvidenceAttachments(client, message) {
+  const flow = await getFlowByThread(message.channelId);
+  if (!flow?.tradeId) return;
+  const uid = message.author.id;
+  if (!assertSeller(uid, flow).ok) return;
+
+  const chainId = flow.chainId;
+  const state = await getTradeState(flow.tradeId, { chainId });
+  if (!EVIDENCE_STATUSES.has(Number(state.status))) return;
+
+  const managerAddress = getManagerAddress(chainId);
+  const { stored, failed } = await recordAttachmentEvidence(
+    { chainId, managerAddress, tradeId: flow.tradeId, discordId: uid },
+    message,
+  );
+
+  const lines = [];
+  if (stored.length > 0) {
+    lines.push(
+      "📎 Recorded as delivery evidence:",
+      ...formatEvidenceLines(stored, { max: 10, fullHash: true }),
+    );
+  }
+  if (failed.length > 0) {
+    lines.push(
+      `⚠️ Could not record ${failed.map((n) => `\`${n}\``).join(", ")}. Please post ${failed.length === 1 ? "it" : "them"} again.`,
+    );
+  }
+  if (lines.length === 0) return;
+  await message.reply({
+    content: lines.join("\n").slice(0, 1900),
+    allowedMentions: { parse: [], repliedUser: false },
+  });
+
+  if (stored.length > 0) {
+    const { buyerId, sellerId } = resolveLockedRoles(flow, flow.userId);
+    await refreshAmisStatusMessage({
+      channel: message.channel,
+      messageId: flow.escrowStatusMessageId,
+      tradeId: flow.tradeId,
+      chainId,
+      buyerId,
+      sellerId,
+      priceUsd: flow.priceUsd,
+      description: "Seller added delivery evidence.",
+    });
+  }
+}
+
+/**
+ * Message dispatcher: only messages with attachments in threads are looked at.
+ * Errors are logged, never replied.
+ * @param {import('discord.js').Client} client
+ * @param {import('discord.js').Message} message
+ */
+export async function handleMessage(client, message) {
+  if (message.author?.bot || message.attachments.size === 0) return;
+  if (!message.channel?.isThread?.()) return;
+
+  try {
+    await handleEvidenceAttachments(client, message);
+  } catch (e) {
+    console.error("handleMessage: delivery evidence failed:", e);
+  }
+}
+
+export default {
+  handleMessage,
+};
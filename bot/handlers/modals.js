@@ -5,43 +5,104 @@
  * - trade_description_modal
  * - buyer_address_modal
  * - seller_address_modal
+ * - delivery_evidence_modal
+ * - dispute_reason_modal
+ * - resolve_dispute_modal
+ * - wallet_proof_modal:<challengeId>
  *
  * Responsibilities:
- * - Persist and sync flow state for both parties
- * - Validate addresses and enforce correct roles
+ * - Persist flow state (draft flow during setup, thread flow afterwards)
+ * - Validate addresses and enforce correct roles (optionally with a signed wallet proof)
  * - Update ephemeral/original messages (embeds, components)
  * - Kick off trade creation when both parties are ready
+ * - Mark delivered with delivery evidence, open and resolve disputes (contract write via bot)
  */
 import { MessageFlags } from "discord.js";
 import {
   getFlow,
+  getDraftFlow,
+  getFlowByThread,
+  resolveInteractionFlow,
   setFlow,
   setPrice,
-  setBuyerAddress,
-  setSellerAddress,
   setPriceEthAtCreation,
 } from "../utils/flowRepo.js";
 import {
   buildConfirmationEmbed,
+  buildSetupSelectRows,
   buildCreateThreadRow,
   buildAgreeRow,
+  buildWalletProofPrompt,
 } from "../utils/components.js";
 import { updateEphemeralOriginal } from "../utils/ephemeral.js";
 import { createAndAnnounceAmisTrade } from "../utils/amisTradeFlow.js";
-import { convertUsdToEth } from "../utils/fx.js";
+import { refreshAmisStatusMessage } from "../utils/amisStatus.js";
+import {
+  getTradeState,
+  markDelivered,
+  openDispute,
+  resolveDispute,
+  AMIS_STATUS,
+} from "../utils/amis.js";
+import { getManagerAddress } from "../utils/amisContract.js";
+import { getChain, listChains, isMultiChain } from "../utils/chains.js";
+import { getChainClients } from "../utils/client.js";
+import {
+  listEscrowsByThread,
+  setEscrowStatusByManagerTrade,
+  ESCROW_STATUS,
+} from "../utils/escrowRepo.js";
+import { convertUsdToToken } from "../utils/fx.js";
+import {
+  resolveToken,
+  listEscrowTokens,
+  escrowTokenSymbol,
+} from "../utils/tokens.js";
+import {
+  keyFor,
+  checkCooldown,
+  withLock,
+  withLockThenCooldown,
+} from "../utils/locks.js";
+import { notifyModerators } from "../utils/notify.js";
+import { txProgressReporter } from "../utils/txProgress.js";
+import {
+  parseEvidenceFields,
+  recordTextEvidence,
+  loadDeliveryEvidence,
+  formatEvidenceLines,
+} from "../utils/deliveryEvidence.js";
+import { listDeliveryEvidence } from "../utils/deliveryEvidenceRepo.js";
+import { loadCounterpartyReputation } from "../utils/reputation.js";
 import {
   normalizeAndValidateAddress,
+  normalizeSharePercent,
   requireUsdAmount,
 } from "../utils/validation.js";
+import {
+  isWalletProofRequired,
+  issueWalletChallenge,
+  verifyWalletChallenge,
+} from "../utils/walletProof.js";
+import { getChallenge } from "../utils/walletChallengeRepo.js";
+import {
+  isVerifiedUserWallet,
+  markUserWalletVerified,
+} from "../utils/userWalletRepo.js";
 import {
   resolveLockedRoles,
   assertBuyer,
   assertSeller,
+  assertParty,
+  isAdmin,
 } from "../utils/roles.js";
 
+// Covers createTrade and its confirmation wait (TX_TIMEOUT_MS, default 10 minutes)
+const CREATE_TRADE_LOCK_MS = 10 * 60 * 1000;
+
 /**
  * Handle trade_description_modal submission.
- * - Stores description and price for both users
+ * - Stores description and price on the user's draft flow
  * - Builds confirmation embed and actions
  * - Edits the original ephemeral message when possible
  * - Uses defer+delete to acknowledge the modal quickly
@@ -61,38 +122,58 @@ async function handleTradeDescriptionModal(client, interaction) {
     return;
   }
 
-  // Store description for both sides
-  const existingFlow = await getFlow(uid);
+  const existingFlow = await getDraftFlow(uid);
+  if (!existingFlow) {
+    await interaction.reply({
+      content:
+        "⚠️ No active trade setup found. Please restart with Create Trade.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
   const originalToken =
-    existingFlow?.originalInteractionToken || interaction.token;
+    existingFlow.originalInteractionToken || interaction.token;
 
-  await setFlow(uid, {
+  await setFlow(existingFlow.id, {
     description,
     originalInteractionToken: originalToken,
   });
-  await setPrice(uid, normalizedPrice);
+  await setPrice(existingFlow.id, normalizedPrice);
 
-  const flow = await getFlow(uid);
-  if (flow?.counterpartyId) {
-    await setFlow(flow.counterpartyId, { description });
-    await setPrice(flow.counterpartyId, normalizedPrice);
-  }
+  const flow = await getFlow(existingFlow.id);
 
   const { buyerId, sellerId } = resolveLockedRoles(flow, uid);
+  const chain = getChain(flow.chainId);
 
   const embed = buildConfirmationEmbed({
     buyerId,
     sellerId,
     description,
     priceUsd: normalizedPrice,
+    tokenSymbol: escrowTokenSymbol(flow.tokenAddress, chain.id),
+    chainName: isMultiChain() ? chain.name : null,
+    counterpartyReputation: await loadCounterpartyReputation({
+      buyerId,
+      sellerId,
+      userId: uid,
+    }),
+  });
+  const selectRows = buildSetupSelectRows({
+    chains: listChains(),
+    chainId: chain.id,
+    tokens: listEscrowTokens(chain.id),
+    tokenAddress: flow.tokenAddress,
+    nativeSymbol: chain.nativeSymbol,
   });
-  const row = buildCreateThreadRow();
 
   const appId = client?.application?.id;
   const payload = {
-    content: "✅ Review the details and proceed to invite the counterparty.",
+    content:
+      selectRows.length > 0
+        ? "✅ Review the details, choose the network and how the buyer pays, and proceed to invite the counterparty."
+        : "✅ Review the details and proceed to invite the counterparty.",
     embeds: [embed],
-    components: [row],
+    components: [...selectRows, buildCreateThreadRow()],
   };
 
   await interaction.deferReply({ flags: MessageFlags.Ephemeral });
@@ -105,6 +186,26 @@ async function handleTradeDescriptionModal(client, interaction) {
   }
 }
 
+/**
+ * Ask the user to sign a one-time message with the submitted address before it is used
+ * (WALLET_PROOF_REQUIRED). The signature is pasted in wallet_proof_modal:<challengeId>.
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - deferred
+ * @param {{ flowId: string, chainId: number|null, address: string, purpose: "buyer_address"|"seller_address" }} params
+ */
+async function promptWalletProof(
+  interaction,
+  { flowId, chainId, address, purpose },
+) {
+  const challenge = await issueWalletChallenge({
+    discordId: interaction.user.id,
+    address,
+    purpose,
+    flowId,
+    chainId,
+  });
+  await interaction.editReply(buildWalletProofPrompt(challenge));
+}
+
 /**
  * Handle buyer_address_modal submission.
  * - Verifies the submitter is the buyer
@@ -116,8 +217,8 @@ async function handleBuyerAddressModal(client, interaction) {
   const uid = interaction.user.id;
   await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
-  // Verify the submitter is the buyer (locked or derived)
-  const fcheck = await getFlow(uid);
+  // Verify the submitter is the buyer of this thread's trade (locked or derived)
+  const fcheck = await resolveInteractionFlow(interaction);
   const checkBuyer = assertBuyer(uid, fcheck);
   if (!checkBuyer.ok) {
     await interaction.editReply({
@@ -127,23 +228,39 @@ async function handleBuyerAddressModal(client, interaction) {
   }
 
   const rawBuyer = interaction.fields.getTextInputValue("buyer_address");
-  const vBuyer = await normalizeAndValidateAddress(rawBuyer);
+  const vBuyer = await normalizeAndValidateAddress(rawBuyer, {
+    chainId: fcheck?.chainId,
+  });
   if (!vBuyer.ok) {
     await interaction.editReply({ content: `❌ ${vBuyer.error}` });
     return;
   }
-  await setBuyerAddress(uid, vBuyer.address);
-
-  const flow = await getFlow(uid);
-  if (flow?.counterpartyId) {
-    await setBuyerAddress(flow.counterpartyId, vBuyer.address);
+  if (
+    isWalletProofRequired() &&
+    !(await isVerifiedUserWallet(uid, vBuyer.address))
+  ) {
+    await promptWalletProof(interaction, {
+      flowId: fcheck.id,
+      chainId: fcheck.chainId,
+      address: vBuyer.address,
+      purpose: "buyer_address",
+    });
+    return;
   }
+  await registerBuyerAddress(interaction, fcheck.id, vBuyer.address);
+}
 
-  // Mark buyer agreed for both sides
-  await setFlow(uid, { buyerAgreed: true });
-  if (flow?.counterpartyId) {
-    await setFlow(flow.counterpartyId, { buyerAgreed: true });
-  }
+/**
+ * Store the buyer address on the flow (validated, and proven when WALLET_PROOF_REQUIRED),
+ * mark buyerAgreed, update the agree buttons and create the trade once both sides are ready.
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - deferred, in the trade thread
+ * @param {string} flowId
+ * @param {string} address - checksummed
+ */
+async function registerBuyerAddress(interaction, flowId, address) {
+  const uid = interaction.user.id;
+  // Only this side's columns: the other party may be submitting at the same time
+  await setFlow(flowId, { buyerAddress: address, buyerAgreed: true });
   // Quick feedback to user to avoid “thinking” hang
   await interaction.editReply({
     content: "✅ Buyer address registered.",
@@ -152,7 +269,7 @@ async function handleBuyerAddressModal(client, interaction) {
 
   // Update the agree row UI state
   {
-    const updated = await getFlow(uid);
+    const updated = await getFlow(flowId);
     if (updated?.agreeMessageId) {
       try {
         const msg = await interaction.channel.messages.fetch(
@@ -172,91 +289,8 @@ async function handleBuyerAddressModal(client, interaction) {
     }
   }
 
-  const f = await getFlow(uid);
-  // If both parties agreed and provided addresses, create the trade (fire-and-forget; guard against duplicates)
-  if (
-    f?.buyerAgreed &&
-    f?.sellerAgreed &&
-    f?.buyerAddress &&
-    f?.sellerAddress &&
-    !f?.tradeId
-  ) {
-    (async () => {
-      // Prevent identical buyer/seller addresses
-      if (
-        String(f.buyerAddress).toLowerCase() ===
-        String(f.sellerAddress).toLowerCase()
-      ) {
-        await interaction.channel.send({
-          content: "⚠️ Buyer and Seller addresses must be different.",
-        });
-        return;
-      }
-      try {
-        // Pin ETH at creation from USD price and store
-        const priceUsdStr = String(f?.priceUsd ?? "0");
-        let pinnedEth = null;
-        try {
-          const conv = await convertUsdToEth(priceUsdStr);
-          pinnedEth = conv.eth;
-          await setPriceEthAtCreation(uid, pinnedEth);
-          if (f?.counterpartyId) {
-            await setPriceEthAtCreation(f.counterpartyId, pinnedEth);
-          }
-        } catch (e2) {
-          console.error("Failed to pin ETH at creation:", e2);
-        }
-
-        const result = await createAndAnnounceAmisTrade({
-          channel: interaction.channel,
-          uid,
-          buyerAddress: f.buyerAddress,
-          sellerAddress: f.sellerAddress,
-          amountEth: pinnedEth ?? undefined,
-        });
-
-        try {
-          const freshFlow = await getFlow(uid);
-          const { buyerId } = resolveLockedRoles(freshFlow, uid);
-          const usdDisplay = priceUsdStr;
-          const baseEthStr =
-            pinnedEth ?? (await convertUsdToEth(usdDisplay)).eth;
-          const baseEthNum = parseFloat(String(baseEthStr));
-          const buyerFeeEthNum = Number.isFinite(baseEthNum)
-            ? baseEthNum * 0.025
-            : null;
-          const buyerTotalEthNum = Number.isFinite(baseEthNum)
-            ? baseEthNum * 1.025
-            : null;
-          const fmt = (n, d = 6) =>
-            n != null && Number.isFinite(n)
-              ? Number(n)
-                  .toFixed(d)
-                  .replace(/(\.\d*?[1-9])0+$/u, "$1")
-                  .replace(/\.0+$/u, ".0")
-                  .replace(/\.$/u, "")
-              : "0";
-          if (result?.tradeId && buyerId) {
-            await interaction.channel.send({
-              content:
-                `💸 <@${buyerId}> Funding details:\n` +
-                `• Escrow amount (base): ${fmt(baseEthNum)} ETH (~$${usdDisplay})\n` +
-                `• Buyer fee (2.5%): ${fmt(buyerFeeEthNum)} ETH\n` +
-                `• Total to send: ${fmt(buyerTotalEthNum)} ETH\n` +
-                `• Trade ID: ${result.tradeId}\n` +
-                `Use your wallet to call fund(tradeId) with the total amount.`,
-            });
-          }
-        } catch (e2) {
-          console.error("Funding prompt failed:", e2);
-        }
-      } catch (e) {
-        await interaction.channel.send({
-          content: `❌ Failed to create trade: ${e.message}`,
-        });
-      }
-    })();
-  }
+  // If both parties agreed and provided addresses, create the trade (fire-and-forget)
+  createTradeWhenReady(interaction, flowId, uid);
 
   await interaction.editReply({
     content: "✅ Buyer address registered.",
@@ -274,8 +308,8 @@ async function handleSellerAddressModal(client, interaction) {
   const uid = interaction.user.id;
   await interaction.deferReply({ flags: MessageFlags.Ephemeral });
 
-  // Verify the submitter is the seller (locked or derived)
-  const fcheck = await getFlow(uid);
+  // Verify the submitter is the seller of this thread's trade (locked or derived)
+  const fcheck = await resolveInteractionFlow(interaction);
   const checkSeller = assertSeller(uid, fcheck);
   if (!checkSeller.ok) {
     await interaction.editReply({
@@ -285,23 +319,39 @@ async function handleSellerAddressModal(client, interaction) {
   }
 
   const rawSeller = interaction.fields.getTextInputValue("seller_address");
-  const vSeller = await normalizeAndValidateAddress(rawSeller);
+  const vSeller = await normalizeAndValidateAddress(rawSeller, {
+    chainId: fcheck?.chainId,
+  });
   if (!vSeller.ok) {
     await interaction.editReply({ content: `❌ ${vSeller.error}` });
     return;
   }
-  await setSellerAddress(uid, vSeller.address);
-
-  const flow = await getFlow(uid);
-  if (flow?.counterpartyId) {
-    await setSellerAddress(flow.counterpartyId, vSeller.address);
+  if (
+    isWalletProofRequired() &&
+    !(await isVerifiedUserWallet(uid, vSeller.address))
+  ) {
+    await promptWalletProof(interaction, {
+      flowId: fcheck.id,
+      chainId: fcheck.chainId,
+      address: vSeller.address,
+      purpose: "seller_address",
+    });
+    return;
   }
+  await registerSellerAddress(interaction, fcheck.id, vSeller.address);
+}
 
-  // Mark seller agreed for both sides
-  await setFlow(uid, { sellerAgreed: true });
-  if (flow?.counterpartyId) {
-    await setFlow(flow.counterpartyId, { sellerAgreed: true });
-  }
+/**
+ * Store the seller address on the flow (validated, and proven when WALLET_PROOF_REQUIRED),
+ * mark sellerAgreed, update the agree buttons and create the trade once both sides are ready.
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - deferred, in the trade thread
+ * @param {string} flowId
+ * @param {string} address - checksummed
+ */
+async function registerSellerAddress(interaction, flowId, address) {
+  const uid = interaction.user.id;
+  // Only this side's columns: the other party may be submitting at the same time
+  await setFlow(flowId, { sellerAddress: address, sellerAgreed: true });
   // Quick feedback to user to avoid “thinking” hang
   await interaction.editReply({
     content: "✅ Seller address registered.",
@@ -310,7 +360,7 @@ async function handleSellerAddressModal(client, interaction) {
 
   // Update the agree row UI state
   {
-    const updated = await getFlow(uid);
+    const updated = await getFlow(flowId);
     if (updated?.agreeMessageId) {
       try {
         const msg = await interaction.channel.messages.fetch(
@@ -334,16 +384,33 @@ async function handleSellerAddressModal(client, interaction) {
     content: "✅ Seller address registered.",
   });
 
-  const f = await getFlow(uid);
-  // If both parties agreed and provided addresses, create the trade (fire-and-forget; guard against duplicates)
-  if (
-    f?.buyerAgreed &&
-    f?.sellerAgreed &&
-    f?.buyerAddress &&
-    f?.sellerAddress &&
-    !f?.tradeId
-  ) {
-    (async () => {
+  // If both parties agreed and provided addresses, create the trade (fire-and-forget)
+  createTradeWhenReady(interaction, flowId, uid);
+}
+
+/**
+ * Create the trade once both parties agreed and registered their addresses. Runs under
+ * keyFor("create_trade", flowId) and re-reads the flow inside it, so a buyer and a seller
+ * submitting at the same time send a single createTrade. Errors are posted in the thread.
+ * @param {import('discord.js').ModalSubmitInteraction} interaction - in the trade thread
+ * @param {string} flowId
+ * @param {string} uid - Discord user whose submission completed the agreement
+ */
+async function createTradeWhenReady(interaction, flowId, uid) {
+  const res = await withLock(
+    keyFor("create_trade", flowId),
+    CREATE_TRADE_LOCK_MS,
+    async () => {
+      const f = await getFlow(flowId);
+      if (
+        !f?.buyerAgreed ||
+        !f?.sellerAgreed ||
+        !f?.buyerAddress ||
+        !f?.sellerAddress ||
+        f?.tradeId
+      ) {
+        return;
+      }
       // Prevent identical buyer/seller addresses
       if (
         String(f.buyerAddress).toLowerCase() ===
@@ -355,34 +422,37 @@ async function handleSellerAddressModal(client, interaction) {
         return;
       }
       try {
-        // Pin ETH at creation from USD price and store
+        // Pin the amount at creation from USD price (ETH at the live rate,
+        // stablecoins 1:1) and store the ETH value
+        const token = await resolveToken(f.tokenAddress, f.chainId);
         const priceUsdStr = String(f?.priceUsd ?? "0");
-        let pinnedEth = null;
+        let pinnedAmount = null;
         try {
-          const conv = await convertUsdToEth(priceUsdStr);
-          pinnedEth = conv.eth;
-          await setPriceEthAtCreation(uid, pinnedEth);
-          if (f?.counterpartyId) {
-            await setPriceEthAtCreation(f.counterpartyId, pinnedEth);
+          pinnedAmount = (await convertUsdToToken(priceUsdStr, token)).amount;
+          if (token.isNative) {
+            await setPriceEthAtCreation(flowId, pinnedAmount);
           }
         } catch (e2) {
-          console.error("Failed to pin ETH at creation:", e2);
+          console.error(`Failed to pin ${token.symbol} at creation:`, e2);
         }
 
         const result = await createAndAnnounceAmisTrade({
           channel: interaction.channel,
           uid,
+          flowId,
           buyerAddress: f.buyerAddress,
           sellerAddress: f.sellerAddress,
-          amountEth: pinnedEth ?? undefined,
+          chainId: f.chainId,
+          tokenAddress: token.address,
+          amount: pinnedAmount ?? undefined,
         });
 
         try {
-          const freshFlow = await getFlow(uid);
+          const freshFlow = await getFlow(flowId);
           const { buyerId } = resolveLockedRoles(freshFlow, uid);
           const usdDisplay = priceUsdStr;
           const baseEthStr =
-            pinnedEth ?? (await convertUsdToEth(usdDisplay)).eth;
+            pinnedAmount ?? (await convertUsdToToken(usdDisplay, token)).amount;
           const baseEthNum = parseFloat(String(baseEthStr));
           const buyerFeeEthNum = Number.isFinite(baseEthNum)
             ? baseEthNum * 0.025
@@ -402,11 +472,11 @@ async function handleSellerAddressModal(client, interaction) {
             await interaction.channel.send({
               content:
                 `💸 <@${buyerId}> Funding details:\n` +
-                `• Escrow amount (base): ${fmt(baseEthNum)} ETH (~$${usdDisplay})\n` +
-                `• Buyer fee (2.5%): ${fmt(buyerFeeEthNum)} ETH\n` +
-                `• Total to send: ${fmt(buyerTotalEthNum)} ETH\n` +
+                `• Escrow amount (base): ${fmt(baseEthNum)} ${token.symbol} (~$${usdDisplay})\n` +
+                `• Buyer fee (2.5%): ${fmt(buyerFeeEthNum)} ${token.symbol}\n` +
+                `• Total to ${token.isNative ? "send" : "approve and pay"}: ${fmt(buyerTotalEthNum)} ${token.symbol}\n` +
                 `• Trade ID: ${result.tradeId}\n` +
-                `Use your wallet to call fund(tradeId) with the total amount.`,
+                `Click **Get pre‑fund quote** on the status message for ${token.isNative ? "a payment link and QR code" : "the approve and fund transactions"} with the exact amount.`,
             });
           }
         } catch (e2) {
@@ -417,7 +487,516 @@ async function handleSellerAddressModal(client, interaction) {
           content: `❌ Failed to create trade: ${e.message}`,
         });
       }
-    })();
+    },
+  );
+  if (res.error) {
+    console.error("Trade creation failed:", res.error);
+  } else if (!res.ok && res.reason === "unavailable") {
+    console.error(
+      `Trade creation for flow ${flowId} skipped: lock unavailable`,
+    );
+  }
+  // Otherwise not acquired: the other party's submission is creating the trade
+}
+
+/**
+ * Reply to a failed withLockThenCooldown result (in progress vs. could not start).
+ * An error thrown by the locked callback is rethrown for the caller's error reply,
+ * like handleApproveRelease in buttons.js.
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ * @param {{ ok: false, remainingMs?: number, error?: unknown }} res
+ */
+async function replyLockFailure(interaction, res) {
+  if (res.error) throw res.error;
+  await interaction.editReply({
+    content: res.remainingMs
+      ? `Action already in progress. Try again in ${Math.ceil(res.remainingMs / 1000)}s.`
+      : "Action could not start. Please try again shortly.",
+  });
+}
+
+/**
+ * Quote multi-line user text as a Discord block quote.
+ * @param {string} text
+ */
+function blockQuote(text) {
+  return String(text ?? "")
+    .split("\n")
+    .map((line) => `> ${line}`)
+    .join("\n");
+}
+
+/**
+ * Handle delivery_evidence_modal submission (Mark Delivered).
+ * - Verifies the submitter is the seller and the trade is Funded
+ * - Requires evidence: a tracking number, link or note, or files already posted in the
+ *   thread
+ * - Marks the trade delivered on-chain (bot-only call) and updates the escrows row
+ * - Stores the tracking number, links and note as delivery evidence (SHA-256 hashed)
+ *   once the transaction is confirmed
+ * - Refreshes the status embed (with the evidence) and posts the countdown in the thread
+ */
+async function handleDeliveryEvidenceModal(client, interaction) {
+  const uid = interaction.user.id;
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const flow = await resolveInteractionFlow(interaction);
+  const check = assertSeller(uid, flow);
+  if (!check.ok) {
+    await interaction.editReply({ content: `⚠️ ${check.message}` });
+    return;
+  }
+  const tradeId = flow.tradeId;
+  if (!tradeId) {
+    await interaction.editReply({ content: "⚠️ Trade is not created yet." });
+    return;
+  }
+
+  const { items, invalidLinks } = parseEvidenceFields({
+    tracking: interaction.fields.getTextInputValue("delivery_tracking"),
+    links: interaction.fields.getTextInputValue("delivery_links"),
+    note: interaction.fields.getTextInputValue("delivery_note"),
+  });
+  if (invalidLinks.length > 0) {
+    await interaction.editReply({
+      content: `⚠️ Links must start with https:// or http://. Not accepted: ${invalidLinks
+        .slice(0, 3)
+        .map((l) => `\`${l.slice(0, 80)}\``)
+        .join(", ")}`,
+    });
+    return;
+  }
+
+  const chainId = flow.chainId;
+  const managerAddress = getManagerAddress(chainId);
+  try {
+    const state = await getTradeState(tradeId, { chainId });
+    if (Number(state.status) !== AMIS_STATUS.Funded) {
+      await interaction.editReply({
+        content: "⚠️ Trade is not at 'Funded' state.",
+      });
+      return;
+    }
+
+    const existing = await listDeliveryEvidence(managerAddress, tradeId);
+    if (items.length === 0 && existing.length === 0) {
+      await interaction.editReply({
+        content:
+          "⚠️ Add a tracking number, a link or a note, or post your files in this thread first.",
+      });
+      return;
+    }
+    const rateKey = keyFor(
+      "mark_delivered",
+      getChain(chainId).id,
+      String(tradeId),
+    );
+    const cd = await checkCooldown(rateKey);
+    if (!cd.ok) {
+      await interaction.editReply({
+        content: `Action cooling down. Try again in ${Math.ceil(cd.remainingMs / 1000)}s.`,
+      });
+      return;
+    }
+    const res = await withLockThenCooldown(rateKey, 10000, 5000, async () => {
+      const tx = await markDelivered(tradeId, {
+        chainId,
+        actorDiscordId: uid,
+        source: "modal:delivery_evidence_modal",
+        onStatus: txProgressReporter(
+          interaction,
+          "Mark delivered",
+          "",
+          chainId,
+        ),
+      });
+      await getChainClients(chainId).publicClient.waitForTransactionReceipt({
+        hash: tx,
+      });
+      return tx;
+    });
+    if (!res.ok) {
+      await replyLockFailure(interaction, res);
+      return;
+    }
+
+    // Evidence is stored only once markDelivered went through, so rate-limited,
+    // locked or reverted submissions leave no rows behind
+    let added = 0;
+    try {
+      added = await recordTextEvidence(
+        {
+          chainId,
+          managerAddress,
+          tradeId,
+          discordId: uid,
+          guildId: interaction.guildId ?? null,
+          channelId: interaction.channelId ?? null,
+        },
+        items,
+      );
+    } catch (e) {
+      console.error("Delivery evidence not recorded:", e);
+    }
+
+    // Persist Delivered so the auto-release scheduler picks this trade up
+    try {
+      await setEscrowStatusByManagerTrade(managerAddress, tradeId, {
+        status: ESCROW_STATUS.Delivered,
+      });
+    } catch (e) {
+      console.error("DB persist delivered failed:", e);
+    }
+
+    const { buyerId, sellerId } = resolveLockedRoles(flow, uid);
+    const updated = await refreshAmisStatusMessage({
+      channel: interaction.channel,
+      messageId: flow.escrowStatusMessageId,
+      tradeId,
+      chainId,
+      buyerId,
+      sellerId,
+      priceUsd: flow.priceUsd,
+      description: "Seller marked as Delivered.",
+    });
+
+    // Notify buyer in the thread about the next action
+    await interaction.channel.send({
+      content: `🔔 <@${buyerId}> Seller marked delivered. Delivery evidence is listed on the status message. Please approve & release.`,
+      allowedMentions: { users: [String(buyerId)], parse: [] },
+    });
+    // Post a countdown banner
+    try {
+      // Chain-aware deadline from on-chain deliveryTimestamp + releaseTimeout (fallback to 24h from now)
+      const deliveredAt = Number(updated?.deliveredAtSec ?? 0);
+      const timeoutSec = Number(updated?.releaseTimeoutSec ?? 0);
+      const deadline =
+        deliveredAt > 0 && timeoutSec > 0
+          ? deliveredAt + timeoutSec
+          : Math.floor(Date.now() / 1000) + 24 * 60 * 60;
+      await interaction.channel.send({
+        content: `⏳ Auto‑release available at: <t:${deadline}:F> (that is <t:${deadline}:R>).`,
+      });
+    } catch (e) {
+      console.warn("Countdown banner failed:", e);
+    }
+
+    await interaction.editReply({
+      content: `✅ Marked delivered (${added} new evidence item${added === 1 ? "" : "s"} recorded).`,
+    });
+  } catch (e) {
+    console.error("Mark delivered failed:", e);
+    await interaction.editReply({
+      content: `❌ Failed to mark delivered: ${e.message}`,
+    });
+  }
+}
+
+/**
+ * Handle dispute_reason_modal submission.
+ * - Verifies the submitter is the buyer or seller and the trade is Delivered
+ * - Opens the dispute on-chain (bot-only call) on behalf of the party
+ * - Updates the escrows row and the status embed (hides Approve & Release)
+ * - Posts a summary in the thread and notifies moderators (with the delivery evidence)
+ */
+async function handleDisputeReasonModal(client, interaction) {
+  const uid = interaction.user.id;
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  const flow = await resolveInteractionFlow(interaction);
+  const check = assertParty(uid, flow);
+  if (!check.ok) {
+    await interaction.editReply({ content: `⚠️ ${check.message}` });
+    return;
+  }
+  const tradeId = flow.tradeId;
+  if (!tradeId) {
+    await interaction.editReply({ content: "⚠️ Trade is not created yet." });
+    return;
+  }
+  const reason = String(
+    interaction.fields.getTextInputValue("dispute_reason") ?? "",
+  ).trim();
+
+  const chainId = flow.chainId;
+  try {
+    const state = await getTradeState(tradeId, { chainId });
+    if (Number(state.status) !== AMIS_STATUS.Delivered) {
+      await interaction.editReply({
+        content:
+          "⚠️ A dispute can only be raised while the trade is at 'Delivered' state.",
+      });
+      return;
+    }
+
+    const rateKey = keyFor(
+      "raise_dispute",
+      getChain(chainId).id,
+      String(tradeId),
+    );
+    const cd = await checkCooldown(rateKey);
+    if (!cd.ok) {
+      await interaction.editReply({
+        content: `Action cooling down. Try again in ${Math.ceil(cd.remainingMs / 1000)}s.`,
+      });
+      return;
+    }
+    // The contract expects the on-chain address of the party raising the dispute
+    const raisedBy = check.role === "buyer" ? state.buyer : state.seller;
+    const res = await withLockThenCooldown(rateKey, 10000, 5000, async () => {
+      const tx = await openDispute(tradeId, raisedBy, {
+        chainId,
+        actorDiscordId: uid,
+        source: "modal:dispute_reason_modal",
+      });
+      await getChainClients(chainId).publicClient.waitForTransactionReceipt({
+        hash: tx,
+      });
+      return tx;
+    });
+    if (!res.ok) {
+      await replyLockFailure(interaction, res);
+      return;
+    }
+
+    try {
+      await setEscrowStatusByManagerTrade(getManagerAddress(chainId), tradeId, {
+        status: ESCROW_STATUS.Disputed,
+      });
+    } catch (e) {
+      console.error("DB persist disputed failed:", e);
+    }
+
+    const { buyerId, sellerId } = resolveLockedRoles(flow, uid);
+    await refreshAmisStatusMessage({
+      channel: interaction.channel,
+      messageId: flow.escrowStatusMessageId,
+      tradeId,
+      chainId,
+      buyerId,
+      sellerId,
+      priceUsd: flow.priceUsd,
+      description:
+        "A dispute was raised. Release is paused until a moderator resolves it.",
+    });
+
+    const otherId = check.role === "buyer" ? sellerId : buyerId;
+    await interaction.channel.send({
+      content:
+        `⚖️ Dispute raised by <@${uid}> (${check.role}).\n${blockQuote(reason)}\n` +
+        `${otherId ? `<@${otherId}> ` : ""}Release is paused while a moderator reviews this trade.`,
+      allowedMentions: { users: otherId ? [String(otherId)] : [], parse: [] },
+    });
+
+    // Seller's delivery evidence, so moderators can review it with the dispute
+    const evidence = await loadDeliveryEvidence(
+      getManagerAddress(chainId),
+      tradeId,
+    );
+    const evidenceText = evidence.length
+      ? `Delivery evidence (${evidence.length}, full list: \`/escrow evidence trade_id:${tradeId}\`):\n` +
+        `${formatEvidenceLines(evidence, { max: 5 }).join("\n")}\n`
+      : "No delivery evidence was submitted.\n";
+    await notifyModerators({
+      client,
+      fallbackChannel: interaction.channel,
+      message:
+        `Dispute raised on trade #${tradeId} in <#${interaction.channelId}> by <@${uid}> (${check.role}).\n` +
+        `${blockQuote(reason)}\n` +
+        evidenceText +
+        `Open the thread and use "Resolve Dispute (Admin)" on the status message to settle it.`,
+    });
+
+    await interaction.editReply({
+      content: "✅ Dispute raised. Moderators have been notified.",
+    });
+  } catch (e) {
+    console.error("Raise dispute failed:", e);
+    await interaction.editReply({
+      content: `❌ Failed to raise dispute: ${e.message}`,
+    });
+  }
+}
+
+/**
+ * Handle resolve_dispute_modal submission (admin only).
+ * - Resolves the trade linked to the current thread with the given buyer/seller split
+ * - Updates the escrows row and the status embed, and posts the outcome in the thread
+ */
+async function handleResolveDisputeModal(client, interaction) {
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  if (!isAdmin(interaction)) {
+    await interaction.editReply({
+      content: "⚠️ Only admins can resolve disputes.",
+    });
+    return;
+  }
+
+  const share = normalizeSharePercent(
+    interaction.fields.getTextInputValue("buyer_share_pct"),
+  );
+  if (!share.ok) {
+    await interaction.editReply({ content: `❌ ${share.error}` });
+    return;
+  }
+  const buyerShareBps = share.bps;
+  const sellerShareBps = 10000 - buyerShareBps;
+  const note = String(
+    interaction.fields.getTextInputValue("resolution_note") ?? "",
+  ).trim();
+
+  const [escrow] = await listEscrowsByThread(interaction.channelId, 1);
+  const tradeId = escrow?.tradeId ?? null;
+  if (!tradeId) {
+    await interaction.editReply({
+      content: "⚠️ No trade is linked to this thread.",
+    });
+    return;
+  }
+
+  const chainId = escrow.chainId;
+  try {
+    const state = await getTradeState(tradeId, { chainId });
+    if (Number(state.status) !== AMIS_STATUS.Disputed) {
+      await interaction.editReply({
+        content: "⚠️ Trade is not at 'Disputed' state.",
+      });
+      return;
+    }
+
+    const rateKey = keyFor(
+      "resolve_dispute",
+      getChain(chainId).id,
+      String(tradeId),
+    );
+    const cd = await checkCooldown(rateKey);
+    if (!cd.ok) {
+      await interaction.editReply({
+        content: `Action cooling down. Try again in ${Math.ceil(cd.remainingMs / 1000)}s.`,
+      });
+      return;
+    }
+    const res = await withLockThenCooldown(rateKey, 10000, 5000, async () => {
+      const tx = await resolveDispute(tradeId, buyerShareBps, sellerShareBps, {
+        chainId,
+        actorDiscordId: interaction.user.id,
+        source: "modal:resolve_dispute_modal",
+      });
+      await getChainClients(chainId).publicClient.waitForTransactionReceipt({
+        hash: tx,
+      });
+      return tx;
+    });
+    if (!res.ok) {
+      await replyLockFailure(interaction, res);
+      return;
+    }
+
+    try {
+      await setEscrowStatusByManagerTrade(escrow.managerAddress, tradeId, {
+        status: ESCROW_STATUS.Completed,
+        disputeBuyerShareBps: buyerShareBps,
+      });
+    } catch (e) {
+      console.error("DB persist dispute resolution failed:", e);
+    }
+
+    const buyerPct = (buyerShareBps / 100).toString();
+    const sellerPct = (sellerShareBps / 100).toString();
+    const buyerId = escrow.buyerDiscordId;
+    const sellerId = escrow.sellerDiscordId;
+    const flow = await getFlowByThread(interaction.channelId);
+
+    await refreshAmisStatusMessage({
+      channel: interaction.channel,
+      messageId: escrow.statusMessageId ?? flow?.escrowStatusMessageId ?? null,
+      tradeId,
+      chainId,
+      buyerId,
+      sellerId,
+      priceUsd: flow?.priceUsd,
+      description: `Dispute resolved by a moderator: buyer ${buyerPct}% / seller ${sellerPct}%.`,
+    });
+
+    const mentions = [buyerId, sellerId].filter(Boolean).map(String);
+    const lines = [
+      `⚖️ ${mentions.map((id) => `<@${id}>`).join(" ")} Dispute resolved by <@${interaction.user.id}>.`,
+      `• Buyer share: ${buyerPct}%`,
+      `• Seller share: ${sellerPct}%`,
+      `Shares apply to the escrowed amount after the 2.5% fee.`,
+    ];
+    if (note) lines.push(blockQuote(note));
+    await interaction.channel.send({
+      content: lines.join("\n"),
+      allowedMentions: { users: mentions, parse: [] },
+    });
+
+    await interaction.editReply({ content: "✅ Dispute resolved." });
+  } catch (e) {
+    console.error("Resolve dispute failed:", e);
+    await interaction.editReply({
+      content: `❌ Failed to resolve dispute: ${e.message}`,
+    });
+  }
+}
+
+/**
+ * Handle wallet_proof_modal:<challengeId> submission.
+ * - For trade addresses, checks the challenge belongs to this thread's flow and re-checks
+ *   the submitter's role first, so a proof sent from the wrong place keeps its challenge
+ * - Verifies the signature against the challenge (signer must be the submitted address)
+ * - Registers the proven address like the address modals do
+ * @param {import('discord.js').Client} client
+ * @param {import('discord.js').ModalSubmitInteraction} interaction
+ * @param {string} challengeId
+ */
+async function handleWalletProofModal(client, interaction, challengeId) {
+  const uid = interaction.user.id;
+  await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+  // Check the trade context before verifying: verification consumes the challenge
+  const pending = await getChallenge(challengeId);
+  const forTrade = pending && pending.purpose !== "saved_wallet";
+  const flow = forTrade ? await resolveInteractionFlow(interaction) : null;
+  const isBuyer = pending?.purpose === "buyer_address";
+  if (forTrade) {
+    if (!flow || String(flow.id) !== String(pending.flowId)) {
+      await interaction.editReply({
+        content: "⚠️ This verification belongs to another trade.",
+      });
+      return;
+    }
+    const check = isBuyer ? assertBuyer(uid, flow) : assertSeller(uid, flow);
+    if (!check.ok) {
+      await interaction.editReply({ content: `⚠️ ${check.message}` });
+      return;
+    }
+  }
+
+  const res = await verifyWalletChallenge({
+    challengeId,
+    discordId: uid,
+    signature: interaction.fields.getTextInputValue("wallet_signature"),
+  });
+  if (!res.ok) {
+    await interaction.editReply({ content: `❌ ${res.error}` });
+    return;
+  }
+  const { challenge } = res;
+  if (challenge.purpose === "saved_wallet") {
+    const wallet = await markUserWalletVerified(uid, challenge.address);
+    await interaction.editReply({
+      content: wallet
+        ? `✅ \`${wallet.address}\` is verified. It will be accepted without a new signature.`
+        : `⚠️ \`${challenge.address}\` is no longer in your saved wallets. Add it again with \`/wallet add\`.`,
+    });
+    return;
+  }
+  if (isBuyer) {
+    await registerBuyerAddress(interaction, flow.id, challenge.address);
+  } else {
+    await registerSellerAddress(interaction, flow.id, challenge.address);
   }
 }
 
@@ -431,6 +1010,13 @@ export async function handleModal(client, interaction) {
   const id = interaction.customId;
 
   try {
+    if (id.startsWith("wallet_proof_modal:")) {
+      return handleWalletProofModal(
+        client,
+        interaction,
+        id.slice("wallet_proof_modal:".length),
+      );
+    }
     switch (id) {
       case "trade_description_modal":
         return handleTradeDescriptionModal(client, interaction);
@@ -438,6 +1024,12 @@ export async function handleModal(client, interaction) {
         return handleBuyerAddressModal(client, interaction);
       case "seller_address_modal":
         return handleSellerAddressModal(client, interaction);
+      case "delivery_evidence_modal":
+        return handleDeliveryEvidenceModal(client, interaction);
+      case "dispute_reason_modal":
+        return handleDisputeReasonModal(client, interaction);
+      case "resolve_dispute_modal":
+        return handleResolveDisputeModal(client, interaction);
       default:
         return;
     }
@@ -3,16 +3,37 @@
  *
  * Handles:
  * - select_counterparty (UserSelectMenu)
+ * - select_token (StringSelectMenu)
+ * - select_chain (StringSelectMenu)
  *
  * Responsibilities:
- * - Update flow state with the selected counterparty
- * - Mirror role for the counterparty (buyer <-> seller)
+ * - Update the user's draft flow with the selected counterparty
  * - Prompt for trade description via modal
+ * - Store the asset (ETH or a configured ERC-20) the trade will be escrowed in
+ * - Store the network the trade will be created on (when several chains are configured)
  */
 
 import { MessageFlags } from "discord.js";
-import { getFlow, setFlow } from "../utils/flowRepo.js";
-import { buildDescriptionModal } from "../utils/components.js";
+import { getDraftFlow, getFlow, setFlow } from "../utils/flowRepo.js";
+import {
+  buildDescriptionModal,
+  buildConfirmationEmbed,
+  buildCreateThreadRow,
+  buildSetupSelectRows,
+} from "../utils/components.js";
+import { resolveLockedRoles } from "../utils/roles.js";
+import {
+  listEscrowTokens,
+  findEscrowToken,
+  escrowTokenSymbol,
+} from "../utils/tokens.js";
+import {
+  getChain,
+  findChain,
+  listChains,
+  isMultiChain,
+} from "../utils/chains.js";
+import { loadCounterpartyReputation } from "../utils/reputation.js";
 
 /**
  * Handle the "select_counterparty" user select menu.
@@ -89,23 +110,17 @@ async function handleSelectCounterparty(_client, interaction) {
   // Persist flow state in the background after showing the modal
   (async () => {
     try {
-      const existing = await getFlow(uid);
-      await setFlow(uid, {
+      const existing = await getDraftFlow(uid);
+      if (!existing) {
+        console.warn("select_counterparty: no draft flow for user", uid);
+        return;
+      }
+      await setFlow(existing.id, {
         counterpartyId,
         buyerAgreed: false,
         sellerAgreed: false,
         originalInteractionToken:
-          (existing && existing.originalInteractionToken) || interaction.token,
-      });
-
-      const initiatorFlow = (await getFlow(uid)) || {};
-      const oppRole = initiatorFlow.role === "buyer" ? "seller" : "buyer";
-
-      await setFlow(counterpartyId, {
-        role: oppRole,
-        counterpartyId: uid,
-        buyerAgreed: false,
-        sellerAgreed: false,
+          existing.originalInteractionToken || interaction.token,
       });
     } catch (e) {
       console.error("Failed to persist flow after counterparty selection:", e);
@@ -113,6 +128,122 @@ async function handleSelectCounterparty(_client, interaction) {
   })();
 }
 
+/**
+ * Handle the "select_token" menu on the setup confirmation message.
+ * Stores the choice on the draft flow and re-renders the confirmation.
+ *
+ * @param {import('discord.js').Client} _client
+ * @param {import('discord.js').StringSelectMenuInteraction} interaction
+ */
+async function handleSelectToken(_client, interaction) {
+  const uid = interaction.user.id;
+  const value = interaction.values?.[0] ?? "native";
+
+  const draft = await getDraftFlow(uid);
+  if (!draft) {
+    await interaction.reply({
+      content:
+        "⚠️ No active trade setup found. Please restart with Create Trade.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const token =
+    value === "native" ? null : findEscrowToken(value, draft.chainId);
+  if (value !== "native" && !token) {
+    await interaction.reply({
+      content: "⚠️ This token is no longer accepted. Please choose another.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  await setFlow(draft.id, { tokenAddress: token?.address ?? null });
+  await renderSetupConfirmation(interaction, draft.id, uid);
+}
+
+/**
+ * Handle the "select_chain" menu on the setup confirmation message.
+ * Stores the network on the draft flow; a chosen token that the new network does not
+ * accept falls back to the native coin. Re-renders the confirmation.
+ *
+ * @param {import('discord.js').Client} _client
+ * @param {import('discord.js').StringSelectMenuInteraction} interaction
+ */
+async function handleSelectChain(_client, interaction) {
+  const uid = interaction.user.id;
+
+  const draft = await getDraftFlow(uid);
+  if (!draft) {
+    await interaction.reply({
+      content:
+        "⚠️ No active trade setup found. Please restart with Create Trade.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const chain = findChain(interaction.values?.[0]);
+  if (!chain) {
+    await interaction.reply({
+      content: "⚠️ This network is no longer available. Please choose another.",
+      flags: MessageFlags.Ephemeral,
+    });
+    return;
+  }
+
+  const token = draft.tokenAddress
+    ? findEscrowToken(draft.tokenAddress, chain.id)
+    : null;
+  await setFlow(draft.id, {
+    chainId: chain.id,
+    tokenAddress: token?.address ?? null,
+  });
+  await renderSetupConfirmation(interaction, draft.id, uid);
+}
+
+/**
+ * Re-render the setup confirmation (embed, network/asset selects, buttons) in place.
+ * @param {import('discord.js').StringSelectMenuInteraction} interaction
+ * @param {string} flowId
+ * @param {string} uid
+ */
+async function renderSetupConfirmation(interaction, flowId, uid) {
+  const flow = await getFlow(flowId);
+  const { buyerId, sellerId } = resolveLockedRoles(flow, uid);
+  const chain = getChain(flow.chainId);
+  const counterpartyReputation = await loadCounterpartyReputation({
+    buyerId,
+    sellerId,
+    userId: uid,
+  });
+
+  await interaction.update({
+    embeds: [
+      buildConfirmationEmbed({
+        buyerId,
+        sellerId,
+        description: flow.description,
+        priceUsd: flow.priceUsd,
+        tokenSymbol: escrowTokenSymbol(flow.tokenAddress, chain.id),
+        chainName: isMultiChain() ? chain.name : null,
+        counterpartyReputation,
+      }),
+    ],
+    components: [
+      ...buildSetupSelectRows({
+        chains: listChains(),
+        chainId: chain.id,
+        tokens: listEscrowTokens(chain.id),
+        tokenAddress: flow.tokenAddress,
+        nativeSymbol: chain.nativeSymbol,
+      }),
+      buildCreateThreadRow(),
+    ],
+  });
+}
+
 /**
  * Main select-menu dispatcher to be used by the top-level interaction handler.
  *
@@ -124,6 +255,10 @@ export async function handleSelect(client, interaction) {
     switch (interaction.customId) {
       case "select_counterparty":
         return handleSelectCounterparty(client, interaction);
+      case "select_token":
+        return handleSelectToken(client, interaction);
+      case "select_chain":
+        return handleSelectChain(client, interaction);
       default:
         return;
     }
@@ -0,0 +1,71 @@
+-- 20251110_000005_key_flows_by_thread.sql
+-- Key flows by trade (thread) instead of by user
+-- Purpose:
+-- - Allow a user to take part in several trades at once. With user_id as PRIMARY KEY,
+--   starting a second trade overwrote the first one.
+-- - One flow row per trade thread, shared by buyer and seller (no more mirrored rows
+--   for the counterparty).
+-- - Before a thread exists, a user has at most one "draft" flow (thread_id IS NULL).
+-- Notes:
+-- - user_id is kept and now means "flow owner" (the user who started the flow).
+-- - Previously both parties had a mirrored row with the same thread_id; we keep one per
+--   thread (prefer the row that saw the trade created, then the most recently updated).
+-- - Users are looked up through user_id, buyer_discord_id and seller_discord_id.
+
+BEGIN;
+
+-- 1) Surrogate primary key
+ALTER TABLE flows DROP CONSTRAINT IF EXISTS flows_pkey;
+
+ALTER TABLE flows
+  ADD COLUMN IF NOT EXISTS id BIGSERIAL;
+
+ALTER TABLE flows
+  ADD CONSTRAINT flows_pkey PRIMARY KEY (id);
+
+-- 2) Collapse mirrored rows: keep a single flow per thread
+DELETE FROM flows
+WHERE id IN (
+  SELECT id
+  FROM (
+    SELECT
+      id,
+      ROW_NUMBER() OVER (
+        PARTITION BY thread_id
+        ORDER BY (trade_id IS NOT NULL) DESC, updated_at DESC, id ASC
+      ) AS rn
+    FROM flows
+    WHERE thread_id IS NOT NULL
+  ) ranked
+  WHERE ranked.rn > 1
+);
+
+-- 3) Uniqueness: one flow per thread, one draft (pre-thread) flow per user
+DROP INDEX IF EXISTS idx_flows_thread;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_flows_thread
+  ON flows (thread_id)
+  WHERE thread_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_flows_user_draft
+  ON flows (user_id)
+  WHERE thread_id IS NULL;
+
+-- 4) User -> flows lookups
+CREATE INDEX IF NOT EXISTS idx_flows_user
+  ON flows (user_id);
+
+CREATE INDEX IF NOT EXISTS idx_flows_buyer_discord
+  ON flows (buyer_discord_id);
+
+CREATE INDEX IF NOT EXISTS idx_flows_seller_discord
+  ON flows (seller_discord_id);
+
+-- 5) Documentation/comments
+COMMENT ON COLUMN flows.id IS
+  'Flow identifier; one flow per trade thread.';
+
+COMMENT ON COLUMN flows.user_id IS
+  'Flow owner: the Discord user who started the trade setup.';
+
+COMMIT;
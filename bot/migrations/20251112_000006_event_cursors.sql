@@ -0,0 +1,38 @@
+-- 20251112_000006_event_cursors.sql
+-- Persist the last processed block for on-chain event indexers
+-- Purpose:
+-- - In-memory event subscriptions are lost on restart; events emitted while the bot
+--   was down were never applied.
+-- - The indexer stores the last block it fully processed (number + hash) and replays
+--   logs from there on boot.
+-- Notes:
+-- - name identifies the indexer (e.g. 'amis:<manager address>').
+-- - block_hash is used to detect chain reorgs below the cursor.
+-- - Only blocks at the configured confirmation depth are ever committed.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS event_cursors (
+  name                       TEXT PRIMARY KEY,
+  contract_address           TEXT NULL,
+  block_number               NUMERIC(78,0) NOT NULL,
+  block_hash                 TEXT NULL,
+
+  -- Audit
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Trigger to keep updated_at fresh
+DROP TRIGGER IF EXISTS trg_event_cursors_updated_at ON event_cursors;
+CREATE TRIGGER trg_event_cursors_updated_at
+BEFORE UPDATE ON event_cursors
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMENT ON COLUMN event_cursors.block_number IS
+  'Last block whose logs were fully processed (inclusive).';
+
+COMMENT ON COLUMN event_cursors.block_hash IS
+  'Hash of block_number when it was processed; a mismatch indicates a reorg.';
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- 20251114_000007_add_cancel_requests_to_flows.sql
+-- Track pre-funding cancellation requests per trade
+-- Purpose:
+-- - A Created (unfunded) trade can be cancelled on-chain once both parties confirmed,
+--   or by the requesting party alone after a timeout without a response.
+-- - The time of each party's request is stored so confirmations survive restarts.
+-- Notes:
+-- - NULL means the party has not asked to cancel.
+-- - Requests only matter while the trade is Created; the on-chain status is checked first.
+
+BEGIN;
+
+ALTER TABLE flows
+  ADD COLUMN IF NOT EXISTS buyer_cancel_requested_at TIMESTAMPTZ NULL;
+
+ALTER TABLE flows
+  ADD COLUMN IF NOT EXISTS seller_cancel_requested_at TIMESTAMPTZ NULL;
+
+COMMENT ON COLUMN flows.buyer_cancel_requested_at IS
+  'When the buyer asked to cancel the unfunded trade (NULL = no request).';
+
+COMMENT ON COLUMN flows.seller_cancel_requested_at IS
+  'When the seller asked to cancel the unfunded trade (NULL = no request).';
+
+COMMIT;
@@ -0,0 +1,19 @@
+-- 20251115_000008_index_escrows_by_party.sql
+-- Index escrows by participant for per-user trade listings
+-- Purpose:
+-- - /trades lists a user's trades by buyer_discord_id OR seller_discord_id,
+--   most recently updated first.
+-- Notes:
+-- - Partial indexes: only rows with a Discord participant are indexed.
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_escrows_buyer_discord
+  ON escrows (buyer_discord_id, updated_at DESC)
+  WHERE buyer_discord_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_escrows_seller_discord
+  ON escrows (seller_discord_id, updated_at DESC)
+  WHERE seller_discord_id IS NOT NULL;
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- 20251116_000009_admin_actions.sql
+-- Audit log for admin interventions on trades (/escrow)
+-- Purpose:
+-- - Every /escrow subcommand (inspect, force-release, cancel, resync, repost-status)
+--   is recorded with who ran it, on which trade, why and what happened.
+-- Notes:
+-- - Append-only: rows are never updated, so there is no updated_at.
+-- - outcome: 'ok' (done), 'rejected' (precondition not met, nothing sent on-chain),
+--   'failed' (error while executing).
+-- - details holds action-specific context (e.g. on-chain status before/after).
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS admin_actions (
+  id                         BIGSERIAL PRIMARY KEY,
+
+  -- What and on which trade
+  action                     TEXT NOT NULL,
+  manager_address            TEXT NULL,
+  trade_id                   NUMERIC(78,0) NULL,
+
+  -- Who and where
+  admin_discord_id           TEXT NOT NULL,
+  guild_id                   TEXT NULL,
+  channel_id                 TEXT NULL,
+
+  -- Why and result
+  reason                     TEXT NULL,
+  outcome                    TEXT NOT NULL CHECK (outcome IN ('ok', 'rejected', 'failed')),
+  tx_hash                    TEXT NULL,
+  details                    JSONB NULL,
+
+  -- Audit
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_actions_trade
+  ON admin_actions (manager_address, trade_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_admin_actions_admin
+  ON admin_actions (admin_discord_id, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,63 @@
+-- 20251117_000010_tx_audit.sql
+-- Durable record of every transaction signed by the bot wallet
+-- Purpose:
+-- - All state-changing contract calls (createTrade, markDelivered, approveDelivery,
+--   releaseAfterTimeout, openDispute, resolveDispute, cancelTrade) are signed by the bot.
+--   This table records who in Discord triggered each one and what happened on-chain.
+-- Notes:
+-- - A row is inserted when the transaction is submitted (status 'pending') and updated
+--   from its receipt ('success' / 'reverted').
+-- - Submissions that fail before a hash exists (e.g. gas estimation revert) are stored
+--   with status 'failed', tx_hash NULL and the error message.
+-- - actor_discord_id is NULL for automatic actions (e.g. auto-release); source tells
+--   which part of the bot sent it.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS tx_audit (
+  id                         BIGSERIAL PRIMARY KEY,
+
+  -- Call
+  chain_id                   INTEGER NULL,
+  from_address               TEXT NOT NULL,
+  to_address                 TEXT NULL,
+  function_name              TEXT NULL,
+  args                       JSONB NULL,
+  value_wei                  NUMERIC(78,0) NULL,
+
+  -- Context
+  trade_id                   NUMERIC(78,0) NULL,
+  actor_discord_id           TEXT NULL,
+  source                     TEXT NULL,
+
+  -- Result
+  tx_hash                    TEXT NULL UNIQUE,
+  status                     TEXT NOT NULL CHECK (status IN ('pending', 'success', 'reverted', 'failed')),
+  error                      TEXT NULL,
+  gas_used                   NUMERIC(78,0) NULL,
+  effective_gas_price        NUMERIC(78,0) NULL,
+  block_number               NUMERIC(78,0) NULL,
+
+  -- Timestamps
+  submitted_at               TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  mined_at                   TIMESTAMPTZ NULL,
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tx_audit_trade
+  ON tx_audit (trade_id, submitted_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_tx_audit_actor
+  ON tx_audit (actor_discord_id, submitted_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_tx_audit_submitted_at
+  ON tx_audit (submitted_at DESC);
+
+-- Trigger to keep updated_at fresh
+DROP TRIGGER IF EXISTS trg_tx_audit_updated_at ON tx_audit;
+CREATE TRIGGER trg_tx_audit_updated_at
+BEFORE UPDATE ON tx_audit
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMIT;
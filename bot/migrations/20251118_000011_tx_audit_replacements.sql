@@ -0,0 +1,31 @@
+-- 20251118_000011_tx_audit_replacements.sql
+-- Track nonces and fee-bump replacements in tx_audit
+-- Purpose:
+-- - The transaction manager (utils/txManager.js) replaces stuck transactions with the
+--   same nonce and higher fees. Each version gets its own tx_audit row; the replaced
+--   one is marked 'replaced' and points to its successor.
+-- Notes:
+-- - 'failed' now also covers transactions dropped or not mined before the timeout.
+
+BEGIN;
+
+ALTER TABLE tx_audit
+  ADD COLUMN IF NOT EXISTS nonce BIGINT NULL;
+
+ALTER TABLE tx_audit
+  ADD COLUMN IF NOT EXISTS replaced_by_tx_hash TEXT NULL;
+
+ALTER TABLE tx_audit
+  DROP CONSTRAINT IF EXISTS tx_audit_status_check;
+
+ALTER TABLE tx_audit
+  ADD CONSTRAINT tx_audit_status_check
+  CHECK (status IN ('pending', 'replaced', 'success', 'reverted', 'failed'));
+
+COMMENT ON COLUMN tx_audit.nonce IS
+  'Nonce of the bot wallet transaction (shared by all replacements).';
+
+COMMENT ON COLUMN tx_audit.replaced_by_tx_hash IS
+  'Hash of the fee-bumped transaction that replaced this one (status replaced).';
+
+COMMIT;
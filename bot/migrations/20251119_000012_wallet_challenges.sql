@@ -0,0 +1,31 @@
+-- 20251119_000012_wallet_challenges.sql
+-- Signed-message challenges proving control of a wallet address
+-- Purpose:
+-- - With WALLET_PROOF_REQUIRED enabled, a buyer/seller address is only accepted into the
+--   trade flow after the user signs a one-time message (EIP-191 personal_sign) with it.
+-- - Each challenge binds the address, the Discord user, the purpose and the flow to a
+--   random nonce, and can be verified once before it expires.
+-- Notes:
+-- - verified_at / signature are set when the signature recovered the expected address.
+-- - Rows are kept as evidence of who proved which address.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS wallet_challenges (
+  id                         BIGSERIAL PRIMARY KEY,
+  discord_id                 TEXT NOT NULL,
+  address                    TEXT NOT NULL,
+  purpose                    TEXT NOT NULL,
+  flow_id                    BIGINT NULL REFERENCES flows (id) ON DELETE SET NULL,
+  nonce                      TEXT NOT NULL UNIQUE,
+  message                    TEXT NOT NULL,
+  expires_at                 TIMESTAMPTZ NOT NULL,
+  verified_at                TIMESTAMPTZ NULL,
+  signature                  TEXT NULL,
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_challenges_discord
+  ON wallet_challenges (discord_id, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- 20251120_000013_user_wallets.sql
+-- Saved wallet addresses per Discord user
+-- Purpose:
+-- - Users save their addresses once (/wallet add) instead of pasting them in every
+--   trade; the buyer/seller address forms are pre-filled from the default wallet.
+-- - An address proven with a signed message (see wallet_challenges) is marked verified
+--   and is accepted without a new signature when WALLET_PROOF_REQUIRED is enabled.
+-- Notes:
+-- - address is stored EIP-55 checksummed; one row per (user, address).
+-- - At most one default wallet per user (partial unique index).
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS user_wallets (
+  id                         BIGSERIAL PRIMARY KEY,
+  discord_id                 TEXT NOT NULL,
+  address                    TEXT NOT NULL,
+  label                      TEXT NULL,
+  is_default                 BOOLEAN NOT NULL DEFAULT FALSE,
+  verified_at                TIMESTAMPTZ NULL,
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (discord_id, address)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_user_wallets_default
+  ON user_wallets (discord_id)
+  WHERE is_default;
+
+-- Trigger to keep updated_at fresh
+DROP TRIGGER IF EXISTS trg_user_wallets_updated_at ON user_wallets;
+CREATE TRIGGER trg_user_wallets_updated_at
+BEFORE UPDATE ON user_wallets
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMIT;
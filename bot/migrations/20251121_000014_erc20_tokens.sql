@@ -0,0 +1,30 @@
+-- 20251121_000014_erc20_tokens.sql
+-- ERC-20 (USD stablecoin) escrows next to native ETH
+-- Purpose:
+-- - flows.token_address: asset chosen during trade setup (see ESCROW_TOKENS in tokens.js)
+-- - escrows.token_address: asset the on-chain trade was created with (createTokenTrade)
+-- Notes:
+-- - NULL means native ETH, so existing rows need no backfill.
+-- - escrows.amount_wei holds token units (not wei) for ERC-20 trades; read the decimals
+--   from the token contract before displaying it.
+-- - Addresses are stored EIP-55 checksummed.
+
+BEGIN;
+
+ALTER TABLE flows
+  ADD COLUMN IF NOT EXISTS token_address TEXT NULL;
+
+ALTER TABLE escrows
+  ADD COLUMN IF NOT EXISTS token_address TEXT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_escrows_token_address
+  ON escrows (token_address)
+  WHERE token_address IS NOT NULL;
+
+COMMENT ON COLUMN flows.token_address IS
+  'ERC-20 chosen for the trade (NULL = native ETH).';
+
+COMMENT ON COLUMN escrows.token_address IS
+  'ERC-20 the trade is escrowed in (NULL = native ETH); amount_wei is in its units.';
+
+COMMIT;
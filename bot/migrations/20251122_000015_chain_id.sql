@@ -0,0 +1,29 @@
+-- 20251122_000015_chain_id.sql
+-- Multi-chain trades: remember which network each trade runs on
+-- Purpose:
+-- - flows.chain_id: network chosen during trade setup (see chains.js)
+-- - escrows.chain_id: network the on-chain trade was created on
+-- Notes:
+-- - NULL means the default chain (NETWORK_CHAIN_ID), which is where every trade created
+--   before this migration lives, so existing rows need no backfill.
+-- - Trades stay keyed by (manager_address, trade_id); manager addresses are unique per chain.
+
+BEGIN;
+
+ALTER TABLE flows
+  ADD COLUMN IF NOT EXISTS chain_id INTEGER NULL;
+
+ALTER TABLE escrows
+  ADD COLUMN IF NOT EXISTS chain_id INTEGER NULL;
+
+CREATE INDEX IF NOT EXISTS idx_escrows_chain_id
+  ON escrows (chain_id)
+  WHERE chain_id IS NOT NULL;
+
+COMMENT ON COLUMN flows.chain_id IS
+  'Chain id chosen for the trade (NULL = default chain).';
+
+COMMENT ON COLUMN escrows.chain_id IS
+  'Chain id the trade was created on (NULL = default chain).';
+
+COMMIT;
@@ -0,0 +1,76 @@
+-- 20251123_000016_fee_ledger.sql
+-- Ledger of fees earned by the bot and the fee receiver
+-- Purpose:
+-- - One row per fee charged on a trade, written by the event indexer (amisIndexer.js):
+--   'buyer' from BuyerFeeSplit (fund), 'seller' from SellerFeeSplit (approve or
+--   timeout release), 'dispute' from Refunded (resolveDispute emits no fee event, its
+--   fee is derived from the trade amount with the contract's formula).
+-- - Feeds the /fees report (daily / weekly / monthly revenue, CSV export).
+-- Notes:
+-- - Amounts are in the smallest unit of the trade's asset (wei for ETH, token units for
+--   ERC-20 trades); token_address NULL means the chain's native coin.
+-- - expected_* are computed from the trade amount with fees.js; reconciled is FALSE when
+--   the emitted split differs and NULL when there was nothing to compare (dispute rows).
+-- - usd_rate is the asset's USD price when the event was first indexed (usd_rate_at),
+--   normally seconds after block_time. It is kept when a range is replayed.
+-- - A trade charges each side at most once, so (manager_address, trade_id, side) is
+--   unique; a replay after a reorg updates the row instead of adding one.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS fee_ledger (
+  id                         BIGSERIAL PRIMARY KEY,
+
+  -- Trade
+  chain_id                   INTEGER NOT NULL,
+  manager_address            TEXT NOT NULL,
+  trade_id                   NUMERIC(78,0) NOT NULL,
+  side                       TEXT NOT NULL CHECK (side IN ('buyer', 'seller', 'dispute')),
+  token_address              TEXT NULL,
+  asset_symbol               TEXT NOT NULL,
+  asset_decimals             INTEGER NOT NULL,
+
+  -- Fee split as emitted
+  fee_wei                    NUMERIC(78,0) NOT NULL,
+  bot_fee_wei                NUMERIC(78,0) NOT NULL,
+  receiver_fee_wei           NUMERIC(78,0) NOT NULL,
+
+  -- Reconciliation against fees.js
+  base_amount_wei            NUMERIC(78,0) NULL,
+  expected_fee_wei           NUMERIC(78,0) NULL,
+  expected_bot_fee_wei       NUMERIC(78,0) NULL,
+  expected_receiver_fee_wei  NUMERIC(78,0) NULL,
+  reconciled                 BOOLEAN NULL,
+
+  -- USD valuation
+  usd_rate                   NUMERIC NULL,
+  usd_rate_source            TEXT NULL,
+  usd_rate_at                TIMESTAMPTZ NULL,
+
+  -- Event
+  block_number               NUMERIC(78,0) NOT NULL,
+  block_time                 TIMESTAMPTZ NOT NULL,
+  tx_hash                    TEXT NOT NULL,
+  log_index                  INTEGER NOT NULL,
+
+  -- Timestamps
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE (manager_address, trade_id, side)
+);
+
+CREATE INDEX IF NOT EXISTS idx_fee_ledger_chain_time
+  ON fee_ledger (chain_id, block_time DESC);
+
+CREATE INDEX IF NOT EXISTS idx_fee_ledger_unreconciled
+  ON fee_ledger (block_time DESC)
+  WHERE reconciled = FALSE;
+
+-- Trigger to keep updated_at fresh
+DROP TRIGGER IF EXISTS trg_fee_ledger_updated_at ON fee_ledger;
+CREATE TRIGGER trg_fee_ledger_updated_at
+BEFORE UPDATE ON fee_ledger
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMIT;
@@ -0,0 +1,29 @@
+-- 20251124_000017_action_cooldowns.sql
+-- Shared action cooldowns for the Postgres lock backend
+-- Purpose:
+-- - With LOCK_BACKEND=postgres (see locks.js), cooldowns set after bot actions
+--   (mark_delivered, approve_release, raise_dispute, ...) live here instead of in
+--   process memory, so every bot process sees them.
+-- Notes:
+-- - Mutual exclusion itself uses session advisory locks and needs no table.
+-- - next_allowed_at uses the database clock, so processes with drifting clocks agree.
+-- - Expired rows are deleted lazily by the backend; the table stays small.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS action_cooldowns (
+  key                        TEXT PRIMARY KEY,
+  next_allowed_at            TIMESTAMPTZ NOT NULL,
+  updated_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_cooldowns_next_allowed_at
+  ON action_cooldowns (next_allowed_at);
+
+-- Trigger to keep updated_at fresh
+DROP TRIGGER IF EXISTS trg_action_cooldowns_updated_at ON action_cooldowns;
+CREATE TRIGGER trg_action_cooldowns_updated_at
+BEFORE UPDATE ON action_cooldowns
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMIT;
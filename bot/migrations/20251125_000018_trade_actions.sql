@@ -0,0 +1,58 @@
+-- 20251125_000018_trade_actions.sql
+-- Per-trade ledger of bot contract actions, for idempotent writes
+-- Purpose:
+-- - Every bot write on an existing trade (markDelivered, approveDelivery,
+--   releaseAfterTimeout, openDispute, resolveDispute, cancelTrade) first records its
+--   intent here, then the broadcast transaction hash(es), then the outcome.
+-- - A repeated action (double click, second bot process, click after a restart) finds
+--   the open row and attaches to its transaction instead of sending a new one
+--   (see tradeActions.js).
+-- Notes:
+-- - At most one open action ('intent' or 'submitted') per trade and function, enforced
+--   by a partial unique index.
+-- - tx_hashes keeps every broadcast version (fee-bumped replacements share the nonce);
+--   tx_hash is the latest one, or the mined one once confirmed.
+-- - tx_audit still records each transaction; this table tracks the action across them.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS trade_actions (
+  id                         BIGSERIAL PRIMARY KEY,
+
+  -- Action
+  chain_id                   INTEGER NOT NULL,
+  manager_address            TEXT NOT NULL,
+  trade_id                   NUMERIC(78,0) NOT NULL,
+  function_name              TEXT NOT NULL,
+  args                       JSONB NULL,
+  actor_discord_id           TEXT NULL,
+  source                     TEXT NULL,
+
+  -- Progress
+  status                     TEXT NOT NULL CHECK (status IN ('intent', 'submitted', 'confirmed', 'failed')),
+  tx_hash                    TEXT NULL,
+  tx_hashes                  TEXT[] NOT NULL DEFAULT '{}',
+  nonce                      BIGINT NULL,
+  error                      TEXT NULL,
+
+  -- Timestamps
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  submitted_at               TIMESTAMPTZ NULL,
+  settled_at                 TIMESTAMPTZ NULL,
+  updated_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_trade_actions_open
+  ON trade_actions (manager_address, trade_id, function_name)
+  WHERE status IN ('intent', 'submitted');
+
+CREATE INDEX IF NOT EXISTS idx_trade_actions_trade
+  ON trade_actions (manager_address, trade_id, created_at DESC);
+
+-- Trigger to keep updated_at fresh
+DROP TRIGGER IF EXISTS trg_trade_actions_updated_at ON trade_actions;
+CREATE TRIGGER trg_trade_actions_updated_at
+BEFORE UPDATE ON trade_actions
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMIT;
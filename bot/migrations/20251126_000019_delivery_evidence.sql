@@ -0,0 +1,58 @@
+-- 20251126_000019_delivery_evidence.sql
+-- Seller delivery evidence per trade
+-- Purpose:
+-- - Mark Delivered asks the seller for a tracking number, links or a note (modal), and
+--   files posted by the seller in the trade thread are recorded as well.
+-- - Each item carries a SHA-256 hash so moderators can check that a file or text shown
+--   later in a dispute is the one submitted at delivery time.
+-- Notes:
+-- - Text items hash their trimmed text (UTF-8); files hash their bytes. sha256 is NULL
+--   only for files too large to download (see DELIVERY_EVIDENCE_MAX_MB).
+-- - The same item posted twice for a trade is stored once (unique kind + hash).
+-- - guild_id / channel_id / message_id locate the Discord message of a file: attachment
+--   URLs expire, the message can be refetched for a fresh one.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS delivery_evidence (
+  id                         BIGSERIAL PRIMARY KEY,
+
+  -- Trade
+  chain_id                   INTEGER NOT NULL,
+  manager_address            TEXT NOT NULL,
+  trade_id                   NUMERIC(78,0) NOT NULL,
+  submitted_by_discord_id    TEXT NOT NULL,
+
+  -- Item
+  kind                       TEXT NOT NULL CHECK (kind IN ('tracking', 'link', 'note', 'file')),
+  content                    TEXT NULL,   -- tracking number, URL or note text
+  file_name                  TEXT NULL,
+  content_type               TEXT NULL,
+  size_bytes                 BIGINT NULL,
+  url                        TEXT NULL,   -- attachment URL at submission time
+  sha256                     TEXT NULL,
+
+  -- Discord location
+  guild_id                   TEXT NULL,
+  channel_id                 TEXT NULL,
+  message_id                 TEXT NULL,
+
+  -- Timestamps
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_delivery_evidence_item
+  ON delivery_evidence (manager_address, trade_id, kind, sha256)
+  WHERE sha256 IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_delivery_evidence_trade
+  ON delivery_evidence (manager_address, trade_id, created_at);
+
+-- Trigger to keep updated_at fresh
+DROP TRIGGER IF EXISTS trg_delivery_evidence_updated_at ON delivery_evidence;
+CREATE TRIGGER trg_delivery_evidence_updated_at
+BEFORE UPDATE ON delivery_evidence
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMIT;
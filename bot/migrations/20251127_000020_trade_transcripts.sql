@@ -0,0 +1,56 @@
+-- 20251127_000020_trade_transcripts.sql
+-- Thread transcripts of completed and disputed trades
+-- Purpose:
+-- - One row per generated transcript (HTML + JSON of the trade thread, the escrows row and
+--   the trade's on-chain events), see transcripts.js.
+-- - The transcript scheduler looks for Completed / Disputed trades without a row for that
+--   trigger, so every trade gets each transcript once, whichever path settled it.
+-- Notes:
+-- - A trade disputed and later resolved gets two transcripts ('disputed', 'completed').
+-- - Failed attempts keep their row (status 'failed', error) and are retried up to
+--   TRANSCRIPT_MAX_ATTEMPTS times.
+-- - html_path / json_path point into TRANSCRIPT_DIR on the bot host; the hashes identify
+--   the copies sent to moderators and parties.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS trade_transcripts (
+  id                         BIGSERIAL PRIMARY KEY,
+
+  -- Trade
+  chain_id                   INTEGER NOT NULL,
+  manager_address            TEXT NOT NULL,
+  trade_id                   NUMERIC(78,0) NOT NULL,
+  trigger                    TEXT NOT NULL CHECK (trigger IN ('completed', 'disputed')),
+
+  -- Outcome
+  status                     TEXT NOT NULL CHECK (status IN ('stored', 'failed')),
+  attempts                   INTEGER NOT NULL DEFAULT 1,
+  error                      TEXT NULL,
+
+  -- Content
+  message_count              INTEGER NULL,
+  event_count                INTEGER NULL,
+  html_path                  TEXT NULL,
+  json_path                  TEXT NULL,
+  html_sha256                TEXT NULL,
+  json_sha256                TEXT NULL,
+
+  -- Delivery
+  posted_mod_log             BOOLEAN NOT NULL DEFAULT FALSE,
+  parties_notified           INTEGER NOT NULL DEFAULT 0,
+
+  -- Timestamps
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE (manager_address, trade_id, trigger)
+);
+
+-- Trigger to keep updated_at fresh
+DROP TRIGGER IF EXISTS trg_trade_transcripts_updated_at ON trade_transcripts;
+CREATE TRIGGER trg_trade_transcripts_updated_at
+BEFORE UPDATE ON trade_transcripts
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMIT;
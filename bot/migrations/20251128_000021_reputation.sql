@@ -0,0 +1,87 @@
+-- 20251128_000021_reputation.sql
+-- Counterparty reputation: trade timings, dispute outcomes and post-trade ratings
+-- Purpose:
+-- - Reputation (see reputation.js) is computed from a user's escrows history: completed
+--   trades, volume, cancellations, disputes won/lost and median time to deliver.
+-- - escrows gets one timestamp per status, set by a trigger the first time the row
+--   reaches that status, whichever path (buttons, indexer, scheduler) wrote it.
+-- - escrows.dispute_buyer_share_bps keeps the split of a resolved dispute (buyer share in
+--   basis points; the seller got the rest).
+-- - trade_ratings holds the 1–5 rating each party gives the other after completion.
+-- Notes:
+-- - Existing rows are not backfilled: their status times are unknown and stay NULL.
+-- - One rating per rater per trade; rating again replaces it.
+
+BEGIN;
+
+-- 1) Status timestamps and dispute outcome on escrows
+ALTER TABLE escrows
+  ADD COLUMN IF NOT EXISTS funded_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMPTZ NULL,
+  ADD COLUMN IF NOT EXISTS dispute_buyer_share_bps INTEGER NULL
+    CHECK (dispute_buyer_share_bps BETWEEN 0 AND 10000);
+
+CREATE OR REPLACE FUNCTION set_escrow_status_times()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    IF NEW.status IS NOT DISTINCT FROM OLD.status THEN
+      RETURN NEW;
+    END IF;
+  END IF;
+
+  CASE NEW.status
+    WHEN 1 THEN NEW.funded_at = COALESCE(NEW.funded_at, NOW());
+    WHEN 2 THEN NEW.delivered_at = COALESCE(NEW.delivered_at, NOW());
+    WHEN 3 THEN NEW.completed_at = COALESCE(NEW.completed_at, NOW());
+    WHEN 4 THEN NEW.cancelled_at = COALESCE(NEW.cancelled_at, NOW());
+    WHEN 5 THEN NEW.disputed_at = COALESCE(NEW.disputed_at, NOW());
+    ELSE NULL;
+  END CASE;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_escrows_status_times ON escrows;
+CREATE TRIGGER trg_escrows_status_times
+BEFORE INSERT OR UPDATE OF status ON escrows
+FOR EACH ROW EXECUTE FUNCTION set_escrow_status_times();
+
+-- 2) Post-trade ratings
+CREATE TABLE IF NOT EXISTS trade_ratings (
+  id                         BIGSERIAL PRIMARY KEY,
+
+  -- Trade
+  chain_id                   INTEGER NOT NULL,
+  manager_address            TEXT NOT NULL,
+  trade_id                   NUMERIC(78,0) NOT NULL,
+
+  -- Who rates whom
+  rater_discord_id           TEXT NOT NULL,
+  ratee_discord_id           TEXT NOT NULL,
+  rater_role                 TEXT NOT NULL CHECK (rater_role IN ('buyer', 'seller')),
+
+  -- Rating
+  score                      SMALLINT NOT NULL CHECK (score BETWEEN 1 AND 5),
+  comment                    TEXT NULL,
+
+  -- Timestamps
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE (manager_address, trade_id, rater_discord_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_ratings_ratee
+  ON trade_ratings (ratee_discord_id, updated_at DESC);
+
+-- Trigger to keep updated_at fresh
+DROP TRIGGER IF EXISTS trg_trade_ratings_updated_at ON trade_ratings;
+CREATE TRIGGER trg_trade_ratings_updated_at
+BEFORE UPDATE ON trade_ratings
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- 20251129_000022_action_locks.sql
+-- Shared action locks for the Postgres lock backend
+-- Purpose:
+-- - With LOCK_BACKEND=postgres (see locks.js), the short locks that keep bot actions
+--   (mark_delivered, approve_release, cancel_trade, ...) from overlapping live here, so
+--   every bot process sees them.
+-- Notes:
+-- - Replaces the session advisory locks used so far, which held a pool connection for
+--   as long as the action ran and never expired. The note in
+--   20251124_000017_action_cooldowns.sql that mutual exclusion needs no table no longer
+--   holds: locks live here, cooldowns stay in action_cooldowns.
+-- - A lock is taken by inserting its row, or by taking over a row whose expires_at has
+--   passed; the holder's token is required to release it.
+-- - expires_at uses the database clock, so processes with drifting clocks agree.
+-- - Expired rows are deleted lazily by the backend; the table stays small.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS action_locks (
+  key                        TEXT PRIMARY KEY,
+  token                      TEXT NOT NULL,
+  expires_at                 TIMESTAMPTZ NOT NULL,
+  created_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at                 TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_locks_expires_at
+  ON action_locks (expires_at);
+
+-- Trigger to keep updated_at fresh
+DROP TRIGGER IF EXISTS trg_action_locks_updated_at ON action_locks;
+CREATE TRIGGER trg_action_locks_updated_at
+BEFORE UPDATE ON action_locks
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- 20251130_000023_trade_actions_chain.sql
+-- Scope the trade_actions indexes by chain
+-- Purpose:
+-- - Trade ids are per manager contract, and a manager address can repeat across chains
+--   (same deployer and nonce). The open-action index from
+--   20251125_000018_trade_actions.sql did not include chain_id, so an open action on one
+--   chain could block or attach the same action on another.
+-- Notes:
+-- - Both indexes are recreated with chain_id first; claimTradeAction (tradeActionRepo.js)
+--   uses the same columns as its conflict target.
+
+BEGIN;
+
+DROP INDEX IF EXISTS uq_trade_actions_open;
+CREATE UNIQUE INDEX IF NOT EXISTS uq_trade_actions_open
+  ON trade_actions (chain_id, manager_address, trade_id, function_name)
+  WHERE status IN ('intent', 'submitted');
+
+DROP INDEX IF EXISTS idx_trade_actions_trade;
+CREATE INDEX IF NOT EXISTS idx_trade_actions_trade
+  ON trade_actions (chain_id, manager_address, trade_id, created_at DESC);
+
+COMMIT;
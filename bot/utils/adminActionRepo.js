@@ -0,0 +1,146 @@
+import { query } from "./db.js";
+
+/**
+ * Admin Action Repository (PostgreSQL)
+ *
+ * Append-only audit log of admin interventions on trades (/escrow subcommands).
+ *
+ * Table (see migration 20251116_000009_admin_actions.sql):
+ *   admin_actions (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     action TEXT NOT NULL,
+ *     manager_address TEXT NULL,
+ *     trade_id NUMERIC(78,0) NULL,
+ *     admin_discord_id TEXT NOT NULL,
+ *     guild_id TEXT NULL,
+ *     channel_id TEXT NULL,
+ *     reason TEXT NULL,
+ *     outcome TEXT NOT NULL,            -- 'ok' | 'rejected' | 'failed'
+ *     tx_hash TEXT NULL,
+ *     details JSONB NULL,
+ *     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+ *   )
+ */
+
+export const ADMIN_ACTION_OUTCOME = Object.freeze({
+  Ok: "ok",
+  Rejected: "rejected",
+  Failed: "failed",
+});
+
+/**
+ * Convert DB row to JS object.
+ * @param {any} row
+ */
+function rowToAdminAction(row) {
+  if (!row) return null;
+  return {
+    id: row.id !== null && row.id !== undefined ? String(row.id) : null,
+    action: row.action,
+    managerAddress: row.manager_address ?? null,
+    tradeId:
+      row.trade_id !== null && row.trade_id !== undefined
+        ? String(row.trade_id)
+        : null,
+    adminDiscordId: row.admin_discord_id,
+    guildId: row.guild_id ?? null,
+    channelId: row.channel_id ?? null,
+    reason: row.reason ?? null,
+    outcome: row.outcome,
+    txHash: row.tx_hash ?? null,
+    details: row.details ?? null,
+    createdAt: row.created_at ?? null,
+  };
+}
+
+/**
+ * JSON.stringify that keeps bigint values (as strings).
+ * @param {any} value
+ */
+function toJson(value) {
+  if (value === null || value === undefined) return null;
+  return JSON.stringify(value, (_k, v) =>
+    typeof v === "bigint" ? v.toString() : v,
+  );
+}
+
+/**
+ * Record an admin action.
+ * @param {{
+ *   action: string,
+ *   managerAddress?: string|null,
+ *   tradeId?: string|number|bigint|null,
+ *   adminDiscordId: string,
+ *   guildId?: string|null,
+ *   channelId?: string|null,
+ *   reason?: string|null,
+ *   outcome: 'ok'|'rejected'|'failed',
+ *   txHash?: string|null,
+ *   details?: object|null,
+ * }} entry
+ * @returns {Promise<object>}
+ */
+export async function recordAdminAction(entry) {
+  if (!entry?.action) throw new Error("recordAdminAction: action required");
+  if (!entry?.adminDiscordId)
+    throw new Error("recordAdminAction: adminDiscordId required");
+  if (!Object.values(ADMIN_ACTION_OUTCOME).includes(entry.outcome))
+    throw new Error(`recordAdminAction: invalid outcome ${entry.outcome}`);
+
+  const res = await query(
+    `
+    INSERT INTO admin_actions (
+      action, manager_address, trade_id, admin_discord_id, guild_id,
+      channel_id, reason, outcome, tx_hash, details
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10::jsonb)
+    RETURNING *
+  `,
+    [
+      entry.action,
+      entry.managerAddress ?? null,
+      entry.tradeId !== null && entry.tradeId !== undefined
+        ? String(entry.tradeId)
+        : null,
+      String(entry.adminDiscordId),
+      entry.guildId ?? null,
+      entry.channelId ?? null,
+      entry.reason ?? null,
+      entry.outcome,
+      entry.txHash ?? null,
+      toJson(entry.details),
+    ],
+  );
+  return rowToAdminAction(res.rows[0]);
+}
+
+/**
+ * List admin actions for a trade (most recent first).
+ * @param {string} managerAddress
+ * @param {string|number|bigint} tradeId
+ * @param {number} [limit=10]
+ * @returns {Promise<object[]>}
+ */
+export async function listAdminActionsForTrade(
+  managerAddress,
+  tradeId,
+  limit = 10,
+) {
+  const lim = Math.max(1, Math.min(100, Number(limit) || 10));
+  const res = await query(
+    `
+    SELECT * FROM admin_actions
+    WHERE manager_address = $1 AND trade_id = $2
+    ORDER BY created_at DESC, id DESC
+    LIMIT $3
+  `,
+    [managerAddress, String(tradeId), lim],
+  );
+  return res.rows.map(rowToAdminAction);
+}
+
+export default {
+  ADMIN_ACTION_OUTCOME,
+  recordAdminAction,
+  listAdminActionsForTrade,
+};
@@ -2,11 +2,13 @@
  * Amis trade utilities for interacting with the AmisEscrowManager contract.
  *
  * Features:
- * - Create trades (createTrade) and derive tradeId from transaction receipt
- * - Reads: getTrade, getTradeStatus, getTradeState, getFeeConfig
+ * - Create trades (createTrade, or createTokenTrade for ERC-20) and derive tradeId from transaction receipt
+ * - Reads: getTrade, getTradeToken, getTradeStatus, getTradeState, getFeeConfig
  * - Writes (bot-only where applicable): markDelivered, approveDelivery, releaseAfterTimeout,
  *   openDispute, resolveDispute, cancelTrade
- * - Watchers for key events filtered by tradeId
+ * - Watchers for key events filtered by tradeId (manager-wide events are followed by the
+ *   block-cursor indexer, amisIndexer.js)
+ * - getTradeEvents: past events of one trade (e.g. for transcripts)
  * - Helpers to compute buyer totals and release deadlines
  *
  * Notes:
@@ -14,11 +16,27 @@
  * - Buyer funds the trade by calling fund(tradeId) from their own wallet with the
  *   exact required value (amount + 2.5% buyer fee). The bot can provide the quote
  *   and call data, but should not send funds for the user.
+ * - ERC-20 trades store the amount in token units; the buyer approves the manager for
+ *   the same total and calls fund(tradeId) without ETH.
+ * - Trade ids are per chain: every function takes a chainId (in its options / txOptions)
+ *   and uses that chain's RPC and manager (default chain when omitted, see chains.js).
+ * - Writes on an existing trade go through the trade_actions ledger (tradeActions.js): while
+ *   the same action is pending, they return its transaction hash instead of sending again.
+ *   createTrade / createTokenTrade have no trade id yet and are sent directly.
  */
 
-import { formatEther, Interface } from "ethers";
-import { publicClient, walletClient, account } from "./client.js";
-import { AMIS_ABI, AMIS_ADDRESS } from "./amisContract.js";
+import {
+  formatEther,
+  Interface,
+  id as keccakId,
+  toBeHex,
+  zeroPadValue,
+} from "ethers";
+import { getChainClients, account } from "./client.js";
+import { AMIS_ABI, getManagerAddress } from "./amisContract.js";
+import { resolveToken, isNativeToken } from "./tokens.js";
+import { unitsToDecimalString } from "./format.js";
+import { runTradeAction } from "./tradeActions.js";
 import {
   buyerTotalWeiFromBaseWei,
   computeReleaseDeadline,
@@ -64,6 +82,72 @@ export function statusLabel(status) {
    Internal helpers
    =========================== */
 
+// "chainId:tradeId" → token address (null = native); fixed at creation, so cached for the process
+const tradeTokenCache = new Map();
+
+// "chainId:manager" → whether the deployed manager has tradeToken (managers deployed
+// before ERC-20 support do not; the bundled ABI always lists it)
+const tokenSupportCache = new Map();
+const TRADE_TOKEN_SELECTOR = keccakId("tradeToken(uint256)").slice(2, 10);
+
+// Probe the manager's bytecode once for the tradeToken selector
+async function managerSupportsTokens(c) {
+  const key = `${c.chainId}:${c.address.toLowerCase()}`;
+  if (tokenSupportCache.has(key)) return tokenSupportCache.get(key);
+  const code = await c.publicClient.getBytecode({ address: c.address });
+  const supported = String(code ?? "")
+    .toLowerCase()
+    .includes(TRADE_TOKEN_SELECTOR);
+  tokenSupportCache.set(key, supported);
+  return supported;
+}
+
+// Clients and manager address of a chain (default chain when chainId is omitted)
+function onChain(chainId) {
+  const { chainId: id, publicClient, walletClient } = getChainClients(chainId);
+  return {
+    chainId: id,
+    publicClient,
+    walletClient,
+    address: getManagerAddress(id),
+  };
+}
+
+// Split write options into the tx_audit context and the progress callback
+function writeOptions({ onStatus, ...audit } = {}, tradeId = null) {
+  return {
+    audit: tradeId === null ? audit : { ...audit, tradeId },
+    onStatus,
+  };
+}
+
+// Bot write on an existing trade, through the trade_actions ledger (see tradeActions.js):
+// a repeated action attaches to the open transaction instead of sending a new one
+function writeTradeAction(c, tradeId, functionName, args, txOptions) {
+  const { audit, onStatus } = writeOptions(txOptions, tradeId);
+  return runTradeAction(
+    {
+      chainId: c.chainId,
+      managerAddress: c.address,
+      tradeId,
+      functionName,
+      args,
+      actorDiscordId: audit.actorDiscordId ?? null,
+      source: audit.source ?? null,
+      onStatus,
+    },
+    (trackedOnStatus) =>
+      c.walletClient.writeContract({
+        address: c.address,
+        abi: AMIS_ABI,
+        functionName,
+        args,
+        audit,
+        onStatus: trackedOnStatus,
+      }),
+  );
+}
+
 function toBigIntOrThrow(v, name = "value") {
   try {
     if (typeof v === "bigint") return v;
@@ -88,15 +172,18 @@ function isAddress(addr) {
 /**
  * Read full on-chain Trade struct.
  * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null, blockTag?: number|bigint|string }} [options] - chain; read as of a given block
  * @returns {Promise<{ tradeId: bigint, buyer: string, seller: string, amount: bigint, status: number, deliveryTimestamp: bigint, pendingBotFee: bigint, pendingfeeReceiverFee: bigint }>}
  */
-export async function getTrade(tradeId) {
+export async function getTrade(tradeId, options = {}) {
   const id = toBigIntOrThrow(tradeId, "tradeId");
-  const res = await publicClient.readContract({
-    address: AMIS_ADDRESS,
+  const c = onChain(options.chainId);
+  const res = await c.publicClient.readContract({
+    address: c.address,
     abi: AMIS_ABI,
     functionName: "trades",
     args: [id],
+    blockTag: options.blockTag,
   });
   // ethers returns struct objects with both index-based and named properties; normalize to a consistent shape
   const obj =
@@ -124,42 +211,81 @@ export async function getTrade(tradeId) {
   };
 }
 
+/**
+ * Address of the ERC-20 a trade is paid in, or null for native ETH.
+ * Managers deployed without token support (no tradeToken) only hold ETH trades; support
+ * is detected once per manager from its bytecode.
+ * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null }} [options]
+ * @returns {Promise<string|null>}
+ */
+export async function getTradeToken(tradeId, options = {}) {
+  const id = toBigIntOrThrow(tradeId, "tradeId");
+  const c = onChain(options.chainId);
+  const key = `${c.chainId}:${id}`;
+  if (tradeTokenCache.has(key)) return tradeTokenCache.get(key);
+  if (!(await managerSupportsTokens(c))) {
+    tradeTokenCache.set(key, null);
+    return null;
+  }
+  let res;
+  try {
+    res = await c.publicClient.readContract({
+      address: c.address,
+      abi: AMIS_ABI,
+      functionName: "tradeToken",
+      args: [id],
+    });
+  } catch (e) {
+    if (e?.code !== "CALL_EXCEPTION") throw e;
+    // Selector matched by chance in an old manager's bytecode: treat it as ETH-only
+    tokenSupportCache.set(`${c.chainId}:${c.address.toLowerCase()}`, false);
+    res = null;
+  }
+  const token = isNativeToken(res) ? null : String(res);
+  tradeTokenCache.set(key, token);
+  return token;
+}
+
 /**
  * Read only the trade status enum value.
  * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null }} [options]
  * @returns {Promise<number>}
  */
-export async function getTradeStatus(tradeId) {
-  const t = await getTrade(tradeId);
+export async function getTradeStatus(tradeId, options = {}) {
+  const t = await getTrade(tradeId, options);
   return Number(t.status ?? 0);
 }
 
 /**
  * Read config constants and release timeout from contract.
+ * @param {{ chainId?: number|null }} [options]
  * @returns {Promise<{ FEE_BPS: bigint, TOTAL_FEE_BPS: bigint, BOT_SHARE_BPS: bigint, releaseTimeout: bigint }>}
  */
-export async function getFeeConfig() {
+export async function getFeeConfig(options = {}) {
+  const c = onChain(options.chainId);
   const [fee, total, botShare, timeout] = await Promise.all([
-    publicClient.readContract({
-      address: AMIS_ADDRESS,
+    c.publicClient.readContract({
+      address: c.address,
       abi: AMIS_ABI,
       functionName: "FEE_BPS",
       args: [],
     }),
-    publicClient.readContract({
-      address: AMIS_ADDRESS,
+    c.publicClient.readContract({
+      address: c.address,
       abi: AMIS_ABI,
       functionName: "TOTAL_FEE_BPS",
       args: [],
     }),
-    publicClient.readContract({
-      address: AMIS_ADDRESS,
+    c.publicClient.readContract({
+      address: c.address,
       abi: AMIS_ABI,
       functionName: "BOT_SHARE_BPS",
       args: [],
     }),
-    publicClient.readContract({
-      address: AMIS_ADDRESS,
+    c.publicClient.readContract({
+      address: c.address,
       abi: AMIS_ABI,
       functionName: "releaseTimeout",
       args: [],
@@ -175,18 +301,24 @@ export async function getFeeConfig() {
 
 /**
  * Composite, UI-friendly state for a trade.
+ * amountWei is the raw on-chain amount (token units for ERC-20 trades); amount is the same
+ * as a decimal string in the trade's asset, amountEth only set for ETH trades.
  * @param {bigint|number|string} tradeId
- * @returns {Promise<{ tradeId: bigint, buyer: string, seller: string, amountWei: bigint, amountEth: string, status: number, statusText: string, deliveredAtSec: number, releaseTimeoutSec: number, deadlineSec: number|null, secondsLeft: number|null, canReleaseByTimeout: boolean }>}
+ * @param {{ chainId?: number|null, blockTag?: number|bigint|string }} [options] - chain; read the trade as of a given block
+ * @returns {Promise<{ tradeId: bigint, chainId: number, buyer: string, seller: string, amountWei: bigint, amount: string, amountEth: string|null, token: { address: string|null, symbol: string, decimals: number, isNative: boolean }, status: number, statusText: string, deliveredAtSec: number, releaseTimeoutSec: number, deadlineSec: number|null, secondsLeft: number|null, canReleaseByTimeout: boolean }>}
  */
-export async function getTradeState(tradeId) {
+export async function getTradeState(tradeId, options = {}) {
   const id = toBigIntOrThrow(tradeId, "tradeId");
-  const [{ buyer, seller, amount, status, deliveryTimestamp }, timeout] =
+  const { chainId } = onChain(options.chainId);
+  const [{ buyer, seller, amount, status, deliveryTimestamp }, timeout, token] =
     await Promise.all([
-      getTrade(id),
-      getFeeConfig().then((c) => c.releaseTimeout),
+      getTrade(id, { ...options, chainId }),
+      getFeeConfig({ chainId }).then((c) => c.releaseTimeout),
+      getTradeToken(id, { chainId }).then((t) => resolveToken(t, chainId)),
     ]);
 
-  const amountEth = formatEther(amount ?? 0n);
+  const amountText = unitsToDecimalString(amount ?? 0n, token.decimals, 18);
+  const amountEth = token.isNative ? formatEther(amount ?? 0n) : null;
   const statusNum = Number(status ?? 0);
   const deliveredAtSec = Number(deliveryTimestamp ?? 0n);
   const releaseTimeoutSec = Number(timeout ?? 0n);
@@ -205,10 +337,13 @@ export async function getTradeState(tradeId) {
 
   return {
     tradeId: id,
+    chainId,
     buyer,
     seller,
     amountWei: amount ?? 0n,
+    amount: amountText,
     amountEth,
+    token,
     status: statusNum,
     statusText: statusLabel(statusNum),
     deliveredAtSec,
@@ -228,33 +363,90 @@ export async function getTradeState(tradeId) {
  * @param {string} buyer
  * @param {string} seller
  * @param {bigint|number|string} amountWei - base escrow amount (wei)
+ * @param {{ chainId?: number|null, actorDiscordId?: string|null, source?: string|null, onStatus?: Function }} [txOptions] - chain, tx_audit context and progress callback (see walletClient.writeContract)
  * @returns {Promise<{ txHash: `0x${string}`, tradeId: bigint | null }>}
  */
-export async function createTrade(buyer, seller, amountWei) {
+export async function createTrade(buyer, seller, amountWei, txOptions = {}) {
   if (!isAddress(buyer)) throw new Error("createTrade: invalid buyer address");
   if (!isAddress(seller))
     throw new Error("createTrade: invalid seller address");
   const base = toBigIntOrThrow(amountWei, "amountWei");
+  const c = onChain(txOptions.chainId);
 
   try {
     // Simulate to get the tradeId immediately (no need to wait for receipt)
-    const sim = await publicClient.simulateContract({
-      address: AMIS_ADDRESS,
+    const sim = await c.publicClient.simulateContract({
+      address: c.address,
       abi: AMIS_ABI,
       functionName: "createTrade",
       account,
       args: [buyer, seller, base],
     });
-    const txHash = await walletClient.writeContract(sim.request);
+    const txHash = await c.walletClient.writeContract({
+      ...sim.request,
+      ...writeOptions(txOptions),
+    });
     const tradeId = sim?.result ?? null;
     return { txHash, tradeId };
   } catch {
     // Fallback: submit without simulation (tradeId will be derived elsewhere if needed)
-    const txHash = await walletClient.writeContract({
-      address: AMIS_ADDRESS,
+    const txHash = await c.walletClient.writeContract({
+      address: c.address,
       abi: AMIS_ABI,
       functionName: "createTrade",
       args: [buyer, seller, base],
+      ...writeOptions(txOptions),
+    });
+    return { txHash, tradeId: null };
+  }
+}
+
+/**
+ * Create a new trade paid in an ERC-20 token (bot-only).
+ * @param {string} buyer
+ * @param {string} seller
+ * @param {string} tokenAddress - ERC-20 contract (see tokens.js)
+ * @param {bigint|number|string} amount - base escrow amount (token units)
+ * @param {{ chainId?: number|null, actorDiscordId?: string|null, source?: string|null, onStatus?: Function }} [txOptions] - chain, tx_audit context and progress callback (see walletClient.writeContract)
+ * @returns {Promise<{ txHash: `0x${string}`, tradeId: bigint | null }>}
+ */
+export async function createTokenTrade(
+  buyer,
+  seller,
+  tokenAddress,
+  amount,
+  txOptions = {},
+) {
+  if (!isAddress(buyer))
+    throw new Error("createTokenTrade: invalid buyer address");
+  if (!isAddress(seller))
+    throw new Error("createTokenTrade: invalid seller address");
+  if (!isAddress(tokenAddress) || isNativeToken(tokenAddress))
+    throw new Error("createTokenTrade: invalid token address");
+  const base = toBigIntOrThrow(amount, "amount");
+  const args = [buyer, seller, tokenAddress, base];
+  const c = onChain(txOptions.chainId);
+
+  try {
+    const sim = await c.publicClient.simulateContract({
+      address: c.address,
+      abi: AMIS_ABI,
+      functionName: "createTokenTrade",
+      account,
+      args,
+    });
+    const txHash = await c.walletClient.writeContract({
+      ...sim.request,
+      ...writeOptions(txOptions),
+    });
+    return { txHash, tradeId: sim?.result ?? null };
+  } catch {
+    const txHash = await c.walletClient.writeContract({
+      address: c.address,
+      abi: AMIS_ABI,
+      functionName: "createTokenTrade",
+      args,
+      ...writeOptions(txOptions),
     });
     return { txHash, tradeId: null };
   }
@@ -263,19 +455,25 @@ export async function createTrade(buyer, seller, amountWei) {
 /**
  * Build the fund(tradeId) transaction request for the buyer, including the required value.
  * Returns { to, data, value } that the buyer should broadcast from their wallet.
+ * ERC-20 trades send no value (the total is pulled with transferFrom after approve).
  * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null }} [options]
  * @returns {Promise<{ to: string, data: `0x${string}`, value: bigint, functionName: string }>}
  */
-export async function buildFundRequest(tradeId) {
+export async function buildFundRequest(tradeId, options = {}) {
   const id = toBigIntOrThrow(tradeId, "tradeId");
-  const t = await getTrade(id);
-  const value = buyerTotalWeiFromBaseWei(t.amount);
+  const c = onChain(options.chainId);
+  const [t, token] = await Promise.all([
+    getTrade(id, options),
+    getTradeToken(id, options),
+  ]);
+  const value = token ? 0n : buyerTotalWeiFromBaseWei(t.amount);
   // Encode the calldata for fund(tradeId)
   // Encode fund(tradeId) calldata via ethers Interface
   const iface = new Interface(["function fund(uint256 tradeId) payable"]);
   const data = iface.encodeFunctionData("fund", [id]);
   return {
-    to: AMIS_ADDRESS,
+    to: c.address,
     data,
     value,
     functionName: "fund",
@@ -285,64 +483,52 @@ export async function buildFundRequest(tradeId) {
 /**
  * Mark delivered (bot-only).
  * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null, actorDiscordId?: string|null, source?: string|null, onStatus?: Function }} [txOptions] - chain, tx_audit context and progress callback (see walletClient.writeContract)
  * @returns {Promise<`0x${string}`>}
  */
-export async function markDelivered(tradeId) {
+export async function markDelivered(tradeId, txOptions = {}) {
   const id = toBigIntOrThrow(tradeId, "tradeId");
-  return walletClient.writeContract({
-    address: AMIS_ADDRESS,
-    abi: AMIS_ABI,
-    functionName: "markDelivered",
-    args: [id],
-  });
+  const c = onChain(txOptions.chainId);
+  return writeTradeAction(c, id, "markDelivered", [id], txOptions);
 }
 
 /**
  * Approve delivery and release funds (bot-only).
  * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null, actorDiscordId?: string|null, source?: string|null, onStatus?: Function }} [txOptions] - chain, tx_audit context and progress callback (see walletClient.writeContract)
  * @returns {Promise<`0x${string}`>}
  */
-export async function approveDelivery(tradeId) {
+export async function approveDelivery(tradeId, txOptions = {}) {
   const id = toBigIntOrThrow(tradeId, "tradeId");
-  return walletClient.writeContract({
-    address: AMIS_ADDRESS,
-    abi: AMIS_ABI,
-    functionName: "approveDelivery",
-    args: [id],
-  });
+  const c = onChain(txOptions.chainId);
+  return writeTradeAction(c, id, "approveDelivery", [id], txOptions);
 }
 
 /**
  * Release after timeout (bot-only).
  * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null, actorDiscordId?: string|null, source?: string|null, onStatus?: Function }} [txOptions] - chain, tx_audit context and progress callback (see walletClient.writeContract)
  * @returns {Promise<`0x${string}`>}
  */
-export async function releaseAfterTimeout(tradeId) {
+export async function releaseAfterTimeout(tradeId, txOptions = {}) {
   const id = toBigIntOrThrow(tradeId, "tradeId");
-  return walletClient.writeContract({
-    address: AMIS_ADDRESS,
-    abi: AMIS_ABI,
-    functionName: "releaseAfterTimeout",
-    args: [id],
-  });
+  const c = onChain(txOptions.chainId);
+  return writeTradeAction(c, id, "releaseAfterTimeout", [id], txOptions);
 }
 
 /**
  * Open dispute (bot-only).
  * @param {bigint|number|string} tradeId
  * @param {string} raisedBy - address of buyer or seller
+ * @param {{ chainId?: number|null, actorDiscordId?: string|null, source?: string|null, onStatus?: Function }} [txOptions] - chain, tx_audit context and progress callback (see walletClient.writeContract)
  * @returns {Promise<`0x${string}`>}
  */
-export async function openDispute(tradeId, raisedBy) {
+export async function openDispute(tradeId, raisedBy, txOptions = {}) {
   const id = toBigIntOrThrow(tradeId, "tradeId");
+  const c = onChain(txOptions.chainId);
   if (!isAddress(raisedBy))
     throw new Error("openDispute: invalid raisedBy address");
-  return walletClient.writeContract({
-    address: AMIS_ADDRESS,
-    abi: AMIS_ABI,
-    functionName: "openDispute",
-    args: [id, raisedBy],
-  });
+  return writeTradeAction(c, id, "openDispute", [id, raisedBy], txOptions);
 }
 
 /**
@@ -351,38 +537,37 @@ export async function openDispute(tradeId, raisedBy) {
  * @param {bigint|number|string} tradeId
  * @param {bigint|number|string} buyerShareBps
  * @param {bigint|number|string} sellerShareBps
+ * @param {{ chainId?: number|null, actorDiscordId?: string|null, source?: string|null, onStatus?: Function }} [txOptions] - chain, tx_audit context and progress callback (see walletClient.writeContract)
  * @returns {Promise<`0x${string}`>}
  */
-export async function resolveDispute(tradeId, buyerShareBps, sellerShareBps) {
+export async function resolveDispute(
+  tradeId,
+  buyerShareBps,
+  sellerShareBps,
+  txOptions = {},
+) {
   const id = toBigIntOrThrow(tradeId, "tradeId");
   const b = toBigIntOrThrow(buyerShareBps, "buyerShareBps");
   const s = toBigIntOrThrow(sellerShareBps, "sellerShareBps");
+  const c = onChain(txOptions.chainId);
   if (b + s !== 10000n) {
     throw new Error(
       "resolveDispute: buyerShareBps + sellerShareBps must equal 10000",
     );
   }
-  return walletClient.writeContract({
-    address: AMIS_ADDRESS,
-    abi: AMIS_ABI,
-    functionName: "resolveDispute",
-    args: [id, b, s],
-  });
+  return writeTradeAction(c, id, "resolveDispute", [id, b, s], txOptions);
 }
 
 /**
  * Cancel trade (bot-only; only in Created state).
  * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null, actorDiscordId?: string|null, source?: string|null, onStatus?: Function }} [txOptions] - chain, tx_audit context and progress callback (see walletClient.writeContract)
  * @returns {Promise<`0x${string}`>}
  */
-export async function cancelTrade(tradeId) {
+export async function cancelTrade(tradeId, txOptions = {}) {
   const id = toBigIntOrThrow(tradeId, "tradeId");
-  return walletClient.writeContract({
-    address: AMIS_ADDRESS,
-    abi: AMIS_ABI,
-    functionName: "cancelTrade",
-    args: [id],
-  });
+  const c = onChain(txOptions.chainId);
+  return writeTradeAction(c, id, "cancelTrade", [id], txOptions);
 }
 
 /* ===========================
@@ -394,13 +579,14 @@ export async function cancelTrade(tradeId) {
  * handler({ tradeId, buyer, amountWei, amountEth, txHash })
  * @param {bigint|number|string} tradeId
  * @param {(e: { tradeId: bigint, buyer: string, amountWei: bigint, amountEth: string, txHash: `0x${string}` }) => Promise<void>|void} handler
- * @param {{ emitOnStart?: boolean }} [options]
+ * @param {{ chainId?: number|null, emitOnStart?: boolean }} [options]
  * @returns {() => void} unwatch
  */
 export function watchFunded(tradeId, handler, options = {}) {
   const id = toBigIntOrThrow(tradeId, "tradeId");
-  const unwatch = publicClient.watchContractEvent({
-    address: AMIS_ADDRESS,
+  const c = onChain(options.chainId);
+  const unwatch = c.publicClient.watchContractEvent({
+    address: c.address,
     abi: AMIS_ABI,
     eventName: "Funded",
     args: { tradeId: id },
@@ -426,7 +612,7 @@ export function watchFunded(tradeId, handler, options = {}) {
   if (options.emitOnStart) {
     (async () => {
       try {
-        const t = await getTrade(id);
+        const t = await getTrade(id, { chainId: c.chainId });
         if (Number(t.status) === AMIS_STATUS.Funded) {
           await handler({
             tradeId: id,
@@ -451,6 +637,39 @@ export function watchFunded(tradeId, handler, options = {}) {
   };
 }
 
+/**
+ * All manager events of one trade in [fromBlock, toBlock], oldest first (filtered by the
+ * indexed tradeId topic, fetched in batches like the indexer).
+ * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null, fromBlock: bigint|number, toBlock?: bigint|number|null, batchBlocks?: number }} options - toBlock defaults to the latest block
+ * @returns {Promise<Array<{ eventName: string, args: Record<string, any>, blockNumber: bigint, blockHash: string, transactionHash: string, logIndex: number }>>}
+ */
+export async function getTradeEvents(tradeId, options) {
+  const id = toBigIntOrThrow(tradeId, "tradeId");
+  const c = onChain(options.chainId);
+  const toBlock =
+    options.toBlock !== null && options.toBlock !== undefined
+      ? BigInt(options.toBlock)
+      : await c.publicClient.getBlockNumber();
+  const batch = BigInt(Math.max(1, options.batchBlocks ?? 2_000));
+  const topics = [null, zeroPadValue(toBeHex(id), 32)];
+
+  const out = [];
+  for (let from = BigInt(options.fromBlock); from <= toBlock; from += batch) {
+    const to = from + batch - 1n < toBlock ? from + batch - 1n : toBlock;
+    out.push(
+      ...(await c.publicClient.getLogs({
+        address: c.address,
+        abi: AMIS_ABI,
+        fromBlock: from,
+        toBlock: to,
+        topics,
+      })),
+    );
+  }
+  return out;
+}
+
 /* ===========================
    Tx helpers
    =========================== */
@@ -458,10 +677,12 @@ export function watchFunded(tradeId, handler, options = {}) {
 /**
  * Derive tradeId from a createTrade tx hash by decoding the Created event.
  * @param {`0x${string}`} txHash
+ * @param {{ chainId?: number|null }} [options]
  * @returns {Promise<bigint>}
  */
-export async function deriveTradeIdFromTx(txHash) {
-  const receipt = await publicClient.waitForTransactionReceipt({
+export async function deriveTradeIdFromTx(txHash, options = {}) {
+  const c = onChain(options.chainId);
+  const receipt = await c.publicClient.waitForTransactionReceipt({
     hash: txHash,
   });
   if (!receipt || !Array.isArray(receipt.logs)) {
@@ -510,21 +731,23 @@ export async function deriveTradeIdFromTx(txHash) {
    =========================== */
 
 /**
- * Compute the buyer's required total (wei) for a given trade.
+ * Compute the buyer's required total (wei, or token units for ERC-20 trades) for a given trade.
  * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null }} [options]
  * @returns {Promise<bigint>}
  */
-export async function getBuyerTotalWei(tradeId) {
-  const t = await getTrade(tradeId);
+export async function getBuyerTotalWei(tradeId, options = {}) {
+  const t = await getTrade(tradeId, options);
   return buyerTotalWeiFromBaseWei(t.amount ?? 0n);
 }
 
 /**
  * Summarize the current fee config as human-friendly numbers (percentage points).
+ * @param {{ chainId?: number|null }} [options]
  * @returns {Promise<{ buyerFeePct: number, sellerFeePct: number, totalFeePct: number, botShareOfFeePct: number }>}
  */
-export async function getFeeConfigSummary() {
-  const c = await getFeeConfig();
+export async function getFeeConfigSummary(options = {}) {
+  const c = await getFeeConfig(options);
   const buyer = Number(c.FEE_BPS) / Number(BPS_SCALE_BI);
   const seller = Number(c.FEE_BPS) / Number(BPS_SCALE_BI);
   const total = Number(c.TOTAL_FEE_BPS) / Number(BPS_SCALE_BI);
@@ -544,14 +767,17 @@ export default {
 
   // reads
   getTrade,
+  getTradeToken,
   getTradeStatus,
   getTradeState,
+  getTradeEvents,
   getFeeConfig,
   getBuyerTotalWei,
   getFeeConfigSummary,
 
   // writes
   createTrade,
+  createTokenTrade,
   buildFundRequest,
   markDelivered,
   approveDelivery,
@@ -0,0 +1,301 @@
+/**
+ * amisCancel.js
+ *
+ * Cancellation of a Created (not yet funded) Amis trade, shared by the "Cancel Trade"
+ * button on the status message and the /cancel_trade command.
+ *
+ * Rules:
+ * - Only the buyer or the seller can ask, and only while the trade is Created on-chain.
+ * - The first request is recorded on the flow and the other party is pinged to confirm.
+ * - The trade is cancelled when the other party confirms (same button/command), or
+ *   when the requesting party asks again after TRADE_CANCEL_TIMEOUT_MINUTES without
+ *   a response.
+ * - Cancelling submits cancelTrade(tradeId) (bot-only) under
+ *   keyFor("cancel_trade", chainId, id), marks the escrows row Cancelled, updates the
+ *   status embed and archives the thread.
+ *
+ * Environment (optional):
+ * - TRADE_CANCEL_TIMEOUT_MINUTES: minutes before one party can cancel alone (default 60)
+ *
+ * Usage:
+ *   import { handleCancelTradeRequest } from "./amisCancel.js";
+ *   await handleCancelTradeRequest(interaction); // button or chat command, in the trade thread
+ *
+ *   // Without the confirmation step (admin tools):
+ *   const res = await cancelTradeOnChain(tradeId, { chainId });
+ *   if (res.ok) await announceTradeCancelled({ channel, messageId, tradeId, chainId, reason });
+ */
+
+import { MessageFlags } from "discord.js";
+import { getManagerAddress } from "./amisContract.js";
+import { getTradeState, cancelTrade, AMIS_STATUS } from "./amis.js";
+import { refreshAmisStatusMessage } from "./amisStatus.js";
+import { getChain } from "./chains.js";
+import { getChainClients } from "./client.js";
+import { setEscrowStatusByManagerTrade, ESCROW_STATUS } from "./escrowRepo.js";
+import { resolveInteractionFlow, requestCancel } from "./flowRepo.js";
+import { keyFor, withLockThenCooldown } from "./locks.js";
+import { assertParty, resolveLockedRoles } from "./roles.js";
+import { archiveThread, safeThreadSend } from "./threads.js";
+
+const DEFAULT_TIMEOUT_MINUTES = 60;
+
+function resolveCancelTimeoutMs() {
+  const n = parseInt(
+    String(process.env.TRADE_CANCEL_TIMEOUT_MINUTES ?? ""),
+    10,
+  );
+  const minutes = Number.isFinite(n) && n > 0 ? n : DEFAULT_TIMEOUT_MINUTES;
+  return minutes * 60 * 1000;
+}
+
+/**
+ * @param {Date|string|null} value
+ * @returns {number|null} epoch ms
+ */
+function toMs(value) {
+  if (!value) return null;
+  const ms = new Date(value).getTime();
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Request, confirm or (after the timeout) force the cancellation of the thread's trade.
+ * Replies ephemerally to the interaction.
+ *
+ * @param {import('discord.js').ButtonInteraction | import('discord.js').ChatInputCommandInteraction} interaction
+ */
+export async function handleCancelTradeRequest(interaction) {
+  await interaction.reply({
+    content: "⏳ Processing...",
+    flags: MessageFlags.Ephemeral,
+  });
+  const uid = interaction.user.id;
+  const flow = await resolveInteractionFlow(interaction);
+  if (!flow) {
+    await interaction.editReply({
+      content: "⚠️ No active trade flow found.",
+    });
+    return;
+  }
+  const check = assertParty(uid, flow);
+  if (!check.ok) {
+    await interaction.editReply({ content: `⚠️ ${check.message}` });
+    return;
+  }
+  const tradeId = flow.tradeId;
+  if (!tradeId) {
+    await interaction.editReply({
+      content:
+        "⚠️ Trade is not created yet. Use the Cancel button on the setup prompt instead.",
+    });
+    return;
+  }
+
+  try {
+    const state = await getTradeState(tradeId, { chainId: flow.chainId });
+    if (state.status !== AMIS_STATUS.Created) {
+      await interaction.editReply({
+        content: `⚠️ Only unfunded trades can be cancelled (current status: ${state.statusText}).`,
+      });
+      return;
+    }
+
+    const side = check.role;
+    const { buyerId, sellerId } = resolveLockedRoles(flow, uid);
+    const otherId = side === "buyer" ? sellerId : buyerId;
+    const mine = toMs(
+      side === "buyer"
+        ? flow.buyerCancelRequestedAt
+        : flow.sellerCancelRequestedAt,
+    );
+    const theirs = toMs(
+      side === "buyer"
+        ? flow.sellerCancelRequestedAt
+        : flow.buyerCancelRequestedAt,
+    );
+    const timeoutMs = resolveCancelTimeoutMs();
+    const now = Date.now();
+
+    if (theirs === null) {
+      if (mine === null) {
+        await requestCancel(flow.id, side, new Date(now));
+        const aloneAt = Math.floor((now + timeoutMs) / 1000);
+        await safeThreadSend(interaction.channel, {
+          content:
+            `🛑 <@${uid}> asked to cancel this trade before funding.` +
+            (otherId
+              ? ` <@${otherId}>, click **Cancel Trade** on the status message (or use \`/cancel_trade\`) to confirm.`
+              : "") +
+            `\n⏳ Without a response, <@${uid}> can cancel alone from <t:${aloneAt}:F> (<t:${aloneAt}:R>).`,
+          allowedMentions: {
+            users: [uid, otherId].filter(Boolean).map(String),
+            parse: [],
+          },
+        });
+        await interaction.editReply({
+          content:
+            "✅ Cancellation requested. Waiting for the other party to confirm.",
+        });
+        return;
+      }
+      if (now - mine < timeoutMs) {
+        const aloneAt = Math.floor((mine + timeoutMs) / 1000);
+        await interaction.editReply({
+          content: `ℹ️ You already asked to cancel. Waiting for the other party; you can cancel alone <t:${aloneAt}:R>.`,
+        });
+        return;
+      }
+    }
+
+    await executeCancel(interaction, flow, {
+      buyerId,
+      sellerId,
+      reason:
+        theirs !== null
+          ? "confirmed by both parties"
+          : "no response from the other party before the timeout",
+    });
+  } catch (e) {
+    await interaction.editReply({
+      content: `❌ Failed to cancel trade: ${e?.message ?? e}`,
+    });
+  }
+}
+
+/**
+ * Submit cancelTrade, persist Cancelled, update the thread and archive it.
+ * @param {import('discord.js').ButtonInteraction | import('discord.js').ChatInputCommandInteraction} interaction
+ * @param {object} flow
+ * @param {{ buyerId: string|null, sellerId: string|null, reason: string }} ctx
+ */
+async function executeCancel(interaction, flow, { buyerId, sellerId, reason }) {
+  const tradeId = flow.tradeId;
+  const res = await cancelTradeOnChain(tradeId, {
+    chainId: flow.chainId,
+    actorDiscordId: interaction.user.id,
+    source: interaction.isButton?.()
+      ? "button:cancel_trade"
+      : "command:cancel_trade",
+  });
+  if (!res.ok) {
+    await interaction.editReply({
+      content:
+        res.reason === "unavailable"
+          ? "⚠️ The action lock store is unavailable; nothing was sent. Try again later."
+          : res.reason === "not_created"
+            ? "⚠️ The trade was funded meanwhile and can no longer be cancelled."
+            : `Action already in progress. Try again in ${Math.ceil((res.remainingMs ?? 0) / 1000)}s.`,
+    });
+    return;
+  }
+
+  await interaction.editReply({ content: "✅ Trade cancelled." });
+  await announceTradeCancelled({
+    channel: interaction.channel,
+    messageId: flow.escrowStatusMessageId,
+    tradeId,
+    chainId: flow.chainId,
+    buyerId,
+    sellerId,
+    priceUsd: flow.priceUsd,
+    reason,
+  });
+}
+
+/**
+ * Cancel a Created trade on-chain under keyFor("cancel_trade", chainId, id) and persist
+ * Cancelled. Transaction errors are thrown.
+ * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null, actorDiscordId?: string|null, source?: string|null }} [audit] - chain of the trade; the rest is recorded in tx_audit
+ * @returns {Promise<{ ok: true, txHash: `0x${string}` } | { ok: false, reason: "not_created"|"locked"|"cooldown"|"unavailable", remainingMs?: number }>}
+ */
+export async function cancelTradeOnChain(tradeId, audit = {}) {
+  const res = await withLockThenCooldown(
+    keyFor("cancel_trade", getChain(audit.chainId).id, String(tradeId)),
+    10000,
+    5000,
+    async () => {
+      // Re-check under the lock: the buyer may have funded meanwhile
+      const latest = await getTradeState(tradeId, { chainId: audit.chainId });
+      if (latest.status !== AMIS_STATUS.Created) return null;
+      const tx = await cancelTrade(tradeId, audit);
+      await getChainClients(
+        audit.chainId,
+      ).publicClient.waitForTransactionReceipt({ hash: tx });
+      return tx;
+    },
+  );
+  if (!res.ok) {
+    if (res.error) throw res.error;
+    // "locked" / "cooldown": another run is in flight; "unavailable": no lock store
+    return { ok: false, reason: res.reason, remainingMs: res.remainingMs };
+  }
+  if (!res.value) return { ok: false, reason: "not_created" };
+
+  // Persist Cancelled first so the indexer does not announce it again
+  try {
+    await setEscrowStatusByManagerTrade(
+      getManagerAddress(audit.chainId),
+      tradeId,
+      {
+        status: ESCROW_STATUS.Cancelled,
+      },
+    );
+  } catch (e) {
+    console.error("DB persist cancelled failed:", e);
+  }
+  return { ok: true, txHash: res.value };
+}
+
+/**
+ * Refresh the status embed, post the cancellation notice and archive the thread.
+ * @param {Object} params
+ * @param {import('discord.js').ThreadChannel | any} params.channel
+ * @param {string|null} params.messageId - status message id
+ * @param {bigint|number|string} params.tradeId
+ * @param {number|null} [params.chainId] - chain of the trade (null = default chain)
+ * @param {string|null} [params.buyerId]
+ * @param {string|null} [params.sellerId]
+ * @param {string|number|null} [params.priceUsd]
+ * @param {string} params.reason - short explanation shown in the thread
+ */
+export async function announceTradeCancelled({
+  channel,
+  messageId,
+  tradeId,
+  chainId = null,
+  buyerId,
+  sellerId,
+  priceUsd,
+  reason,
+}) {
+  await refreshAmisStatusMessage({
+    channel,
+    messageId,
+    tradeId,
+    chainId,
+    buyerId,
+    sellerId,
+    priceUsd,
+    description: `Trade cancelled before funding (${reason}).`,
+  });
+
+  const mentions = [buyerId, sellerId].filter(Boolean).map(String);
+  try {
+    await safeThreadSend(channel, {
+      content: `❌ ${mentions.map((id) => `<@${id}>`).join(" ")} Trade cancelled on-chain (${reason}). This thread will now be archived.`,
+      allowedMentions: { users: mentions, parse: [] },
+    });
+  } catch (e) {
+    console.error("Cancel notice failed:", e);
+  }
+
+  await archiveThread(channel, { reason: `Trade #${tradeId} cancelled` });
+}
+
+export default {
+  handleCancelTradeRequest,
+  cancelTradeOnChain,
+  announceTradeCancelled,
+};
@@ -3,19 +3,23 @@
  *
  * Loader for the AmisEscrowManager contract address and ABI.
  *
- * - Address is read from AMIS_ESCROW_ADDRESS in the environment.
+ * - Addresses come from the chain registry (chains.js): AMIS_ADDRESS is the manager on the
+ *   default chain (AMIS_ESCROW_ADDRESS in a single-network setup); use getManagerAddress(chainId)
+ *   for trades on other chains. The ABI is the same on every chain.
  * - ABI is loaded from bot/abi/AmisEscrow.json by default.
  * - You can override the ABI path via AMIS_ESCROW_ARTIFACT_PATH.
  * - Accepts both pure ABI arrays and { abi: [...] } artifacts.
  *
  * Usage:
- *   import { AMIS_ADDRESS, AMIS_ABI } from "./amisContract.js";
+ *   import { AMIS_ADDRESS, AMIS_ABI, getManagerAddress } from "./amisContract.js";
  */
 
 import fs from "fs";
 import path from "path";
 import dotenv from "dotenv";
 
+import { getChain, DEFAULT_CHAIN_ID } from "./chains.js";
+
 dotenv.config({ quiet: true });
 
 const ROOT = process.cwd();
@@ -26,20 +30,6 @@ const DEFAULT_ARTIFACT_PATH = path.resolve(
   "AmisEscrow.json",
 );
 
-/**
- * Basic address validator.
- * @param {string | undefined | null} addr
- * @returns {boolean}
- */
-function isAddress(addr) {
-  return (
-    typeof addr === "string" &&
-    addr.startsWith("0x") &&
-    addr.length === 42 &&
-    /^[0-9a-fA-Fx]+$/.test(addr)
-  );
-}
-
 /**
  * Check file existence.
  * @param {string} p
@@ -76,19 +66,12 @@ function extractAbi(artifact) {
 }
 
 /**
- * Load the AmisEscrowManager address from environment.
- * Requires AMIS_ESCROW_ADDRESS to be set to a valid 0x address.
+ * AmisEscrowManager address on a chain.
+ * @param {number|string|null|undefined} [chainId] - default chain when omitted
  * @returns {string}
  */
-function loadAmisAddress() {
-  const addr = String(process.env.AMIS_ESCROW_ADDRESS || "").trim();
-  if (!isAddress(addr)) {
-    throw new Error(
-      `AMIS_ESCROW_ADDRESS is missing or invalid.
-- Set AMIS_ESCROW_ADDRESS in your .env to the deployed AmisEscrowManager address (0x...42 chars)`,
-    );
-  }
-  return addr;
+export function getManagerAddress(chainId) {
+  return getChain(chainId).managerAddress;
 }
 
 /**
@@ -182,7 +165,7 @@ Expected either a pure ABI array or an object with an "abi" field.`,
   return abi;
 }
 
-export const AMIS_ADDRESS = loadAmisAddress();
+export const AMIS_ADDRESS = getManagerAddress(DEFAULT_CHAIN_ID);
 export const AMIS_ABI = loadAmisAbi();
 
 if (process.env.CONTRACT_UTILS_DEBUG?.toLowerCase() === "true") {
@@ -193,4 +176,5 @@ if (process.env.CONTRACT_UTILS_DEBUG?.toLowerCase() === "true") {
 export default {
   AMIS_ADDRESS,
   AMIS_ABI,
+  getManagerAddress,
 };
@@ -0,0 +1,275 @@
+/**
+ * Block-cursor event indexer for AmisEscrowManager.
+ *
+ * Replaces in-memory event subscriptions, which are lost on restart, with a persisted
+ * cursor (event_cursors table): the last block whose manager logs have been applied.
+ * On every tick the indexer reads logs from the cursor up to the confirmed head with
+ * getLogs, applies each touched trade (syncTradeStatus) and only then moves the cursor,
+ * so a failed RPC or DB call is retried on the next tick. After downtime the first tick
+ * simply catches up from the stored block. Fees charged in the batch are recorded in the
+ * fee ledger (feeLedger.js) before the cursor moves as well.
+ *
+ * Reorg safety:
+ * - Only blocks at least INDEXER_CONFIRMATIONS deep are processed, and trade state is
+ *   read as of the last block of the batch, so escrows only ever see confirmed state.
+ * - The cursor stores the block hash. If that block was replaced by a reorg deeper than
+ *   the confirmation depth, the cursor is rewound and the range replayed. Replays are
+ *   harmless: escrows.status is only written (and announced) when it actually changes.
+ *
+ * First start (no cursor): open trades are reconciled with on-chain state, then indexing
+ * starts at the chain's startBlock (AMIS_START_BLOCK for the default chain) when set,
+ * otherwise at the confirmed head.
+ *
+ * Every configured chain (chains.js) is indexed with its own cursor, one after another
+ * on each tick.
+ *
+ * Environment (optional):
+ * - INDEXER_CONFIRMATIONS: confirmation depth in blocks (default 3)
+ * - INDEXER_POLL_MS: poll interval in ms (default 15000, min 2000)
+ * - INDEXER_BATCH_BLOCKS: max blocks per getLogs request (default 2000)
+ * - INDEXER_REORG_REWIND: blocks to replay when a reorg is detected (default 64)
+ * - AMIS_START_BLOCK: first block to index on the default chain when no cursor exists
+ *   (e.g. deployment block); other chains use "startBlock" in the chain registry
+ *
+ * Usage:
+ *   import { startAmisIndexer } from "./amisIndexer.js";
+ *   await startAmisIndexer(client); // e.g. from the clientReady event
+ */
+
+import { AMIS_ABI } from "./amisContract.js";
+import { reconcileOpenTrades, syncTradeStatus } from "./amisWatcher.js";
+import { DEFAULT_CHAIN_ID, getChain, listChains } from "./chains.js";
+import { getChainClients } from "./client.js";
+import { getCursor, setCursor } from "./eventCursorRepo.js";
+import { recordFeeEvents } from "./feeLedger.js";
+
+const MIN_POLL_MS = 2_000;
+
+let timer = null;
+const running = new Set(); // chain ids with a tick in progress
+
+function envInt(name, fallback, min = 0) {
+  const n = parseInt(String(process.env[name] ?? ""), 10);
+  if (!Number.isFinite(n) || n < min) return fallback;
+  return n;
+}
+
+/**
+ * @param {import("./chains.js").ChainConfig} chain
+ */
+function resolveConfig(chain) {
+  const envStart =
+    chain.id === DEFAULT_CHAIN_ID && process.env.AMIS_START_BLOCK
+      ? BigInt(envInt("AMIS_START_BLOCK", 0))
+      : null;
+  return {
+    confirmations: BigInt(envInt("INDEXER_CONFIRMATIONS", 3)),
+    pollMs: Math.max(MIN_POLL_MS, envInt("INDEXER_POLL_MS", 15_000, 1)),
+    batchBlocks: BigInt(envInt("INDEXER_BATCH_BLOCKS", 2_000, 1)),
+    reorgRewind: BigInt(envInt("INDEXER_REORG_REWIND", 64, 1)),
+    startBlock: chain.startBlock !== null ? BigInt(chain.startBlock) : envStart,
+  };
+}
+
+/**
+ * Cursor name of a chain's manager (unchanged from single-chain setups).
+ * @param {import("./chains.js").ChainConfig} chain
+ */
+function cursorName(chain) {
+  return `amis:${String(chain.managerAddress).toLowerCase()}`;
+}
+
+/**
+ * Catch up from the stored cursor, then keep polling (idempotent).
+ * @param {import('discord.js').Client} client
+ * @returns {Promise<{ stop: () => void }>}
+ */
+export async function startAmisIndexer(client) {
+  if (timer) return { stop: stopAmisIndexer };
+
+  const chains = listChains();
+  const { pollMs } = resolveConfig(chains[0]);
+  const tickAll = async () => {
+    for (const chain of chains) await runIndexerTick(client, chain.id);
+  };
+  await tickAll();
+  timer = setInterval(() => {
+    void tickAll();
+  }, pollMs);
+  console.log(
+    `Amis indexer started (${chains.map(cursorName).join(", ")}, every ${pollMs}ms).`,
+  );
+  return { stop: stopAmisIndexer };
+}
+
+/**
+ * Stop polling. The cursor stays in the DB.
+ */
+export function stopAmisIndexer() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Whether the indexer is polling, and the chains with a tick in progress.
+ * @returns {{ active: boolean, chains: number, ticking: number[] }}
+ */
+export function getIndexerStatus() {
+  return {
+    active: timer !== null,
+    chains: listChains().length,
+    ticking: [...running],
+  };
+}
+
+/**
+ * Process all confirmed blocks after a chain's cursor. Overlapping ticks on the same
+ * chain are skipped.
+ * @param {import('discord.js').Client} client
+ * @param {number|null} [chainId] - default chain when omitted
+ * @returns {Promise<{ fromBlock: bigint|null, toBlock: bigint|null, trades: number }>}
+ */
+export async function runIndexerTick(client, chainId = null) {
+  const idle = { fromBlock: null, toBlock: null, trades: 0 };
+  const chain = getChain(chainId);
+  if (running.has(chain.id)) return idle;
+  running.add(chain.id);
+  try {
+    const cfg = resolveConfig(chain);
+    const { publicClient } = getChainClients(chain.id);
+    const head = await publicClient.getBlockNumber();
+    const safe = head - cfg.confirmations;
+    if (safe < 0n) return idle;
+
+    let from = await resolveStartBlock(client, chain, cfg, safe);
+    if (from === null || from > safe) return idle;
+
+    const first = from;
+    let trades = 0;
+    while (from <= safe) {
+      const to = min(from + cfg.batchBlocks - 1n, safe);
+      trades += await processRange(client, chain, from, to);
+      from = to + 1n;
+    }
+    return { fromBlock: first, toBlock: safe, trades };
+  } catch (e) {
+    console.error(`Amis indexer tick failed (${chain.name}):`, e);
+    return idle;
+  } finally {
+    running.delete(chain.id);
+  }
+}
+
+/**
+ * First block to process: cursor + 1, an earlier block after a reorg, or null when the
+ * cursor was just initialized at the confirmed head.
+ * @param {import('discord.js').Client} client
+ * @param {import("./chains.js").ChainConfig} chain
+ * @param {ReturnType<typeof resolveConfig>} cfg
+ * @param {bigint} safe - confirmed head
+ * @returns {Promise<bigint|null>}
+ */
+async function resolveStartBlock(client, chain, cfg, safe) {
+  const cursor = await getCursor(cursorName(chain));
+
+  if (!cursor) {
+    if (cfg.startBlock !== null) return cfg.startBlock;
+    // No history to replay: sync open trades once and follow from here
+    const res = await reconcileOpenTrades(client, {
+      chainId: chain.id,
+      blockTag: Number(safe),
+    });
+    console.log(
+      `Amis indexer (${chain.name}): no cursor, reconciled ${res.checked} open trade(s) (${res.changed} updated).`,
+    );
+    await commitCursor(chain, safe);
+    return null;
+  }
+
+  if (cursor.blockHash) {
+    const { publicClient } = getChainClients(chain.id);
+    const block = await publicClient.getBlock({
+      blockNumber: cursor.blockNumber,
+    });
+    if (block && block.hash !== cursor.blockHash) {
+      const rewound = max(cursor.blockNumber - cfg.reorgRewind, 0n);
+      console.warn(
+        `Amis indexer (${chain.name}): block ${cursor.blockNumber} was reorged out, replaying from ${rewound}.`,
+      );
+      return rewound;
+    }
+  }
+  return cursor.blockNumber + 1n;
+}
+
+/**
+ * Apply every trade touched by manager logs in [from, to], record their fees, then move
+ * the cursor to `to`.
+ * @param {import('discord.js').Client} client
+ * @param {import("./chains.js").ChainConfig} chain
+ * @param {bigint} from
+ * @param {bigint} to
+ * @returns {Promise<number>} number of trades touched
+ */
+async function processRange(client, chain, from, to) {
+  const { publicClient } = getChainClients(chain.id);
+  const logs = await publicClient.getLogs({
+    address: chain.managerAddress,
+    abi: AMIS_ABI,
+    fromBlock: from,
+    toBlock: to,
+  });
+
+  // One transition per trade, in order of its first log; state is read at `to`
+  const tradeIds = [];
+  const seen = new Set();
+  for (const log of logs) {
+    const rawId = log.args?.tradeId;
+    if (rawId === undefined || rawId === null) continue;
+    const key = String(rawId);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    tradeIds.push(BigInt(rawId));
+  }
+
+  for (const tradeId of tradeIds) {
+    await syncTradeStatus(client, tradeId, {
+      chainId: chain.id,
+      blockTag: Number(to),
+    });
+  }
+
+  await recordFeeEvents(chain, logs);
+  await commitCursor(chain, to);
+  return tradeIds.length;
+}
+
+/**
+ * Persist a chain's cursor at `blockNumber`, remembering its hash for reorg detection.
+ * @param {import("./chains.js").ChainConfig} chain
+ * @param {bigint} blockNumber
+ */
+async function commitCursor(chain, blockNumber) {
+  const { publicClient } = getChainClients(chain.id);
+  const block = await publicClient.getBlock({ blockNumber });
+  await setCursor(cursorName(chain), {
+    contractAddress: chain.managerAddress,
+    blockNumber,
+    blockHash: block?.hash ?? null,
+  });
+}
+
+function min(a, b) {
+  return a < b ? a : b;
+}
+
+function max(a, b) {
+  return a > b ? a : b;
+}
+
+export default {
+  startAmisIndexer,
+  stopAmisIndexer,
+  getIndexerStatus,
+  runIndexerTick,
+};
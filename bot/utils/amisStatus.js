@@ -1,24 +1,25 @@
 /**
- * Amis-specific status embed and watcher helper (tradeId-based).
+ * Amis-specific status embed helpers (tradeId-based).
  *
  * Responsibilities:
  * - Initialize a single status embed for a given tradeId (posted once per thread)
- * - Start a single "Funded" watcher for that tradeId to update the embed
- * - Store the status message id and watcher-started flag in both parties' flows
- * - Optionally backfill state on start if the trade is already funded
+ * - Store the status message id in the trade's flow
+ * - Re-render the embed from on-chain state (refreshAmisStatusMessage)
+ * - Resolve a trade's Discord context (thread, flow, parties) from its escrows row
+ *
+ * Status changes are pushed by the block-cursor indexer (amisIndexer.js) through
+ * amisWatcher.js, not by per-trade watchers.
  *
  * Usage:
- *   import { initAmisStatusAndWatcher } from "./amisStatus.js";
+ *   import { initAmisStatusMessage } from "./amisStatus.js";
  *
- *   await initAmisStatusAndWatcher({
+ *   await initAmisStatusMessage({
  *     channel,          // Discord thread/channel
- *     uid,              // initiating user's id (used to locate flow + counterparty)
+ *     flowId,           // id of the trade's flow (thread-bound)
  *     tradeId,          // on-chain trade id (uint256)
  *     options: {
- *       backfill: true,
  *       title: "Escrow Status",
  *       initialDescription: "...",
- *       updatedDescription: "...",
  *       overrideBuyerId,
  *       overrideSellerId,
  *       priceUsd,       // display helper (USD base price)
@@ -26,72 +27,69 @@
  *   });
  */
 
-import { AMIS_ADDRESS } from "./amisContract.js";
-import { getTradeState, watchFunded, AMIS_STATUS } from "./amis.js";
+import { getManagerAddress } from "./amisContract.js";
+import { chainForManager } from "./chains.js";
+import { getTradeState, AMIS_STATUS } from "./amis.js";
 import { buildEscrowStatusEmbed, buildActionsForStatus } from "./components.js";
-import { getFlow, setFlow } from "./flowRepo.js";
+import { getFlow, getFlowByThread, setFlow } from "./flowRepo.js";
+import { resolveLockedRoles } from "./roles.js";
+import { safeThreadPatchMessage } from "./threads.js";
+import { loadDeliveryEvidence } from "./deliveryEvidence.js";
 
 /**
- * Initialize status embed and start a funded watcher for an Amis trade (by tradeId).
+ * Initialize (or re-attach) the status embed for an Amis trade (by tradeId).
  *
  * @param {Object} params
  * @param {import('discord.js').TextChannel | import('discord.js').ThreadChannel} params.channel
- * @param {string} params.uid
+ * @param {string} params.flowId
  * @param {bigint|number|string} params.tradeId
  * @param {Object} [params.options]
- * @param {boolean} [params.options.backfill=true]
  * @param {string} [params.options.title="📊 Escrow Status"]
  * @param {string} [params.options.initialDescription]
- * @param {string} [params.options.updatedDescription]
  * @param {string} [params.options.overrideBuyerId]
  * @param {string} [params.options.overrideSellerId]
  * @param {string|number} [params.options.priceUsd]
  *
- * @returns {Promise<{ messageId: string | null, unwatch: (() => void) | null }>}
+ * @returns {Promise<{ messageId: string | null }>}
  */
-export async function initAmisStatusAndWatcher({
+export async function initAmisStatusMessage({
   channel,
-  uid,
+  flowId,
   tradeId,
   options = {},
 }) {
   if (!channel || typeof channel.send !== "function") {
     throw new Error(
-      "initAmisStatusAndWatcher: 'channel' is required and must support send()",
+      "initAmisStatusMessage: 'channel' is required and must support send()",
     );
   }
-  if (!uid) throw new Error("initAmisStatusAndWatcher: 'uid' is required");
+  if (!flowId) throw new Error("initAmisStatusMessage: 'flowId' is required");
   if (
     tradeId === null ||
     tradeId === undefined ||
     (typeof tradeId === "number" && !Number.isFinite(tradeId))
   ) {
-    throw new Error("initAmisStatusAndWatcher: 'tradeId' is required");
+    throw new Error("initAmisStatusMessage: 'tradeId' is required");
   }
 
   const {
-    backfill = true,
     title = "📊 Escrow Status",
     initialDescription = "This will update automatically when the buyer funds the escrow.",
-    updatedDescription = "Buyer has funded",
     overrideBuyerId,
     overrideSellerId,
     priceUsd,
   } = options;
 
   let messageId = null;
-  let unwatch = null;
 
   // Resolve buyer/seller Discord IDs from flow unless explicitly overridden
-  const flow = (await getFlow(uid)) || {};
-  const buyerId =
-    overrideBuyerId ??
-    (flow.role === "buyer" ? uid : flow.counterpartyId) ??
-    null;
-  const sellerId =
-    overrideSellerId ??
-    (flow.role === "seller" ? uid : flow.counterpartyId) ??
-    null;
+  const flow = (await getFlow(flowId)) || {};
+  const { buyerId: flowBuyerId, sellerId: flowSellerId } = resolveLockedRoles(
+    flow,
+    flow.userId,
+  );
+  const buyerId = overrideBuyerId ?? flowBuyerId ?? null;
+  const sellerId = overrideSellerId ?? flowSellerId ?? null;
 
   // Create the status embed if not present (or if the stored message is gone)
   try {
@@ -108,20 +106,17 @@ export async function initAmisStatusAndWatcher({
         messageId = existingMessage?.id ?? null;
       } catch (fetchErr) {
         console.warn(
-          "initAmisStatusAndWatcher: stored status message missing, recreating",
+          "initAmisStatusMessage: stored status message missing, recreating",
           fetchErr?.message ?? fetchErr,
         );
         storedMessageId = null;
         messageId = null;
 
         try {
-          await setFlow(uid, { escrowStatusMessageId: null });
-          if (flow?.counterpartyId) {
-            await setFlow(flow.counterpartyId, { escrowStatusMessageId: null });
-          }
+          await setFlow(flowId, { escrowStatusMessageId: null });
         } catch (persistErr) {
           console.error(
-            "initAmisStatusAndWatcher: failed to clear stale message id:",
+            "initAmisStatusMessage: failed to clear stale message id:",
             persistErr,
           );
         }
@@ -132,14 +127,18 @@ export async function initAmisStatusAndWatcher({
       messageId = null;
     }
 
-    const state = await safeGetTradeState(tradeId);
+    const chainId = flow.chainId ?? null;
+    const state = await safeGetTradeState(tradeId, chainId);
 
     const statusEmbed = buildEscrowStatusEmbed({
-      escrowAddress: AMIS_ADDRESS, // show manager address for explorer link
+      escrowAddress: getManagerAddress(chainId), // show manager address for explorer link
+      chainId,
       buyerId,
       sellerId,
       statusText: state?.statusText ?? "Created",
       amountEth: state?.amountEth ?? "0",
+      amount: state?.amount,
+      tokenSymbol: state?.token?.symbol,
       title,
       description: initialDescription,
       priceUsd,
@@ -157,7 +156,7 @@ export async function initAmisStatusAndWatcher({
         });
       } catch (editErr) {
         console.error(
-          "initAmisStatusAndWatcher: failed to edit existing status embed:",
+          "initAmisStatusMessage: failed to edit existing status embed:",
           editErr,
         );
         existingMessage = null;
@@ -175,15 +174,10 @@ export async function initAmisStatusAndWatcher({
 
       if (messageId) {
         try {
-          await setFlow(uid, { escrowStatusMessageId: messageId });
-          if (flow?.counterpartyId) {
-            await setFlow(flow.counterpartyId, {
-              escrowStatusMessageId: messageId,
-            });
-          }
+          await setFlow(flowId, { escrowStatusMessageId: messageId });
         } catch (persistErr) {
           console.error(
-            "initAmisStatusAndWatcher: failed to persist status message id:",
+            "initAmisStatusMessage: failed to persist status message id:",
             persistErr,
           );
         }
@@ -191,138 +185,132 @@ export async function initAmisStatusAndWatcher({
     }
   } catch (e) {
     console.error(
-      "initAmisStatusAndWatcher: failed to send initial status embed:",
+      "initAmisStatusMessage: failed to send initial status embed:",
       e,
     );
   }
 
-  // Start a watcher for the 'Funded' event (with optional backfill)
-  try {
-    const alreadyStarted = Boolean(flow.escrowWatcherStarted);
-    if (!alreadyStarted) {
-      // Mark started for both parties
-      await setFlow(uid, { escrowWatcherStarted: true });
-      const latest = await getFlow(uid);
-      if (latest?.counterpartyId) {
-        await setFlow(latest.counterpartyId, { escrowWatcherStarted: true });
-      }
-
-      unwatch = watchFunded(
-        tradeId,
-        async () => {
-          try {
-            const updated = await safeGetTradeState(tradeId);
-
-            // Update the embed to reflect the funded state
-            const embed2 = buildEscrowStatusEmbed({
-              escrowAddress: AMIS_ADDRESS,
-              buyerId,
-              sellerId,
-              statusText: updated?.statusText ?? "Funded",
-              amountEth: updated?.amountEth ?? "0",
-              title,
-              description: updatedDescription,
-              priceUsd,
-            });
-
-            // Find current message id from flow (to handle races) and edit the message
-            const current = await getFlow(uid);
-            const currentMsgId = current?.escrowStatusMessageId ?? messageId;
-            if (currentMsgId) {
-              try {
-                const msg = await channel.messages.fetch(currentMsgId);
-                await msg.edit({
-                  embeds: [embed2],
-                  components: buildActionsForStatus(
-                    updated?.status ?? updated?.statusText,
-                  ),
-                });
-              } catch (e) {
-                console.error(
-                  "initAmisStatusAndWatcher: failed to edit status embed:",
-                  e,
-                );
-              }
-            }
-
-            // Notify seller about the next action (deliver)
-            const updatedLabel = String(
-              updated?.statusText ?? "",
-            ).toLowerCase();
-            if (updatedLabel === "funded" && sellerId) {
-              try {
-                const amountEthNum = parseFloat(
-                  String(updated?.amountEth ?? "0"),
-                );
-                const payoutEth = Number.isFinite(amountEthNum)
-                  ? amountEthNum * 0.975
-                  : null;
+  return { messageId };
+}
 
-                const baseUsdNum =
-                  priceUsd != null
-                    ? parseFloat(String(priceUsd).replace(/,/g, ""))
-                    : null;
-                const payoutUsd =
-                  baseUsdNum != null && Number.isFinite(baseUsdNum)
-                    ? baseUsdNum * 0.975
-                    : null;
+/**
+ * Re-render an existing status embed from the trade's current on-chain state.
+ * Action buttons follow the new status (see buildActionsForStatus); the seller's delivery
+ * evidence is listed when there is any.
+ *
+ * @param {Object} params
+ * @param {import('discord.js').TextChannel | import('discord.js').ThreadChannel} params.channel
+ * @param {string|null} params.messageId - status message to edit (no-op when missing)
+ * @param {bigint|number|string} params.tradeId
+ * @param {number|null} [params.chainId] - chain of the trade (null = default chain)
+ * @param {string|null} [params.buyerId]
+ * @param {string|null} [params.sellerId]
+ * @param {string|number|null} [params.priceUsd]
+ * @param {string} [params.description]
+ * @param {string} [params.title]
+ * @returns {Promise<Awaited<ReturnType<typeof getTradeState>> | null>} the state used to render, or null
+ */
+export async function refreshAmisStatusMessage({
+  channel,
+  messageId,
+  tradeId,
+  chainId = null,
+  buyerId,
+  sellerId,
+  priceUsd,
+  description,
+  title,
+}) {
+  const state = await safeGetTradeState(tradeId, chainId);
+  if (!state || !channel || !messageId) return state;
 
-                const fmt = (n, d = 6) =>
-                  n == null || !Number.isFinite(n)
-                    ? null
-                    : Number(n)
-                        .toFixed(d)
-                        .replace(/(\.\d*?[1-9])0+$/u, "$1")
-                        .replace(/\.0+$/u, ".0")
-                        .replace(/\.$/u, "");
+  const embed = buildEscrowStatusEmbed({
+    escrowAddress: getManagerAddress(chainId),
+    chainId,
+    buyerId,
+    sellerId,
+    statusText: state.statusText,
+    amountEth: state.amountEth,
+    amount: state.amount,
+    tokenSymbol: state.token.symbol,
+    priceUsd,
+    evidence: await loadDeliveryEvidence(getManagerAddress(chainId), tradeId),
+    description,
+    ...(title ? { title } : {}),
+  });
 
-                const payoutEthStr = fmt(payoutEth, 6);
-                const payoutUsdStr =
-                  payoutUsd == null
-                    ? null
-                    : Number(payoutUsd)
-                        .toFixed(2)
-                        .replace(/(\.\d*?[1-9])0+$/u, "$1")
-                        .replace(/\.0+$/u, ".0")
-                        .replace(/\.$/u, "");
+  try {
+    await safeThreadPatchMessage(
+      channel,
+      messageId,
+      {
+        embeds: [embed],
+        components: buildActionsForStatus(state.status),
+      },
+      { extendDurationTo: 1440 },
+    );
+  } catch (e) {
+    console.error("refreshAmisStatusMessage: failed to edit status embed:", e);
+  }
+  return state;
+}
 
-                const payoutLine =
-                  payoutEthStr && payoutUsdStr
-                    ? ` Seller will receive ~ ${payoutEthStr} ETH (~$${payoutUsdStr}) after 2.5% fee.`
-                    : payoutEthStr
-                      ? ` Seller will receive ~ ${payoutEthStr} ETH after 2.5% fee.`
-                      : "";
+/**
+ * Resolve the Discord context of a trade from its escrows row: the thread, the
+ * thread's flow (USD price, status message), parties, status message id and chain.
+ *
+ * @param {import('discord.js').Client} client
+ * @param {{ threadId?: string|null, channelId?: string|null, statusMessageId?: string|null, buyerDiscordId?: string|null, sellerDiscordId?: string|null, managerAddress?: string|null, chainId?: number|null }} escrow
+ * @returns {Promise<{ channel: any, flow: object|null, buyerId: string|null, sellerId: string|null, messageId: string|null, priceUsd: string|null, chainId: number|null } | null>}
+ *   null when the thread cannot be fetched
+ */
+export async function loadTradeThreadContext(client, escrow) {
+  const channelId = escrow?.threadId ?? escrow?.channelId ?? null;
+  if (!channelId) return null;
 
-                await channel.send({
-                  content: `<@${sellerId}> Buyer has funded.${payoutLine} Please deliver and click the 'Mark Delivered' button.`,
-                  allowedMentions: { users: [String(sellerId)], parse: [] },
-                });
-              } catch (e3) {
-                console.error("notify seller failed:", e3);
-              }
-            }
-          } catch (e) {
-            console.error("initAmisStatusAndWatcher: funded update failed:", e);
-          }
-        },
-        { emitOnStart: !!backfill },
-      );
-    }
+  let channel = null;
+  try {
+    channel = await client.channels.fetch(channelId);
   } catch (e) {
-    console.error("initAmisStatusAndWatcher: failed to start watcher:", e);
+    console.warn(
+      "loadTradeThreadContext: trade thread not reachable:",
+      e?.message ?? e,
+    );
+    return null;
+  }
+  if (!channel) return null;
+
+  let flow = null;
+  try {
+    flow = await getFlowByThread(escrow.threadId);
+  } catch {
+    flow = null;
   }
 
-  return { messageId, unwatch };
+  return {
+    channel,
+    flow,
+    buyerId: escrow.buyerDiscordId ?? flow?.buyerDiscordId ?? null,
+    sellerId: escrow.sellerDiscordId ?? flow?.sellerDiscordId ?? null,
+    messageId: escrow.statusMessageId ?? flow?.escrowStatusMessageId ?? null,
+    priceUsd: flow?.priceUsd ?? null,
+    chainId:
+      escrow.chainId ??
+      flow?.chainId ??
+      chainForManager(escrow.managerAddress)?.id ??
+      null,
+  };
 }
 
 /**
  * Read trade state safely and log (don't throw) on errors.
  * @param {bigint|number|string} tradeId
+ * @param {number|null} [chainId]
  * @returns {Promise<ReturnType<typeof getTradeState> | null>}
  */
-async function safeGetTradeState(tradeId) {
+async function safeGetTradeState(tradeId, chainId = null) {
   try {
-    return await getTradeState(tradeId);
+    return await getTradeState(tradeId, { chainId });
   } catch (e) {
     console.warn("safeGetTradeState: failed to read state:", e?.message ?? e);
     return null;
@@ -330,6 +318,8 @@ async function safeGetTradeState(tradeId) {
 }
 
 export default {
-  initAmisStatusAndWatcher,
+  initAmisStatusMessage,
+  refreshAmisStatusMessage,
+  loadTradeThreadContext,
   AMIS_STATUS,
 };
@@ -4,61 +4,73 @@
  * Amis trade flow utility:
  * - Create a trade on the AmisEscrowManager (bot-only call)
  * - Persist creation context in DB (manager + tradeId)
- * - Initialize the status embed + watcher for the trade
- * - Start a lightweight Funded watcher to persist DB status/amount
+ * - Initialize the status embed for the trade
+ *   (later status changes are applied by the indexer, see amisIndexer.js / amisWatcher.js)
  *
  * Usage:
  *   import { createAndAnnounceAmisTrade } from "./amisTradeFlow.js";
  *
  *   const { txHash, tradeId, messageId } = await createAndAnnounceAmisTrade({
  *     channel,            // Discord thread/channel
- *     uid,                // initiating user's id (flow owner)
+ *     uid,                // user who triggered creation (recorded as creator)
+ *     flowId,             // id of the thread's flow
  *     buyerAddress,       // EOA address
  *     sellerAddress,      // EOA address
  *     amountEth,          // optional (string/number); base amount in ETH
+ *     chainId,            // optional chain (see chains.js); default chain when omitted
+ *     tokenAddress,       // optional ERC-20 (see tokens.js); then pass `amount` in token units
+ *     amount,             // optional (string/number); base amount in the trade's asset
  *     initOptions: {      // optional embed options
- *       backfill: true,
  *       title: "Escrow Status",
  *       initialDescription: "...",
- *       updatedDescription: "...",
  *     },
  *   });
  */
 
-import { parseEther } from "ethers";
-import { AMIS_ADDRESS } from "./amisContract.js";
+import { parseUnits } from "ethers";
+import { getManagerAddress } from "./amisContract.js";
+import { getChain } from "./chains.js";
 import {
   createTrade as amisCreateTrade,
+  createTokenTrade as amisCreateTokenTrade,
   deriveTradeIdFromTx,
-  watchFunded,
 } from "./amis.js";
-import { initAmisStatusAndWatcher } from "./amisStatus.js";
+import { assertGasForNewTrade } from "./gasMonitor.js";
+import { resolveToken } from "./tokens.js";
+import { setTxAuditTradeId } from "./txAuditRepo.js";
+import { initAmisStatusMessage } from "./amisStatus.js";
 import { getFlow, setFlow } from "./flowRepo.js";
 import {
   recordAmisTradeCreation,
   setStatusMessageIdByManagerTrade,
-  setEscrowStatusByManagerTrade,
-  ESCROW_STATUS,
 } from "./escrowRepo.js";
 
 /**
- * Create a trade, record it, and initialize the status embed + watcher.
+ * Create a trade, record it, and initialize the status embed.
  *
  * @param {Object} params
  * @param {import('discord.js').TextChannel | import('discord.js').ThreadChannel} params.channel
  * @param {string} params.uid
+ * @param {string} params.flowId
  * @param {string} params.buyerAddress
  * @param {string} params.sellerAddress
  * @param {string|number} [params.amountEth] - optional base escrow amount in ETH (for UI consistency)
- * @param {Object} [params.initOptions] - options forwarded to initAmisStatusAndWatcher
+ * @param {number|null} [params.chainId] - chain to create the trade on (null = default chain)
+ * @param {string|null} [params.tokenAddress] - ERC-20 to escrow in (null = native coin)
+ * @param {string|number} [params.amount] - base escrow amount in the trade's asset (takes precedence over amountEth)
+ * @param {Object} [params.initOptions] - options forwarded to initAmisStatusMessage
  * @returns {Promise<{ txHash: `0x${string}` | null, tradeId: string | null, messageId: string | null }>}
  */
 export async function createAndAnnounceAmisTrade({
   channel,
   uid,
+  flowId,
   buyerAddress,
   sellerAddress,
   amountEth,
+  chainId = null,
+  tokenAddress = null,
+  amount,
   initOptions,
 }) {
   if (!channel || typeof channel.send !== "function") {
@@ -67,6 +79,8 @@ export async function createAndAnnounceAmisTrade({
     );
   }
   if (!uid) throw new Error("createAndAnnounceAmisTrade: 'uid' is required");
+  if (!flowId)
+    throw new Error("createAndAnnounceAmisTrade: 'flowId' is required");
   if (!buyerAddress || !sellerAddress) {
     throw new Error(
       "createAndAnnounceAmisTrade: 'buyerAddress' and 'sellerAddress' are required",
@@ -84,29 +98,52 @@ export async function createAndAnnounceAmisTrade({
   });
 
   try {
-    // 2) Convert amountEth (if provided) to wei for on-chain base amount
-    let amountWei = null;
+    // 2) Convert the amount (if provided) to wei / token units for the on-chain base amount
+    const chain = getChain(chainId);
+    // Refused while the bot wallet cannot pay for the trade's transactions
+    await assertGasForNewTrade(chain.id);
+    const managerAddress = getManagerAddress(chain.id);
+    const token = await resolveToken(tokenAddress, chain.id);
+    const amountInput = amount ?? amountEth;
+    let amountUnits = null;
     if (
-      amountEth !== undefined &&
-      amountEth !== null &&
-      String(amountEth).trim() !== ""
+      amountInput !== undefined &&
+      amountInput !== null &&
+      String(amountInput).trim() !== ""
     ) {
       try {
-        amountWei = parseEther(String(amountEth));
+        amountUnits = parseUnits(String(amountInput), token.decimals);
       } catch (e) {
-        // Non-fatal: proceed without amount hint; contract's createTrade requires amount
-        // If amount is required by your UX, ensure amountEth is provided upstream.
-        throw new Error(`Invalid amountEth: ${e?.message || e}`);
+        // If amount is required by your UX, ensure it is provided upstream.
+        throw new Error(`Invalid amount: ${e?.message || e}`);
       }
     }
-    if (amountWei == null) {
+    if (amountUnits == null) {
       throw new Error(
-        "Base amount (amountEth) is required for Amis createTrade. Provide 'amountEth' as a string or number.",
+        `Base amount (${token.symbol}) is required for Amis createTrade. Provide 'amount' as a string or number.`,
       );
     }
 
     // 3) Create via manager (bot-only); returns tx hash and tries to decode tradeId
-    const res = await amisCreateTrade(buyerAddress, sellerAddress, amountWei);
+    const txOptions = {
+      chainId: chain.id,
+      actorDiscordId: uid,
+      source: "trade_setup",
+    };
+    const res = token.isNative
+      ? await amisCreateTrade(
+          buyerAddress,
+          sellerAddress,
+          amountUnits,
+          txOptions,
+        )
+      : await amisCreateTokenTrade(
+          buyerAddress,
+          sellerAddress,
+          token.address,
+          amountUnits,
+          txOptions,
+        );
     txHash = res?.txHash ?? null;
     try {
       await creatingMsg.edit({
@@ -146,7 +183,9 @@ export async function createAndAnnounceAmisTrade({
     // Fallback: attempt deriving tradeId from the tx receipt if missing
     if (!tradeId && txHash) {
       try {
-        const derived = await deriveTradeIdFromTx(txHash);
+        const derived = await deriveTradeIdFromTx(txHash, {
+          chainId: chain.id,
+        });
         if (derived && derived > 0n) {
           tradeId = String(derived);
         }
@@ -157,17 +196,23 @@ export async function createAndAnnounceAmisTrade({
       }
     }
 
-    // 4) Store tradeId in both sides' flow
+    // 4) Store tradeId in the trade's flow (and on the createTrade audit row)
     if (tradeId) {
-      await setFlow(uid, { tradeId });
-      const flow2 = await getFlow(uid);
-      if (flow2?.counterpartyId) {
-        await setFlow(flow2.counterpartyId, { tradeId });
+      await setFlow(flowId, { tradeId, chainId: chain.id });
+      if (txHash) {
+        try {
+          await setTxAuditTradeId(txHash, tradeId);
+        } catch (e) {
+          console.warn(
+            "amisTradeFlow: failed to link tx audit to trade",
+            e?.message || e,
+          );
+        }
       }
     }
 
     // 5) Persist creation in DB with Discord context and parties
-    const full = await getFlow(uid);
+    const full = await getFlow(flowId);
     const isThread =
       typeof channel?.isThread === "function"
         ? channel.isThread()
@@ -179,16 +224,16 @@ export async function createAndAnnounceAmisTrade({
 
     const buyerDiscordId =
       full?.buyerDiscordId ??
-      (full?.role === "buyer" ? uid : full?.counterpartyId) ??
+      (full?.role === "buyer" ? full?.userId : full?.counterpartyId) ??
       null;
     const sellerDiscordId =
       full?.sellerDiscordId ??
-      (full?.role === "seller" ? uid : full?.counterpartyId) ??
+      (full?.role === "seller" ? full?.userId : full?.counterpartyId) ??
       null;
 
     try {
       await recordAmisTradeCreation({
-        managerAddress: AMIS_ADDRESS,
+        managerAddress,
         tradeId,
         factoryTxHash: txHash,
         channelId,
@@ -199,46 +244,26 @@ export async function createAndAnnounceAmisTrade({
         sellerDiscordId,
         buyerAddress: full?.buyerAddress ?? buyerAddress ?? null,
         sellerAddress: full?.sellerAddress ?? sellerAddress ?? null,
+        tokenAddress: token.address,
+        chainId: chain.id,
       });
     } catch (e) {
       // non-fatal
       console.error("DB recordAmisTradeCreation failed:", e);
     }
 
-    // 6) Lightweight DB watcher for 'Funded' to persist amount/status
-    try {
-      if (tradeId) {
-        watchFunded(
-          tradeId,
-          async (evt) => {
-            try {
-              await setEscrowStatusByManagerTrade(AMIS_ADDRESS, tradeId, {
-                status: ESCROW_STATUS.Funded,
-                amountWei: evt?.amountWei ?? null,
-              });
-            } catch (e2) {
-              console.error("DB persist funded failed:", e2);
-            }
-          },
-          { emitOnStart: true },
-        );
-      }
-    } catch (e) {
-      console.error("Failed to start DB funded watcher:", e);
-    }
-
-    // 7) Edit the progress message to success
+    // 6) Edit the progress message to success
     await creatingMsg.edit({
       content: `✅ Trade created! Trade ID: ${tradeId}`,
     });
 
-    // 8) Initialize the status embed + watcher
+    // 7) Initialize the status embed
     if (tradeId) {
       try {
         // Pass explicit USD price to the status embed options
         let optionsToUse = { ...(initOptions ?? {}) };
         try {
-          const flowForPrice = await getFlow(uid);
+          const flowForPrice = await getFlow(flowId);
           const usdPrice = flowForPrice?.priceUsd;
           if (usdPrice != null) {
             optionsToUse.priceUsd = usdPrice;
@@ -247,9 +272,9 @@ export async function createAndAnnounceAmisTrade({
           console.error("Failed to derive USD price for status embed:", eOpt);
         }
 
-        const { messageId: statusMsgId } = await initAmisStatusAndWatcher({
+        const { messageId: statusMsgId } = await initAmisStatusMessage({
           channel,
-          uid,
+          flowId,
           tradeId,
           options: optionsToUse,
         });
@@ -258,7 +283,7 @@ export async function createAndAnnounceAmisTrade({
         if (messageId) {
           try {
             await setStatusMessageIdByManagerTrade(
-              AMIS_ADDRESS,
+              managerAddress,
               tradeId,
               messageId,
             );
@@ -268,7 +293,7 @@ export async function createAndAnnounceAmisTrade({
         }
       } catch (e) {
         console.error(
-          "createAndAnnounceAmisTrade: failed to init status embed/watcher:",
+          "createAndAnnounceAmisTrade: failed to init status embed:",
           e,
         );
       }
@@ -0,0 +1,272 @@
+/**
+ * Manager-wide trade transitions for AmisEscrowManager.
+ *
+ * Every manager event (all trades, all events in the ABI) is routed to the trade's
+ * thread through the escrows table (manager_address + trade_id). Events are delivered
+ * by the block-cursor indexer (amisIndexer.js), which replays logs after restarts and
+ * only hands over blocks at the configured confirmation depth.
+ *
+ * For every status transition this module:
+ * - updates escrows.status (forward-only compare-and-set, see
+ *   transitionEscrowStatusByManagerTrade), so a state read at a lagging block never moves
+ *   a trade back, and nothing is announced when the row did not change
+ * - re-renders the status embed in the thread
+ * - posts a short notice for the parties (and moderators on disputes)
+ *
+ * On-chain state is authoritative: the trade is moved to the status read on-chain
+ * (optionally as of a given block), so event order, duplicate logs (e.g. BuyerFeeSplit
+ * + Funded in the same tx) and replays after a reorg do not matter.
+ *
+ * Bot button flows (mark delivered, approve, dispute, ...) persist the new status right
+ * after their receipt and post their own messages, so they win the compare-and-set; this
+ * module only announces transitions nobody else recorded (wallet funding, other bot
+ * instances, scripts using the bot key, downtime).
+ *
+ * Trades live on one chain (chains.js): pass `chainId` in the options (default chain
+ * when omitted); the manager on that chain is used for the escrows lookup.
+ *
+ * Usage:
+ *   import { applyTradeTransition } from "./amisWatcher.js";
+ *   await applyTradeTransition(client, tradeId, { chainId, blockTag: safeBlock });
+ */
+
+import { getManagerAddress } from "./amisContract.js";
+import { getTradeState, AMIS_STATUS } from "./amis.js";
+import {
+  loadTradeThreadContext,
+  refreshAmisStatusMessage,
+} from "./amisStatus.js";
+import {
+  getEscrowByManagerTrade,
+  listEscrowsByManagerStatus,
+  transitionEscrowStatusByManagerTrade,
+  ESCROW_STATUS,
+} from "./escrowRepo.js";
+import { notifyModerators } from "./notify.js";
+import { safeThreadSend } from "./threads.js";
+
+const OPEN_STATUSES = [
+  ESCROW_STATUS.Created,
+  ESCROW_STATUS.Funded,
+  ESCROW_STATUS.Delivered,
+  ESCROW_STATUS.Disputed,
+];
+
+/**
+ * Bring every open trade on a chain in line with on-chain state.
+ * @param {import('discord.js').Client} client
+ * @param {{ chainId?: number|null, blockTag?: number|bigint|string }} [options] - chain, and read state as of a given block
+ * @returns {Promise<{ checked: number, changed: number }>}
+ */
+export async function reconcileOpenTrades(client, options = {}) {
+  const rows = await listEscrowsByManagerStatus(
+    getManagerAddress(options.chainId),
+    OPEN_STATUSES,
+    500,
+  );
+  let changed = 0;
+  for (const escrow of rows) {
+    const res = await applyTradeTransition(client, escrow.tradeId, options);
+    if (res.changed) changed += 1;
+  }
+  return { checked: rows.length, changed };
+}
+
+/**
+ * Move a trade to its on-chain status. When the stored status actually changes,
+ * refresh the status embed and announce the transition in the thread.
+ * Errors are logged, not thrown (see syncTradeStatus).
+ *
+ * @param {import('discord.js').Client} client
+ * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null, blockTag?: number|bigint|string }} [options] - chain, and read state as of a given block
+ * @returns {Promise<{ changed: boolean, status: number | null }>}
+ */
+export async function applyTradeTransition(client, tradeId, options = {}) {
+  try {
+    return await syncTradeStatus(client, tradeId, options);
+  } catch (e) {
+    console.error(`Amis transition: trade ${tradeId} update failed:`, e);
+    return { changed: false, status: null };
+  }
+}
+
+/**
+ * Same as applyTradeTransition, but RPC/DB errors are thrown so callers that must not
+ * skip a trade (the block indexer) can retry.
+ *
+ * @param {import('discord.js').Client} client
+ * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null, blockTag?: number|bigint|string }} [options] - chain, and read state as of a given block
+ * @returns {Promise<{ changed: boolean, status: number | null }>}
+ */
+export async function syncTradeStatus(client, tradeId, options = {}) {
+  const managerAddress = getManagerAddress(options.chainId);
+  const escrow = await getEscrowByManagerTrade(managerAddress, tradeId);
+  if (!escrow) return { changed: false, status: null }; // not created by this bot
+
+  const state = await getTradeState(tradeId, options);
+  const prevStatus = escrow.status;
+  const updated = await transitionEscrowStatusByManagerTrade(
+    managerAddress,
+    tradeId,
+    state.status,
+    { amountWei: state.amountWei },
+  );
+  if (!updated) return { changed: false, status: state.status };
+
+  try {
+    const ctx = await loadTradeThreadContext(client, updated);
+    if (ctx) {
+      await refreshAmisStatusMessage({
+        channel: ctx.channel,
+        messageId: ctx.messageId,
+        tradeId,
+        chainId: ctx.chainId,
+        buyerId: ctx.buyerId,
+        sellerId: ctx.sellerId,
+        priceUsd: ctx.priceUsd,
+        description: describeTransition(state.status, prevStatus),
+      });
+      await announceTransition(client, ctx, state, prevStatus);
+    }
+  } catch (e) {
+    // Status is already stored; a retry would not announce again
+    console.error(`Amis transition: trade ${tradeId} notice failed:`, e);
+  }
+  return { changed: true, status: state.status };
+}
+
+/**
+ * Status embed description for a transition.
+ * @param {number} status
+ * @param {number|null} prevStatus
+ */
+function describeTransition(status, prevStatus) {
+  switch (status) {
+    case AMIS_STATUS.Funded:
+      return "Buyer has funded";
+    case AMIS_STATUS.Delivered:
+      return "Seller marked as Delivered.";
+    case AMIS_STATUS.Completed:
+      return prevStatus === ESCROW_STATUS.Disputed
+        ? "Dispute resolved. Funds distributed."
+        : "Funds released.";
+    case AMIS_STATUS.Cancelled:
+      return "Trade cancelled.";
+    case AMIS_STATUS.Disputed:
+      return "A dispute was raised. Release is paused until a moderator resolves it.";
+    default:
+      return "Status updated.";
+  }
+}
+
+/**
+ * Post the thread notice for a transition.
+ * @param {import('discord.js').Client} client
+ * @param {Awaited<ReturnType<typeof loadTradeThreadContext>>} ctx
+ * @param {Awaited<ReturnType<typeof getTradeState>>} state
+ * @param {number|null} prevStatus
+ */
+async function announceTransition(client, ctx, state, prevStatus) {
+  const { channel, buyerId, sellerId } = ctx;
+  let content = null;
+  let users = [];
+
+  switch (state.status) {
+    case AMIS_STATUS.Funded: {
+      if (!sellerId) break;
+      content = `<@${sellerId}> Buyer has funded.${buildPayoutLine(state.amount, ctx.priceUsd, state.token.symbol)} Please deliver and click the 'Mark Delivered' button.`;
+      users = [sellerId];
+      break;
+    }
+    case AMIS_STATUS.Delivered: {
+      if (!buyerId) break;
+      const deadline = state.deadlineSec;
+      content =
+        `🔔 <@${buyerId}> Seller marked delivered. Please approve & release.` +
+        (deadline
+          ? `\n⏳ Auto‑release available at: <t:${deadline}:F> (that is <t:${deadline}:R>).`
+          : "");
+      users = [buyerId];
+      break;
+    }
+    case AMIS_STATUS.Completed: {
+      users = [buyerId, sellerId].filter(Boolean);
+      content =
+        prevStatus === ESCROW_STATUS.Disputed
+          ? `⚖️ ${users.map((id) => `<@${id}>`).join(" ")} Dispute resolved on-chain. Funds distributed.`
+          : `🎉 ${users.map((id) => `<@${id}>`).join(" ")} Funds released to the seller.`;
+      break;
+    }
+    case AMIS_STATUS.Cancelled: {
+      users = [buyerId, sellerId].filter(Boolean);
+      content = `❌ ${users.map((id) => `<@${id}>`).join(" ")} Trade cancelled on-chain.`;
+      break;
+    }
+    case AMIS_STATUS.Disputed: {
+      users = [buyerId, sellerId].filter(Boolean);
+      content = `⚖️ ${users.map((id) => `<@${id}>`).join(" ")} A dispute was opened on-chain. Release is paused while a moderator reviews this trade.`;
+      await notifyModerators({
+        client,
+        fallbackChannel: channel,
+        message: `Dispute opened on-chain for trade #${state.tradeId} in <#${channel.id}>. Open the thread and use "Resolve Dispute (Admin)" on the status message to settle it.`,
+      });
+      break;
+    }
+    default:
+      break;
+  }
+
+  if (!content) return;
+  try {
+    await safeThreadSend(channel, {
+      content,
+      allowedMentions: { users: users.map(String), parse: [] },
+    });
+  } catch (e) {
+    console.error("Amis transition notice failed:", e);
+  }
+}
+
+/**
+ * " Seller will receive ~ X ETH (~$Y) after 2.5% fee." (or "" when unknown)
+ * @param {string|number|null} amount - base amount in the trade's asset
+ * @param {string|number|null} priceUsd
+ * @param {string} [symbol] - asset symbol
+ */
+function buildPayoutLine(amount, priceUsd, symbol = "ETH") {
+  const amountEthNum = parseFloat(String(amount ?? "0"));
+  const payoutEth = Number.isFinite(amountEthNum) ? amountEthNum * 0.975 : null;
+
+  const baseUsdNum =
+    priceUsd != null ? parseFloat(String(priceUsd).replace(/,/g, "")) : null;
+  const payoutUsd =
+    baseUsdNum != null && Number.isFinite(baseUsdNum)
+      ? baseUsdNum * 0.975
+      : null;
+
+  const fmt = (n, d = 6) =>
+    n == null || !Number.isFinite(n)
+      ? null
+      : Number(n)
+          .toFixed(d)
+          .replace(/(\.\d*?[1-9])0+$/u, "$1")
+          .replace(/\.0+$/u, ".0")
+          .replace(/\.$/u, "");
+
+  const payoutEthStr = fmt(payoutEth, 6);
+  const payoutUsdStr = fmt(payoutUsd, 2);
+
+  if (payoutEthStr && payoutUsdStr)
+    return ` Seller will receive ~ ${payoutEthStr} ${symbol} (~$${payoutUsdStr}) after 2.5% fee.`;
+  if (payoutEthStr)
+    return ` Seller will receive ~ ${payoutEthStr} ${symbol} after 2.5% fee.`;
+  return "";
+}
+
+export default {
+  reconcileOpenTrades,
+  applyTradeTransition,
+  syncTradeStatus,
+};
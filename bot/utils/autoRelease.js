@@ -0,0 +1,260 @@
+/**
+ * Auto-release scheduler for Delivered Amis trades.
+ *
+ * The contract allows the bot to call releaseAfterTimeout(tradeId) once
+ * deliveryTimestamp + releaseTimeout has passed. This module scans escrows rows
+ * in Delivered status on startup and then periodically, and releases every trade
+ * whose timeout has elapsed (see isReleaseReady in fees.js).
+ *
+ * Exactly-once:
+ * - Each release runs under the same lock as the buyer's "Approve & Release"
+ *   (keyFor("approve_release", chainId, tradeId)), so a manual approval and an
+ *   auto-release can never be submitted concurrently.
+ * - On-chain state is re-read inside the lock; only a trade still in Delivered is released.
+ * - The escrows row is moved to Completed afterwards, so later scans skip it. Rows whose
+ *   on-chain status moved on by other means (approved, disputed) are re-synced with
+ *   applyTradeTransition.
+ *
+ * Environment (optional):
+ * - AUTO_RELEASE_INTERVAL_MS: scan interval in ms (default 60000, min 10000)
+ * - AUTO_RELEASE_DISABLED=true: do not start the scheduler
+ *
+ * Usage:
+ *   import { startAutoReleaseScheduler } from "./autoRelease.js";
+ *   startAutoReleaseScheduler(client); // e.g. from the clientReady event
+ */
+
+import { getManagerAddress } from "./amisContract.js";
+import { getTradeState, releaseAfterTimeout, AMIS_STATUS } from "./amis.js";
+import {
+  loadTradeThreadContext,
+  refreshAmisStatusMessage,
+} from "./amisStatus.js";
+import { applyTradeTransition } from "./amisWatcher.js";
+import { getChain, listChains } from "./chains.js";
+import { getChainClients } from "./client.js";
+import {
+  listEscrowsByManagerStatus,
+  setEscrowStatusByManagerTrade,
+  ESCROW_STATUS,
+} from "./escrowRepo.js";
+import { isReleaseReady } from "./fees.js";
+import { keyFor, withLockThenCooldown } from "./locks.js";
+import { safeThreadSend } from "./threads.js";
+
+const DEFAULT_INTERVAL_MS = 60_000;
+const MIN_INTERVAL_MS = 10_000;
+
+let timer = null;
+let running = false;
+
+function resolveIntervalMs() {
+  const n = parseInt(String(process.env.AUTO_RELEASE_INTERVAL_MS ?? ""), 10);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_INTERVAL_MS;
+  return Math.max(MIN_INTERVAL_MS, n);
+}
+
+/**
+ * Start the periodic scan (idempotent). Runs one scan immediately.
+ * @param {import('discord.js').Client} client
+ * @returns {{ stop: () => void } | null} null when disabled
+ */
+export function startAutoReleaseScheduler(client) {
+  if (process.env.AUTO_RELEASE_DISABLED?.toLowerCase() === "true") {
+    console.log("Auto-release scheduler disabled (AUTO_RELEASE_DISABLED).");
+    return null;
+  }
+  if (timer) return { stop: stopAutoReleaseScheduler };
+
+  const intervalMs = resolveIntervalMs();
+  timer = setInterval(() => {
+    void runAutoReleaseScan(client);
+  }, intervalMs);
+  void runAutoReleaseScan(client);
+  console.log(`Auto-release scheduler started (every ${intervalMs}ms).`);
+  return { stop: stopAutoReleaseScheduler };
+}
+
+/**
+ * Stop the periodic scan.
+ */
+export function stopAutoReleaseScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Whether the scheduler is running, and whether a scan is in progress.
+ * @returns {{ active: boolean, scanning: boolean }}
+ */
+export function getAutoReleaseStatus() {
+  return { active: timer !== null, scanning: running };
+}
+
+/**
+ * Scan Delivered trades once and release those past their timeout.
+ * Overlapping scans are skipped.
+ * @param {import('discord.js').Client} client
+ * @returns {Promise<{ scanned: number, released: number }>}
+ */
+export async function runAutoReleaseScan(client) {
+  if (running) return { scanned: 0, released: 0 };
+  running = true;
+  let scanned = 0;
+  let released = 0;
+  try {
+    const rows = [];
+    for (const chain of listChains()) {
+      rows.push(
+        ...(await listEscrowsByManagerStatus(
+          chain.managerAddress,
+          ESCROW_STATUS.Delivered,
+          200,
+        )),
+      );
+    }
+    for (const escrow of rows) {
+      scanned += 1;
+      try {
+        if (await processEscrow(client, escrow)) released += 1;
+      } catch (e) {
+        console.error(
+          `Auto-release failed for trade ${escrow.tradeId}:`,
+          e?.message ?? e,
+        );
+      }
+    }
+  } catch (e) {
+    console.error("Auto-release scan failed:", e);
+  } finally {
+    running = false;
+  }
+  return { scanned, released };
+}
+
+/**
+ * Release a single trade if ready. Returns true when this call released it.
+ * @param {import('discord.js').Client} client
+ * @param {object} escrow - row from escrowRepo
+ */
+async function processEscrow(client, escrow) {
+  const tradeId = escrow.tradeId;
+  const chainId = escrow.chainId;
+  const state = await getTradeState(tradeId, { chainId });
+
+  if (state.status !== AMIS_STATUS.Delivered) {
+    // Settled elsewhere (buyer approved, dispute opened, ...): re-sync the row
+    await applyTradeTransition(client, tradeId, { chainId });
+    return false;
+  }
+
+  const nowSec = Math.floor(Date.now() / 1000);
+  if (
+    !state.deliveredAtSec ||
+    !isReleaseReady(nowSec, state.deliveredAtSec, state.releaseTimeoutSec)
+  ) {
+    return false;
+  }
+
+  const res = await releaseTradeAfterTimeout(tradeId, {
+    chainId,
+    source: "auto_release",
+  });
+  // Locked (manual approval in flight), settled meanwhile, or no lock store: next scan
+  if (!res.ok) return false;
+
+  await announceRelease(client, escrow);
+  return true;
+}
+
+/**
+ * Submit releaseAfterTimeout under keyFor("approve_release", chainId, id) and persist Completed.
+ * The caller checks the timeout; transaction errors are thrown.
+ * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null, actorDiscordId?: string|null, source?: string|null }} [audit] - chain of the trade; the rest is recorded in tx_audit
+ * @returns {Promise<{ ok: true, txHash: `0x${string}` } | { ok: false, reason: "not_delivered"|"locked"|"cooldown"|"unavailable", remainingMs?: number }>}
+ */
+export async function releaseTradeAfterTimeout(
+  tradeId,
+  audit = { source: "auto_release" },
+) {
+  const res = await withLockThenCooldown(
+    keyFor("approve_release", getChain(audit.chainId).id, String(tradeId)),
+    10000,
+    5000,
+    async () => {
+      // Re-check under the lock: a manual approval may have landed meanwhile
+      const latest = await getTradeState(tradeId, { chainId: audit.chainId });
+      if (latest.status !== AMIS_STATUS.Delivered) return null;
+      const tx = await releaseAfterTimeout(tradeId, audit);
+      await getChainClients(
+        audit.chainId,
+      ).publicClient.waitForTransactionReceipt({ hash: tx });
+      return tx;
+    },
+  );
+  if (!res.ok) {
+    if (res.error) throw res.error;
+    // "locked" / "cooldown": another run is in flight; "unavailable": no lock store
+    return { ok: false, reason: res.reason, remainingMs: res.remainingMs };
+  }
+  if (!res.value) return { ok: false, reason: "not_delivered" };
+
+  try {
+    await setEscrowStatusByManagerTrade(
+      getManagerAddress(audit.chainId),
+      tradeId,
+      {
+        status: ESCROW_STATUS.Completed,
+      },
+    );
+  } catch (e) {
+    console.error("DB persist auto-release failed:", e);
+  }
+  return { ok: true, txHash: res.value };
+}
+
+/**
+ * Refresh the status embed and post a completion notice in the trade thread.
+ * @param {import('discord.js').Client} client
+ * @param {object} escrow
+ * @param {{ description?: string, notice?: string }} [text] - embed description / thread notice
+ */
+export async function announceRelease(client, escrow, text = {}) {
+  const {
+    description = "Release timeout elapsed. Funds auto-released to the seller.",
+    notice = "Release timeout elapsed. Funds were auto-released to the seller.",
+  } = text;
+  const ctx = await loadTradeThreadContext(client, escrow);
+  if (!ctx) return;
+
+  await refreshAmisStatusMessage({
+    channel: ctx.channel,
+    messageId: ctx.messageId,
+    tradeId: escrow.tradeId,
+    chainId: ctx.chainId,
+    buyerId: ctx.buyerId,
+    sellerId: ctx.sellerId,
+    priceUsd: ctx.priceUsd,
+    description,
+  });
+
+  const mentions = [ctx.buyerId, ctx.sellerId].filter(Boolean).map(String);
+  try {
+    await safeThreadSend(ctx.channel, {
+      content: `🎉 ${mentions.map((id) => `<@${id}>`).join(" ")} ${notice}`,
+      allowedMentions: { users: mentions, parse: [] },
+    });
+  } catch (e) {
+    console.error("Auto-release notice failed:", e);
+  }
+}
+
+export default {
+  startAutoReleaseScheduler,
+  stopAutoReleaseScheduler,
+  getAutoReleaseStatus,
+  runAutoReleaseScan,
+  releaseTradeAfterTimeout,
+  announceRelease,
+};
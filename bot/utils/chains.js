@@ -0,0 +1,241 @@
+/**
+ * chains.js
+ *
+ * Registry of the networks the bot runs trades on. One bot instance can serve several
+ * chains; each trade is created on one of them and keeps it for its whole life.
+ *
+ * Configuration:
+ * - CHAINS_CONFIG_PATH (optional): JSON file with an array of chains, e.g.
+ *     [
+ *       {
+ *         "id": 8453,
+ *         "name": "Base",
+ *         "rpcUrls": ["https://mainnet.base.org"],
+ *         "managerAddress": "0x…",
+ *         "explorerUrl": "https://basescan.org",
+ *         "nativeSymbol": "ETH",
+ *         "tokens": { "USDC": "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913" },
+ *         "startBlock": 12345678
+ *       }
+ *     ]
+ *   explorerUrl, nativeSymbol (default ETH), tokens and startBlock (first block the
+ *   indexer reads when it has no cursor, e.g. the deployment block) are optional.
+ * - Without it, a single chain is built from NETWORK_CHAIN_ID, NETWORK_RPC_URL,
+ *   AMIS_ESCROW_ADDRESS and EXPLORER_BASE_URL (the single-network setup).
+ *   NETWORK_RPC_URL may list several comma-separated URLs.
+ * - Several rpcUrls make a failover pool (see rpcPool.js).
+ *
+ * Notes:
+ * - The chain with id NETWORK_CHAIN_ID is the default (otherwise the first entry). It is used
+ *   when no chain was chosen and for trades stored before multi-chain support (chain_id NULL).
+ * - Manager addresses must differ between chains: stored trades are keyed by
+ *   (manager_address, trade_id), so the manager address also identifies the chain.
+ *
+ * Usage:
+ *   import { getChain, listChains, DEFAULT_CHAIN_ID } from "./chains.js";
+ *   const chain = getChain(flow.chainId); // default chain when null
+ */
+
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { getAddress, isAddress } from "ethers";
+
+dotenv.config({ quiet: true });
+
+/**
+ * @typedef {{
+ *   id: number,
+ *   name: string,
+ *   rpcUrls: string[],
+ *   managerAddress: string,
+ *   explorerUrl: string|null,
+ *   nativeSymbol: string,
+ *   tokens: Array<{ symbol: string, address: string }>,
+ *   startBlock: number|null,
+ * }} ChainConfig
+ */
+
+/**
+ * Validate and normalize one registry entry.
+ * @param {any} raw
+ * @param {string} where - for error messages
+ * @returns {ChainConfig}
+ */
+function normalizeChain(raw, where) {
+  const id = Number(raw?.id);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new Error(`${where}: "id" must be a positive integer chain id`);
+  }
+  const rpcUrls = (Array.isArray(raw.rpcUrls) ? raw.rpcUrls : [raw.rpcUrls])
+    .map((u) => String(u ?? "").trim())
+    .filter(Boolean);
+  if (rpcUrls.length === 0) {
+    throw new Error(`${where}: "rpcUrls" needs at least one RPC URL`);
+  }
+  const manager = String(raw.managerAddress ?? "").trim();
+  if (!isAddress(manager)) {
+    throw new Error(
+      `${where}: "managerAddress" is missing or invalid (deployed AmisEscrowManager, 0x…42 chars)`,
+    );
+  }
+  const tokens = Object.entries(raw.tokens ?? {}).map(([symbol, address]) => {
+    if (!isAddress(String(address))) {
+      throw new Error(`${where}: invalid address for token ${symbol}`);
+    }
+    return {
+      symbol: String(symbol).toUpperCase(),
+      address: getAddress(String(address)),
+    };
+  });
+  const explorerUrl = String(raw.explorerUrl ?? "").trim();
+  const startBlock =
+    raw.startBlock === undefined || raw.startBlock === null
+      ? null
+      : Number(raw.startBlock);
+  if (
+    startBlock !== null &&
+    (!Number.isInteger(startBlock) || startBlock < 0)
+  ) {
+    throw new Error(
+      `${where}: "startBlock" must be a non-negative block number`,
+    );
+  }
+  return Object.freeze({
+    id,
+    name: String(raw.name ?? "").trim() || `chain-${id}`,
+    rpcUrls: Object.freeze(rpcUrls),
+    // Kept as configured: stored escrows are keyed by this exact string
+    managerAddress: manager,
+    explorerUrl: explorerUrl ? explorerUrl.replace(/\/+$/u, "") : null,
+    nativeSymbol: String(raw.nativeSymbol ?? "").trim() || "ETH",
+    tokens: Object.freeze(tokens),
+    startBlock,
+  });
+}
+
+/**
+ * Load the registry from CHAINS_CONFIG_PATH, or build the single chain from the
+ * NETWORK_* / AMIS_ESCROW_ADDRESS environment.
+ * @returns {ChainConfig[]}
+ */
+function loadChains() {
+  const configPath = String(process.env.CHAINS_CONFIG_PATH || "").trim();
+  if (!configPath) {
+    return [
+      normalizeChain(
+        {
+          id: process.env.NETWORK_CHAIN_ID,
+          rpcUrls: String(process.env.NETWORK_RPC_URL ?? "").split(","),
+          managerAddress: process.env.AMIS_ESCROW_ADDRESS,
+          explorerUrl: process.env.EXPLORER_BASE_URL,
+        },
+        "NETWORK_CHAIN_ID / NETWORK_RPC_URL / AMIS_ESCROW_ADDRESS",
+      ),
+    ];
+  }
+
+  const file = path.resolve(process.cwd(), configPath);
+  if (!fs.existsSync(file)) {
+    throw new Error(`CHAINS_CONFIG_PATH does not exist: ${file}`);
+  }
+  const raw = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (!Array.isArray(raw) || raw.length === 0) {
+    throw new Error(`${file}: expected a non-empty array of chains`);
+  }
+  const chains = raw.map((c, i) => normalizeChain(c, `${file} [${i}]`));
+
+  const ids = new Set();
+  const managers = new Set();
+  for (const c of chains) {
+    if (ids.has(c.id))
+      throw new Error(`${file}: chain ${c.id} is listed twice`);
+    const manager = c.managerAddress.toLowerCase();
+    if (managers.has(manager)) {
+      throw new Error(
+        `${file}: manager ${c.managerAddress} is used on more than one chain; deploy it at a different address`,
+      );
+    }
+    ids.add(c.id);
+    managers.add(manager);
+  }
+  return chains;
+}
+
+const CHAINS = Object.freeze(loadChains());
+
+export const DEFAULT_CHAIN_ID = (
+  CHAINS.find((c) => c.id === Number(process.env.NETWORK_CHAIN_ID)) ?? CHAINS[0]
+).id;
+
+/**
+ * All configured chains, default first.
+ * @returns {ReadonlyArray<ChainConfig>}
+ */
+export function listChains() {
+  return [...CHAINS].sort(
+    (a, b) =>
+      Number(b.id === DEFAULT_CHAIN_ID) - Number(a.id === DEFAULT_CHAIN_ID),
+  );
+}
+
+/**
+ * Whether trades can be created on more than one chain.
+ * @returns {boolean}
+ */
+export function isMultiChain() {
+  return CHAINS.length > 1;
+}
+
+/**
+ * Find a configured chain by id or name (case-insensitive).
+ * @param {number|string|null|undefined} ref
+ * @returns {ChainConfig|null}
+ */
+export function findChain(ref) {
+  const s = String(ref ?? "")
+    .trim()
+    .toLowerCase();
+  if (!s) return null;
+  return (
+    CHAINS.find((c) => String(c.id) === s || c.name.toLowerCase() === s) ?? null
+  );
+}
+
+/**
+ * Configured chain by id; the default chain when chainId is null/undefined.
+ * @param {number|string|null|undefined} [chainId]
+ * @returns {ChainConfig}
+ */
+export function getChain(chainId) {
+  if (chainId === null || chainId === undefined || chainId === "") {
+    return CHAINS.find((c) => c.id === DEFAULT_CHAIN_ID);
+  }
+  const chain = CHAINS.find((c) => c.id === Number(chainId));
+  if (!chain) {
+    throw new Error(
+      `Chain ${chainId} is not configured (known: ${CHAINS.map((c) => c.id).join(", ")})`,
+    );
+  }
+  return chain;
+}
+
+/**
+ * Chain whose manager contract is at the given address (null when unknown).
+ * @param {string|null|undefined} managerAddress
+ * @returns {ChainConfig|null}
+ */
+export function chainForManager(managerAddress) {
+  const a = String(managerAddress ?? "").toLowerCase();
+  if (!a) return null;
+  return CHAINS.find((c) => c.managerAddress.toLowerCase() === a) ?? null;
+}
+
+export default {
+  DEFAULT_CHAIN_ID,
+  listChains,
+  isMultiChain,
+  findChain,
+  getChain,
+  chainForManager,
+};
@@ -1,214 +1,433 @@
-import { Contract, Interface, JsonRpcProvider, Wallet } from "ethers";
+import { Contract, Interface, Wallet } from "ethers";
 import dotenv from "dotenv";
+import {
+  insertTxAudit,
+  setTxAuditReceipt,
+  setTxAuditReplaced,
+  setTxAuditFailed,
+  TX_AUDIT_STATUS,
+} from "./txAuditRepo.js";
+import { createTxManager, TX_STATUS } from "./txManager.js";
+import { getChain, listChains, DEFAULT_CHAIN_ID } from "./chains.js";
+import { createRpcPool } from "./rpcPool.js";
+import { transactionsTotal } from "./metrics.js";
 
 dotenv.config({ quiet: true });
 
 const NETWORK_PRIVATE_KEY = process.env.NETWORK_PRIVATE_KEY;
-const NETWORK_RPC_URL = process.env.NETWORK_RPC_URL;
-export const NETWORK_CHAIN_ID = Number(process.env.NETWORK_CHAIN_ID);
+// Default chain (NETWORK_CHAIN_ID in a single-network setup, see chains.js)
+export const NETWORK_CHAIN_ID = DEFAULT_CHAIN_ID;
 
 if (!NETWORK_PRIVATE_KEY) {
   console.error("❌ Missing NETWORK_PRIVATE_KEY in .env");
   process.exit(1);
 }
-if (!NETWORK_RPC_URL) {
-  console.error("❌ Missing NETWORK_RPC_URL in .env");
-  process.exit(1);
-}
-if (!Number.isFinite(NETWORK_CHAIN_ID)) {
-  console.error("❌ Missing NETWORK_CHAIN_ID in .env");
-  process.exit(1);
-}
 
-// Provider and wallet
-const provider = new JsonRpcProvider(NETWORK_RPC_URL, {
-  name: `chain-${NETWORK_CHAIN_ID}`,
-  chainId: NETWORK_CHAIN_ID,
-});
-const wallet = new Wallet(NETWORK_PRIVATE_KEY, provider);
-
-// Keep exports compatible with existing imports
-export const account = { address: wallet.address };
-
-export const resolvedChain = {
-  id: NETWORK_CHAIN_ID,
-  name: `chain-${NETWORK_CHAIN_ID}`,
-  nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
-  rpcUrls: {
-    default: { http: [NETWORK_RPC_URL] },
-    public: { http: [NETWORK_RPC_URL] },
-  },
-};
-
-// Helper: build an ethers Contract (read-only)
-function roContract(address, abi) {
-  return new Contract(address, abi, provider);
-}
+// chain id → clients; the bot uses the same key (and address) on every chain
+const chainClients = new Map();
 
-// Helper: build an ethers Contract (with signer)
-function rwContract(address, abi) {
-  return new Contract(address, abi, wallet);
+/**
+ * Provider, public client and wallet client for a configured chain (see chains.js).
+ * Created on first use and kept for the process; each chain has its own nonces.
+ * @param {number|string|null|undefined} [chainId] - default chain when omitted
+ * @returns {{ chainId: number, resolvedChain: object, provider: import("ethers").AbstractProvider, rpcPool: ReturnType<typeof createRpcPool>, txManager: ReturnType<typeof createTxManager>, publicClient: typeof publicClient, walletClient: typeof walletClient }}
+ */
+export function getChainClients(chainId) {
+  const chain = getChain(chainId);
+  if (!chainClients.has(chain.id)) {
+    chainClients.set(chain.id, createChainClients(chain));
+  }
+  return chainClients.get(chain.id);
 }
 
-// Wrapper to match the previously used viem-like API
-export const publicClient = {
-  // Read a view/pure function from a contract
-  async readContract({ address, abi, functionName, args = [] }) {
-    const c = roContract(address, abi);
-    if (typeof c[functionName] !== "function") {
-      throw new Error(`readContract: function not found: ${functionName}`);
-    }
-    return await c[functionName](...args);
-  },
-
-  // Simulate a contract write to get the return value (no state change)
-  // Returns { result, request } where request can be passed to walletClient.writeContract
-  async simulateContract({ address, abi, functionName, args = [] }) {
-    const c = rwContract(address, abi); // connect signer to allow from/account context if needed
-    let result;
-    // ethers v6 uses .staticCall; older versions use callStatic
-    const fn = c[functionName];
-    if (!fn)
-      throw new Error(`simulateContract: function not found: ${functionName}`);
-    if (fn && typeof fn.staticCall === "function") {
-      result = await fn.staticCall(...args);
-    } else if (
-      c.callStatic &&
-      typeof c.callStatic[functionName] === "function"
-    ) {
-      result = await c.callStatic[functionName](...args);
-    } else {
-      throw new Error(
-        "simulateContract: static call not supported by this ethers version",
-      );
-    }
-    return {
-      result,
-      request: { address, abi, functionName, args },
-    };
-  },
-
-  // Encode calldata for a function
-  async encodeFunctionData({ abi, functionName, args = [] }) {
-    const iface = new Interface(abi);
-    const data = iface.encodeFunctionData(functionName, args);
-    return { data };
-  },
-
-  // Wait for a transaction receipt
-  async waitForTransactionReceipt({ hash }) {
-    return await provider.waitForTransaction(hash);
-  },
-
-  // Get bytecode at an address (used to detect EOA vs contract)
-  async getBytecode({ address }) {
-    return await provider.getCode(address);
-  },
-
-  // Watch a contract event; args supports simple named filters for indexed params
-  // Signature compatible with viem's watchContractEvent
-  watchContractEvent({ address, abi, eventName, args, onLogs, onError }) {
-    try {
-      const c = roContract(address, abi);
-      const frag = c.interface.getEvent(eventName);
+/**
+ * @param {import("./chains.js").ChainConfig} chain
+ */
+function createChainClients(chain) {
+  // Provider (failover pool over the chain's RPC URLs, see rpcPool.js) and wallet
+  const rpcPool = createRpcPool(chain);
+  const provider = rpcPool.provider;
+  const wallet = new Wallet(NETWORK_PRIVATE_KEY, provider);
 
-      // Build filter params array matching event inputs
-      let params = [];
-      try {
-        params = new Array(frag.inputs.length).fill(null);
-        if (args && typeof args === "object") {
-          for (let i = 0; i < frag.inputs.length; i++) {
-            const input = frag.inputs[i];
-            if (
-              input.indexed &&
-              Object.prototype.hasOwnProperty.call(args, input.name)
-            ) {
-              params[i] = args[input.name];
-            }
-          }
-        }
-      } catch {
-        // fallback: no filtering
-        params = new Array(frag.inputs.length).fill(null);
+  const resolvedChain = {
+    id: chain.id,
+    name: chain.name,
+    nativeCurrency: { name: "Ether", symbol: chain.nativeSymbol, decimals: 18 },
+    rpcUrls: {
+      default: { http: [...chain.rpcUrls] },
+      public: { http: [...chain.rpcUrls] },
+    },
+    ...(chain.explorerUrl
+      ? { blockExplorers: { default: { url: chain.explorerUrl } } }
+      : {}),
+  };
+
+  // Helper: build an ethers Contract (read-only)
+  function roContract(address, abi) {
+    return new Contract(address, abi, provider);
+  }
+
+  // Helper: build an ethers Contract (with signer)
+  function rwContract(address, abi) {
+    return new Contract(address, abi, wallet);
+  }
+
+  // Wrapper to match the previously used viem-like API
+  const publicClient = {
+    // Read a view/pure function from a contract
+    // Optional blockTag (number/bigint/"latest"/...) reads state as of that block
+    async readContract({ address, abi, functionName, args = [], blockTag }) {
+      const c = roContract(address, abi);
+      if (typeof c[functionName] !== "function") {
+        throw new Error(`readContract: function not found: ${functionName}`);
+      }
+      if (blockTag !== undefined && blockTag !== null) {
+        return await c[functionName](...args, { blockTag });
       }
+      return await c[functionName](...args);
+    },
 
-      const filterFactory = c.filters?.[eventName];
-      if (typeof filterFactory !== "function") {
+    // Simulate a contract write to get the return value (no state change)
+    // Returns { result, request } where request can be passed to walletClient.writeContract
+    async simulateContract({ address, abi, functionName, args = [] }) {
+      const c = rwContract(address, abi); // connect signer to allow from/account context if needed
+      let result;
+      // ethers v6 uses .staticCall; older versions use callStatic
+      const fn = c[functionName];
+      if (!fn)
+        throw new Error(
+          `simulateContract: function not found: ${functionName}`,
+        );
+      if (fn && typeof fn.staticCall === "function") {
+        result = await fn.staticCall(...args);
+      } else if (
+        c.callStatic &&
+        typeof c.callStatic[functionName] === "function"
+      ) {
+        result = await c.callStatic[functionName](...args);
+      } else {
         throw new Error(
-          `watchContractEvent: filter not available for event ${eventName}`,
+          "simulateContract: static call not supported by this ethers version",
         );
       }
-      const filter = filterFactory(...params);
+      return {
+        result,
+        request: { address, abi, functionName, args },
+      };
+    },
 
-      const listener = async (...eventArgs) => {
-        try {
-          const event = eventArgs[eventArgs.length - 1];
-          const log = event?.log ?? event;
-          const valuesArray =
-            Array.isArray(event?.args) &&
-            event.args.length >= frag.inputs.length
-              ? event.args
-              : eventArgs.slice(0, -1);
-
-          const outArgs = {};
-          frag.inputs.forEach((inp, idx) => {
-            if (valuesArray && valuesArray[idx] !== undefined) {
-              outArgs[inp.name] = valuesArray[idx];
-            } else if (event?.args && event.args[inp.name] !== undefined) {
-              outArgs[inp.name] = event.args[inp.name];
-            } else {
-              outArgs[inp.name] = undefined;
-            }
-          });
+    // Encode calldata for a function
+    async encodeFunctionData({ abi, functionName, args = [] }) {
+      const iface = new Interface(abi);
+      const data = iface.encodeFunctionData(functionName, args);
+      return { data };
+    },
 
-          const normalized = {
-            args: outArgs,
-            transactionHash:
-              log?.transactionHash ?? event?.transactionHash ?? null,
-            logIndex: log?.logIndex ?? event?.logIndex ?? null,
-          };
-          if (typeof onLogs === "function") {
-            await onLogs([normalized]);
-          }
-        } catch (e) {
-          if (typeof onError === "function") onError(e);
-          else console.error("watchContractEvent decode error:", e);
-        }
+    // Wait for a transaction receipt
+    // Bot-signed transactions resolve with the receipt of whichever version (original or
+    // fee-bumped replacement) was mined, and throw when it reverted, was dropped or timed out.
+    // Other hashes (e.g. sent before a restart) throw on revert or after TX_TIMEOUT_MS.
+    async waitForTransactionReceipt({ hash }) {
+      const tracked = txManager.waitFor(hash);
+      if (tracked) return await tracked;
+      return await txManager.waitUntracked(hash);
+    },
+
+    // Get bytecode at an address (used to detect EOA vs contract)
+    async getBytecode({ address }) {
+      return await provider.getCode(address);
+    },
+
+    // Latest block number
+    async getBlockNumber() {
+      return BigInt(await provider.getBlockNumber());
+    },
+
+    // Block header by number (or tag). Returns null when the block is unknown.
+    async getBlock({ blockNumber, blockTag = "latest" } = {}) {
+      const b = await provider.getBlock(
+        blockNumber !== undefined && blockNumber !== null
+          ? Number(blockNumber)
+          : blockTag,
+      );
+      if (!b) return null;
+      return {
+        number: BigInt(b.number),
+        hash: b.hash,
+        parentHash: b.parentHash,
+        timestamp: BigInt(b.timestamp),
       };
+    },
 
-      c.on(filter, listener);
+    // Fetch and decode a contract's logs in [fromBlock, toBlock] (inclusive)
+    // Optional topics filter, e.g. [null, tradeIdTopic] for one trade's events.
+    // Returns [{ eventName, args, blockNumber, blockHash, transactionHash, logIndex }]
+    // ordered by block and log index; logs not matching the ABI are skipped.
+    async getLogs({ address, abi, fromBlock, toBlock, topics }) {
+      const iface = new Interface(abi);
+      const logs = await provider.getLogs({
+        address,
+        ...(topics ? { topics } : {}),
+        fromBlock: Number(fromBlock),
+        toBlock: Number(toBlock),
+      });
 
-      // Return unwatch function
-      return () => {
+      const out = [];
+      for (const log of logs) {
+        let parsed = null;
         try {
-          c.off(filter, listener);
-        } catch (e) {
-          console.error("watchContractEvent unwatch error:", e);
+          parsed = iface.parseLog({ topics: log.topics, data: log.data });
+        } catch {
+          parsed = null;
         }
-      };
-    } catch (e) {
-      if (typeof onError === "function") onError(e);
-      else console.error("watchContractEvent error:", e);
-      // no-op unwatch
-      return () => {};
-    }
-  },
-};
-
-export const walletClient = {
-  // Write a contract function
-  // Accepts either:
-  // - { address, abi, functionName, args = [], value? }
-  // - { to, data, value? } (raw transaction)
-  async writeContract(input) {
+        if (!parsed) continue;
+
+        const args = {};
+        parsed.fragment.inputs.forEach((inp, idx) => {
+          args[inp.name] = parsed.args[idx];
+        });
+        out.push({
+          eventName: parsed.name,
+          args,
+          blockNumber: BigInt(log.blockNumber),
+          blockHash: log.blockHash,
+          transactionHash: log.transactionHash,
+          logIndex: log.index,
+        });
+      }
+      out.sort((a, b) =>
+        a.blockNumber === b.blockNumber
+          ? a.logIndex - b.logIndex
+          : a.blockNumber < b.blockNumber
+            ? -1
+            : 1,
+      );
+      return out;
+    },
+
+    // Watch a contract event; args supports simple named filters for indexed params
+    // Signature compatible with viem's watchContractEvent
+    watchContractEvent({ address, abi, eventName, args, onLogs, onError }) {
+      try {
+        const c = roContract(address, abi);
+        const frag = c.interface.getEvent(eventName);
+
+        // Build filter params array matching event inputs
+        let params = [];
+        try {
+          params = new Array(frag.inputs.length).fill(null);
+          if (args && typeof args === "object") {
+            for (let i = 0; i < frag.inputs.length; i++) {
+              const input = frag.inputs[i];
+              if (
+                input.indexed &&
+                Object.prototype.hasOwnProperty.call(args, input.name)
+              ) {
+                params[i] = args[input.name];
+              }
+            }
+          }
+        } catch {
+          // fallback: no filtering
+          params = new Array(frag.inputs.length).fill(null);
+        }
+
+        const filterFactory = c.filters?.[eventName];
+        if (typeof filterFactory !== "function") {
+          throw new Error(
+            `watchContractEvent: filter not available for event ${eventName}`,
+          );
+        }
+        const filter = filterFactory(...params);
+
+        const listener = async (...eventArgs) => {
+          try {
+            const event = eventArgs[eventArgs.length - 1];
+            const log = event?.log ?? event;
+            const valuesArray =
+              Array.isArray(event?.args) &&
+              event.args.length >= frag.inputs.length
+                ? event.args
+                : eventArgs.slice(0, -1);
+
+            const outArgs = {};
+            frag.inputs.forEach((inp, idx) => {
+              if (valuesArray && valuesArray[idx] !== undefined) {
+                outArgs[inp.name] = valuesArray[idx];
+              } else if (event?.args && event.args[inp.name] !== undefined) {
+                outArgs[inp.name] = event.args[inp.name];
+              } else {
+                outArgs[inp.name] = undefined;
+              }
+            });
+
+            const normalized = {
+              args: outArgs,
+              transactionHash:
+                log?.transactionHash ?? event?.transactionHash ?? null,
+              logIndex: log?.logIndex ?? event?.logIndex ?? null,
+            };
+            if (typeof onLogs === "function") {
+              await onLogs([normalized]);
+            }
+          } catch (e) {
+            if (typeof onError === "function") onError(e);
+            else console.error("watchContractEvent decode error:", e);
+          }
+        };
+
+        c.on(filter, listener);
+
+        // Return unwatch function
+        return () => {
+          try {
+            c.off(filter, listener);
+          } catch (e) {
+            console.error("watchContractEvent unwatch error:", e);
+          }
+        };
+      } catch (e) {
+        if (typeof onError === "function") onError(e);
+        else console.error("watchContractEvent error:", e);
+        // no-op unwatch
+        return () => {};
+      }
+    },
+  };
+
+  // All bot-signed transactions: local nonces, fee bumping, receipt tracking
+  const txManager = createTxManager({ wallet, provider });
+
+  // tx_audit columns describing the call and who triggered it
+  function auditBase(request, audit) {
+    return {
+      chainId: chain.id,
+      fromAddress: wallet.address,
+      toAddress: request?.address ?? request?.to ?? null,
+      functionName: request?.functionName ?? null,
+      args: Array.isArray(request?.args) ? request.args : null,
+      valueWei: request?.value ?? null,
+      tradeId: audit?.tradeId ?? null,
+      actorDiscordId: audit?.actorDiscordId ?? null,
+      source: audit?.source ?? null,
+    };
+  }
+
+  /**
+   * onStatus handler that mirrors a transaction's lifecycle into tx_audit.
+   * Writes are serialized per transaction and never throw: auditing must not break the write.
+   */
+  function auditTrail({ request, audit }) {
+    const base = auditBase(request, audit);
+    let chain = Promise.resolve();
+    const run = (fn) => {
+      chain = chain.then(fn).catch((e) => {
+        console.warn("tx audit: write failed:", e?.message ?? e);
+      });
+    };
+
+    return (e) => {
+      switch (e.status) {
+        case TX_STATUS.Pending:
+          run(() =>
+            insertTxAudit({
+              ...base,
+              txHash: e.hash,
+              nonce: e.nonce,
+              status: TX_AUDIT_STATUS.Pending,
+            }),
+          );
+          break;
+        case TX_STATUS.Replaced:
+          run(async () => {
+            await setTxAuditReplaced(e.previousHash, e.hash);
+            await insertTxAudit({
+              ...base,
+              txHash: e.hash,
+              nonce: e.nonce,
+              status: TX_AUDIT_STATUS.Pending,
+            });
+          });
+          break;
+        case TX_STATUS.Confirmed:
+        case TX_STATUS.Failed:
+          if (!e.receipt) {
+            run(() =>
+              setTxAuditFailed(e.hash, String(e.error?.message ?? "failed")),
+            );
+            break;
+          }
+          run(async () => {
+            const block = await provider.getBlock(e.receipt.blockNumber);
+            await setTxAuditReceipt(e.hash, {
+              status:
+                e.receipt.status === 1
+                  ? TX_AUDIT_STATUS.Success
+                  : TX_AUDIT_STATUS.Reverted,
+              gasUsed: e.receipt.gasUsed,
+              effectiveGasPrice: e.receipt.gasPrice ?? null,
+              blockNumber: e.receipt.blockNumber,
+              minedAt: block ? new Date(Number(block.timestamp) * 1000) : null,
+            });
+          });
+          break;
+        default:
+          break;
+      }
+    };
+  }
+
+  const walletClient = {
+    // Write a contract function
+    // Accepts either:
+    // - { address, abi, functionName, args = [], value? }
+    // - { to, data, value? } (raw transaction)
+    // Optional:
+    // - audit: { actorDiscordId?, source?, tradeId? } (stored in tx_audit with the receipt)
+    // - onStatus: (e) => void, called with { status: "pending"|"replaced"|"confirmed"|"failed", hash, ... }
+    // - confirmations: blocks to wait before "confirmed" (default TX_CONFIRMATIONS)
+    // Returns the hash of the first broadcast; waitForTransactionReceipt follows replacements.
+    async writeContract(input) {
+      const { audit, onStatus, confirmations, ...request } = input || {};
+      const onAudit = auditTrail({ request, audit });
+      const count = (result) =>
+        transactionsTotal.inc({
+          chain: chain.id,
+          function: request.functionName ?? "raw",
+          result,
+        });
+      let sent;
+      try {
+        sent = await txManager.send(await populateWrite(request), {
+          confirmations,
+          onStatus: (e) => {
+            onAudit(e);
+            if (e.status === TX_STATUS.Failed) count("failed");
+            if (typeof onStatus === "function") return onStatus(e);
+            return undefined;
+          },
+        });
+      } catch (error) {
+        insertTxAudit({
+          ...auditBase(request, audit),
+          status: TX_AUDIT_STATUS.Failed,
+          error: String(error?.shortMessage ?? error?.message ?? error),
+        }).catch((e) => {
+          console.warn("tx audit: write failed:", e?.message ?? e);
+        });
+        count("failed");
+        throw error;
+      }
+      count("sent");
+      return sent.hash;
+    },
+  };
+
+  // Build { to, data, value } for a write (see walletClient.writeContract)
+  async function populateWrite(input) {
     // Raw tx path
     if (input && input.to && input.data) {
-      const tx = await wallet.sendTransaction({
-        to: input.to,
-        data: input.data,
-        value: input.value ?? 0,
-      });
-      return tx.hash;
+      return { to: input.to, data: input.data, value: input.value ?? 0n };
     }
 
     // ABI invocation path
@@ -224,15 +443,45 @@ export const walletClient = {
     if (value !== undefined && value !== null) {
       overrides.value = value;
     }
-    const tx = await c[functionName](...args, overrides);
-    return tx.hash;
-  },
-};
+    const tx = await c[functionName].populateTransaction(...args, overrides);
+    return { to: tx.to, data: tx.data, value: tx.value ?? 0n };
+  }
+
+  return {
+    chainId: chain.id,
+    resolvedChain,
+    provider,
+    rpcPool,
+    txManager,
+    publicClient,
+    walletClient,
+  };
+}
+
+const defaultClients = getChainClients(DEFAULT_CHAIN_ID);
+
+// Keep exports compatible with existing imports (default chain)
+export const account = { address: new Wallet(NETWORK_PRIVATE_KEY).address };
+export const resolvedChain = defaultClients.resolvedChain;
+export const publicClient = defaultClients.publicClient;
+export const walletClient = defaultClients.walletClient;
+
+/**
+ * RPC pool health of every configured chain (no network calls unless `probe` is set).
+ * @param {{ probe?: boolean }} [options] - refresh block heights first
+ * @returns {Promise<Array<ReturnType<ReturnType<typeof createRpcPool>["health"]>>>}
+ */
+export async function getRpcHealth({ probe = false } = {}) {
+  const pools = listChains().map((c) => getChainClients(c.id).rpcPool);
+  if (probe) await Promise.all(pools.map((p) => p.probe()));
+  return pools.map((p) => p.health());
+}
 
-export function getExplorerBaseUrl() {
-  const url = resolvedChain?.blockExplorers?.default?.url;
+export function getExplorerBaseUrl(chainId) {
+  const chain = getChainClients(chainId).resolvedChain;
+  const url = chain?.blockExplorers?.default?.url;
   if (url) return url;
-  switch (NETWORK_CHAIN_ID) {
+  switch (chain.id) {
     case 1:
       return "https://etherscan.io";
     case 11155111:
@@ -241,11 +490,11 @@ export function getExplorerBaseUrl() {
       return "https://etherscan.io";
   }
 }
-export function explorerAddressUrl(address) {
-  return `${getExplorerBaseUrl()}/address/${address}`;
+export function explorerAddressUrl(address, chainId) {
+  return `${getExplorerBaseUrl(chainId)}/address/${address}`;
 }
-export function explorerTxUrl(hash) {
-  return `${getExplorerBaseUrl()}/tx/${hash}`;
+export function explorerTxUrl(hash, chainId) {
+  return `${getExplorerBaseUrl(chainId)}/tx/${hash}`;
 }
 
 console.log("✅ Wallet client ready:", account.address);
@@ -3,6 +3,7 @@ import {
   ButtonBuilder,
   ButtonStyle,
   UserSelectMenuBuilder,
+  StringSelectMenuBuilder,
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
@@ -10,12 +11,10 @@ import {
 } from "discord.js";
 
 import { COLORS, escrowEmbedColorForStatus, ASSETS } from "./theme.js";
-import {
-  formatEth,
-  formatUsd,
-  toNumberLoose,
-  buildEtherscanAddressUrl,
-} from "./format.js";
+import { formatEth, formatUsd, toNumberLoose } from "./format.js";
+import { addressUrl, txUrl, explorerLabel } from "./explorer.js";
+import { getChain, isMultiChain, listChains } from "./chains.js";
+import { formatEvidenceLines } from "./deliveryEvidence.js";
 
 export function buildTradeButton() {
   return new ActionRowBuilder().addComponents(
@@ -88,11 +87,19 @@ export function buildDescriptionModal() {
   return modal;
 }
 
+/**
+ * Setup confirmation shown to the trade's initiator.
+ * counterpartyReputation: { userId, lines } from reputation.js, shown so the initiator
+ * can judge the counterparty before inviting them.
+ */
 export function buildConfirmationEmbed({
   buyerId,
   sellerId,
   description,
   priceUsd,
+  tokenSymbol = null,
+  chainName = null,
+  counterpartyReputation = null,
 }) {
   const baseUsd = toNumberLoose(priceUsd);
   const buyerTotalUsd = Number.isFinite(baseUsd) ? baseUsd * 1.025 : null;
@@ -117,12 +124,33 @@ export function buildConfirmationEmbed({
         value: `$${priceUsd}`,
         inline: true,
       },
+      ...(tokenSymbol
+        ? [{ name: "\nPaid in", value: tokenSymbol, inline: true }]
+        : []),
+      ...(chainName
+        ? [{ name: "\nNetwork", value: chainName, inline: true }]
+        : []),
     )
     .addFields({
       name: "\nFees",
       value: feesText,
       inline: false,
     })
+    .addFields(
+      ...(counterpartyReputation
+        ? [
+            {
+              name: "\nCounterparty reputation",
+              value:
+                `<@${counterpartyReputation.userId}>\n${counterpartyReputation.lines.join("\n")}`.slice(
+                  0,
+                  1024,
+                ),
+              inline: false,
+            },
+          ]
+        : []),
+    )
     .setColor(COLORS.VERIFIED_GREEN);
 }
 
@@ -131,6 +159,8 @@ export function buildCreatedEmbed({
   sellerId,
   description,
   priceUsd,
+  tokenSymbol = null,
+  chainName = null,
 }) {
   const baseUsd = toNumberLoose(priceUsd);
   const buyerTotalUsd = Number.isFinite(baseUsd) ? baseUsd * 1.025 : null;
@@ -151,6 +181,12 @@ export function buildCreatedEmbed({
       { name: "\nSeller", value: `<@${sellerId}>`, inline: true },
       { name: "\nItem", value: description, inline: false },
       { name: "\nPrice (USD)", value: `$${priceUsd}`, inline: true },
+      ...(tokenSymbol
+        ? [{ name: "\nPaid in", value: tokenSymbol, inline: true }]
+        : []),
+      ...(chainName
+        ? [{ name: "\nNetwork", value: chainName, inline: true }]
+        : []),
     )
     .addFields({
       name: "\nFees",
@@ -174,6 +210,106 @@ export function buildCreateThreadRow() {
   );
 }
 
+/**
+ * Choose the network the trade is created on (shown when several chains are configured).
+ * customId: select_chain; values: chain ids
+ * @param {{ chains: ReadonlyArray<{ id: number, name: string }>, selected: number }} params
+ */
+export function buildChainSelectRow({ chains, selected }) {
+  const select = new StringSelectMenuBuilder()
+    .setCustomId("select_chain")
+    .setPlaceholder("Network…")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(
+      chains.map((c) => ({
+        label: c.name,
+        description: `Chain ID ${c.id}`,
+        value: String(c.id),
+        default: c.id === selected,
+      })),
+    );
+  return new ActionRowBuilder().addComponents(select);
+}
+
+/**
+ * Choose the asset the trade is escrowed in (shown when the chain has escrow tokens).
+ * customId: select_token; values: "native" or a token address
+ * @param {{ tokens: ReadonlyArray<{ symbol: string, address: string }>, selected?: string|null, nativeSymbol?: string }} params
+ */
+export function buildTokenSelectRow({
+  tokens,
+  selected = null,
+  nativeSymbol = "ETH",
+}) {
+  const current = String(selected ?? "").toLowerCase();
+  const select = new StringSelectMenuBuilder()
+    .setCustomId("select_token")
+    .setPlaceholder("Pay with…")
+    .setMinValues(1)
+    .setMaxValues(1)
+    .addOptions(
+      {
+        label: nativeSymbol,
+        description: `Native coin, priced at the live ${nativeSymbol}/USD rate`,
+        value: "native",
+        default: !current,
+      },
+      ...tokens.map((t) => ({
+        label: t.symbol,
+        description: `${t.symbol} stablecoin, 1 ${t.symbol} = $1`,
+        value: t.address,
+        default: current === t.address.toLowerCase(),
+      })),
+    );
+  return new ActionRowBuilder().addComponents(select);
+}
+
+/**
+ * Add an optional "network" choice to a slash (sub)command when several chains are
+ * configured; trade ids are per chain. Without it the default chain is used.
+ * Read it with `interaction.options.getString("network")` (a chain id).
+ * @template T
+ * @param {T} builder - SlashCommandBuilder or SlashCommandSubcommandBuilder
+ * @returns {T}
+ */
+export function addChainOption(builder) {
+  if (!isMultiChain()) return builder;
+  return builder.addStringOption((opt) =>
+    opt
+      .setName("network")
+      .setDescription("Network the trade is on (default: main network)")
+      .addChoices(
+        ...listChains()
+          .slice(0, 25)
+          .map((c) => ({ name: c.name, value: String(c.id) })),
+      ),
+  );
+}
+
+/**
+ * Setup selects shown above the confirmation buttons: network (only with several
+ * chains) and payment asset (only when the chosen chain has escrow tokens).
+ * @param {{ chains: ReadonlyArray<{ id: number, name: string }>, chainId: number, tokens: ReadonlyArray<{ symbol: string, address: string }>, tokenAddress?: string|null, nativeSymbol?: string }} params
+ * @returns {ActionRowBuilder[]}
+ */
+export function buildSetupSelectRows({
+  chains,
+  chainId,
+  tokens,
+  tokenAddress = null,
+  nativeSymbol = "ETH",
+}) {
+  return [
+    ...(chains.length > 1
+      ? [buildChainSelectRow({ chains, selected: chainId })]
+      : []),
+    ...(tokens.length > 0
+      ? [buildTokenSelectRow({ tokens, selected: tokenAddress, nativeSymbol })]
+      : []),
+  ];
+}
+
 export function buildVerifyButtonRow() {
   return new ActionRowBuilder().addComponents(
     new ButtonBuilder()
@@ -228,12 +364,16 @@ export function buildProvideSellerAddressRow() {
   );
 }
 
-export function buildBuyerAddressModal() {
+/**
+ * @param {{ defaultAddress?: string|null }} [opts] - pre-filled from the user's default /wallet
+ */
+export function buildBuyerAddressModal({ defaultAddress = null } = {}) {
   const input = new TextInputBuilder()
     .setCustomId("buyer_address")
     .setLabel("Your Address")
     .setStyle(TextInputStyle.Short)
     .setRequired(true);
+  if (defaultAddress) input.setValue(defaultAddress);
   const row = new ActionRowBuilder().addComponents(input);
   const modal = new ModalBuilder()
     .setCustomId("buyer_address_modal")
@@ -243,12 +383,16 @@ export function buildBuyerAddressModal() {
   return modal;
 }
 
-export function buildSellerAddressModal() {
+/**
+ * @param {{ defaultAddress?: string|null }} [opts] - pre-filled from the user's default /wallet
+ */
+export function buildSellerAddressModal({ defaultAddress = null } = {}) {
   const input = new TextInputBuilder()
     .setCustomId("seller_address")
     .setLabel("Your Address")
     .setStyle(TextInputStyle.Short)
     .setRequired(true);
+  if (defaultAddress) input.setValue(defaultAddress);
   const row = new ActionRowBuilder().addComponents(input);
   const modal = new ModalBuilder()
     .setCustomId("seller_address_modal")
@@ -258,13 +402,71 @@ export function buildSellerAddressModal() {
   return modal;
 }
 
+/**
+ * Button under a wallet proof challenge; opens the signature modal.
+ * customId: wallet_proof:<challengeId>
+ * @param {string} challengeId
+ */
+export function buildWalletProofRow(challengeId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`wallet_proof:${challengeId}`)
+      .setLabel("Submit signature")
+      .setStyle(ButtonStyle.Primary),
+  );
+}
+
+/**
+ * Reply asking the user to sign a wallet proof challenge and paste the signature.
+ * @param {{ id: string, address: string, message: string, expiresAt: Date|string }} challenge - from issueWalletChallenge
+ * @returns {{ content: string, components: ActionRowBuilder[] }}
+ */
+export function buildWalletProofPrompt(challenge) {
+  const expiresAtSec = Math.floor(
+    new Date(challenge.expiresAt).getTime() / 1000,
+  );
+  return {
+    content:
+      `🔏 Prove that you control \`${challenge.address}\`: sign the message below with that wallet ` +
+      "(personal_sign, e.g. MetaMask, Etherscan “Verified Signatures” or `cast wallet sign`), " +
+      `then click **Submit signature** and paste it. Expires <t:${expiresAtSec}:R>.\n` +
+      "```\n" +
+      challenge.message +
+      "\n```",
+    components: [buildWalletProofRow(challenge.id)],
+  };
+}
+
+/**
+ * Modal to paste the signature of a wallet proof challenge.
+ * customId: wallet_proof_modal:<challengeId>
+ * @param {string} challengeId
+ */
+export function buildWalletSignatureModal(challengeId) {
+  const input = new TextInputBuilder()
+    .setCustomId("wallet_signature")
+    .setLabel("Signature (0x…)")
+    .setStyle(TextInputStyle.Paragraph)
+    .setMinLength(132)
+    .setMaxLength(200)
+    .setRequired(true);
+  return new ModalBuilder()
+    .setCustomId(`wallet_proof_modal:${challengeId}`)
+    .setTitle("Verify wallet")
+    .addComponents(new ActionRowBuilder().addComponents(input));
+}
+
 export function buildEscrowStatusEmbed({
   escrowAddress,
+  chainId = null, // chain of the trade (explorer links, network field)
   buyerId,
   sellerId,
   statusText = "Created",
   amountEth = "0",
+  amount, // base amount in the trade's asset; defaults to amountEth
+  tokenSymbol = "ETH",
   priceUsd,
+  evidence = [], // delivery_evidence rows of the trade (see deliveryEvidence.js)
 
   title = "📊 Escrow Status",
   description,
@@ -274,9 +476,11 @@ export function buildEscrowStatusEmbed({
   if (s === "created") nextAction = "buyer to fund trade";
   else if (s === "funded") nextAction = "seller to deliver";
   else if (s === "delivered") nextAction = "buyer to approve & release";
+  else if (s === "disputed") nextAction = "moderator resolution";
 
-  // Compute fee breakdowns (base amount = escrowed amount = amountEth)
-  const baseEthNum = toNumberLoose(amountEth);
+  // Compute fee breakdowns (base amount = escrowed amount)
+  const amountText = amount ?? amountEth;
+  const baseEthNum = toNumberLoose(amountText);
   const haveBase = Number.isFinite(baseEthNum) && baseEthNum > 0;
 
   const sellerPayoutEthNum = haveBase ? baseEthNum * 0.975 : null;
@@ -288,10 +492,10 @@ export function buildEscrowStatusEmbed({
   const feesLines = [];
   if (haveBase) {
     feesLines.push(
-      `Buyer pays: ${formatEth(baseEthNum * 1.025)} ETH (includes 2.5% fee)`,
+      `Buyer pays: ${formatEth(baseEthNum * 1.025)} ${tokenSymbol} (includes 2.5% fee)`,
     );
     feesLines.push(
-      `Seller receives: ${formatEth(sellerPayoutEthNum)} ETH (after 2.5% fee)`,
+      `Seller receives: ${formatEth(sellerPayoutEthNum)} ${tokenSymbol} (after 2.5% fee)`,
     );
   }
   if (buyerTotalUsdNum != null && sellerPayoutUsdNum != null) {
@@ -317,17 +521,20 @@ export function buildEscrowStatusEmbed({
         inline: false,
       },
       {
-        name: "\nAmount (ETH)",
-        value: amountEth ? `${amountEth} ETH` : "—",
+        name: `\nAmount (${tokenSymbol})`,
+        value: amountText ? `${amountText} ${tokenSymbol}` : "—",
         inline: true,
       },
       {
         name: "\nContract",
         value: escrowAddress
-          ? `[${escrowAddress}](${buildEtherscanAddressUrl(escrowAddress)})`
+          ? `[${escrowAddress}](${addressUrl(escrowAddress, chainId)})`
           : "—",
         inline: false,
       },
+      ...(isMultiChain()
+        ? [{ name: "\nNetwork", value: getChain(chainId).name, inline: true }]
+        : []),
       {
         name: "\nBuyer",
         value: buyerId ? `<@${buyerId}>` : "—",
@@ -346,6 +553,16 @@ export function buildEscrowStatusEmbed({
     )
     .setColor(escrowEmbedColorForStatus(statusText));
 
+  if (evidence.length > 0) {
+    embed.addFields({
+      name: "\nDelivery evidence",
+      value: formatEvidenceLines(evidence, { max: 5 })
+        .join("\n")
+        .slice(0, 1024),
+      inline: false,
+    });
+  }
+
   if (nextAction) {
     embed.setFooter({ text: `Awaiting ${nextAction}` });
   }
@@ -390,6 +607,115 @@ export function buildApproveReleaseRow() {
   );
 }
 
+/**
+ * Delivered state row: Approve & Release plus Raise Dispute (either party)
+ */
+export function buildDeliveredActionsRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("approve_release")
+      .setLabel("Approve & Release")
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId("raise_dispute")
+      .setLabel("Raise Dispute")
+      .setStyle(ButtonStyle.Danger),
+  );
+}
+
+/**
+ * Disputed state row: admin-only resolution panel
+ */
+export function buildResolveDisputeRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("resolve_dispute")
+      .setLabel("Resolve Dispute (Admin)")
+      .setStyle(ButtonStyle.Secondary),
+  );
+}
+
+export function buildDisputeReasonModal() {
+  const reason = new TextInputBuilder()
+    .setCustomId("dispute_reason")
+    .setLabel("What went wrong?")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(true)
+    .setMinLength(10)
+    .setMaxLength(500);
+
+  const row = new ActionRowBuilder().addComponents(reason);
+  const modal = new ModalBuilder()
+    .setCustomId("dispute_reason_modal")
+    .setTitle("Raise Dispute")
+    .addComponents(row);
+
+  return modal;
+}
+
+export function buildDeliveryEvidenceModal() {
+  const tracking = new TextInputBuilder()
+    .setCustomId("delivery_tracking")
+    .setLabel("Tracking number")
+    .setStyle(TextInputStyle.Short)
+    .setRequired(false)
+    .setMaxLength(100);
+
+  const links = new TextInputBuilder()
+    .setCustomId("delivery_links")
+    .setLabel("Links (one per line)")
+    .setStyle(TextInputStyle.Paragraph)
+    .setPlaceholder("e.g. carrier tracking page, download link, shared folder")
+    .setRequired(false)
+    .setMaxLength(1000);
+
+  const note = new TextInputBuilder()
+    .setCustomId("delivery_note")
+    .setLabel("Note for the buyer")
+    .setStyle(TextInputStyle.Paragraph)
+    .setPlaceholder("Files: post them in this thread (they are recorded too)")
+    .setRequired(false)
+    .setMaxLength(500);
+
+  const modal = new ModalBuilder()
+    .setCustomId("delivery_evidence_modal")
+    .setTitle("Mark Delivered")
+    .addComponents(
+      new ActionRowBuilder().addComponents(tracking),
+      new ActionRowBuilder().addComponents(links),
+      new ActionRowBuilder().addComponents(note),
+    );
+
+  return modal;
+}
+
+export function buildResolveDisputeModal() {
+  const buyerShare = new TextInputBuilder()
+    .setCustomId("buyer_share_pct")
+    .setLabel("Buyer share (%) — seller gets the rest")
+    .setStyle(TextInputStyle.Short)
+    .setPlaceholder("e.g. 100 (full refund), 0 (release to seller), 50")
+    .setRequired(true)
+    .setMaxLength(6);
+
+  const note = new TextInputBuilder()
+    .setCustomId("resolution_note")
+    .setLabel("Resolution note (shown in the thread)")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(false)
+    .setMaxLength(500);
+
+  const row1 = new ActionRowBuilder().addComponents(buyerShare);
+  const row2 = new ActionRowBuilder().addComponents(note);
+
+  const modal = new ModalBuilder()
+    .setCustomId("resolve_dispute_modal")
+    .setTitle("Resolve Dispute")
+    .addComponents(row1, row2);
+
+  return modal;
+}
+
 export function buildPreFundQuoteRow() {
   return new ActionRowBuilder().addComponents(
     new ButtonBuilder()
@@ -399,29 +725,425 @@ export function buildPreFundQuoteRow() {
   );
 }
 
+/**
+ * One page of the /trades list.
+ * Entries are already resolved (live status, role, counterparty).
+ *
+ * @param {{
+ *   title: string,
+ *   entries: Array<{ tradeId: string, statusText: string, amountEth?: string|null, amount?: string|null, tokenSymbol?: string, role: "buyer"|"seller", counterpartyId?: string|null, threadId?: string|null, txHash?: string|null, managerAddress?: string|null, chainId?: number|null }>,
+ *   page: number,        // 0-based
+ *   pageCount: number,
+ *   total: number,
+ *   emptyText?: string,
+ * }} params
+ */
+export function buildTradeListEmbed({
+  title,
+  entries,
+  page,
+  pageCount,
+  total,
+  emptyText = "No trades found.",
+}) {
+  const lines = entries.map((e) => {
+    const label = explorerLabel(e.chainId);
+    const amount = toNumberLoose(e.amount ?? e.amountEth);
+    const symbol = e.tokenSymbol ?? "ETH";
+    const links = [
+      e.threadId ? `<#${e.threadId}>` : null,
+      e.txHash
+        ? `[${label}](${txUrl(e.txHash, e.chainId)})`
+        : e.managerAddress
+          ? `[${label}](${addressUrl(e.managerAddress, e.chainId)})`
+          : null,
+    ].filter(Boolean);
+    return [
+      `**#${e.tradeId}** • ${e.statusText}` +
+        (Number.isFinite(amount) && amount > 0
+          ? ` • ${formatEth(amount)} ${symbol}`
+          : ""),
+      `You are the ${e.role}` +
+        (e.counterpartyId ? ` • with <@${e.counterpartyId}>` : "") +
+        (links.length ? ` • ${links.join(" • ")}` : ""),
+    ].join("\n");
+  });
+
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(lines.length ? lines.join("\n\n") : emptyText)
+    .setColor(COLORS.BLURPLE)
+    .setFooter({
+      text: `Page ${Math.min(page + 1, Math.max(pageCount, 1))}/${Math.max(pageCount, 1)} • ${total} trade${total === 1 ? "" : "s"}`,
+    });
+}
+
+/**
+ * Prev/Next buttons for the /trades list.
+ * customId: trades_page:<scope>:<page> (0-based target page)
+ * @param {{ scope: "active"|"history", page: number, pageCount: number }} params
+ */
+export function buildTradeListPagerRow({ scope, page, pageCount }) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`trades_page:${scope}:${Math.max(0, page - 1)}`)
+      .setLabel("◀ Prev")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page <= 0),
+    new ButtonBuilder()
+      .setCustomId(`trades_page:${scope}:${page + 1}`)
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(page + 1 >= pageCount),
+  );
+}
+
+/**
+ * Detail view of a single trade for /trades show.
+ * @param {{
+ *   tradeId: string,
+ *   statusText: string,
+ *   amountEth?: string|null,
+ *   amount?: string|null,        // in the trade's asset (takes precedence)
+ *   tokenSymbol?: string,
+ *   priceUsd?: string|null,
+ *   buyerId?: string|null,
+ *   sellerId?: string|null,
+ *   threadId?: string|null,
+ *   managerAddress?: string|null,
+ *   chainId?: number|null,
+ *   txHash?: string|null,
+ *   deadlineSec?: number|null,
+ *   createdAt?: Date|string|null,
+ * }} params
+ */
+export function buildTradeDetailEmbed({
+  tradeId,
+  statusText,
+  amountEth,
+  amount: assetAmount,
+  tokenSymbol = "ETH",
+  priceUsd,
+  buyerId,
+  sellerId,
+  threadId,
+  managerAddress,
+  chainId = null,
+  txHash,
+  deadlineSec,
+  createdAt,
+}) {
+  const amount = toNumberLoose(assetAmount ?? amountEth);
+  const created = createdAt ? new Date(createdAt).getTime() : NaN;
+
+  const fields = [
+    { name: "Status", value: statusText || "—", inline: true },
+    {
+      name: `Amount (${tokenSymbol})`,
+      value:
+        Number.isFinite(amount) && amount > 0
+          ? `${formatEth(amount)} ${tokenSymbol}`
+          : "—",
+      inline: true,
+    },
+    {
+      name: "Price (USD)",
+      value: priceUsd ? `$${priceUsd}` : "—",
+      inline: true,
+    },
+    { name: "Buyer", value: buyerId ? `<@${buyerId}>` : "—", inline: true },
+    { name: "Seller", value: sellerId ? `<@${sellerId}>` : "—", inline: true },
+    { name: "Thread", value: threadId ? `<#${threadId}>` : "—", inline: true },
+    {
+      name: "Explorer",
+      value:
+        [
+          managerAddress
+            ? `[Contract](${addressUrl(managerAddress, chainId)})`
+            : null,
+          txHash ? `[Creation tx](${txUrl(txHash, chainId)})` : null,
+        ]
+          .filter(Boolean)
+          .join(" • ") || "—",
+      inline: false,
+    },
+  ];
+  if (deadlineSec) {
+    fields.push({
+      name: "Auto‑release",
+      value: `<t:${deadlineSec}:F> (<t:${deadlineSec}:R>)`,
+      inline: false,
+    });
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🧾 Trade #${tradeId}`)
+    .addFields(fields)
+    .setColor(escrowEmbedColorForStatus(statusText))
+    .setFooter({ text: "Status read live from the contract" });
+  if (Number.isFinite(created)) embed.setTimestamp(created);
+  return embed;
+}
+
+/**
+ * Admin view of a trade for /escrow inspect: on-chain vs stored state, parties,
+ * Discord context and recent admin actions.
+ * @param {{
+ *   tradeId: string,
+ *   managerAddress: string,
+ *   chainId?: number|null,
+ *   chainStatusText: string|null,   // null when the RPC read failed
+ *   dbStatusText: string,
+ *   amountEth?: string|null,
+ *   amount?: string|null,        // in the trade's asset (takes precedence)
+ *   tokenSymbol?: string,
+ *   buyerId?: string|null,
+ *   sellerId?: string|null,
+ *   buyerAddress?: string|null,
+ *   sellerAddress?: string|null,
+ *   deliveredAtSec?: number|null,
+ *   deadlineSec?: number|null,
+ *   threadId?: string|null,
+ *   statusMessageId?: string|null,
+ *   recentActions?: Array<{ action: string, outcome: string, adminDiscordId: string, createdAt: Date|string|null }>,
+ * }} params
+ */
+export function buildAdminTradeInspectEmbed({
+  tradeId,
+  managerAddress,
+  chainId = null,
+  chainStatusText,
+  dbStatusText,
+  amountEth,
+  amount: assetAmount,
+  tokenSymbol = "ETH",
+  buyerId,
+  sellerId,
+  buyerAddress,
+  sellerAddress,
+  deliveredAtSec,
+  deadlineSec,
+  threadId,
+  statusMessageId,
+  recentActions = [],
+}) {
+  const amount = toNumberLoose(assetAmount ?? amountEth);
+  const inSync = chainStatusText !== null && chainStatusText === dbStatusText;
+  const party = (id, address) =>
+    [
+      id ? `<@${id}>` : "—",
+      address ? `[${address}](${addressUrl(address, chainId)})` : null,
+    ]
+      .filter(Boolean)
+      .join("\n");
+  const actions = recentActions.map((a) => {
+    const ts = a.createdAt
+      ? Math.floor(new Date(a.createdAt).getTime() / 1000)
+      : null;
+    return `${ts ? `<t:${ts}:R> ` : ""}\`${a.action}\` by <@${a.adminDiscordId}> → ${a.outcome}`;
+  });
+
+  return new EmbedBuilder()
+    .setTitle(`🛠️ Trade #${tradeId} (admin)`)
+    .setDescription(
+      inSync
+        ? "Stored status matches the contract."
+        : "⚠️ Stored status differs from the contract (or the contract could not be read). Use `/escrow resync`.",
+    )
+    .addFields(
+      {
+        name: "On-chain status",
+        value: chainStatusText ?? "unavailable",
+        inline: true,
+      },
+      { name: "Stored status", value: dbStatusText || "—", inline: true },
+      {
+        name: `Amount (${tokenSymbol})`,
+        value:
+          Number.isFinite(amount) && amount > 0
+            ? `${formatEth(amount)} ${tokenSymbol}`
+            : "—",
+        inline: true,
+      },
+      { name: "Buyer", value: party(buyerId, buyerAddress), inline: true },
+      { name: "Seller", value: party(sellerId, sellerAddress), inline: true },
+      {
+        name: "Delivery",
+        value: deliveredAtSec
+          ? `Delivered <t:${deliveredAtSec}:R>` +
+            (deadlineSec ? `\nAuto‑release <t:${deadlineSec}:R>` : "")
+          : "—",
+        inline: true,
+      },
+      {
+        name: "Discord",
+        value: [
+          threadId ? `Thread: <#${threadId}>` : "Thread: —",
+          `Status message: ${statusMessageId ?? "—"}`,
+        ].join("\n"),
+        inline: false,
+      },
+      {
+        name: "Contract",
+        value:
+          `[${managerAddress}](${addressUrl(managerAddress, chainId)})` +
+          (isMultiChain() ? ` on ${getChain(chainId).name}` : ""),
+        inline: false,
+      },
+      {
+        name: "Recent admin actions",
+        value: actions.length ? actions.join("\n") : "None",
+        inline: false,
+      },
+    )
+    .setColor(
+      inSync ? escrowEmbedColorForStatus(chainStatusText) : COLORS.ALERT_RED,
+    );
+}
+
+/**
+ * Admin view of bot-signed transactions (/audit), most recent first.
+ * @param {{
+ *   entries: Array<{ functionName: string|null, tradeId: string|null, chainId?: number|null, actorDiscordId: string|null, source: string|null, txHash: string|null, status: string, error?: string|null, gasUsed?: string|null, submittedAt: Date|string|null }>,
+ *   filterText?: string,  // shown in the footer, e.g. "trade #42"
+ * }} params
+ */
+export function buildTxAuditEmbed({ entries, filterText = "" }) {
+  const lines = entries.map((e) => {
+    const label = explorerLabel(e.chainId);
+    const ts = e.submittedAt
+      ? Math.floor(new Date(e.submittedAt).getTime() / 1000)
+      : null;
+    const who = e.actorDiscordId
+      ? `<@${e.actorDiscordId}>`
+      : (e.source ?? "bot");
+    const detail = [
+      e.gasUsed ? `gas ${e.gasUsed}` : null,
+      e.txHash ? `[${label}](${txUrl(e.txHash, e.chainId)})` : null,
+      e.error ? `\`${e.error.slice(0, 120)}\`` : null,
+    ].filter(Boolean);
+    return (
+      `${ts ? `<t:${ts}:R> ` : ""}\`${e.functionName ?? "raw"}\`` +
+      (e.tradeId ? ` #${e.tradeId}` : "") +
+      ` by ${who} → **${e.status}**` +
+      (detail.length ? `\n${detail.join(" • ")}` : "")
+    );
+  });
+
+  // Embed descriptions are capped at 4096 characters
+  let description = "";
+  let shown = 0;
+  for (const line of lines) {
+    const next = description ? `${description}\n\n${line}` : line;
+    if (next.length > 4000) break;
+    description = next;
+    shown += 1;
+  }
+
+  const failed = entries.some(
+    (e) => e.status === "failed" || e.status === "reverted",
+  );
+  return new EmbedBuilder()
+    .setTitle("🧾 Bot transactions")
+    .setDescription(description || "No transactions recorded.")
+    .setColor(failed ? COLORS.ALERT_RED : COLORS.BLURPLE)
+    .setFooter({
+      text:
+        `${shown} of ${entries.length} shown` +
+        (filterText ? ` • ${filterText}` : ""),
+    });
+}
+
+/**
+ * /reputation view of a user: summary lines (reputation.js) and the latest ratings.
+ * @param {{
+ *   userId: string,
+ *   lines: string[],
+ *   ratings?: Array<{ score: number, comment: string|null, raterDiscordId: string, tradeId: string, updatedAt: Date|string|null }>,
+ *   firstTradeAt?: Date|string|null,
+ * }} params
+ */
+export function buildReputationEmbed({
+  userId,
+  lines,
+  ratings = [],
+  firstTradeAt = null,
+}) {
+  const embed = new EmbedBuilder()
+    .setTitle("🏅 Reputation")
+    .setDescription(`<@${userId}>\n${lines.join("\n")}`)
+    .setColor(COLORS.BLURPLE)
+    .setFooter({
+      text: firstTradeAt
+        ? "Rate your trades with /rate • first trade"
+        : "Rate your trades with /rate",
+    });
+  if (ratings.length > 0) {
+    embed.addFields({
+      name: "Latest ratings",
+      value: ratings
+        .map((r) => {
+          const ts = r.updatedAt
+            ? ` <t:${Math.floor(new Date(r.updatedAt).getTime() / 1000)}:R>`
+            : "";
+          const comment = r.comment
+            ? `\n> ${r.comment.replace(/\s+/gu, " ").slice(0, 200)}`
+            : "";
+          return `${"★".repeat(r.score)}${"☆".repeat(5 - r.score)} by <@${r.raterDiscordId}> · #${r.tradeId}${ts}${comment}`;
+        })
+        .join("\n")
+        .slice(0, 1024),
+      inline: false,
+    });
+  }
+  if (firstTradeAt) embed.setTimestamp(new Date(firstTradeAt));
+  return embed;
+}
+
+/**
+ * Created state row: pre‑fund quote plus Cancel Trade (either party, needs confirmation)
+ */
+export function buildCreatedActionsRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("prefund_quote")
+      .setLabel("Get pre‑fund quote")
+      .setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder()
+      .setCustomId("cancel_trade")
+      .setLabel("Cancel Trade")
+      .setStyle(ButtonStyle.Danger),
+  );
+}
+
 /**
  * Helper to choose status-specific action buttons.
  * Accepts either numeric status (enum) or status text.
  *
- * - Created: Get pre‑fund quote
+ * - Created: Get pre‑fund quote, Cancel Trade
  * - Funded: Mark Delivered
- * - Delivered: Approve & Release
- * - Completed/Cancelled/Disputed: no actions
+ * - Delivered: Approve & Release, Raise Dispute
+ * - Disputed: Resolve Dispute (admin-only; Approve & Release is hidden)
+ * - Completed/Cancelled: no actions
  */
 export function buildActionsForStatus(status) {
   const s = typeof status === "string" ? status.toLowerCase() : Number(status);
 
   if (s === 0 || s === "created") {
-    // Created -> Secondary "Get pre‑fund quote"
-    return [buildPreFundQuoteRow()];
+    // Created -> Secondary "Get pre‑fund quote" + Danger "Cancel Trade"
+    return [buildCreatedActionsRow()];
   }
   if (s === 1 || s === "funded") {
     // Funded -> Primary (blue) "Mark Delivered"
     return [buildMarkDeliveredRow()];
   }
   if (s === 2 || s === "delivered") {
-    // Delivered -> Success (green) "Approve & Release"
-    return [buildApproveReleaseRow()];
+    // Delivered -> Success (green) "Approve & Release" + Danger "Raise Dispute"
+    return [buildDeliveredActionsRow()];
+  }
+  if (s === 5 || s === "disputed") {
+    // Disputed -> release is paused; only admins can resolve
+    return [buildResolveDisputeRow()];
   }
   return [];
 }
@@ -3,6 +3,7 @@ import { Pool } from "pg";
 import fs from "fs";
 import path from "path";
 import crypto from "crypto";
+import { dbQueryDuration } from "./metrics.js";
 
 dotenv.config({ quiet: true });
 
@@ -80,13 +81,23 @@ export async function closePool() {
 }
 
 /**
- * Thin query wrapper using the shared pool.
+ * Thin query wrapper using the shared pool (latency recorded in metrics.js).
  * @param {string} text
  * @param {any[]} [params]
  */
 export async function query(text, params) {
   const pool = getPool();
-  return pool.query(text, params);
+  const started = process.hrtime.bigint();
+  let outcome = "ok";
+  try {
+    return await pool.query(text, params);
+  } catch (err) {
+    outcome = "error";
+    throw err;
+  } finally {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    dbQueryDuration.observe({ outcome }, seconds);
+  }
 }
 
 /**
@@ -130,7 +141,7 @@ async function ensureMigrationsTable(client) {
 
 /**
  * Load already applied migrations (name -> checksum).
- * @param {import('pg').PoolClient} client
+ * @param {import('pg').PoolClient | import('pg').Pool} client
  * @returns {Promise<Map<string, string | null>>}
  */
 async function getAppliedMigrations(client) {
@@ -247,6 +258,41 @@ export async function runMigrations(options = {}) {
   }
 }
 
+/**
+ * Compare the migrations directory with the migrations table (read-only).
+ * - applied: files already recorded
+ * - pending: files not applied yet
+ * - changed: applied files whose checksum differs from the recorded one
+ * - unknown: recorded names without a file
+ *
+ * @param {{ dir?: string }} [options]
+ * @returns {Promise<{ applied: string[], pending: string[], changed: string[], unknown: string[] }>}
+ */
+export async function getMigrationStatus(options = {}) {
+  const dir = options.dir || DEFAULT_MIGRATIONS_DIR;
+  const res = await query(`SELECT to_regclass('public.migrations') AS tbl`);
+  const applied = res.rows[0]?.tbl
+    ? await getAppliedMigrations(getPool())
+    : new Map();
+  const files = loadMigrationFiles(dir);
+  const names = new Set(files.map((f) => f.name));
+
+  const status = { applied: [], pending: [], changed: [], unknown: [] };
+  for (const mig of files) {
+    if (!applied.has(mig.name)) {
+      status.pending.push(mig.name);
+      continue;
+    }
+    status.applied.push(mig.name);
+    const prev = applied.get(mig.name);
+    if (prev && prev !== mig.checksum) status.changed.push(mig.name);
+  }
+  for (const name of applied.keys()) {
+    if (!names.has(name)) status.unknown.push(name);
+  }
+  return status;
+}
+
 /**
  * Initialize DB and run migrations.
  * Call this once at startup (e.g., from bot bootstrap).
@@ -267,5 +313,6 @@ export default {
   query,
   withTransaction,
   runMigrations,
+  getMigrationStatus,
   initDb,
 };
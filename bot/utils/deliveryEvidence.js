@@ -0,0 +1,248 @@
+/**
+ * deliveryEvidence.js
+ *
+ * Seller proof of delivery: tracking numbers, links and notes from the Mark Delivered
+ * modal, and files the seller posts in the trade thread. Every item is stored in
+ * delivery_evidence (deliveryEvidenceRepo.js) with a SHA-256 hash:
+ * - text items: hash of the trimmed text (UTF-8)
+ * - files: hash of the downloaded bytes, up to DELIVERY_EVIDENCE_MAX_MB (default 25);
+ *   larger files are stored without a hash.
+ *
+ * The items are listed on the status embed, in the moderator alert of a dispute and by
+ * `/escrow evidence`.
+ *
+ * Usage:
+ *   const { items, invalidLinks } = parseEvidenceFields({ tracking, links, note });
+ *   await recordTextEvidence(trade, items);
+ *   await recordAttachmentEvidence(trade, message);
+ *   const evidence = await loadDeliveryEvidence(managerAddress, tradeId);
+ */
+
+import crypto from "crypto";
+import {
+  EVIDENCE_KIND,
+  insertDeliveryEvidence,
+  listDeliveryEvidence,
+} from "./deliveryEvidenceRepo.js";
+
+const DOWNLOAD_TIMEOUT_MS = 30_000;
+const KIND_ICON = Object.freeze({
+  [EVIDENCE_KIND.Tracking]: "📦",
+  [EVIDENCE_KIND.Link]: "🔗",
+  [EVIDENCE_KIND.Note]: "📝",
+  [EVIDENCE_KIND.File]: "📎",
+});
+
+function maxFileBytes() {
+  const mb = Number(process.env.DELIVERY_EVIDENCE_MAX_MB || 25);
+  return (Number.isFinite(mb) && mb > 0 ? mb : 25) * 1024 * 1024;
+}
+
+/**
+ * SHA-256 of a string (UTF-8) or bytes, as lowercase hex.
+ * @param {string|Uint8Array} data
+ * @returns {string}
+ */
+export function sha256Hex(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/**
+ * Turn the Mark Delivered modal fields into evidence items.
+ * Links are split on whitespace and must be http(s) URLs.
+ * @param {{ tracking?: string|null, links?: string|null, note?: string|null }} fields
+ * @returns {{ items: Array<{ kind: string, content: string }>, invalidLinks: string[] }}
+ */
+export function parseEvidenceFields({ tracking, links, note } = {}) {
+  const items = [];
+  const invalidLinks = [];
+
+  const trackingText = String(tracking ?? "").trim();
+  if (trackingText) {
+    items.push({ kind: EVIDENCE_KIND.Tracking, content: trackingText });
+  }
+
+  for (const raw of String(links ?? "").split(/\s+/u)) {
+    if (!raw) continue;
+    let url = null;
+    try {
+      url = new URL(raw);
+    } catch {
+      url = null;
+    }
+    if (url && (url.protocol === "https:" || url.protocol === "http:")) {
+      items.push({ kind: EVIDENCE_KIND.Link, content: url.toString() });
+    } else {
+      invalidLinks.push(raw);
+    }
+  }
+
+  const noteText = String(note ?? "").trim();
+  if (noteText) items.push({ kind: EVIDENCE_KIND.Note, content: noteText });
+
+  return { items, invalidLinks };
+}
+
+/**
+ * Store text items for a trade.
+ * @param {{ chainId: number, managerAddress: string, tradeId: bigint|string, discordId: string, guildId?: string|null, channelId?: string|null }} trade
+ * @param {Array<{ kind: string, content: string }>} items
+ * @returns {Promise<number>} number of new items
+ */
+export async function recordTextEvidence(trade, items) {
+  let created = 0;
+  for (const item of items) {
+    const res = await insertDeliveryEvidence({
+      chainId: trade.chainId,
+      managerAddress: trade.managerAddress,
+      tradeId: trade.tradeId,
+      submittedByDiscordId: trade.discordId,
+      kind: item.kind,
+      content: item.content,
+      sha256: sha256Hex(item.content),
+      guildId: trade.guildId ?? null,
+      channelId: trade.channelId ?? null,
+    });
+    if (res.created) created++;
+  }
+  return created;
+}
+
+/**
+ * Download an attachment and hash it, streaming.
+ * @param {{ url: string, size?: number }} attachment
+ * @returns {Promise<string|null>} hex hash, or null when larger than the limit
+ */
+async function hashAttachment(attachment) {
+  const limit = maxFileBytes();
+  if (Number(attachment.size ?? 0) > limit) return null;
+
+  const res = await fetch(attachment.url, {
+    signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS),
+  });
+  if (!res.ok || !res.body) {
+    throw new Error(`download failed (HTTP ${res.status})`);
+  }
+  const hash = crypto.createHash("sha256");
+  let total = 0;
+  for await (const chunk of res.body) {
+    total += chunk.length;
+    if (total > limit) return null;
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Store the attachments of a thread message as file evidence.
+ * @param {{ chainId: number, managerAddress: string, tradeId: bigint|string, discordId: string }} trade
+ * @param {import('discord.js').Message} message
+ * @returns {Promise<{ stored: object[], failed: string[] }>} new items, and names that could not be downloaded
+ */
+export async function recordAttachmentEvidence(trade, message) {
+  const stored = [];
+  const failed = [];
+  for (const attachment of message.attachments.values()) {
+    let sha256;
+    try {
+      sha256 = await hashAttachment(attachment);
+    } catch (e) {
+      console.warn(
+        `deliveryEvidence: ${attachment.name} not hashed:`,
+        e?.message ?? e,
+      );
+      failed.push(attachment.name);
+      continue;
+    }
+    const res = await insertDeliveryEvidence({
+      chainId: trade.chainId,
+      managerAddress: trade.managerAddress,
+      tradeId: trade.tradeId,
+      submittedByDiscordId: trade.discordId,
+      kind: EVIDENCE_KIND.File,
+      fileName: attachment.name ?? null,
+      contentType: attachment.contentType ?? null,
+      sizeBytes: attachment.size ?? null,
+      url: attachment.url,
+      sha256,
+      guildId: message.guildId ?? null,
+      channelId: message.channelId,
+      messageId: message.id,
+    });
+    if (res.created) stored.push(res.evidence);
+  }
+  return { stored, failed };
+}
+
+/**
+ * Evidence of a trade for display; an empty list when it cannot be read.
+ * @param {string} managerAddress
+ * @param {bigint|string|number} tradeId
+ * @returns {Promise<object[]>}
+ */
+export async function loadDeliveryEvidence(managerAddress, tradeId) {
+  try {
+    return await listDeliveryEvidence(managerAddress, tradeId);
+  } catch (e) {
+    console.warn("deliveryEvidence: list failed:", e?.message ?? e);
+    return [];
+  }
+}
+
+function truncate(text, max) {
+  const s = String(text ?? "");
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function formatBytes(n) {
+  if (!Number.isFinite(n)) return "?";
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * One line per evidence item.
+ * @param {object[]} evidence - rows from deliveryEvidenceRepo
+ * @param {{ max?: number, fullHash?: boolean }} [options] - max items (rest summarized), full or short hashes
+ * @returns {string[]}
+ */
+export function formatEvidenceLines(
+  evidence,
+  { max = 5, fullHash = false } = {},
+) {
+  const lines = evidence.slice(0, max).map((e) => {
+    const icon = KIND_ICON[e.kind] ?? "•";
+    const hash = e.sha256
+      ? `sha256 \`${fullHash ? e.sha256 : `${e.sha256.slice(0, 12)}…`}\``
+      : "not hashed (too large)";
+    switch (e.kind) {
+      case EVIDENCE_KIND.File: {
+        const where =
+          e.guildId && e.channelId && e.messageId
+            ? `[${truncate(e.fileName ?? "file", 60)}](https://discord.com/channels/${e.guildId}/${e.channelId}/${e.messageId})`
+            : truncate(e.fileName ?? "file", 60);
+        return `${icon} ${where} · ${formatBytes(e.sizeBytes)} · ${hash}`;
+      }
+      case EVIDENCE_KIND.Link:
+        return `${icon} <${truncate(e.content, 200)}> · ${hash}`;
+      case EVIDENCE_KIND.Tracking:
+        return `${icon} Tracking \`${truncate(e.content, 100)}\` · ${hash}`;
+      default:
+        return `${icon} ${truncate(e.content, 150)} · ${hash}`;
+    }
+  });
+  if (evidence.length > max) {
+    lines.push(`…and ${evidence.length - max} more`);
+  }
+  return lines;
+}
+
+export default {
+  sha256Hex,
+  parseEvidenceFields,
+  recordTextEvidence,
+  recordAttachmentEvidence,
+  loadDeliveryEvidence,
+  formatEvidenceLines,
+};
@@ -0,0 +1,152 @@
+import { query } from "./db.js";
+
+/**
+ * Delivery Evidence Repository (PostgreSQL)
+ *
+ * Items the seller submitted as proof of delivery (see deliveryEvidence.js).
+ *
+ * Table (see migration 20251126_000019_delivery_evidence.sql):
+ *   delivery_evidence (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     chain_id INTEGER NOT NULL,
+ *     manager_address TEXT NOT NULL,   -- lowercase
+ *     trade_id NUMERIC(78,0) NOT NULL,
+ *     submitted_by_discord_id TEXT NOT NULL,
+ *     kind TEXT NOT NULL,              -- 'tracking' | 'link' | 'note' | 'file'
+ *     content TEXT NULL,
+ *     file_name TEXT NULL,
+ *     content_type TEXT NULL,
+ *     size_bytes BIGINT NULL,
+ *     url TEXT NULL,
+ *     sha256 TEXT NULL,                -- hex
+ *     guild_id TEXT NULL,
+ *     channel_id TEXT NULL,
+ *     message_id TEXT NULL,
+ *     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+ *   )
+ *   -- unique (manager_address, trade_id, kind, sha256) when sha256 is set
+ */
+
+export const EVIDENCE_KIND = Object.freeze({
+  Tracking: "tracking",
+  Link: "link",
+  Note: "note",
+  File: "file",
+});
+
+/**
+ * Convert DB row to JS object.
+ * @param {any} row
+ */
+function rowToEvidence(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    chainId: row.chain_id,
+    managerAddress: row.manager_address,
+    tradeId: String(row.trade_id),
+    submittedByDiscordId: row.submitted_by_discord_id,
+    kind: row.kind,
+    content: row.content ?? null,
+    fileName: row.file_name ?? null,
+    contentType: row.content_type ?? null,
+    sizeBytes:
+      row.size_bytes !== null && row.size_bytes !== undefined
+        ? Number(row.size_bytes)
+        : null,
+    url: row.url ?? null,
+    sha256: row.sha256 ?? null,
+    guildId: row.guild_id ?? null,
+    channelId: row.channel_id ?? null,
+    messageId: row.message_id ?? null,
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null,
+  };
+}
+
+/**
+ * Store one evidence item. An item already stored for the trade (same kind and hash)
+ * is kept as is.
+ * @param {{
+ *   chainId: number,
+ *   managerAddress: string,
+ *   tradeId: bigint|string|number,
+ *   submittedByDiscordId: string,
+ *   kind: string,
+ *   content?: string|null,
+ *   fileName?: string|null,
+ *   contentType?: string|null,
+ *   sizeBytes?: number|null,
+ *   url?: string|null,
+ *   sha256?: string|null,
+ *   guildId?: string|null,
+ *   channelId?: string|null,
+ *   messageId?: string|null,
+ * }} item
+ * @returns {Promise<{ evidence: object|null, created: boolean }>} evidence is null for a duplicate
+ */
+export async function insertDeliveryEvidence(item) {
+  const res = await query(
+    `
+    INSERT INTO delivery_evidence (
+      chain_id, manager_address, trade_id, submitted_by_discord_id, kind, content,
+      file_name, content_type, size_bytes, url, sha256, guild_id, channel_id, message_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    ON CONFLICT (manager_address, trade_id, kind, sha256) WHERE sha256 IS NOT NULL
+      DO NOTHING
+    RETURNING *
+  `,
+    [
+      item.chainId,
+      String(item.managerAddress).toLowerCase(),
+      BigInt(item.tradeId).toString(),
+      String(item.submittedByDiscordId),
+      item.kind,
+      item.content ?? null,
+      item.fileName ?? null,
+      item.contentType ?? null,
+      item.sizeBytes ?? null,
+      item.url ?? null,
+      item.sha256 ?? null,
+      item.guildId ?? null,
+      item.channelId ?? null,
+      item.messageId ?? null,
+    ],
+  );
+  return res.rowCount
+    ? { evidence: rowToEvidence(res.rows[0]), created: true }
+    : { evidence: null, created: false };
+}
+
+/**
+ * Evidence of a trade, oldest first.
+ * @param {string} managerAddress
+ * @param {bigint|string|number} tradeId
+ * @param {number} [limit]
+ * @returns {Promise<object[]>}
+ */
+export async function listDeliveryEvidence(
+  managerAddress,
+  tradeId,
+  limit = 50,
+) {
+  const lim = Math.max(1, Math.min(200, Number(limit) || 50));
+  const res = await query(
+    `
+    SELECT * FROM delivery_evidence
+    WHERE manager_address = $1 AND trade_id = $2
+    ORDER BY created_at ASC, id ASC
+    LIMIT $3
+  `,
+    [String(managerAddress).toLowerCase(), BigInt(tradeId).toString(), lim],
+  );
+  return res.rows.map(rowToEvidence);
+}
+
+export default {
+  EVIDENCE_KIND,
+  insertDeliveryEvidence,
+  listDeliveryEvidence,
+};
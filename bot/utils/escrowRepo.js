@@ -22,9 +22,15 @@ import { query } from "./db.js";
  *   seller_discord_id TEXT NULL
  *   buyer_address TEXT NULL
  *   seller_address TEXT NULL
- *   amount_wei NUMERIC(78,0) NULL
+ *   amount_wei NUMERIC(78,0) NULL   -- token units for ERC-20 trades
+ *   token_address TEXT NULL         -- ERC-20 of the trade, NULL = native ETH (migration 20251121_000014)
+ *   chain_id INTEGER NULL           -- chain of the trade, NULL = default chain (migration 20251122_000015)
  *   status SMALLINT NULL
  *   status_text TEXT NULL
+ *   funded_at / delivered_at / completed_at / cancelled_at / disputed_at TIMESTAMPTZ NULL
+ *                                   -- first time the row reached that status, set by a
+ *                                   -- trigger (migration 20251128_000021)
+ *   dispute_buyer_share_bps INTEGER NULL  -- buyer share of a resolved dispute
  *   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
  *   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
  */
@@ -38,6 +44,26 @@ export const ESCROW_STATUS = Object.freeze({
   Disputed: 5,
 });
 
+// Statuses a trade can move on from, per target status (AmisEscrowManager). A sync may
+// skip steps, but never goes back, e.g. to Funded after the seller marked Delivered.
+const ESCROW_STATUS_PREDECESSORS = Object.freeze({
+  [ESCROW_STATUS.Created]: [],
+  [ESCROW_STATUS.Funded]: [ESCROW_STATUS.Created],
+  [ESCROW_STATUS.Delivered]: [ESCROW_STATUS.Created, ESCROW_STATUS.Funded],
+  [ESCROW_STATUS.Disputed]: [
+    ESCROW_STATUS.Created,
+    ESCROW_STATUS.Funded,
+    ESCROW_STATUS.Delivered,
+  ],
+  [ESCROW_STATUS.Completed]: [
+    ESCROW_STATUS.Created,
+    ESCROW_STATUS.Funded,
+    ESCROW_STATUS.Delivered,
+    ESCROW_STATUS.Disputed,
+  ],
+  [ESCROW_STATUS.Cancelled]: [ESCROW_STATUS.Created],
+});
+
 /**
  * Map numeric status to human label.
  * @param {number|bigint|null|undefined} status
@@ -72,6 +98,11 @@ function rowToEscrow(row) {
   return {
     id: row.id ?? null,
     escrowAddress: row.escrow_address ?? null,
+    managerAddress: row.manager_address ?? null,
+    tradeId:
+      row.trade_id !== null && row.trade_id !== undefined
+        ? String(row.trade_id)
+        : null,
     factoryTxHash: row.factory_tx_hash ?? null,
     channelId: row.channel_id ?? null,
     threadId: row.thread_id ?? null,
@@ -85,11 +116,26 @@ function rowToEscrow(row) {
       row.amount_wei !== null && row.amount_wei !== undefined
         ? String(row.amount_wei)
         : null,
+    tokenAddress: row.token_address ?? null,
+    chainId:
+      row.chain_id !== null && row.chain_id !== undefined
+        ? Number(row.chain_id)
+        : null,
     status:
       row.status !== null && row.status !== undefined
         ? Number(row.status)
         : null,
     statusText: row.status_text ?? null,
+    fundedAt: row.funded_at ?? null,
+    deliveredAt: row.delivered_at ?? null,
+    completedAt: row.completed_at ?? null,
+    cancelledAt: row.cancelled_at ?? null,
+    disputedAt: row.disputed_at ?? null,
+    disputeBuyerShareBps:
+      row.dispute_buyer_share_bps !== null &&
+      row.dispute_buyer_share_bps !== undefined
+        ? Number(row.dispute_buyer_share_bps)
+        : null,
     createdAt: row.created_at ?? null,
     updatedAt: row.updated_at ?? null,
   };
@@ -515,6 +561,8 @@ export async function upsertEscrowByManagerTrade(escrow) {
     "buyer_address",
     "seller_address",
     "amount_wei",
+    "token_address",
+    "chain_id",
     "status",
     "status_text",
   ];
@@ -531,6 +579,8 @@ export async function upsertEscrowByManagerTrade(escrow) {
     escrow.buyerAddress ?? null,
     escrow.sellerAddress ?? null,
     toDbAmount(escrow.amountWei),
+    escrow.tokenAddress ?? null,
+    escrow.chainId ?? null,
     escrow.status !== undefined && escrow.status !== null
       ? Number(escrow.status)
       : null,
@@ -539,7 +589,12 @@ export async function upsertEscrowByManagerTrade(escrow) {
   const placeholders = columns.map((_, i) => `$${i + 1}`).join(", ");
   const updates = columns
     .filter((c) => c !== "manager_address" && c !== "trade_id")
-    .map((c) => `${c}=EXCLUDED.${c}`)
+    .map((c) =>
+      // Asset and chain are fixed at creation; later upserts without them keep the stored ones
+      c === "token_address" || c === "chain_id"
+        ? `${c}=COALESCE(EXCLUDED.${c}, escrows.${c})`
+        : `${c}=EXCLUDED.${c}`,
+    )
     .join(", ");
 
   const sql = `
@@ -571,6 +626,8 @@ export async function upsertEscrowByManagerTrade(escrow) {
  * @param {string} [params.sellerDiscordId]
  * @param {string} [params.buyerAddress]
  * @param {string} [params.sellerAddress]
+ * @param {string|null} [params.tokenAddress] - ERC-20 of the trade (null = native ETH)
+ * @param {number|null} [params.chainId] - chain of the trade (null = default chain)
  * @returns {Promise<object>}
  */
 export async function recordAmisTradeCreation(params) {
@@ -587,6 +644,8 @@ export async function recordAmisTradeCreation(params) {
     buyerAddress: params.buyerAddress ?? null,
     sellerAddress: params.sellerAddress ?? null,
     amountWei: null,
+    tokenAddress: params.tokenAddress ?? null,
+    chainId: params.chainId ?? null,
     status: ESCROW_STATUS.Created,
     statusText: statusLabel(ESCROW_STATUS.Created),
   };
@@ -595,9 +654,10 @@ export async function recordAmisTradeCreation(params) {
 
 /**
  * Update status/amount/status_text for an Amis trade.
+ * disputeBuyerShareBps records the split of a resolved dispute (buyer share, 0–10000).
  * @param {string} managerAddress
  * @param {string|number|bigint} tradeId
- * @param {{ status?: number|bigint|null, amountWei?: string|number|bigint|null, statusText?: string|null }} patch
+ * @param {{ status?: number|bigint|null, amountWei?: string|number|bigint|null, statusText?: string|null, disputeBuyerShareBps?: number|null }} patch
  */
 export async function setEscrowStatusByManagerTrade(
   managerAddress,
@@ -633,6 +693,14 @@ export async function setEscrowStatusByManagerTrade(
     fields.push(`status_text = $${idx++}`);
     values.push(statusLabel(patch.status));
   }
+  if (patch.disputeBuyerShareBps !== undefined) {
+    fields.push(`dispute_buyer_share_bps = $${idx++}`);
+    values.push(
+      patch.disputeBuyerShareBps !== null
+        ? Number(patch.disputeBuyerShareBps)
+        : null,
+    );
+  }
 
   if (fields.length === 0)
     return getEscrowByManagerTrade(managerAddress, tradeId);
@@ -649,6 +717,54 @@ export async function setEscrowStatusByManagerTrade(
   return rowToEscrow(res.rows[0]);
 }
 
+/**
+ * Compare-and-set the status of an Amis trade: only updates when the stored status is
+ * one the trade can move on to `status` from (forward only). Lets concurrent writers
+ * (buttons, indexer, scheduler) agree on who performed a transition, and keeps a state
+ * read at a lagging block from moving the row back.
+ * @param {string} managerAddress
+ * @param {string|number|bigint} tradeId
+ * @param {number} status - target ESCROW_STATUS value
+ * @param {{ amountWei?: string|number|bigint|null }} [extra]
+ * @returns {Promise<object|null>} updated row, or null when already at `status` or past it (or unknown trade)
+ */
+export async function transitionEscrowStatusByManagerTrade(
+  managerAddress,
+  tradeId,
+  status,
+  extra = {},
+) {
+  if (!managerAddress)
+    throw new Error(
+      "transitionEscrowStatusByManagerTrade: managerAddress required",
+    );
+  if (tradeId === null || tradeId === undefined)
+    throw new Error("transitionEscrowStatusByManagerTrade: tradeId required");
+
+  const res = await query(
+    `
+    UPDATE escrows
+    SET status = $1,
+        status_text = $2,
+        amount_wei = COALESCE($3, amount_wei)
+    WHERE manager_address = $4
+      AND trade_id = $5
+      AND (status IS NULL OR status = ANY($6::smallint[]))
+    RETURNING *
+  `,
+    [
+      Number(status),
+      statusLabel(status),
+      toDbAmount(extra.amountWei ?? null),
+      managerAddress,
+      String(tradeId),
+      ESCROW_STATUS_PREDECESSORS[Number(status)] ?? [],
+    ],
+  );
+  if (res.rowCount === 0) return null;
+  return rowToEscrow(res.rows[0]);
+}
+
 /**
  * Update Discord context by (manager, tradeId).
  * @param {string} managerAddress
@@ -809,6 +925,96 @@ export async function getEscrowByManagerTrade(managerAddress, tradeId) {
   return rowToEscrow(res.rows[0]);
 }
 
+/**
+ * List Amis trades for a manager in the given status(es) (oldest update first).
+ * @param {string} managerAddress
+ * @param {number|number[]} status - ESCROW_STATUS value or list of values
+ * @param {number} [limit=100]
+ * @returns {Promise<object[]>}
+ */
+export async function listEscrowsByManagerStatus(
+  managerAddress,
+  status,
+  limit = 100,
+) {
+  const lim = Math.max(1, Math.min(500, Number(limit) || 100));
+  const statuses = (Array.isArray(status) ? status : [status]).map(Number);
+  const res = await query(
+    `
+    SELECT * FROM escrows
+    WHERE manager_address = $1
+      AND status = ANY($2::smallint[])
+      AND trade_id IS NOT NULL
+    ORDER BY updated_at ASC
+    LIMIT $3
+  `,
+    [managerAddress, statuses, lim],
+  );
+  return res.rows.map(rowToEscrow);
+}
+
+/**
+ * Number of Amis trades per status (all chains), e.g. for metrics.
+ * @returns {Promise<Array<{ status: number|null, count: number }>>}
+ */
+export async function countEscrowsByStatus() {
+  const res = await query(`
+    SELECT status, COUNT(*) AS count FROM escrows
+    WHERE trade_id IS NOT NULL
+    GROUP BY status
+  `);
+  return res.rows.map((r) => ({
+    status: r.status === null ? null : Number(r.status),
+    count: Number(r.count),
+  }));
+}
+
+/**
+ * List Amis trades where a Discord user is the buyer or the seller
+ * (most recently updated first), with the total count for pagination.
+ * @param {string} discordId
+ * @param {{ managerAddress?: string|string[]|null, statuses?: number[]|null, limit?: number, offset?: number }} [opts]
+ *   managerAddress: one manager, or several (e.g. one per chain)
+ * @returns {Promise<{ rows: object[], total: number }>}
+ */
+export async function listEscrowsForDiscordUser(discordId, opts = {}) {
+  const lim = Math.max(1, Math.min(100, Number(opts.limit) || 10));
+  const offset = Math.max(0, Number(opts.offset) || 0);
+  const managers =
+    opts.managerAddress == null
+      ? null
+      : [opts.managerAddress].flat().map(String);
+  const statuses = Array.isArray(opts.statuses)
+    ? opts.statuses.map(Number)
+    : null;
+
+  const where = `
+    WHERE (buyer_discord_id = $1 OR seller_discord_id = $1)
+      AND trade_id IS NOT NULL
+      AND ($2::text[] IS NULL OR manager_address = ANY($2::text[]))
+      AND ($3::smallint[] IS NULL OR status = ANY($3::smallint[]))
+  `;
+  const params = [String(discordId), managers, statuses];
+
+  const countRes = await query(
+    `SELECT COUNT(*)::int AS total FROM escrows ${where}`,
+    params,
+  );
+  const res = await query(
+    `
+    SELECT * FROM escrows
+    ${where}
+    ORDER BY updated_at DESC, id DESC
+    LIMIT $4 OFFSET $5
+  `,
+    [...params, lim, offset],
+  );
+  return {
+    rows: res.rows.map(rowToEscrow),
+    total: Number(countRes.rows[0]?.total ?? 0),
+  };
+}
+
 export default {
   ESCROW_STATUS,
   statusLabel,
@@ -831,9 +1037,13 @@ export default {
   upsertEscrowByManagerTrade,
   recordAmisTradeCreation,
   setEscrowStatusByManagerTrade,
+  transitionEscrowStatusByManagerTrade,
   setEscrowDiscordContextByManagerTrade,
   setEscrowPartiesByManagerTrade,
   setEscrowAmountByManagerTrade,
   setStatusMessageIdByManagerTrade,
   getEscrowByManagerTrade,
+  listEscrowsByManagerStatus,
+  countEscrowsByStatus,
+  listEscrowsForDiscordUser,
 };
@@ -0,0 +1,94 @@
+import { query } from "./db.js";
+
+/**
+ * Event Cursor Repository (PostgreSQL)
+ *
+ * Stores the last fully processed block for each on-chain event indexer so that
+ * logs can be replayed from there after a restart.
+ *
+ * Table (see migration 20251112_000006_event_cursors.sql):
+ *   event_cursors (
+ *     name TEXT PRIMARY KEY,
+ *     contract_address TEXT NULL,
+ *     block_number NUMERIC(78,0) NOT NULL,
+ *     block_hash TEXT NULL,
+ *     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+ *   )
+ */
+
+/**
+ * Convert DB row to JS object.
+ * @param {any} row
+ */
+function rowToCursor(row) {
+  if (!row) return null;
+  return {
+    name: row.name,
+    contractAddress: row.contract_address ?? null,
+    blockNumber: BigInt(row.block_number),
+    blockHash: row.block_hash ?? null,
+    updatedAt: row.updated_at ?? null,
+  };
+}
+
+/**
+ * Fetch a cursor by name.
+ * @param {string} name
+ * @returns {Promise<{ name: string, contractAddress: string|null, blockNumber: bigint, blockHash: string|null, updatedAt: Date|null } | null>}
+ */
+export async function getCursor(name) {
+  const res = await query(
+    `SELECT * FROM event_cursors WHERE name = $1 LIMIT 1`,
+    [name],
+  );
+  if (res.rowCount === 0) return null;
+  return rowToCursor(res.rows[0]);
+}
+
+/**
+ * Create or move a cursor.
+ * @param {string} name
+ * @param {{ contractAddress?: string|null, blockNumber: bigint|number|string, blockHash?: string|null }} cursor
+ * @returns {Promise<object>}
+ */
+export async function setCursor(name, cursor) {
+  if (!name) throw new Error("setCursor: name required");
+  if (cursor?.blockNumber === undefined || cursor?.blockNumber === null)
+    throw new Error("setCursor: blockNumber required");
+
+  const res = await query(
+    `
+    INSERT INTO event_cursors (name, contract_address, block_number, block_hash)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (name) DO UPDATE SET
+      contract_address = COALESCE(EXCLUDED.contract_address, event_cursors.contract_address),
+      block_number = EXCLUDED.block_number,
+      block_hash = EXCLUDED.block_hash
+    RETURNING *
+  `,
+    [
+      name,
+      cursor.contractAddress ?? null,
+      String(cursor.blockNumber),
+      cursor.blockHash ?? null,
+    ],
+  );
+  return rowToCursor(res.rows[0]);
+}
+
+/**
+ * Delete a cursor (the indexer restarts from its configured start block).
+ * @param {string} name
+ * @returns {Promise<boolean>}
+ */
+export async function clearCursor(name) {
+  await query(`DELETE FROM event_cursors WHERE name = $1`, [name]);
+  return true;
+}
+
+export default {
+  getCursor,
+  setCursor,
+  clearCursor,
+};
@@ -1,28 +1,27 @@
 /**
  * Explorer URL helpers for addresses, transactions, tokens, and blocks.
  *
+ * Every helper takes an optional chainId (default chain when omitted, see chains.js), so
+ * links of a trade point at the explorer of the chain the trade lives on.
+ *
  * Strategy:
- * - Prefer explicit EXPLORER_BASE_URL when provided (e.g., https://sepolia.etherscan.io)
- * - Otherwise infer from NETWORK_CHAIN_ID using a curated map of common explorers
+ * - Prefer the chain's explorerUrl from the chain registry (EXPLORER_BASE_URL in a
+ *   single-network setup), e.g. https://sepolia.etherscan.io
+ * - Otherwise infer from the chain id using a curated map of common explorers
  * - Fall back to Etherscan mainnet if nothing else is available
  *
  * Environment variables:
- * - EXPLORER_BASE_URL (optional): overrides auto-detection entirely
- * - NETWORK_CHAIN_ID (optional, number): used to select a default explorer
+ * - EXPLORER_BASE_URL (optional): explorer of the default chain when no chain registry is used
  *
  * Examples:
  *   addressUrl("0xabc...")  -> https://sepolia.etherscan.io/address/0xabc...
  *   txUrl("0xhash...")       -> https://sepolia.etherscan.io/tx/0xhash...
+ *   txUrl("0xhash...", 8453) -> https://basescan.org/tx/0xhash...
  *   tokenUrl("0xabc...")     -> https://sepolia.etherscan.io/token/0xabc...
  *   blockUrl(123456n)        -> https://sepolia.etherscan.io/block/123456
  */
 
-const RAW_CHAIN_ID = process.env.NETWORK_CHAIN_ID;
-const CHAIN_ID = Number.isFinite(Number(RAW_CHAIN_ID))
-  ? Number(RAW_CHAIN_ID)
-  : undefined;
-
-const ENV_EXPLORER_BASE = String(process.env.EXPLORER_BASE_URL || "").trim();
+import { getChain } from "./chains.js";
 
 /**
  * Known explorers by EVM chain id.
@@ -84,72 +83,79 @@ function join(base, path) {
 }
 
 /**
- * Resolve the explorer base URL.
+ * Resolve the explorer base URL of a chain.
  * Preference order:
- * 1) EXPLORER_BASE_URL env var
- * 2) Known explorer from mapping by NETWORK_CHAIN_ID
+ * 1) explorerUrl of the chain in the registry (EXPLORER_BASE_URL for the single-network setup)
+ * 2) Known explorer from mapping by chain id
  * 3) Etherscan mainnet as fallback
- * @returns {{ baseUrl: string, source: 'env'|'mapping'|'fallback', chainId?: number }}
+ * @param {number|string|null} [chainId] - default chain when omitted
+ * @returns {{ baseUrl: string, source: 'config'|'mapping'|'fallback', chainId: number }}
  */
-export function getExplorerConfig() {
-  if (ENV_EXPLORER_BASE) {
-    return { baseUrl: normalizeBase(ENV_EXPLORER_BASE), source: "env", chainId: CHAIN_ID };
+export function getExplorerConfig(chainId) {
+  const chain = getChain(chainId);
+  if (chain.explorerUrl) {
+    return { baseUrl: normalizeBase(chain.explorerUrl), source: "config", chainId: chain.id };
   }
-  if (CHAIN_ID && EXPLORERS_BY_CHAIN_ID[CHAIN_ID]) {
+  if (EXPLORERS_BY_CHAIN_ID[chain.id]) {
     return {
-      baseUrl: normalizeBase(EXPLORERS_BY_CHAIN_ID[CHAIN_ID]),
+      baseUrl: normalizeBase(EXPLORERS_BY_CHAIN_ID[chain.id]),
       source: "mapping",
-      chainId: CHAIN_ID,
+      chainId: chain.id,
     };
   }
-  return { baseUrl: "https://etherscan.io", source: "fallback", chainId: CHAIN_ID };
+  return { baseUrl: "https://etherscan.io", source: "fallback", chainId: chain.id };
 }
 
 /**
  * Get the explorer base URL string directly.
+ * @param {number|string|null} [chainId]
  * @returns {string}
  */
-export function getExplorerBaseUrl() {
-  return getExplorerConfig().baseUrl;
+export function getExplorerBaseUrl(chainId) {
+  return getExplorerConfig(chainId).baseUrl;
 }
 
 /**
- * Build an address URL for the current chain explorer.
+ * Build an address URL for the chain's explorer.
  * @param {string} address
+ * @param {number|string|null} [chainId]
  * @returns {string}
  */
-export function addressUrl(address) {
-  const base = getExplorerBaseUrl();
+export function addressUrl(address, chainId) {
+  const base = getExplorerBaseUrl(chainId);
   return join(base, `/address/${String(address)}`);
 }
 
 /**
- * Build a transaction URL for the current chain explorer.
+ * Build a transaction URL for the chain's explorer.
  * @param {string} txHash
+ * @param {number|string|null} [chainId]
  * @returns {string}
  */
-export function txUrl(txHash) {
-  const base = getExplorerBaseUrl();
+export function txUrl(txHash, chainId) {
+  const base = getExplorerBaseUrl(chainId);
   return join(base, `/tx/${String(txHash)}`);
 }
 
 /**
- * Build a token URL for the current chain explorer.
+ * Build a token URL for the chain's explorer.
  * @param {string} tokenAddress
+ * @param {number|string|null} [chainId]
  * @returns {string}
  */
-export function tokenUrl(tokenAddress) {
-  const base = getExplorerBaseUrl();
+export function tokenUrl(tokenAddress, chainId) {
+  const base = getExplorerBaseUrl(chainId);
   return join(base, `/token/${String(tokenAddress)}`);
 }
 
 /**
- * Build a block URL for the current chain explorer.
+ * Build a block URL for the chain's explorer.
  * @param {number|string|bigint} blockNumber
+ * @param {number|string|null} [chainId]
  * @returns {string}
  */
-export function blockUrl(blockNumber) {
-  const base = getExplorerBaseUrl();
+export function blockUrl(blockNumber, chainId) {
+  const base = getExplorerBaseUrl(chainId);
   const n =
     typeof blockNumber === "bigint"
       ? blockNumber.toString()
@@ -158,11 +164,12 @@ export function blockUrl(blockNumber) {
 }
 
 /**
- * Optional label for the explorer (based on base URL).
+ * Optional label for the chain's explorer (based on base URL).
+ * @param {number|string|null} [chainId]
  * @returns {string}
  */
-export function explorerLabel() {
-  const { baseUrl } = getExplorerConfig();
+export function explorerLabel(chainId) {
+  const { baseUrl } = getExplorerConfig(chainId);
   try {
     const host = new URL(baseUrl).host;
     // Simple host-to-label mapping
@@ -0,0 +1,333 @@
+/**
+ * feeLedger.js
+ *
+ * Fee revenue accounting. The event indexer (amisIndexer.js) hands every batch of
+ * manager logs to recordFeeEvents before moving its cursor, so each fee lands in the
+ * fee_ledger table exactly once per trade side (see feeLedgerRepo.js):
+ * - BuyerFeeSplit (fund): buyer fee and its bot / fee receiver split
+ * - SellerFeeSplit (approve or timeout release): seller fee and its split
+ * - Refunded (only emitted by resolveDispute): the dispute fee, which the contract pays
+ *   without a fee event; it is derived from the trade amount with fees.js
+ *
+ * Reconciliation: each emitted split is compared with the split fees.js computes from
+ * the trade amount (buildWeiBreakdownFromBase + splitFeeWei). Mismatches are stored
+ * (reconciled = false), logged and counted in the /fees report.
+ *
+ * USD valuation: native ETH fees use the ETH-USD spot rate (fx.js) when the event is
+ * indexed, normally a few confirmations after it was mined. Events older than
+ * SPOT_RATE_MAX_AGE_MS (caught up after downtime, or a first run from the start block)
+ * get no rate and source "backfilled": today's rate would misstate them, and no
+ * historical rate source is configured. Configured ERC-20 escrow tokens are USD
+ * stablecoins (1:1) at any age. Other native coins and unknown tokens have no rate and
+ * are reported without USD. A failed rate lookup leaves the rate empty rather than
+ * holding up the indexer.
+ *
+ * Usage:
+ *   import { buildFeeReport, feeEntriesToCsv } from "./feeLedger.js";
+ *   const report = await buildFeeReport({ period: "weekly", periods: 8 });
+ */
+
+import { getTrade, getTradeToken } from "./amis.js";
+import { getChain } from "./chains.js";
+import { getChainClients } from "./client.js";
+import { buildWeiBreakdownFromBase, splitFeeWei } from "./fees.js";
+import {
+  FEE_SIDE,
+  getFeeTotals,
+  listFeeEntries,
+  upsertFeeEntry,
+} from "./feeLedgerRepo.js";
+import { unitsToDecimalString } from "./format.js";
+import { getEthUsdRate } from "./fx.js";
+import { findEscrowToken, resolveToken } from "./tokens.js";
+
+// Report periods: date_trunc unit and default number of periods shown
+export const FEE_PERIODS = Object.freeze({
+  daily: { unit: "day", defaultCount: 14 },
+  weekly: { unit: "week", defaultCount: 8 },
+  monthly: { unit: "month", defaultCount: 6 },
+});
+
+// Oldest event still valued at the current ETH-USD rate
+const SPOT_RATE_MAX_AGE_MS = 15 * 60 * 1000;
+
+const SIDE_BY_EVENT = {
+  BuyerFeeSplit: FEE_SIDE.Buyer,
+  SellerFeeSplit: FEE_SIDE.Seller,
+  Refunded: FEE_SIDE.Dispute,
+};
+
+/**
+ * Fee split emitted by a log, or derived from the trade amount for dispute fees.
+ * @param {string} side
+ * @param {Record<string, any>} args
+ * @param {ReturnType<typeof buildWeiBreakdownFromBase>} breakdown
+ */
+function emittedSplit(side, args, breakdown) {
+  if (side === FEE_SIDE.Dispute) {
+    // resolveDispute charges one side's fee on the full amount
+    const { botFeeWei, receiverFeeWei } = splitFeeWei(breakdown.seller.feeWei);
+    return { feeWei: breakdown.seller.feeWei, botFeeWei, receiverFeeWei };
+  }
+  return {
+    feeWei: BigInt(
+      (side === FEE_SIDE.Buyer ? args.buyerFee : args.sellerFee) ?? 0n,
+    ),
+    botFeeWei: BigInt(args.botFee ?? 0n),
+    receiverFeeWei: BigInt(args.feeReceiverFee ?? 0n),
+  };
+}
+
+/**
+ * USD per whole unit of the asset at the event's block time, or null when unknown.
+ * @param {{ address: string|null, isNative: boolean, symbol: string }} asset
+ * @param {number} chainId
+ * @param {Date} blockTime
+ * @returns {Promise<{ rate: number|null, source: string } | null>}
+ */
+async function usdRateFor(asset, chainId, blockTime) {
+  if (!asset.isNative) {
+    // Only configured escrow tokens are known to be USD stablecoins
+    return findEscrowToken(asset.address, chainId)
+      ? { rate: 1, source: "peg" }
+      : null;
+  }
+  if (asset.symbol !== "ETH") return null;
+  if (Date.now() - blockTime.getTime() > SPOT_RATE_MAX_AGE_MS) {
+    return { rate: null, source: "backfilled" };
+  }
+  try {
+    return await getEthUsdRate();
+  } catch (e) {
+    console.warn("feeLedger: ETH-USD rate unavailable:", e?.message ?? e);
+    return null;
+  }
+}
+
+/**
+ * Record the fees found in a batch of manager logs. Throws on RPC or database errors
+ * so the indexer retries the batch; rows are upserted, so replays are harmless.
+ * @param {import("./chains.js").ChainConfig} chain
+ * @param {Array<{ eventName: string, args: Record<string, any>, blockNumber: bigint, transactionHash: string, logIndex: number }>} logs
+ * @returns {Promise<number>} number of fees recorded
+ */
+export async function recordFeeEvents(chain, logs) {
+  const feeLogs = logs.filter((l) => SIDE_BY_EVENT[l.eventName]);
+  if (feeLogs.length === 0) return 0;
+
+  const { publicClient } = getChainClients(chain.id);
+  const blockTimes = new Map(); // block number -> Date
+  const trades = new Map(); // trade id -> { amount, asset }
+
+  for (const log of feeLogs) {
+    const side = SIDE_BY_EVENT[log.eventName];
+    const tradeId = BigInt(log.args.tradeId);
+    const blockNumber = BigInt(log.blockNumber);
+
+    if (!blockTimes.has(blockNumber)) {
+      const block = await publicClient.getBlock({ blockNumber });
+      if (!block) throw new Error(`block ${blockNumber} not found`);
+      blockTimes.set(blockNumber, new Date(Number(block.timestamp) * 1000));
+    }
+
+    let trade = trades.get(tradeId);
+    if (!trade) {
+      // The amount never changes after creation
+      const { amount } = await getTrade(tradeId, {
+        chainId: chain.id,
+        blockTag: Number(blockNumber),
+      });
+      const tokenAddress = await getTradeToken(tradeId, { chainId: chain.id });
+      trade = { amount, asset: await resolveToken(tokenAddress, chain.id) };
+      trades.set(tradeId, trade);
+    }
+
+    const breakdown = buildWeiBreakdownFromBase(trade.amount);
+    const emitted = emittedSplit(side, log.args, breakdown);
+    const expectedFeeWei =
+      side === FEE_SIDE.Buyer
+        ? breakdown.buyer.feeWei
+        : breakdown.seller.feeWei;
+    const expected = splitFeeWei(expectedFeeWei);
+    const reconciled =
+      side === FEE_SIDE.Dispute
+        ? null
+        : emitted.feeWei === expectedFeeWei &&
+          emitted.botFeeWei === expected.botFeeWei &&
+          emitted.receiverFeeWei === expected.receiverFeeWei;
+    if (reconciled === false) {
+      console.warn(
+        `feeLedger: ${side} fee of trade #${tradeId} on ${chain.name} does not match fees.js: emitted ${emitted.feeWei} (bot ${emitted.botFeeWei}, receiver ${emitted.receiverFeeWei}), expected ${expectedFeeWei} (bot ${expected.botFeeWei}, receiver ${expected.receiverFeeWei}) [tx ${log.transactionHash}]`,
+      );
+    }
+
+    const usd = await usdRateFor(
+      trade.asset,
+      chain.id,
+      blockTimes.get(blockNumber),
+    );
+    await upsertFeeEntry({
+      chainId: chain.id,
+      managerAddress: chain.managerAddress,
+      tradeId,
+      side,
+      tokenAddress: trade.asset.address,
+      assetSymbol: trade.asset.symbol,
+      assetDecimals: trade.asset.decimals,
+      ...emitted,
+      baseAmountWei: trade.amount,
+      expectedFeeWei,
+      expectedBotFeeWei: expected.botFeeWei,
+      expectedReceiverFeeWei: expected.receiverFeeWei,
+      reconciled,
+      usdRate: usd?.rate ?? null,
+      usdRateSource: usd?.source ?? null,
+      blockNumber,
+      blockTime: blockTimes.get(blockNumber),
+      txHash: log.transactionHash,
+      logIndex: Number(log.logIndex),
+    });
+  }
+  return feeLogs.length;
+}
+
+/**
+ * Start (UTC) of the oldest period shown; weeks start on Monday like date_trunc.
+ * @param {'day'|'week'|'month'} unit
+ * @param {number} count
+ * @param {Date} [now]
+ */
+export function feeWindowStart(unit, count, now = new Date()) {
+  const back = Math.max(1, Math.floor(count)) - 1;
+  const d = new Date(
+    Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()),
+  );
+  if (unit === "week") {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7) - 7 * back);
+  } else if (unit === "month") {
+    d.setUTCDate(1);
+    d.setUTCMonth(d.getUTCMonth() - back);
+  } else {
+    d.setUTCDate(d.getUTCDate() - back);
+  }
+  return d;
+}
+
+/**
+ * Fee totals per period and asset for one chain.
+ * @param {{ period: keyof typeof FEE_PERIODS, periods?: number|null, chainId?: number|null }} params
+ * @returns {Promise<{ chain: import("./chains.js").ChainConfig, period: string, since: Date, rows: Awaited<ReturnType<typeof getFeeTotals>> }>}
+ */
+export async function buildFeeReport({
+  period,
+  periods = null,
+  chainId = null,
+}) {
+  const config = FEE_PERIODS[period];
+  if (!config) throw new Error(`Unknown report period: ${period}`);
+  const chain = getChain(chainId);
+  const since = feeWindowStart(config.unit, periods ?? config.defaultCount);
+  const rows = await getFeeTotals({
+    period: config.unit,
+    since,
+    chainId: chain.id,
+  });
+  return { chain, period, since, rows };
+}
+
+/**
+ * Quote a CSV field when needed.
+ * @param {unknown} v
+ */
+function csvField(v) {
+  const s = v === null || v === undefined ? "" : String(v);
+  return /[",\n]/u.test(s) ? `"${s.replace(/"/gu, '""')}"` : s;
+}
+
+/**
+ * USD value of a fee amount as a 2-decimal string, or "" without a rate.
+ * @param {string} units
+ * @param {number} decimals
+ * @param {string|null} rate
+ */
+function usdValue(units, decimals, rate) {
+  if (rate === null) return "";
+  return (
+    Number(unitsToDecimalString(units, decimals, 18)) * Number(rate)
+  ).toFixed(2);
+}
+
+/**
+ * Ledger rows as CSV (header + one line per fee), amounts in whole units of the asset.
+ * @param {Awaited<ReturnType<typeof listFeeEntries>>} entries
+ * @returns {string}
+ */
+export function feeEntriesToCsv(entries) {
+  const header = [
+    "block_time",
+    "chain_id",
+    "trade_id",
+    "side",
+    "asset",
+    "fee",
+    "bot_fee",
+    "receiver_fee",
+    "usd_rate",
+    "usd_rate_at",
+    "fee_usd",
+    "bot_fee_usd",
+    "receiver_fee_usd",
+    "reconciled",
+    "expected_fee",
+    "tx_hash",
+    "log_index",
+  ];
+  const lines = [header.join(",")];
+  for (const e of entries) {
+    const amount = (units) =>
+      units === null ? "" : unitsToDecimalString(units, e.assetDecimals, 18);
+    lines.push(
+      [
+        new Date(e.blockTime).toISOString(),
+        e.chainId,
+        e.tradeId,
+        e.side,
+        e.assetSymbol,
+        amount(e.feeWei),
+        amount(e.botFeeWei),
+        amount(e.receiverFeeWei),
+        e.usdRate ?? "",
+        e.usdRateAt ? new Date(e.usdRateAt).toISOString() : "",
+        usdValue(e.feeWei, e.assetDecimals, e.usdRate),
+        usdValue(e.botFeeWei, e.assetDecimals, e.usdRate),
+        usdValue(e.receiverFeeWei, e.assetDecimals, e.usdRate),
+        e.reconciled === null ? "" : String(e.reconciled),
+        amount(e.expectedFeeWei),
+        e.txHash,
+        e.logIndex,
+      ]
+        .map(csvField)
+        .join(","),
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * CSV export of a report window (see buildFeeReport).
+ * @param {{ since: Date, chainId: number }} params
+ * @returns {Promise<{ csv: string, count: number }>}
+ */
+export async function exportFeeCsv({ since, chainId }) {
+  const entries = await listFeeEntries({ since, chainId });
+  return { csv: feeEntriesToCsv(entries), count: entries.length };
+}
+
+export default {
+  FEE_PERIODS,
+  recordFeeEvents,
+  feeWindowStart,
+  buildFeeReport,
+  feeEntriesToCsv,
+  exportFeeCsv,
+};
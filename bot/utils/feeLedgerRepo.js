@@ -0,0 +1,271 @@
+import { query } from "./db.js";
+
+/**
+ * Fee Ledger Repository (PostgreSQL)
+ *
+ * One row per fee charged on a trade, written by the event indexer (see feeLedger.js):
+ * the emitted bot / fee receiver split, the split expected from fees.js and the asset's
+ * USD rate when the event was indexed.
+ *
+ * Table (see migration 20251123_000016_fee_ledger.sql):
+ *   fee_ledger (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     chain_id INTEGER NOT NULL,
+ *     manager_address TEXT NOT NULL,
+ *     trade_id NUMERIC(78,0) NOT NULL,
+ *     side TEXT NOT NULL,                  -- 'buyer' | 'seller' | 'dispute'
+ *     token_address TEXT NULL,             -- NULL = native coin
+ *     asset_symbol TEXT NOT NULL,
+ *     asset_decimals INTEGER NOT NULL,
+ *     fee_wei NUMERIC(78,0) NOT NULL,
+ *     bot_fee_wei NUMERIC(78,0) NOT NULL,
+ *     receiver_fee_wei NUMERIC(78,0) NOT NULL,
+ *     base_amount_wei NUMERIC(78,0) NULL,
+ *     expected_fee_wei NUMERIC(78,0) NULL,
+ *     expected_bot_fee_wei NUMERIC(78,0) NULL,
+ *     expected_receiver_fee_wei NUMERIC(78,0) NULL,
+ *     reconciled BOOLEAN NULL,
+ *     usd_rate NUMERIC NULL,               -- USD per whole unit of the asset
+ *     usd_rate_source TEXT NULL,
+ *     usd_rate_at TIMESTAMPTZ NULL,
+ *     block_number NUMERIC(78,0) NOT NULL,
+ *     block_time TIMESTAMPTZ NOT NULL,
+ *     tx_hash TEXT NOT NULL,
+ *     log_index INTEGER NOT NULL,
+ *     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     UNIQUE (manager_address, trade_id, side)
+ *   )
+ */
+
+export const FEE_SIDE = Object.freeze({
+  Buyer: "buyer",
+  Seller: "seller",
+  Dispute: "dispute",
+});
+
+// date_trunc units accepted by getFeeTotals
+const PERIOD_UNITS = new Set(["day", "week", "month"]);
+
+/**
+ * Convert DB row to JS object.
+ * @param {any} row
+ */
+function rowToFeeEntry(row) {
+  if (!row) return null;
+  const str = (v) => (v !== null && v !== undefined ? String(v) : null);
+  return {
+    id: str(row.id),
+    chainId: row.chain_id,
+    managerAddress: row.manager_address,
+    tradeId: str(row.trade_id),
+    side: row.side,
+    tokenAddress: row.token_address ?? null,
+    assetSymbol: row.asset_symbol,
+    assetDecimals: Number(row.asset_decimals),
+    feeWei: str(row.fee_wei),
+    botFeeWei: str(row.bot_fee_wei),
+    receiverFeeWei: str(row.receiver_fee_wei),
+    baseAmountWei: str(row.base_amount_wei),
+    expectedFeeWei: str(row.expected_fee_wei),
+    expectedBotFeeWei: str(row.expected_bot_fee_wei),
+    expectedReceiverFeeWei: str(row.expected_receiver_fee_wei),
+    reconciled: row.reconciled ?? null,
+    usdRate: str(row.usd_rate),
+    usdRateSource: row.usd_rate_source ?? null,
+    usdRateAt: row.usd_rate_at ?? null,
+    blockNumber: str(row.block_number),
+    blockTime: row.block_time,
+    txHash: row.tx_hash,
+    logIndex: row.log_index,
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null,
+  };
+}
+
+/**
+ * Normalize a uint value into string for NUMERIC(78,0).
+ * @param {bigint|string|number|null|undefined} v
+ * @returns {string|null}
+ */
+function toDbUint(v) {
+  if (v === null || v === undefined) return null;
+  try {
+    return BigInt(v).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Insert a fee, or update it when the same trade side is indexed again (replay or
+ * reorg). The first known USD rate is kept.
+ * @param {{
+ *   chainId: number,
+ *   managerAddress: string,
+ *   tradeId: bigint|string|number,
+ *   side: 'buyer'|'seller'|'dispute',
+ *   tokenAddress?: string|null,
+ *   assetSymbol: string,
+ *   assetDecimals: number,
+ *   feeWei: bigint,
+ *   botFeeWei: bigint,
+ *   receiverFeeWei: bigint,
+ *   baseAmountWei?: bigint|null,
+ *   expectedFeeWei?: bigint|null,
+ *   expectedBotFeeWei?: bigint|null,
+ *   expectedReceiverFeeWei?: bigint|null,
+ *   reconciled?: boolean|null,
+ *   usdRate?: number|null,
+ *   usdRateSource?: string|null,
+ *   blockNumber: bigint|number,
+ *   blockTime: Date,
+ *   txHash: string,
+ *   logIndex: number,
+ * }} entry
+ * @returns {Promise<object>}
+ */
+export async function upsertFeeEntry(entry) {
+  if (!entry?.managerAddress || entry.tradeId === undefined) {
+    throw new Error("upsertFeeEntry: managerAddress and tradeId required");
+  }
+  const res = await query(
+    `
+    INSERT INTO fee_ledger (
+      chain_id, manager_address, trade_id, side, token_address, asset_symbol, asset_decimals,
+      fee_wei, bot_fee_wei, receiver_fee_wei,
+      base_amount_wei, expected_fee_wei, expected_bot_fee_wei, expected_receiver_fee_wei, reconciled,
+      usd_rate, usd_rate_source, usd_rate_at,
+      block_number, block_time, tx_hash, log_index
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+            $16, $17, CASE WHEN $16::numeric IS NULL THEN NULL ELSE NOW() END,
+            $18, $19, $20, $21)
+    ON CONFLICT (manager_address, trade_id, side) DO UPDATE SET
+      chain_id = EXCLUDED.chain_id,
+      token_address = EXCLUDED.token_address,
+      asset_symbol = EXCLUDED.asset_symbol,
+      asset_decimals = EXCLUDED.asset_decimals,
+      fee_wei = EXCLUDED.fee_wei,
+      bot_fee_wei = EXCLUDED.bot_fee_wei,
+      receiver_fee_wei = EXCLUDED.receiver_fee_wei,
+      base_amount_wei = EXCLUDED.base_amount_wei,
+      expected_fee_wei = EXCLUDED.expected_fee_wei,
+      expected_bot_fee_wei = EXCLUDED.expected_bot_fee_wei,
+      expected_receiver_fee_wei = EXCLUDED.expected_receiver_fee_wei,
+      reconciled = EXCLUDED.reconciled,
+      usd_rate = COALESCE(fee_ledger.usd_rate, EXCLUDED.usd_rate),
+      usd_rate_source = COALESCE(fee_ledger.usd_rate_source, EXCLUDED.usd_rate_source),
+      usd_rate_at = COALESCE(fee_ledger.usd_rate_at, EXCLUDED.usd_rate_at),
+      block_number = EXCLUDED.block_number,
+      block_time = EXCLUDED.block_time,
+      tx_hash = EXCLUDED.tx_hash,
+      log_index = EXCLUDED.log_index
+    RETURNING *
+  `,
+    [
+      entry.chainId,
+      String(entry.managerAddress).toLowerCase(),
+      toDbUint(entry.tradeId),
+      entry.side,
+      entry.tokenAddress ? String(entry.tokenAddress).toLowerCase() : null,
+      entry.assetSymbol,
+      entry.assetDecimals,
+      toDbUint(entry.feeWei),
+      toDbUint(entry.botFeeWei),
+      toDbUint(entry.receiverFeeWei),
+      toDbUint(entry.baseAmountWei),
+      toDbUint(entry.expectedFeeWei),
+      toDbUint(entry.expectedBotFeeWei),
+      toDbUint(entry.expectedReceiverFeeWei),
+      entry.reconciled ?? null,
+      entry.usdRate ?? null,
+      entry.usdRateSource ?? null,
+      toDbUint(entry.blockNumber),
+      entry.blockTime,
+      entry.txHash,
+      entry.logIndex,
+    ],
+  );
+  return rowToFeeEntry(res.rows[0]);
+}
+
+/**
+ * Fee totals per period (UTC), chain and asset, newest period first.
+ * USD sums only cover entries with a known rate (see `unpriced`).
+ * @param {{ period: 'day'|'week'|'month', since: Date, chainId?: number|null }} params
+ * @returns {Promise<Array<{ period: string, chainId: number, tokenAddress: string|null, assetSymbol: string, assetDecimals: number, entries: number, feeWei: string, botFeeWei: string, receiverFeeWei: string, feeUsd: string, botFeeUsd: string, receiverFeeUsd: string, unpriced: number, mismatches: number }>>}
+ */
+export async function getFeeTotals({ period, since, chainId = null }) {
+  if (!PERIOD_UNITS.has(period)) {
+    throw new Error(`getFeeTotals: unsupported period ${period}`);
+  }
+  const res = await query(
+    `
+    SELECT to_char(date_trunc($1, block_time AT TIME ZONE 'UTC'), 'YYYY-MM-DD') AS period,
+           chain_id, token_address, asset_symbol, asset_decimals,
+           COUNT(*)::int AS entries,
+           SUM(fee_wei) AS fee_wei,
+           SUM(bot_fee_wei) AS bot_fee_wei,
+           SUM(receiver_fee_wei) AS receiver_fee_wei,
+           ROUND(COALESCE(SUM(fee_wei * usd_rate / POWER(10::numeric, asset_decimals)), 0), 2) AS fee_usd,
+           ROUND(COALESCE(SUM(bot_fee_wei * usd_rate / POWER(10::numeric, asset_decimals)), 0), 2) AS bot_fee_usd,
+           ROUND(COALESCE(SUM(receiver_fee_wei * usd_rate / POWER(10::numeric, asset_decimals)), 0), 2) AS receiver_fee_usd,
+           COUNT(*) FILTER (WHERE usd_rate IS NULL)::int AS unpriced,
+           COUNT(*) FILTER (WHERE reconciled = FALSE)::int AS mismatches
+    FROM fee_ledger
+    WHERE block_time >= $2
+      AND ($3::int IS NULL OR chain_id = $3)
+    GROUP BY 1, chain_id, token_address, asset_symbol, asset_decimals
+    ORDER BY 1 DESC, chain_id, asset_symbol
+  `,
+    [period, since, chainId],
+  );
+  return res.rows.map((r) => ({
+    period: r.period,
+    chainId: r.chain_id,
+    tokenAddress: r.token_address ?? null,
+    assetSymbol: r.asset_symbol,
+    assetDecimals: Number(r.asset_decimals),
+    entries: r.entries,
+    feeWei: String(r.fee_wei),
+    botFeeWei: String(r.bot_fee_wei),
+    receiverFeeWei: String(r.receiver_fee_wei),
+    feeUsd: String(r.fee_usd),
+    botFeeUsd: String(r.bot_fee_usd),
+    receiverFeeUsd: String(r.receiver_fee_usd),
+    unpriced: r.unpriced,
+    mismatches: r.mismatches,
+  }));
+}
+
+/**
+ * Ledger rows since a point in time (oldest first), e.g. for a CSV export.
+ * @param {{ since: Date, chainId?: number|null, limit?: number }} params
+ * @returns {Promise<object[]>}
+ */
+export async function listFeeEntries({
+  since,
+  chainId = null,
+  limit = 10_000,
+}) {
+  const lim = Math.max(1, Math.min(50_000, Number(limit) || 10_000));
+  const res = await query(
+    `
+    SELECT * FROM fee_ledger
+    WHERE block_time >= $1
+      AND ($2::int IS NULL OR chain_id = $2)
+    ORDER BY block_time ASC, block_number ASC, log_index ASC
+    LIMIT $3
+  `,
+    [since, chainId, lim],
+  );
+  return res.rows.map(rowToFeeEntry);
+}
+
+export default {
+  FEE_SIDE,
+  upsertFeeEntry,
+  getFeeTotals,
+  listFeeEntries,
+};
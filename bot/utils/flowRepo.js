@@ -3,31 +3,44 @@ import { query } from "./db.js";
 /**
  * Postgres-backed Flow Repository.
  *
- * Exposes a similar API to the old in-memory flowState:
- * - getFlow, hasFlow, startFlow, setFlow, clearFlow, resetAllFlows, dumpFlows
+ * One flow per trade: a flow starts as the initiating user's "draft" (no thread yet)
+ * and, once the private thread is created, is keyed by that thread. Buyer and seller
+ * share the same row, so a user can take part in several trades at once.
+ *
+ * API:
+ * - startFlow, getDraftFlow, getFlowByThread, resolveInteractionFlow, listFlowsForUser
+ * - getFlow, hasFlow, setFlow, clearFlow (by flow id), resetAllFlows, dumpFlows
  * - setPrice, markBuyerAgreed, markSellerAgreed, setBuyerAddress, setSellerAddress
  * - resetAgreementState, lockDiscordParties, setThreadContextFresh
+ * - requestCancel
  *
- * Table (see migration):
+ * Table (see migrations):
  *   flows (
- *     user_id TEXT PRIMARY KEY,
+ *     id BIGSERIAL PRIMARY KEY,
+ *     user_id TEXT NOT NULL,            -- flow owner (initiator)
  *     initiator_id TEXT NOT NULL,
- *     role TEXT NULL CHECK (role IN ('buyer','seller')),
+ *     role TEXT NULL CHECK (role IN ('buyer','seller')),  -- owner's role
  *     counterparty_id TEXT NULL,
  *     original_interaction_token TEXT NULL,
  *     description TEXT NULL,
  *     price_usd NUMERIC(18,2) NULL,
+ *     price_eth_at_creation NUMERIC(38,18) NULL,
+ *     token_address TEXT NULL,          -- ERC-20 of the trade; NULL = native ETH
+ *     chain_id INTEGER NULL,            -- chain of the trade; NULL = default chain
  *     buyer_agreed BOOLEAN NOT NULL DEFAULT FALSE,
  *     seller_agreed BOOLEAN NOT NULL DEFAULT FALSE,
  *     buyer_address TEXT NULL,
  *     seller_address TEXT NULL,
  *     buyer_discord_id TEXT NULL,
  *     seller_discord_id TEXT NULL,
- *     thread_id TEXT NULL,
+ *     thread_id TEXT NULL,              -- unique when set; NULL = draft (one per user)
  *     agree_message_id TEXT NULL,
  *     escrow_address TEXT NULL,
  *     escrow_status_message_id TEXT NULL,
  *     escrow_watcher_started BOOLEAN NOT NULL DEFAULT FALSE,
+ *     trade_id NUMERIC(78,0) NULL,
+ *     buyer_cancel_requested_at TIMESTAMPTZ NULL,
+ *     seller_cancel_requested_at TIMESTAMPTZ NULL,
  *     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
  *     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
  *   )
@@ -41,6 +54,8 @@ function rowToFlow(row) {
   if (!row) return null;
   return {
     // identities
+    id: row.id !== null && row.id !== undefined ? String(row.id) : null,
+    userId: row.user_id ?? null,
     initiatorId: row.initiator_id ?? null,
     role: row.role ?? null, // 'buyer' | 'seller' | null
     counterpartyId: row.counterparty_id ?? null,
@@ -59,6 +74,11 @@ function rowToFlow(row) {
       row.price_eth_at_creation !== undefined
         ? String(row.price_eth_at_creation)
         : null,
+    tokenAddress: row.token_address ?? null, // ERC-20 (null = native ETH)
+    chainId:
+      row.chain_id !== null && row.chain_id !== undefined
+        ? Number(row.chain_id)
+        : null, // null = default chain
 
     // agreements
     buyerAgreed: Boolean(row.buyer_agreed),
@@ -85,6 +105,10 @@ function rowToFlow(row) {
         ? String(row.trade_id)
         : null,
 
+    // cancellation requests (Created trades only)
+    buyerCancelRequestedAt: row.buyer_cancel_requested_at ?? null,
+    sellerCancelRequestedAt: row.seller_cancel_requested_at ?? null,
+
     // audit
     createdAt: row.created_at ?? null,
     updatedAt: row.updated_at ?? null,
@@ -98,6 +122,7 @@ function rowToFlow(row) {
  */
 function baseFlow(userId) {
   return {
+    userId,
     initiatorId: userId,
 
     role: null,
@@ -108,6 +133,8 @@ function baseFlow(userId) {
     description: null,
     priceUsd: null,
     priceEthAtCreation: null,
+    tokenAddress: null,
+    chainId: null,
 
     buyerAgreed: false,
     sellerAgreed: false,
@@ -125,6 +152,9 @@ function baseFlow(userId) {
     escrowStatusMessageId: null,
     escrowWatcherStarted: false,
     tradeId: null,
+
+    buyerCancelRequestedAt: null,
+    sellerCancelRequestedAt: null,
   };
 }
 
@@ -160,6 +190,8 @@ function flowToValues(flow, userId) {
     flow.priceEthAtCreation !== undefined && flow.priceEthAtCreation !== null
       ? String(flow.priceEthAtCreation)
       : null,
+    flow.tokenAddress ?? null,
+    flow.chainId ?? null,
 
     Boolean(flow.buyerAgreed),
     Boolean(flow.sellerAgreed),
@@ -179,11 +211,14 @@ function flowToValues(flow, userId) {
     flow.tradeId !== undefined && flow.tradeId !== null
       ? String(flow.tradeId)
       : null,
+
+    flow.buyerCancelRequestedAt ?? null,
+    flow.sellerCancelRequestedAt ?? null,
   ];
 }
 
 /**
- * Columns used for INSERT/UPSERT (order matters and matches flowToValues()).
+ * Columns used for INSERT/UPDATE (order matters and matches flowToValues()).
  */
 const columns = [
   "user_id",
@@ -194,6 +229,8 @@ const columns = [
   "description",
   "price_usd",
   "price_eth_at_creation",
+  "token_address",
+  "chain_id",
   "buyer_agreed",
   "seller_agreed",
   "buyer_address",
@@ -206,93 +243,208 @@ const columns = [
   "escrow_status_message_id",
   "escrow_watcher_started",
   "trade_id",
+  "buyer_cancel_requested_at",
+  "seller_cancel_requested_at",
 ];
 
 /**
- * Upsert a flow row by user id. Returns the saved flow.
+ * Flow fields in the order of 'columns' (for targeted updates, see setFlow()).
+ */
+const fieldNames = [
+  "userId",
+  "initiatorId",
+  "role",
+  "counterpartyId",
+  "originalInteractionToken",
+  "description",
+  "priceUsd",
+  "priceEthAtCreation",
+  "tokenAddress",
+  "chainId",
+  "buyerAgreed",
+  "sellerAgreed",
+  "buyerAddress",
+  "sellerAddress",
+  "buyerDiscordId",
+  "sellerDiscordId",
+  "threadId",
+  "agreeMessageId",
+  "escrowAddress",
+  "escrowStatusMessageId",
+  "escrowWatcherStarted",
+  "tradeId",
+  "buyerCancelRequestedAt",
+  "sellerCancelRequestedAt",
+];
+
+/**
+ * Insert a new flow row for an owner. Returns the saved flow.
  * @param {string} userId
  * @param {object} flow
  */
-async function upsertFlow(userId, flow) {
+async function insertFlow(userId, flow) {
   const placeholders = columns.map((_, i) => `$${i + 1}`).join(", ");
-  const updates = columns
-    .filter((c) => c !== "user_id") // PK not updated
-    .map((c) => `${c}=EXCLUDED.${c}`)
-    .join(", ");
-
   const sql = `
     INSERT INTO flows (${columns.join(", ")})
     VALUES (${placeholders})
-    ON CONFLICT (user_id) DO UPDATE SET
-      ${updates}
     RETURNING *
   `;
+  const res = await query(sql, flowToValues(flow, userId));
+  return rowToFlow(res.rows[0]);
+}
 
-  const values = flowToValues(flow, userId);
-  const res = await query(sql, values);
+/**
+ * Fetch a flow by id.
+ * @param {string} flowId
+ * @returns {Promise<object|null>}
+ */
+export async function getFlow(flowId) {
+  if (flowId === null || flowId === undefined) return null;
+  const res = await query(`SELECT * FROM flows WHERE id = $1 LIMIT 1`, [
+    String(flowId),
+  ]);
+  if (res.rowCount === 0) return null;
   return rowToFlow(res.rows[0]);
 }
 
 /**
- * Fetch a flow for a user.
+ * Check if a flow exists.
+ * @param {string} flowId
+ * @returns {Promise<boolean>}
+ */
+export async function hasFlow(flowId) {
+  const res = await query(`SELECT 1 FROM flows WHERE id = $1`, [
+    String(flowId),
+  ]);
+  return res.rowCount > 0;
+}
+
+/**
+ * Fetch a user's draft flow (trade setup not yet moved to a thread).
  * @param {string} userId
  * @returns {Promise<object|null>}
  */
-export async function getFlow(userId) {
-  const res = await query(`SELECT * FROM flows WHERE user_id = $1 LIMIT 1`, [
-    userId,
+export async function getDraftFlow(userId) {
+  const res = await query(
+    `SELECT * FROM flows WHERE user_id = $1 AND thread_id IS NULL LIMIT 1`,
+    [userId],
+  );
+  if (res.rowCount === 0) return null;
+  return rowToFlow(res.rows[0]);
+}
+
+/**
+ * Fetch the flow bound to a trade thread.
+ * @param {string} threadId
+ * @returns {Promise<object|null>}
+ */
+export async function getFlowByThread(threadId) {
+  if (!threadId) return null;
+  const res = await query(`SELECT * FROM flows WHERE thread_id = $1 LIMIT 1`, [
+    threadId,
   ]);
   if (res.rowCount === 0) return null;
   return rowToFlow(res.rows[0]);
 }
 
 /**
- * Check if a flow exists for a user.
+ * Resolve the flow an interaction refers to:
+ * - inside a trade thread: the flow bound to that thread
+ * - elsewhere (setup prompts): the user's draft flow
+ * @param {import('discord.js').BaseInteraction} interaction
+ * @returns {Promise<object|null>}
+ */
+export async function resolveInteractionFlow(interaction) {
+  const channel = interaction?.channel;
+  const inThread =
+    typeof channel?.isThread === "function" ? channel.isThread() : false;
+  if (inThread) return getFlowByThread(interaction.channelId);
+  return getDraftFlow(interaction.user.id);
+}
+
+/**
+ * List flows a user takes part in (as owner, buyer or seller), most recent first.
  * @param {string} userId
- * @returns {Promise<boolean>}
+ * @param {number} [limit=50]
+ * @returns {Promise<object[]>}
  */
-export async function hasFlow(userId) {
-  const res = await query(`SELECT 1 FROM flows WHERE user_id = $1`, [userId]);
-  return res.rowCount > 0;
+export async function listFlowsForUser(userId, limit = 50) {
+  const lim = Math.max(1, Math.min(200, Number(limit) || 50));
+  const res = await query(
+    `
+    SELECT * FROM flows
+    WHERE user_id = $1 OR buyer_discord_id = $1 OR seller_discord_id = $1
+    ORDER BY updated_at DESC
+    LIMIT $2
+  `,
+    [userId, lim],
+  );
+  return res.rows.map(rowToFlow);
 }
 
 /**
- * Start (or reset) a flow for a user with optional initial fields.
+ * Start (or restart) the user's draft flow with optional initial fields.
+ * Flows already bound to a thread are not affected.
  * @param {string} userId
  * @param {object} [initial={}]
  * @returns {Promise<object>}
  */
 export async function startFlow(userId, initial = {}) {
+  await query(`DELETE FROM flows WHERE user_id = $1 AND thread_id IS NULL`, [
+    userId,
+  ]);
   const merged = {
     ...baseFlow(userId),
     ...initial,
   };
-  return upsertFlow(userId, merged);
+  return insertFlow(userId, merged);
 }
 
 /**
- * Shallow-merge a partial update into the existing (or base) flow and persist.
- * Passing null for a field explicitly resets it to null.
- * @param {string} userId
+ * Update the given fields of an existing flow; other columns are left as stored, so
+ * the buyer's and seller's concurrent submits on the shared flow do not overwrite each
+ * other. Passing null for a field explicitly resets it to null.
+ * @param {string} flowId
  * @param {object} partial
  * @returns {Promise<object>}
  */
-export async function setFlow(userId, partial) {
-  const current = (await getFlow(userId)) ?? baseFlow(userId);
+export async function setFlow(flowId, partial) {
+  const current = await getFlow(flowId);
+  if (!current) throw new Error(`setFlow: flow not found: ${flowId}`);
   const merged = {
     ...current,
     ...partial,
   };
-  return upsertFlow(userId, merged);
+  const mergedValues = flowToValues(merged, merged.userId);
+  const assignments = [];
+  const values = [];
+  fieldNames.forEach((field, i) => {
+    if (!Object.prototype.hasOwnProperty.call(partial, field)) return;
+    values.push(mergedValues[i]);
+    assignments.push(`${columns[i]} = $${values.length}`);
+  });
+  if (assignments.length === 0) return current;
+  values.push(String(flowId));
+  const res = await query(
+    `
+    UPDATE flows
+    SET ${assignments.join(", ")}
+    WHERE id = $${values.length}
+    RETURNING *
+  `,
+    values,
+  );
+  if (res.rowCount === 0) throw new Error(`setFlow: flow not found: ${flowId}`);
+  return rowToFlow(res.rows[0]);
 }
 
 /**
- * Clear a user's flow.
- * @param {string} userId
+ * Delete a flow.
+ * @param {string} flowId
  * @returns {Promise<boolean>}
  */
-export async function clearFlow(userId) {
-  await query(`DELETE FROM flows WHERE user_id = $1`, [userId]);
+export async function clearFlow(flowId) {
+  await query(`DELETE FROM flows WHERE id = $1`, [String(flowId)]);
   return true;
 }
 
@@ -322,36 +474,36 @@ export async function dumpFlows(limit = 100) {
 /**
  * Convenience helpers mirroring previous API.
  */
-export async function setPrice(userId, priceUsd) {
-  return setFlow(userId, { priceUsd });
+export async function setPrice(flowId, priceUsd) {
+  return setFlow(flowId, { priceUsd });
 }
 
-export async function setPriceEthAtCreation(userId, priceEthAtCreation) {
-  return setFlow(userId, { priceEthAtCreation });
+export async function setPriceEthAtCreation(flowId, priceEthAtCreation) {
+  return setFlow(flowId, { priceEthAtCreation });
 }
 
-export async function markBuyerAgreed(userId) {
-  return setFlow(userId, { buyerAgreed: true });
+export async function markBuyerAgreed(flowId) {
+  return setFlow(flowId, { buyerAgreed: true });
 }
 
-export async function markSellerAgreed(userId) {
-  return setFlow(userId, { sellerAgreed: true });
+export async function markSellerAgreed(flowId) {
+  return setFlow(flowId, { sellerAgreed: true });
 }
 
-export async function setBuyerAddress(userId, address) {
-  return setFlow(userId, { buyerAddress: address });
+export async function setBuyerAddress(flowId, address) {
+  return setFlow(flowId, { buyerAddress: address });
 }
 
-export async function setSellerAddress(userId, address) {
-  return setFlow(userId, { sellerAddress: address });
+export async function setSellerAddress(flowId, address) {
+  return setFlow(flowId, { sellerAddress: address });
 }
 
 /**
  * Reset agreement and address fields (fresh state).
- * @param {string} userId
+ * @param {string} flowId
  */
-export async function resetAgreementState(userId) {
-  return setFlow(userId, {
+export async function resetAgreementState(flowId) {
+  return setFlow(flowId, {
     buyerAgreed: false,
     sellerAgreed: false,
     buyerAddress: null,
@@ -361,22 +513,22 @@ export async function resetAgreementState(userId) {
 
 /**
  * Lock buyer/seller Discord user IDs.
- * @param {string} userId
+ * @param {string} flowId
  * @param {{ buyerDiscordId?: string|null, sellerDiscordId?: string|null }} locks
  */
-export async function lockDiscordParties(userId, locks = {}) {
+export async function lockDiscordParties(flowId, locks = {}) {
   const { buyerDiscordId = null, sellerDiscordId = null } = locks;
-  return setFlow(userId, { buyerDiscordId, sellerDiscordId });
+  return setFlow(flowId, { buyerDiscordId, sellerDiscordId });
 }
 
 /**
  * Set thread context and clear transient state to avoid stale flags when moving to a new thread.
- * @param {string} userId
+ * @param {string} flowId
  * @param {{ threadId?: string|null, agreeMessageId?: string|null }} ctx
  */
-export async function setThreadContextFresh(userId, ctx = {}) {
+export async function setThreadContextFresh(flowId, ctx = {}) {
   const { threadId = null, agreeMessageId = null } = ctx;
-  return setFlow(userId, {
+  return setFlow(flowId, {
     threadId,
     agreeMessageId,
     buyerAgreed: false,
@@ -389,9 +541,31 @@ export async function setThreadContextFresh(userId, ctx = {}) {
   });
 }
 
+/**
+ * Record a party's request to cancel the (unfunded) trade.
+ * @param {string} flowId
+ * @param {'buyer'|'seller'} side
+ * @param {Date} [at]
+ */
+export async function requestCancel(flowId, side, at = new Date()) {
+  if (side !== "buyer" && side !== "seller") {
+    throw new Error(`requestCancel: invalid side ${side}`);
+  }
+  return setFlow(
+    flowId,
+    side === "buyer"
+      ? { buyerCancelRequestedAt: at }
+      : { sellerCancelRequestedAt: at },
+  );
+}
+
 export default {
   getFlow,
   hasFlow,
+  getDraftFlow,
+  getFlowByThread,
+  resolveInteractionFlow,
+  listFlowsForUser,
   startFlow,
   setFlow,
   clearFlow,
@@ -406,4 +580,5 @@ export default {
   resetAgreementState,
   lockDiscordParties,
   setThreadContextFresh,
+  requestCancel,
 };
@@ -3,8 +3,8 @@ Extracted number formatting and link helpers for use across embeds and messages.
 
 Features:
 - Safe number parsing and decimal formatting with trimmed trailing zeros
-- ETH/wei conversions (BigInt-precise)
-- Convenience ETH/USD formatters
+- ETH/wei and ERC-20 token unit conversions (BigInt-precise, any decimals)
+- Convenience ETH/USD/token formatters
 - Discord timestamp helpers (<t:...:F>, <t:...:R>)
 - Etherscan link builders (address/contract/tx) with chain-aware base URL
 
@@ -13,8 +13,6 @@ Note:
   building Etherscan URLs, and gracefully falls back if absent.
 */
 
-const WEI_PER_ETH = 10n ** 18n;
-
 /**
  * Attempt to parse a loose numeric input (number or string).
  * - Trims whitespace
@@ -64,58 +62,63 @@ export function formatUsd(amount, decimals = 2) {
 }
 
 /**
- * Convert a decimal ETH (number|string) into wei (BigInt).
- * Accepts up to 18 fractional digits; excess is truncated (not rounded).
+ * Convert a decimal amount (number|string) into integer token units (BigInt),
+ * e.g. "12.5" with 6 decimals → 12500000n.
+ * Accepts up to `tokenDecimals` fractional digits; excess is truncated (not rounded).
  */
-export function ethToWeiBigInt(ethInput) {
-  if (typeof ethInput === "bigint") return ethInput * WEI_PER_ETH;
-  const s = String(ethInput ?? "").trim();
+export function decimalToUnits(amountInput, tokenDecimals = 18) {
+  const td = Math.max(0, Math.floor(Number(tokenDecimals) || 0));
+  const unit = 10n ** BigInt(td);
+  if (typeof amountInput === "bigint") return amountInput * unit;
+  const s = String(amountInput ?? "").trim();
   if (s.length === 0) return 0n;
   const negative = s.startsWith("-");
   const abs = negative ? s.slice(1) : s;
   const parts = abs.split(".");
   const intPart = parts[0] || "0";
   const fracPartRaw = (parts[1] || "").replace(/_/g, "");
-  const fracPart = (fracPartRaw + "0".repeat(18)).slice(0, 18);
+  const fracPart = (fracPartRaw + "0".repeat(td)).slice(0, td);
 
-  if (!/^\d+$/.test(intPart) || !/^\d{0,18}$/.test(fracPart)) {
-    throw new Error("ethToWeiBigInt: invalid numeric input");
+  if (!/^\d+$/.test(intPart) || !/^\d*$/.test(fracPart)) {
+    throw new Error("decimalToUnits: invalid numeric input");
   }
 
-  const intWei = BigInt(intPart) * WEI_PER_ETH;
-  const fracWei = BigInt(fracPart);
-  const res = intWei + fracWei;
+  const res = BigInt(intPart) * unit + BigInt(fracPart || "0");
   return negative ? -res : res;
 }
 
 /**
- * Convert wei (BigInt|string|number) to an ETH string with a fixed number of decimals.
+ * Convert integer token units (BigInt|string|number) to a decimal string with at most
+ * `decimals` fractional digits (no rounding, trailing zeros trimmed).
  */
-export function weiToEthString(weiInput, decimals = 6) {
-  let wei;
-  if (typeof weiInput === "bigint") {
-    wei = weiInput;
-  } else if (typeof weiInput === "number") {
-    if (!Number.isFinite(weiInput)) return "0";
-    wei = BigInt(Math.trunc(weiInput));
-  } else if (typeof weiInput === "string") {
-    if (!/^-?\d+$/.test(weiInput.trim())) return "0";
-    wei = BigInt(weiInput.trim());
+export function unitsToDecimalString(unitsInput, tokenDecimals = 18, decimals = 6) {
+  let units;
+  if (typeof unitsInput === "bigint") {
+    units = unitsInput;
+  } else if (typeof unitsInput === "number") {
+    if (!Number.isFinite(unitsInput)) return "0";
+    units = BigInt(Math.trunc(unitsInput));
+  } else if (typeof unitsInput === "string") {
+    if (!/^-?\d+$/.test(unitsInput.trim())) return "0";
+    units = BigInt(unitsInput.trim());
   } else {
     return "0";
   }
 
-  const negative = wei < 0n;
-  const absWei = negative ? -wei : wei;
+  const td = Math.max(0, Math.floor(Number(tokenDecimals) || 0));
+  const unit = 10n ** BigInt(td);
+  const negative = units < 0n;
+  const absUnits = negative ? -units : units;
 
-  const intPart = absWei / WEI_PER_ETH;
-  let fracPart = (absWei % WEI_PER_ETH).toString().padStart(18, "0");
+  const intPart = absUnits / unit;
+  const fracPart = td > 0 ? (absUnits % unit).toString().padStart(td, "0") : "";
 
   // Slice to requested decimals (no rounding)
-  const frac = decimals > 0 ? fracPart.slice(0, Math.min(18, decimals)) : "";
-  const raw = decimals > 0 ? `${intPart}.${frac}` : `${intPart}`;
+  const d = Math.min(td, decimals);
+  const frac = d > 0 ? fracPart.slice(0, d) : "";
+  const raw = d > 0 ? `${intPart}.${frac}` : `${intPart}`;
   const trimmed =
-    decimals > 0
+    d > 0
       ? raw
           .replace(/(\.\d*?[1-9])0+$/u, "$1")
           .replace(/\.0+$/u, ".0")
@@ -125,6 +128,35 @@ export function weiToEthString(weiInput, decimals = 6) {
   return negative ? `-${trimmed}` : trimmed;
 }
 
+/**
+ * Convert a decimal ETH (number|string) into wei (BigInt).
+ * Accepts up to 18 fractional digits; excess is truncated (not rounded).
+ */
+export function ethToWeiBigInt(ethInput) {
+  try {
+    return decimalToUnits(ethInput, 18);
+  } catch {
+    throw new Error("ethToWeiBigInt: invalid numeric input");
+  }
+}
+
+/**
+ * Convert wei (BigInt|string|number) to an ETH string with a fixed number of decimals.
+ */
+export function weiToEthString(weiInput, decimals = 6) {
+  return unitsToDecimalString(weiInput, 18, decimals);
+}
+
+/**
+ * Format integer units of the trade's asset with its symbol, e.g. "12.5 USDC" or "0.01 ETH".
+ * @param {bigint|string|number} units
+ * @param {{ symbol: string, decimals: number }} token - see tokens.js
+ * @param {number} [decimals] - max fractional digits shown (default: 6)
+ */
+export function formatTokenAmount(units, token, decimals = 6) {
+  return `${unitsToDecimalString(units, token?.decimals ?? 18, decimals)} ${token?.symbol ?? "ETH"}`;
+}
+
 /**
  * Format a unix timestamp (seconds) as a Discord absolute time tag: <t:...:F>
  */
@@ -204,8 +236,11 @@ export default {
   formatUsd,
 
   // conversions
+  decimalToUnits,
+  unitsToDecimalString,
   ethToWeiBigInt,
   weiToEthString,
+  formatTokenAmount,
 
   // discord time helpers
   discordTimeAbsolute,
@@ -0,0 +1,151 @@
+/**
+ * fundLink.js
+ *
+ * Payment details for funding a Created trade: fund(tradeId) must be sent with the exact
+ * buyer total (base + buyer fee) as msg.value, so the buyer gets it pre-filled instead of
+ * typing numbers into a wallet.
+ *
+ * - EIP-681 URI: ethereum:<manager>@<chainId>/fund?uint256=<tradeId>&value=<wei>
+ *   (opens a prepared transaction in wallets that support it, e.g. by scanning the QR)
+ * - QR code of that URI, rendered locally as a PNG attachment
+ * - Raw calldata and value for wallets without EIP-681 support
+ *
+ * The value is read from the contract (getBuyerTotalWei), not from the pinned ETH quote.
+ *
+ * ERC-20 trades (see tokens.js) are funded without ETH: the buyer first approves the
+ * manager for the buyer total (ethereum:<token>@<chainId>/approve?address=<manager>&uint256=<units>),
+ * then calls fund(tradeId) with value 0. The link then carries an `approve` step.
+ *
+ * Usage:
+ *   import { buildFundLink, buildFundQrAttachment } from "./fundLink.js";
+ *   const link = await buildFundLink(tradeId, { chainId: flow.chainId });
+ *   await interaction.editReply({ content: link.uri, files: [await buildFundQrAttachment(link)] });
+ */
+
+import { AttachmentBuilder } from "discord.js";
+import QRCode from "qrcode";
+
+import { AMIS_ABI, getManagerAddress } from "./amisContract.js";
+import { getBuyerTotalWei, getTradeToken } from "./amis.js";
+import { getChainClients } from "./client.js";
+import { resolveToken, buildApproveRequest } from "./tokens.js";
+
+/**
+ * Build an EIP-681 URI for fund(tradeId) with an exact value (omitted when 0, i.e. token trades).
+ * @param {{ contractAddress: string, chainId: number, tradeId: bigint|number|string, valueWei: bigint|string }} params
+ * @returns {string}
+ */
+export function buildFundPaymentUri({
+  contractAddress,
+  chainId,
+  tradeId,
+  valueWei,
+}) {
+  const params = new URLSearchParams({ uint256: BigInt(tradeId).toString() });
+  if (BigInt(valueWei) > 0n) params.set("value", BigInt(valueWei).toString());
+  return `ethereum:${contractAddress}@${chainId}/fund?${params.toString()}`;
+}
+
+/**
+ * Build an EIP-681 URI for an ERC-20 approve(spender, amount).
+ * @param {{ tokenAddress: string, chainId: number, spender: string, amount: bigint|string }} params
+ * @returns {string}
+ */
+export function buildApprovePaymentUri({
+  tokenAddress,
+  chainId,
+  spender,
+  amount,
+}) {
+  const params = new URLSearchParams({
+    address: spender,
+    uint256: BigInt(amount).toString(),
+  });
+  return `ethereum:${tokenAddress}@${chainId}/approve?${params.toString()}`;
+}
+
+/**
+ * Everything a buyer needs to fund a trade.
+ * For token trades valueWei is 0 and `approve` describes the allowance the buyer must
+ * grant first (`total` is the buyer total in token units).
+ * @param {bigint|number|string} tradeId
+ * @param {{ chainId?: number|null }} [options] - chain of the trade (null = default chain)
+ * @returns {Promise<{ tradeId: string, uri: string, to: string, data: `0x${string}`, valueWei: bigint, chainId: number, total: bigint, token: { address: string|null, symbol: string, decimals: number, isNative: boolean }, approve: { uri: string, to: string, data: `0x${string}` } | null }>}
+ */
+export async function buildFundLink(
+  tradeId,
+  { chainId: chainRef = null } = {},
+) {
+  const id = BigInt(tradeId);
+  const { chainId, publicClient } = getChainClients(chainRef);
+  const manager = getManagerAddress(chainId);
+  const [total, tokenAddress] = await Promise.all([
+    getBuyerTotalWei(id, { chainId }),
+    getTradeToken(id, { chainId }),
+  ]);
+  const token = await resolveToken(tokenAddress, chainId);
+  const valueWei = token.isNative ? total : 0n;
+  const { data } = await publicClient.encodeFunctionData({
+    abi: AMIS_ABI,
+    functionName: "fund",
+    args: [id],
+  });
+
+  let approve = null;
+  if (!token.isNative) {
+    const req = buildApproveRequest(token.address, manager, total);
+    approve = {
+      uri: buildApprovePaymentUri({
+        tokenAddress: token.address,
+        chainId,
+        spender: manager,
+        amount: total,
+      }),
+      to: req.to,
+      data: req.data,
+    };
+  }
+
+  return {
+    tradeId: id.toString(),
+    uri: buildFundPaymentUri({
+      contractAddress: manager,
+      chainId,
+      tradeId: id,
+      valueWei,
+    }),
+    to: manager,
+    data,
+    valueWei,
+    chainId,
+    total,
+    token,
+    approve,
+  };
+}
+
+/**
+ * Render the link's URI as a QR code PNG attachment.
+ * @param {{ tradeId: string, uri: string }} link - from buildFundLink
+ * @param {{ uri?: string, name?: string }} [options] - another URI to encode (e.g. link.approve.uri)
+ * @returns {Promise<AttachmentBuilder>}
+ */
+export async function buildFundQrAttachment(link, { uri, name } = {}) {
+  const png = await QRCode.toBuffer(uri ?? link.uri, {
+    type: "png",
+    errorCorrectionLevel: "M",
+    margin: 2,
+    width: 320,
+  });
+  return new AttachmentBuilder(png, {
+    name: `${name ?? "fund"}-trade-${link.tradeId}.png`,
+    description: `Payment QR code for trade #${link.tradeId}`,
+  });
+}
+
+export default {
+  buildFundPaymentUri,
+  buildApprovePaymentUri,
+  buildFundLink,
+  buildFundQrAttachment,
+};
@@ -6,6 +6,7 @@
  * - Median-of-providers selection to reduce outliers
  * - In-memory caching with TTL
  * - Simple conversion helpers: USD→ETH and ETH→USD
+ * - USD→escrow asset (ETH, or a USD stablecoin 1:1, see tokens.js)
  * - Defensive parsing, timeouts, and structured errors
  *
  * Environment (optional):
@@ -18,6 +19,8 @@
  * - Rate is in USD per 1 ETH (e.g., 3123.45 means 1 ETH = 3123.45 USD).
  */
 
+import { fxFetchFailuresTotal } from "./metrics.js";
+
 const TTL_MS = safeParseInt(process.env.FX_RATE_TTL_MS, 60_000);
 const FETCH_TIMEOUT_MS = safeParseInt(process.env.FX_FETCH_TIMEOUT_MS, 3_500);
 
@@ -78,6 +81,35 @@ export async function convertEthToUsd(amountEth, options = {}) {
   };
 }
 
+/**
+ * Convert a USD amount to the asset a trade is escrowed in.
+ * Configured ERC-20 tokens are USD stablecoins and convert 1:1 without a price lookup.
+ * @param {number|string} amountUsd
+ * @param {{ isNative: boolean, symbol: string, decimals: number }} token - see tokens.js
+ * @param {{ decimals?: number, fresh?: boolean }} [options]
+ * @returns {Promise<{ amount: string, rateUsdPerUnit: number, source: string }>}
+ */
+export async function convertUsdToToken(amountUsd, token, options = {}) {
+  if (token?.isNative && token.symbol !== "ETH") {
+    // Only the ETH-USD rate is fetched; other native coins need a stablecoin
+    throw new Error(`convertUsdToToken: no USD rate for ${token.symbol}`);
+  }
+  if (!token || token.isNative) {
+    const { eth, rateUsdPerEth, source } = await convertUsdToEth(
+      amountUsd,
+      options,
+    );
+    return { amount: eth, rateUsdPerUnit: rateUsdPerEth, source };
+  }
+  const usd = ensureNumber(amountUsd, "amountUsd");
+  if (usd < 0) throw new Error("convertUsdToToken: amountUsd must be >= 0");
+  return {
+    amount: formatDecimal(usd, Math.min(token.decimals, DEFAULT_USD_DECIMALS)),
+    rateUsdPerUnit: 1,
+    source: "peg",
+  };
+}
+
 /**
  * Get the ETH-USD rate (USD per ETH) with multi-provider fallback and caching.
  * @param {{ fresh?: boolean }} [options]
@@ -122,6 +154,18 @@ export async function getEthUsdRate(options = {}) {
   return { rate: picked.rate, source: picked.source };
 }
 
+/**
+ * Query every provider once (bypassing the cache) for diagnostics, e.g. /healthcheck.
+ * @returns {Promise<{ providers: Array<{ source: string, ok: boolean, rate: number, error?: string }>, cached: { rate: number, source: string | null, ageMs: number } | null }>}
+ */
+export async function getFxStatus() {
+  const providers = await fetchAllRates();
+  const cached = cache.rate
+    ? { rate: cache.rate, source: cache.source, ageMs: Date.now() - cache.at }
+    : null;
+  return { providers, cached };
+}
+
 /**
  * Fetch rates from multiple providers concurrently.
  * @returns {Promise<Array<{ source: string, ok: boolean, rate: number, error?: string }>>}
@@ -148,6 +192,7 @@ async function fetchAllRates() {
         rate: res.value,
       };
     }
+    fxFetchFailuresTotal.inc({ provider: name });
     return {
       source: name,
       ok: false,
@@ -354,6 +399,8 @@ export default {
   getEthUsdRate,
   convertUsdToEth,
   convertEthToUsd,
+  convertUsdToToken,
+  getFxStatus,
   DEFAULT_ETH_DECIMALS,
   DEFAULT_USD_DECIMALS,
 };
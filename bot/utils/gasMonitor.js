@@ -0,0 +1,305 @@
+/**
+ * gasMonitor.js
+ *
+ * Bot wallet gas balance monitoring. Every on-chain action (createTrade, markDelivered,
+ * approvals, auto-release, ...) is paid by the bot wallet, so an empty wallet stalls
+ * every trade on that chain.
+ *
+ * - The balance is checked on every configured chain on start and then periodically,
+ *   and classified against two thresholds: ok, low or critical.
+ * - The number of operations it still covers is estimated from the average gas used by
+ *   the bot's latest mined transactions (tx_audit) at the current network fee. Without
+ *   history, DEFAULT_GAS_PER_OP is assumed.
+ * - When a chain's level changes (worse or back to ok), an alert is posted to
+ *   GAS_ALERT_CHANNEL_ID (or MOD_LOG_CHANNEL_ID, see notify.js).
+ * - While a chain is critical, new trades are refused (see assertGasForNewTrade in
+ *   amisTradeFlow.js). Running trades keep working as long as the balance lasts.
+ *
+ * Environment (optional):
+ * - GAS_BALANCE_LOW: warning threshold in the native coin (default 0.05)
+ * - GAS_BALANCE_CRITICAL: threshold below which new trades are refused (default 0.01)
+ * - GAS_MONITOR_INTERVAL_MS: check interval in ms (default 300000, min 30000)
+ * - GAS_ALERT_CHANNEL_ID: channel for alerts (default MOD_LOG_CHANNEL_ID)
+ * - GAS_MONITOR_DISABLED=true: do not start the periodic check (creation is still guarded)
+ *
+ * Usage:
+ *   import { startGasMonitor } from "./gasMonitor.js";
+ *   startGasMonitor(client); // e.g. from the clientReady event
+ */
+
+import { formatEther, parseEther } from "ethers";
+import { DEFAULT_CHAIN_ID, getChain, listChains } from "./chains.js";
+import { account, getChainClients } from "./client.js";
+import { registerGauge } from "./metrics.js";
+import { notifyModerators } from "./notify.js";
+import { getRecentGasUsage } from "./txAuditRepo.js";
+
+export const GAS_LEVEL = Object.freeze({
+  Ok: "ok",
+  Low: "low",
+  Critical: "critical",
+  Unknown: "unknown",
+});
+
+// Assumed gas per bot transaction when tx_audit has no history yet
+const DEFAULT_GAS_PER_OP = 200_000n;
+const DEFAULT_INTERVAL_MS = 300_000;
+const MIN_INTERVAL_MS = 30_000;
+
+let timer = null;
+let running = false;
+const states = new Map(); // chainId -> last check result
+const announced = new Map(); // chainId -> level of the last alert (or first check)
+
+function parseCoin(name, fallback) {
+  const raw = String(process.env[name] ?? "").trim();
+  try {
+    return parseEther(raw || fallback);
+  } catch {
+    console.warn(`${name} is not a valid amount, using ${fallback}`);
+    return parseEther(fallback);
+  }
+}
+
+/**
+ * Configured thresholds in wei.
+ * @returns {{ lowWei: bigint, criticalWei: bigint }}
+ */
+export function getGasThresholds() {
+  const lowWei = parseCoin("GAS_BALANCE_LOW", "0.05");
+  const criticalWei = parseCoin("GAS_BALANCE_CRITICAL", "0.01");
+  return { lowWei: lowWei > criticalWei ? lowWei : criticalWei, criticalWei };
+}
+
+function resolveIntervalMs() {
+  const n = parseInt(String(process.env.GAS_MONITOR_INTERVAL_MS ?? ""), 10);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_INTERVAL_MS;
+  return Math.max(MIN_INTERVAL_MS, n);
+}
+
+/**
+ * @param {bigint} balanceWei
+ */
+function levelOf(balanceWei) {
+  const { lowWei, criticalWei } = getGasThresholds();
+  if (balanceWei < criticalWei) return GAS_LEVEL.Critical;
+  if (balanceWei < lowWei) return GAS_LEVEL.Low;
+  return GAS_LEVEL.Ok;
+}
+
+/**
+ * Estimated cost of one bot transaction at the current fee.
+ * @param {number} chainId
+ * @param {import("ethers").AbstractProvider} provider
+ * @returns {Promise<bigint|null>}
+ */
+async function costPerOpWei(chainId, provider) {
+  let gasPerOp = DEFAULT_GAS_PER_OP;
+  let historicCost = null;
+  try {
+    const usage = await getRecentGasUsage({
+      fromAddress: account.address,
+      chainId,
+      includeNullChain: chainId === DEFAULT_CHAIN_ID,
+    });
+    if (usage.avgGasUsed) gasPerOp = usage.avgGasUsed;
+    historicCost = usage.avgCostWei;
+  } catch (e) {
+    console.warn("gasMonitor: reading gas history failed:", e?.message ?? e);
+  }
+  try {
+    const fee = await provider.getFeeData();
+    const perGas = fee.maxFeePerGas ?? fee.gasPrice;
+    if (perGas) return gasPerOp * perGas;
+  } catch (e) {
+    console.warn("gasMonitor: reading fee data failed:", e?.message ?? e);
+  }
+  return historicCost;
+}
+
+/**
+ * Check the bot wallet on one chain and remember the result.
+ * @param {number|null} [chainId] - default chain when omitted
+ * @returns {Promise<{ chainId: number, level: string, balanceWei: bigint|null, balance: string|null, costPerOpWei: bigint|null, opsLeft: number|null, checkedAt: Date, error?: string }>}
+ */
+export async function checkBotGas(chainId = null) {
+  const chain = getChain(chainId);
+  const { provider } = getChainClients(chain.id);
+  let state;
+  try {
+    const balanceWei = await provider.getBalance(account.address);
+    const cost = await costPerOpWei(chain.id, provider);
+    state = {
+      chainId: chain.id,
+      level: levelOf(balanceWei),
+      balanceWei,
+      balance: formatEther(balanceWei),
+      costPerOpWei: cost,
+      opsLeft: cost && cost > 0n ? Number(balanceWei / cost) : null,
+      checkedAt: new Date(),
+    };
+  } catch (e) {
+    state = {
+      chainId: chain.id,
+      level: GAS_LEVEL.Unknown,
+      balanceWei: null,
+      balance: null,
+      costPerOpWei: null,
+      opsLeft: null,
+      checkedAt: new Date(),
+      error: String(e?.shortMessage ?? e?.message ?? e),
+    };
+  }
+  // An RPC hiccup keeps the last known level
+  if (state.level !== GAS_LEVEL.Unknown || !states.has(chain.id)) {
+    states.set(chain.id, state);
+  }
+  return state;
+}
+
+/**
+ * Last check result of a chain (null before the first check).
+ * @param {number|null} [chainId]
+ */
+export function getGasState(chainId = null) {
+  return states.get(getChain(chainId).id) ?? null;
+}
+
+/**
+ * Throw when the bot wallet on the chain is below the critical threshold.
+ * Uses the last check while it is recent, otherwise checks now. Unknown balances
+ * (RPC errors) do not block.
+ * @param {number|null} [chainId]
+ */
+export async function assertGasForNewTrade(chainId = null) {
+  const chain = getChain(chainId);
+  let state = states.get(chain.id);
+  if (!state || Date.now() - state.checkedAt.getTime() > resolveIntervalMs()) {
+    state = await checkBotGas(chain.id);
+  }
+  if (state.level === GAS_LEVEL.Critical) {
+    throw new Error(
+      `New trades on ${chain.name} are paused: the bot wallet is almost out of gas (${state.balance} ${chain.nativeSymbol}). An admin needs to top it up.`,
+    );
+  }
+}
+
+function describe(chain, state) {
+  const ops =
+    state.opsLeft !== null
+      ? ` (~${state.opsLeft} bot transactions at current gas prices)`
+      : "";
+  return `${state.balance} ${chain.nativeSymbol}${ops}`;
+}
+
+/**
+ * Alert text for a level change, or null when nothing should be posted.
+ * @param {import("./chains.js").ChainConfig} chain
+ * @param {string|undefined} previous
+ * @param {object} state
+ */
+function alertText(chain, previous, state) {
+  const { lowWei, criticalWei } = getGasThresholds();
+  const wallet = `\`${account.address}\``;
+  switch (state.level) {
+    case GAS_LEVEL.Critical:
+      return `🚨 Bot wallet ${wallet} on ${chain.name} is below the critical threshold (${formatEther(criticalWei)} ${chain.nativeSymbol}): ${describe(chain, state)}. New trades are paused until it is topped up.`;
+    case GAS_LEVEL.Low:
+      return `⚠️ Bot wallet ${wallet} on ${chain.name} is running low (below ${formatEther(lowWei)} ${chain.nativeSymbol}): ${describe(chain, state)}. Please top it up.`;
+    case GAS_LEVEL.Ok:
+      // Only announce a recovery, not the first check
+      return previous && previous !== GAS_LEVEL.Ok
+        ? `✅ Bot wallet ${wallet} on ${chain.name} is topped up: ${describe(chain, state)}.`
+        : null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Check every chain once and alert on level changes. Overlapping runs are skipped.
+ * @param {import('discord.js').Client} client
+ */
+export async function runGasCheck(client) {
+  if (running) return;
+  running = true;
+  try {
+    for (const chain of listChains()) {
+      const previous = announced.get(chain.id);
+      const state = await checkBotGas(chain.id);
+      if (state.level === GAS_LEVEL.Unknown) {
+        console.warn(
+          `gasMonitor: balance check on ${chain.name} failed:`,
+          state.error,
+        );
+        continue;
+      }
+      if (state.level === previous) continue;
+      announced.set(chain.id, state.level);
+      const message = alertText(chain, previous, state);
+      if (!message) continue;
+      console.log(
+        `gasMonitor: ${chain.name} ${previous ?? "-"} → ${state.level}`,
+      );
+      await notifyModerators({
+        client,
+        channelId: process.env.GAS_ALERT_CHANNEL_ID || null,
+        message,
+      });
+    }
+  } catch (e) {
+    console.error("gasMonitor: check failed:", e);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the periodic check (idempotent). Runs one check immediately.
+ * @param {import('discord.js').Client} client
+ * @returns {{ stop: () => void } | null} null when disabled
+ */
+export function startGasMonitor(client) {
+  if (process.env.GAS_MONITOR_DISABLED?.toLowerCase() === "true") {
+    console.log("Gas monitor disabled (GAS_MONITOR_DISABLED).");
+    return null;
+  }
+  if (timer) return { stop: stopGasMonitor };
+
+  const intervalMs = resolveIntervalMs();
+  timer = setInterval(() => {
+    void runGasCheck(client);
+  }, intervalMs);
+  void runGasCheck(client);
+  console.log(`Gas monitor started (every ${intervalMs}ms).`);
+  return { stop: stopGasMonitor };
+}
+
+/**
+ * Stop the periodic check.
+ */
+export function stopGasMonitor() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+registerGauge(
+  "bot_balance_wei",
+  "Bot wallet balance per chain at the last gas check",
+  ["chain"],
+  async () =>
+    [...states.values()]
+      .filter((s) => s.balanceWei !== null)
+      .map((s) => ({ labels: { chain: s.chainId }, value: s.balanceWei })),
+);
+
+export default {
+  GAS_LEVEL,
+  getGasThresholds,
+  checkBotGas,
+  getGasState,
+  assertGasForNewTrade,
+  runGasCheck,
+  startGasMonitor,
+  stopGasMonitor,
+};
@@ -0,0 +1,167 @@
+/**
+ * httpServer.js
+ *
+ * Optional HTTP endpoint for orchestrators and Prometheus (the bot itself runs as a
+ * worker and needs no inbound traffic). Disabled unless HTTP_PORT is set.
+ *
+ * Routes (GET):
+ * - /healthz: liveness; 200 while the process is running
+ * - /readyz: readiness; 200 when the Discord client is logged in, the database answers
+ *   and every chain has at least one healthy RPC endpoint, otherwise 503. JSON body
+ *   with each check. Uses the RPC pools' last known state (no RPC calls).
+ * - /metrics: Prometheus metrics (see metrics.js)
+ *
+ * Environment (optional):
+ * - HTTP_PORT: port to listen on (unset = no server)
+ * - HTTP_HOST: interface to bind (default 0.0.0.0)
+ *
+ * Usage:
+ *   import { startHttpServer } from "./httpServer.js";
+ *   startHttpServer(client); // before login, so /healthz answers during startup
+ */
+
+import http from "http";
+import { getRpcHealth } from "./client.js";
+import { query } from "./db.js";
+import { countEscrowsByStatus, statusLabel } from "./escrowRepo.js";
+import { registerGauge, renderMetrics } from "./metrics.js";
+
+const DB_CHECK_TIMEOUT_MS = 2_000;
+
+let server = null;
+
+registerGauge("trades", "Stored Amis trades per status", ["status"], async () =>
+  (await countEscrowsByStatus()).map((r) => ({
+    labels: { status: r.status === null ? "None" : statusLabel(r.status) },
+    value: r.count,
+  })),
+);
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`${label} timed out`)), ms);
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * @param {import('discord.js').Client} client
+ * @returns {Promise<{ ready: boolean, checks: Record<string, { ok: boolean, detail?: string }> }>}
+ */
+async function readiness(client) {
+  const checks = {};
+
+  checks.discord = client?.isReady?.()
+    ? { ok: true }
+    : { ok: false, detail: "not logged in" };
+
+  try {
+    await withTimeout(query("SELECT 1"), DB_CHECK_TIMEOUT_MS, "database");
+    checks.database = { ok: true };
+  } catch (e) {
+    checks.database = { ok: false, detail: String(e?.message ?? e) };
+  }
+
+  for (const pool of await getRpcHealth()) {
+    checks[`rpc:${pool.chainId}`] = {
+      ok: pool.healthy > 0,
+      detail: `${pool.healthy}/${pool.endpoints.length} endpoints healthy`,
+    };
+  }
+
+  return {
+    ready: Object.values(checks).every((c) => c.ok),
+    checks,
+  };
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, {
+    "Content-Type": contentType,
+    "Cache-Control": "no-store",
+  });
+  res.end(body);
+}
+
+/**
+ * Start the server when HTTP_PORT is set (idempotent).
+ * @param {import('discord.js').Client} client
+ * @returns {http.Server|null} null when disabled
+ */
+export function startHttpServer(client) {
+  if (server) return server;
+  const port = parseInt(String(process.env.HTTP_PORT ?? ""), 10);
+  if (!Number.isFinite(port) || port <= 0) return null;
+  const host = String(process.env.HTTP_HOST || "0.0.0.0");
+
+  server = http.createServer(async (req, res) => {
+    const path = String(req.url ?? "/").split("?")[0];
+    try {
+      if (req.method !== "GET" && req.method !== "HEAD") {
+        send(res, 405, "text/plain", "Method Not Allowed\n");
+        return;
+      }
+      switch (path) {
+        case "/healthz":
+          send(
+            res,
+            200,
+            "application/json",
+            JSON.stringify({
+              status: "ok",
+              uptimeSec: Math.round(process.uptime()),
+            }),
+          );
+          return;
+        case "/readyz": {
+          const report = await readiness(client);
+          send(
+            res,
+            report.ready ? 200 : 503,
+            "application/json",
+            JSON.stringify(report),
+          );
+          return;
+        }
+        case "/metrics":
+          send(
+            res,
+            200,
+            "text/plain; version=0.0.4; charset=utf-8",
+            await renderMetrics(),
+          );
+          return;
+        default:
+          send(res, 404, "text/plain", "Not Found\n");
+      }
+    } catch (e) {
+      console.error(`HTTP ${path} failed:`, e);
+      if (!res.headersSent) send(res, 500, "text/plain", "Internal Error\n");
+      else res.end();
+    }
+  });
+
+  server.on("error", (e) => {
+    console.error("HTTP server error:", e);
+  });
+  server.listen(port, host, () => {
+    console.log(`✅ HTTP health/metrics server on ${host}:${port}`);
+  });
+  return server;
+}
+
+/**
+ * Stop the server (e.g. on shutdown).
+ */
+export function stopHttpServer() {
+  if (server) server.close();
+  server = null;
+}
+
+export default {
+  startHttpServer,
+  stopHttpServer,
+};
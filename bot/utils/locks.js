@@ -1,10 +1,15 @@
 /**
- * Lightweight in-memory locks and cooldowns for action rate limiting.
+ * Lightweight locks and cooldowns for action rate limiting.
+ *
+ * Backends (LOCK_BACKEND):
+ * - memory (default): process-local Maps. If your app restarts or runs multiple dynos,
+ *   these limits will not synchronize across processes.
+ * - postgres: the action_locks and action_cooldowns tables (see pgLocks.js), shared by
+ *   every process using the same database. Use it when running more than one dyno. If the
+ *   database cannot be reached, locks are not acquired (reason "unavailable").
+ * Both backends return the same shapes; every helper except keyFor is async.
  *
  * IMPORTANT:
- * - This is process-local memory. If your app restarts or runs multiple dynos,
- *   these limits will not synchronize across processes. For distributed locks,
- *   use a shared store (e.g., Redis, Postgres advisory locks).
  * - Keep TTLs/cooldowns short and idempotent actions safe.
  *
  * Typical usage in Discord handlers:
@@ -23,23 +28,27 @@
  *   }
  *
  *   // Add a short cooldown after a successful action to prevent accidental re-trigger
- *   setCooldown(key, 5_000);
+ *   await setCooldown(key, 5_000);
  *
  * Exports:
  * - tryAcquireLock(key, ttlMs) -> { ok, token?, expiresAt?, remainingMs?, reason? }
  * - releaseLock(key, token) -> boolean
- * - withLock(key, ttlMs, fn) -> { ok, value?, error?, remainingMs? }
+ * - withLock(key, ttlMs, fn) -> { ok, value?, error?, remainingMs?, reason? }
  * - setCooldown(key, cooldownMs) -> number (nextAllowedAt)
  * - getRemainingCooldown(key) -> number (ms)
  * - checkCooldown(key) -> { ok, remainingMs }
  * - withCooldown(key, cooldownMs, fn) -> { ok, value?, error?, remainingMs? }
+ * - withLockThenCooldown(key, lockTtlMs, cooldownMs, fn) -> { ok, value?, error?, remainingMs?, reason? }
  * - keyFor(...parts) -> string (utility to build stable keys)
- * - stats() -> { locks, cooldowns }
+ * - stats() -> { backend, locks, cooldowns }
  */
 
+import { createPgLockBackend } from "./pgLocks.js";
+
 const locks = new Map(); // key -> { token, expiresAt }
 const cooldowns = new Map(); // key -> nextAllowedAt (ms)
 let lastCleanup = 0;
+let backend = null;
 
 /**
  * Internal now helper.
@@ -89,43 +98,113 @@ function maybeCleanup() {
   }
 }
 
+function memoryRemainingCooldown(key) {
+  maybeCleanup();
+  const next = cooldowns.get(key);
+  if (typeof next !== "number") return 0;
+  const rem = next - nowMs();
+  return rem > 0 ? rem : 0;
+}
+
+function memorySetCooldown(key, cooldownMs) {
+  maybeCleanup();
+  const next = nowMs() + Math.max(1, cooldownMs);
+  cooldowns.set(key, next);
+  return next;
+}
+
+// Process-local backend; same method shapes as createPgLockBackend (pgLocks.js)
+const memoryBackend = {
+  name: "memory",
+
+  async tryAcquire(key, ttlMs) {
+    maybeCleanup();
+    const t = nowMs();
+    const current = locks.get(key);
+
+    if (
+      current &&
+      typeof current.expiresAt === "number" &&
+      current.expiresAt > t
+    ) {
+      const remainingMs = current.expiresAt - t;
+      return { ok: false, remainingMs, reason: "locked" };
+    }
+
+    const tok = token();
+    locks.set(key, { token: tok, expiresAt: t + Math.max(1, ttlMs) });
+    return { ok: true, token: tok, expiresAt: t + ttlMs };
+  },
+
+  async release(key, tok) {
+    const current = locks.get(key);
+    if (!current) return false;
+    if (current.token !== tok) return false;
+    locks.delete(key);
+    return true;
+  },
+
+  async setCooldown(key, cooldownMs) {
+    return memorySetCooldown(key, cooldownMs);
+  },
+
+  async claimCooldown(key, cooldownMs) {
+    const remainingMs = memoryRemainingCooldown(key);
+    if (remainingMs > 0) return { ok: false, remainingMs };
+    memorySetCooldown(key, cooldownMs);
+    return { ok: true, remainingMs: 0 };
+  },
+
+  async remainingCooldown(key) {
+    return memoryRemainingCooldown(key);
+  },
+
+  async stats() {
+    maybeCleanup();
+    return {
+      locks: locks.size,
+      cooldowns: cooldowns.size,
+    };
+  },
+};
+
+/**
+ * Backend chosen by LOCK_BACKEND (resolved once, on first use).
+ */
+function getBackend() {
+  if (backend) return backend;
+  const name = String(process.env.LOCK_BACKEND || "memory")
+    .trim()
+    .toLowerCase();
+  if (name === "postgres") {
+    backend = createPgLockBackend();
+  } else {
+    if (name !== "memory") {
+      console.warn(`Unknown LOCK_BACKEND "${name}", using memory.`);
+    }
+    backend = memoryBackend;
+  }
+  return backend;
+}
+
 /**
  * Attempt to acquire a lock for a key.
  * @param {string} key
  * @param {number} ttlMs
- * @returns {{ ok: true, token: string, expiresAt: number } | { ok: false, remainingMs: number, reason: string }}
+ * @returns {Promise<{ ok: true, token: string, expiresAt: number } | { ok: false, remainingMs?: number, reason: string }>}
  */
-export function tryAcquireLock(key, ttlMs = 10_000) {
-  maybeCleanup();
-  const t = nowMs();
-  const current = locks.get(key);
-
-  if (
-    current &&
-    typeof current.expiresAt === "number" &&
-    current.expiresAt > t
-  ) {
-    const remainingMs = current.expiresAt - t;
-    return { ok: false, remainingMs, reason: "locked" };
-  }
-
-  const tok = token();
-  locks.set(key, { token: tok, expiresAt: t + Math.max(1, ttlMs) });
-  return { ok: true, token: tok, expiresAt: t + ttlMs };
+export async function tryAcquireLock(key, ttlMs = 10_000) {
+  return getBackend().tryAcquire(key, ttlMs);
 }
 
 /**
  * Release a lock if owned by the provided token.
  * @param {string} key
  * @param {string} tok
- * @returns {boolean} true if released
+ * @returns {Promise<boolean>} true if released
  */
-export function releaseLock(key, tok) {
-  const current = locks.get(key);
-  if (!current) return false;
-  if (current.token !== tok) return false;
-  locks.delete(key);
-  return true;
+export async function releaseLock(key, tok) {
+  return getBackend().release(key, tok);
 }
 
 /**
@@ -135,12 +214,16 @@ export function releaseLock(key, tok) {
  * @param {string} key
  * @param {number} ttlMs
  * @param {() => Promise<T> | T} fn
- * @returns {Promise<{ ok: true, value: T } | { ok: false, error?: any, remainingMs?: number }>}
+ * @returns {Promise<{ ok: true, value: T } | { ok: false, error?: any, remainingMs?: number, reason?: string }>}
  */
 export async function withLock(key, ttlMs, fn) {
-  const acquired = tryAcquireLock(key, ttlMs);
+  const acquired = await tryAcquireLock(key, ttlMs);
   if (!acquired.ok) {
-    return { ok: false, remainingMs: acquired.remainingMs };
+    return {
+      ok: false,
+      remainingMs: acquired.remainingMs,
+      reason: acquired.reason,
+    };
   }
   const tok = acquired.token;
   try {
@@ -149,7 +232,7 @@ export async function withLock(key, ttlMs, fn) {
   } catch (error) {
     return { ok: false, error };
   } finally {
-    releaseLock(key, tok);
+    await releaseLock(key, tok);
   }
 }
 
@@ -157,40 +240,34 @@ export async function withLock(key, ttlMs, fn) {
  * Place a cooldown on a key (no actions allowed until cooldown is over).
  * @param {string} key
  * @param {number} cooldownMs
- * @returns {number} nextAllowedAt (epoch ms)
+ * @returns {Promise<number>} nextAllowedAt (epoch ms)
  */
-export function setCooldown(key, cooldownMs) {
-  maybeCleanup();
-  const next = nowMs() + Math.max(1, cooldownMs);
-  cooldowns.set(key, next);
-  return next;
+export async function setCooldown(key, cooldownMs) {
+  return getBackend().setCooldown(key, cooldownMs);
 }
 
 /**
  * Get remaining cooldown time for a key.
  * @param {string} key
- * @returns {number} remaining ms (0 if none)
+ * @returns {Promise<number>} remaining ms (0 if none)
  */
-export function getRemainingCooldown(key) {
-  maybeCleanup();
-  const next = cooldowns.get(key);
-  if (typeof next !== "number") return 0;
-  const rem = next - nowMs();
-  return rem > 0 ? rem : 0;
+export async function getRemainingCooldown(key) {
+  return getBackend().remainingCooldown(key);
 }
 
 /**
  * Check if a key is not cooling down.
  * @param {string} key
- * @returns {{ ok: boolean, remainingMs: number }}
+ * @returns {Promise<{ ok: boolean, remainingMs: number }>}
  */
-export function checkCooldown(key) {
-  const remainingMs = getRemainingCooldown(key);
+export async function checkCooldown(key) {
+  const remainingMs = await getRemainingCooldown(key);
   return { ok: remainingMs <= 0, remainingMs };
 }
 
 /**
  * Execute a function only if not cooling down; otherwise return remaining time.
+ * Checking and starting the cooldown is one step, so concurrent callers cannot both pass.
  * @template T
  * @param {string} key
  * @param {number} cooldownMs
@@ -198,24 +275,25 @@ export function checkCooldown(key) {
  * @returns {Promise<{ ok: true, value: T } | { ok: false, remainingMs: number }>}
  */
 export async function withCooldown(key, cooldownMs, fn) {
-  const check = checkCooldown(key);
-  if (!check.ok) {
-    return { ok: false, remainingMs: check.remainingMs };
+  const claim = await getBackend().claimCooldown(key, cooldownMs);
+  if (!claim.ok) {
+    return { ok: false, remainingMs: claim.remainingMs };
   }
-  setCooldown(key, cooldownMs);
   try {
     const value = await fn();
     return { ok: true, value };
   } catch {
     // Optionally: clear cooldown on error (policy-dependent).
     // For now, keep cooldown to avoid spamming.
-    return { ok: false, remainingMs: getRemainingCooldown(key) };
+    return { ok: false, remainingMs: await getRemainingCooldown(key) };
   }
 }
 
 /**
  * Combined helper: apply a lock, run fn, then start a cooldown.
  * Useful for one-click actions that should not overlap and should not repeat immediately.
+ * The cooldown is checked again under the lock, so a caller that waited for the previous
+ * holder does not repeat its action.
  * @template T
  * @param {string} key
  * @param {number} lockTtlMs
@@ -224,34 +302,44 @@ export async function withCooldown(key, cooldownMs, fn) {
  * @returns {Promise<{ ok: true, value: T } | { ok: false, error?: any, remainingMs?: number, reason?: string }>}
  */
 export async function withLockThenCooldown(key, lockTtlMs, cooldownMs, fn) {
-  const acquired = tryAcquireLock(key, lockTtlMs);
+  const acquired = await tryAcquireLock(key, lockTtlMs);
   if (!acquired.ok) {
-    return { ok: false, remainingMs: acquired.remainingMs, reason: "locked" };
+    return {
+      ok: false,
+      remainingMs: acquired.remainingMs,
+      reason: acquired.reason,
+    };
   }
   const tok = acquired.token;
 
   try {
+    const remainingMs = await getRemainingCooldown(key);
+    if (remainingMs > 0) {
+      return { ok: false, remainingMs, reason: "cooldown" };
+    }
     const value = await fn();
-    // On success, set a cooldown
-    setCooldown(key, cooldownMs);
+    // On success, set a cooldown; the action already happened, so a failure here only
+    // loses the cooldown
+    try {
+      await setCooldown(key, cooldownMs);
+    } catch (e) {
+      console.warn(`locks: cooldown for ${key} not set:`, e?.message ?? e);
+    }
     return { ok: true, value };
   } catch (error) {
     return { ok: false, error };
   } finally {
-    releaseLock(key, tok);
+    await releaseLock(key, tok);
   }
 }
 
 /**
  * Debugging/observability convenience.
- * @returns {{ locks: number, cooldowns: number }}
+ * @returns {Promise<{ backend: string, locks: number, cooldowns: number }>}
  */
-export function stats() {
-  maybeCleanup();
-  return {
-    locks: locks.size,
-    cooldowns: cooldowns.size,
-  };
+export async function stats() {
+  const b = getBackend();
+  return { backend: b.name, ...(await b.stats()) };
 }
 
 /**
@@ -0,0 +1,216 @@
+/**
+ * metrics.js
+ *
+ * In-process Prometheus metrics (text exposition format 0.0.4), served on /metrics by
+ * httpServer.js. Counters and histograms live in memory and reset on restart, as
+ * Prometheus expects. Values computed at scrape time (e.g. trades per status) are
+ * registered as collectors.
+ *
+ * Metrics:
+ * - tradenest_interactions_total{kind, id, outcome}: interactions handled, by command
+ *   name or customId (dynamic parts after ":" dropped), outcome ok | error
+ * - tradenest_transactions_total{chain, function, result}: bot transactions by contract
+ *   function, result sent | failed (failed before broadcast, reverted, dropped or timed out)
+ * - tradenest_fx_fetch_failures_total{provider}: failed ETH-USD rate requests per provider
+ * - tradenest_db_query_duration_seconds{outcome}: latency of db.js query() calls
+ * - tradenest_trades{status}: stored Amis trades per status (collected on scrape)
+ * - tradenest_bot_balance_wei{chain}: bot wallet balance at the last gas check
+ *   (registered by gasMonitor.js)
+ *
+ * Usage:
+ *   import { interactionsTotal } from "./metrics.js";
+ *   interactionsTotal.inc({ kind: "button", id: "approve_release", outcome: "ok" });
+ *   const text = await renderMetrics();
+ */
+
+const PREFIX = "tradenest_";
+
+// Seconds; spans fast indexed lookups up to slow scans
+const DB_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const registry = new Map(); // name -> metric
+const collectors = [];
+
+/**
+ * Escape a label value for the exposition format.
+ * @param {unknown} v
+ */
+function escapeLabel(v) {
+  return String(v ?? "")
+    .replace(/\\/gu, "\\\\")
+    .replace(/\n/gu, "\\n")
+    .replace(/"/gu, '\\"');
+}
+
+/**
+ * @param {string[]} labelNames
+ * @param {Record<string, unknown>} labels
+ */
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map((n) => escapeLabel(labels[n])).join("\u0000");
+}
+
+/**
+ * @param {string[]} labelNames
+ * @param {string} key - from labelKey
+ * @param {Record<string, string>} [extra]
+ */
+function formatLabels(labelNames, key, extra = {}) {
+  const values = key.split("\u0000");
+  const parts = labelNames.map((n, i) => `${n}="${values[i]}"`);
+  for (const [k, v] of Object.entries(extra)) parts.push(`${k}="${v}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+/**
+ * Create (or return the existing) counter.
+ * @param {string} name - without the tradenest_ prefix
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @returns {{ inc: (labels?: Record<string, unknown>, value?: number) => void }}
+ */
+export function counter(name, help, labelNames = []) {
+  const full = PREFIX + name;
+  if (registry.has(full)) return registry.get(full);
+  const values = new Map();
+  const metric = {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) ?? 0) + value);
+    },
+    render() {
+      const lines = [`# HELP ${full} ${help}`, `# TYPE ${full} counter`];
+      for (const [key, v] of values) {
+        lines.push(`${full}${formatLabels(labelNames, key)} ${v}`);
+      }
+      return lines;
+    },
+  };
+  registry.set(full, metric);
+  return metric;
+}
+
+/**
+ * Create (or return the existing) histogram.
+ * @param {string} name - without the tradenest_ prefix
+ * @param {string} help
+ * @param {string[]} [labelNames]
+ * @param {number[]} [buckets] - upper bounds, ascending
+ * @returns {{ observe: (labels: Record<string, unknown>, value: number) => void }}
+ */
+export function histogram(name, help, labelNames = [], buckets = DB_BUCKETS) {
+  const full = PREFIX + name;
+  if (registry.has(full)) return registry.get(full);
+  const series = new Map(); // key -> { counts, sum, count }
+  const metric = {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let s = series.get(key);
+      if (!s) {
+        s = { counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      for (let i = 0; i < buckets.length; i++) {
+        if (value <= buckets[i]) s.counts[i] += 1;
+      }
+      s.sum += value;
+      s.count += 1;
+    },
+    render() {
+      const lines = [`# HELP ${full} ${help}`, `# TYPE ${full} histogram`];
+      for (const [key, s] of series) {
+        buckets.forEach((le, i) => {
+          lines.push(
+            `${full}_bucket${formatLabels(labelNames, key, { le: String(le) })} ${s.counts[i]}`,
+          );
+        });
+        lines.push(
+          `${full}_bucket${formatLabels(labelNames, key, { le: "+Inf" })} ${s.count}`,
+          `${full}_sum${formatLabels(labelNames, key)} ${s.sum}`,
+          `${full}_count${formatLabels(labelNames, key)} ${s.count}`,
+        );
+      }
+      return lines;
+    },
+  };
+  registry.set(full, metric);
+  return metric;
+}
+
+/**
+ * Register a gauge whose samples are computed on every scrape.
+ * A failing collector is skipped for that scrape (and logged).
+ * @param {string} name - without the tradenest_ prefix
+ * @param {string} help
+ * @param {string[]} labelNames
+ * @param {() => Promise<Array<{ labels: Record<string, unknown>, value: number }>>} collect
+ */
+export function registerGauge(name, help, labelNames, collect) {
+  collectors.push({ full: PREFIX + name, help, labelNames, collect });
+}
+
+/**
+ * Render every metric in the Prometheus text format.
+ * @returns {Promise<string>}
+ */
+export async function renderMetrics() {
+  const lines = [];
+  for (const metric of registry.values()) lines.push(...metric.render());
+  for (const c of collectors) {
+    try {
+      const samples = await c.collect();
+      lines.push(`# HELP ${c.full} ${c.help}`, `# TYPE ${c.full} gauge`);
+      for (const s of samples) {
+        const key = labelKey(c.labelNames, s.labels);
+        lines.push(`${c.full}${formatLabels(c.labelNames, key)} ${s.value}`);
+      }
+    } catch (e) {
+      console.warn(`metrics: collector ${c.full} failed:`, e?.message ?? e);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Metric label for a command name or customId: dynamic parts (ids, pages) dropped.
+ * @param {string|null|undefined} id
+ */
+export function interactionLabel(id) {
+  return String(id ?? "unknown").split(":")[0] || "unknown";
+}
+
+export const interactionsTotal = counter(
+  "interactions_total",
+  "Discord interactions handled, by command or customId",
+  ["kind", "id", "outcome"],
+);
+
+export const transactionsTotal = counter(
+  "transactions_total",
+  "Bot transactions by contract function (sent, or failed before or after broadcast)",
+  ["chain", "function", "result"],
+);
+
+export const fxFetchFailuresTotal = counter(
+  "fx_fetch_failures_total",
+  "Failed ETH-USD rate requests per provider",
+  ["provider"],
+);
+
+export const dbQueryDuration = histogram(
+  "db_query_duration_seconds",
+  "Latency of database queries",
+  ["outcome"],
+);
+
+export default {
+  counter,
+  histogram,
+  registerGauge,
+  renderMetrics,
+  interactionLabel,
+  interactionsTotal,
+  transactionsTotal,
+  fxFetchFailuresTotal,
+  dbQueryDuration,
+};
@@ -1,9 +1,14 @@
 /**
- * Utilities for notifying a specific counterparty in a trade thread.
+ * Utilities for notifying a specific counterparty in a trade thread, and for
+ * escalating to moderators.
  *
  * Posts a normal message in the thread mentioning exactly one user, using
  * allowedMentions to avoid noisy/global pings.
  *
+ * Environment (optional, moderator notifications):
+ * - MOD_LOG_CHANNEL_ID: channel that receives moderator notifications
+ * - MODERATOR_ROLE_ID: role mentioned in moderator notifications
+ *
  * Usage:
  *   import { notifyCounterparty } from "./notify.js";
  *
@@ -66,3 +71,69 @@ export async function notifyCounterparty({ channel, targetUserId, message }) {
     return null;
   }
 }
+
+/**
+ * Notify moderators about something that needs their attention (e.g. a dispute).
+ *
+ * Notes:
+ * - Posts to `channelId` (e.g. a dedicated alerts channel) or MOD_LOG_CHANNEL_ID when
+ *   configured; otherwise falls back to the provided channel (typically the trade thread).
+ * - Mentions MODERATOR_ROLE_ID when configured (and only that role).
+ * - Best-effort: returns null instead of throwing.
+ *
+ * @param {Object} params
+ * @param {import('discord.js').Client} params.client
+ * @param {import('discord.js').TextChannel | import('discord.js').ThreadChannel} [params.fallbackChannel]
+ * @param {string|null} [params.channelId] - channel to post in instead of MOD_LOG_CHANNEL_ID
+ * @param {string} params.message
+ * @param {import('discord.js').EmbedBuilder[]} [params.embeds]
+ * @param {import('discord.js').AttachmentBuilder[]} [params.files]
+ * @returns {Promise<import('discord.js').Message | null>}
+ */
+export async function notifyModerators({
+  client,
+  fallbackChannel,
+  channelId: targetChannelId = null,
+  message,
+  embeds,
+  files,
+}) {
+  const channelId = String(
+    targetChannelId || process.env.MOD_LOG_CHANNEL_ID || "",
+  ).trim();
+  const roleId = String(process.env.MODERATOR_ROLE_ID || "").trim();
+
+  let channel = null;
+  if (channelId && client?.channels?.fetch) {
+    try {
+      channel = await client.channels.fetch(channelId);
+    } catch (e) {
+      console.warn(
+        `notifyModerators: channel ${channelId} not reachable, using fallback`,
+        e?.message ?? e,
+      );
+    }
+  }
+  if (!channel || typeof channel.send !== "function") {
+    channel = fallbackChannel ?? null;
+  }
+  if (!channel || typeof channel.send !== "function") return null;
+
+  const msg = String(message ?? "").trim();
+  const content = roleId ? `<@&${roleId}>${msg ? ` ${msg}` : ""}` : msg;
+  try {
+    const sent = await channel.send({
+      content,
+      ...(embeds ? { embeds } : {}),
+      ...(files ? { files } : {}),
+      allowedMentions: {
+        roles: roleId ? [roleId] : [],
+        parse: [],
+      },
+    });
+    return sent ?? null;
+  } catch (e) {
+    console.error("notifyModerators: failed to send notification:", e);
+    return null;
+  }
+}
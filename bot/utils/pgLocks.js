@@ -0,0 +1,182 @@
+/**
+ * pgLocks.js
+ *
+ * Postgres backend for locks.js (LOCK_BACKEND=postgres), shared by every bot process
+ * that uses the same database:
+ * - Locks are rows in action_locks (migration 20251129_000022_action_locks.sql). A lock
+ *   is taken by inserting its row, or by taking over one whose expiry has passed, and
+ *   expires after `ttlMs` like the memory backend. No connection is held while it is.
+ * - Cooldowns are rows in action_cooldowns (migration 20251124_000017_action_cooldowns.sql).
+ * Both are timed with the database clock so processes with drifting clocks agree.
+ *
+ * When the database cannot be reached, tryAcquire reports the lock as not acquired
+ * (reason "unavailable") instead of throwing, so the action is refused, not run unlocked.
+ *
+ * Usage (through locks.js):
+ *   LOCK_BACKEND=postgres
+ */
+
+import crypto from "crypto";
+import { query } from "./db.js";
+
+const CLEANUP_INTERVAL_MS = 60_000;
+
+/**
+ * Create the Postgres lock backend. Method shapes match the memory backend in locks.js.
+ * @returns {{
+ *   name: string,
+ *   tryAcquire: (key: string, ttlMs: number) => Promise<{ ok: true, token: string, expiresAt: number } | { ok: false, remainingMs?: number, reason: string }>,
+ *   release: (key: string, token: string) => Promise<boolean>,
+ *   setCooldown: (key: string, cooldownMs: number) => Promise<number>,
+ *   claimCooldown: (key: string, cooldownMs: number) => Promise<{ ok: boolean, remainingMs: number }>,
+ *   remainingCooldown: (key: string) => Promise<number>,
+ *   stats: () => Promise<{ locks: number, cooldowns: number }>,
+ * }}
+ */
+export function createPgLockBackend() {
+  let lastCleanup = 0;
+
+  async function maybeCleanup() {
+    const t = Date.now();
+    if (t - lastCleanup < CLEANUP_INTERVAL_MS) return;
+    lastCleanup = t;
+    try {
+      await query(
+        `DELETE FROM action_cooldowns WHERE next_allowed_at <= NOW()`,
+      );
+      await query(`DELETE FROM action_locks WHERE expires_at <= NOW()`);
+    } catch (e) {
+      console.warn("pgLocks: cooldown cleanup failed:", e?.message ?? e);
+    }
+  }
+
+  async function remainingCooldown(key) {
+    await maybeCleanup();
+    const res = await query(
+      `
+      SELECT GREATEST(0, CEIL(EXTRACT(EPOCH FROM (next_allowed_at - NOW())) * 1000))::bigint AS remaining_ms
+      FROM action_cooldowns
+      WHERE key = $1
+    `,
+      [key],
+    );
+    return res.rowCount ? Number(res.rows[0].remaining_ms) : 0;
+  }
+
+  return {
+    name: "postgres",
+
+    async tryAcquire(key, ttlMs) {
+      const ms = Math.max(1, Math.round(ttlMs));
+      const token = crypto.randomUUID();
+      try {
+        await maybeCleanup();
+        // Insert the lock, or take over an expired one, in one statement
+        const res = await query(
+          `
+          INSERT INTO action_locks (key, token, expires_at)
+          VALUES ($1, $2, NOW() + $3::int * INTERVAL '1 millisecond')
+          ON CONFLICT (key) DO UPDATE SET
+            token = EXCLUDED.token,
+            expires_at = EXCLUDED.expires_at
+            WHERE action_locks.expires_at <= NOW()
+          RETURNING (EXTRACT(EPOCH FROM expires_at) * 1000)::bigint AS expires_ms
+        `,
+          [key, token, ms],
+        );
+        if (res.rowCount) {
+          return {
+            ok: true,
+            token,
+            expiresAt: Number(res.rows[0].expires_ms),
+          };
+        }
+        const held = await query(
+          `
+          SELECT GREATEST(0, CEIL(EXTRACT(EPOCH FROM (expires_at - NOW())) * 1000))::bigint AS remaining_ms
+          FROM action_locks
+          WHERE key = $1
+        `,
+          [key],
+        );
+        const remainingMs = held.rowCount
+          ? Number(held.rows[0].remaining_ms)
+          : 0;
+        return {
+          ok: false,
+          remainingMs: Math.max(1, remainingMs),
+          reason: "locked",
+        };
+      } catch (e) {
+        console.warn(`pgLocks: lock ${key} not acquired:`, e?.message ?? e);
+        return { ok: false, reason: "unavailable" };
+      }
+    },
+
+    async release(key, token) {
+      try {
+        const res = await query(
+          `DELETE FROM action_locks WHERE key = $1 AND token = $2`,
+          [key, token],
+        );
+        return res.rowCount > 0;
+      } catch (e) {
+        // The lock expires by itself after its TTL
+        console.warn(`pgLocks: release of ${key} failed:`, e?.message ?? e);
+        return false;
+      }
+    },
+
+    async setCooldown(key, cooldownMs) {
+      await maybeCleanup();
+      const res = await query(
+        `
+        INSERT INTO action_cooldowns (key, next_allowed_at)
+        VALUES ($1, NOW() + $2::int * INTERVAL '1 millisecond')
+        ON CONFLICT (key) DO UPDATE SET next_allowed_at = EXCLUDED.next_allowed_at
+        RETURNING (EXTRACT(EPOCH FROM next_allowed_at) * 1000)::bigint AS next_ms
+      `,
+        [key, Math.max(1, Math.round(cooldownMs))],
+      );
+      return Number(res.rows[0].next_ms);
+    },
+
+    // Start a cooldown unless one is running, in one statement (no check-then-set race)
+    async claimCooldown(key, cooldownMs) {
+      await maybeCleanup();
+      const res = await query(
+        `
+        INSERT INTO action_cooldowns (key, next_allowed_at)
+        VALUES ($1, NOW() + $2::int * INTERVAL '1 millisecond')
+        ON CONFLICT (key) DO UPDATE SET next_allowed_at = EXCLUDED.next_allowed_at
+          WHERE action_cooldowns.next_allowed_at <= NOW()
+        RETURNING key
+      `,
+        [key, Math.max(1, Math.round(cooldownMs))],
+      );
+      if (res.rowCount) return { ok: true, remainingMs: 0 };
+      return {
+        ok: false,
+        remainingMs: Math.max(1, await remainingCooldown(key)),
+      };
+    },
+
+    remainingCooldown,
+
+    async stats() {
+      const [lockRes, cooldownRes] = await Promise.all([
+        query(
+          `SELECT COUNT(*)::int AS n FROM action_locks WHERE expires_at > NOW()`,
+        ),
+        query(
+          `SELECT COUNT(*)::int AS n FROM action_cooldowns WHERE next_allowed_at > NOW()`,
+        ),
+      ]);
+      return { locks: lockRes.rows[0].n, cooldowns: cooldownRes.rows[0].n };
+    },
+  };
+}
+
+export default {
+  createPgLockBackend,
+};
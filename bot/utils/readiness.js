@@ -0,0 +1,231 @@
+/**
+ * readiness.js
+ *
+ * Readiness report behind /healthcheck. Every section is collected on its own, so one
+ * failing dependency (DB down, RPC unreachable, FX providers blocked) does not hide
+ * the others:
+ * - database: connectivity and server time
+ * - migrations: applied vs pending files (runMigrations' tracking table, see db.js)
+ * - chains: per configured chain (chains.js)
+ *   - RPC pool: reachable endpoints, chain id reported by each endpoint (rpcPool.js)
+ *   - bot wallet balance vs the gas thresholds, and the operations it still covers
+ *     (gasMonitor.js)
+ *   - manager contract: bytecode present at the address, bot() equals the bot wallet
+ * - fx: every ETH-USD provider queried once (fx.js)
+ * - locks: lock backend and its held locks / running cooldowns (locks.js)
+ * - watchers: indexer and auto-release schedulers, event subscriptions, bot
+ *   transactions still being followed
+ *
+ * Usage:
+ *   import { collectReadiness } from "./readiness.js";
+ *   const report = await collectReadiness();
+ *   if (!report.ok) ...
+ */
+
+import { formatEther } from "ethers";
+import { AMIS_ABI, getManagerAddress } from "./amisContract.js";
+import { getIndexerStatus } from "./amisIndexer.js";
+import { getAutoReleaseStatus } from "./autoRelease.js";
+import { listChains } from "./chains.js";
+import { account, getChainClients } from "./client.js";
+import { getMigrationStatus, query } from "./db.js";
+import { getFxStatus } from "./fx.js";
+import { checkBotGas, getGasThresholds, GAS_LEVEL } from "./gasMonitor.js";
+import { stats as lockStats } from "./locks.js";
+
+function errorText(e) {
+  return String(e?.shortMessage ?? e?.message ?? e);
+}
+
+async function checkDatabase() {
+  const started = Date.now();
+  try {
+    const res = await query("SELECT NOW() AS now");
+    return {
+      ok: true,
+      now: res.rows[0]?.now ?? null,
+      latencyMs: Date.now() - started,
+    };
+  } catch (e) {
+    return { ok: false, latencyMs: Date.now() - started, error: errorText(e) };
+  }
+}
+
+async function checkMigrations() {
+  try {
+    const status = await getMigrationStatus();
+    return { ok: status.pending.length === 0, ...status };
+  } catch (e) {
+    return { ok: false, error: errorText(e) };
+  }
+}
+
+/**
+ * RPC, bot wallet and manager contract checks for one chain.
+ * @param {import("./chains.js").ChainConfig} chain
+ */
+async function checkChain(chain) {
+  const { rpcPool, publicClient } = getChainClients(chain.id);
+  const managerAddress = getManagerAddress(chain.id);
+
+  await rpcPool.probe();
+  const rpc = rpcPool.health();
+  const reachable = rpc.endpoints.some((ep) => ep.blockNumber !== null);
+  const chainIdOk = rpc.endpoints.every((ep) => ep.chainIdMatch !== false);
+
+  const result = {
+    chainId: chain.id,
+    chainName: chain.name,
+    nativeSymbol: chain.nativeSymbol,
+    rpc,
+    reachable,
+    chainIdOk,
+    balance: null,
+    manager: {
+      address: managerAddress,
+      hasCode: null,
+      bot: null,
+      botMatches: null,
+    },
+    errors: [],
+  };
+  if (!reachable) {
+    result.ok = false;
+    return result;
+  }
+
+  const [gas, code, bot] = await Promise.allSettled([
+    checkBotGas(chain.id),
+    publicClient.getBytecode({ address: managerAddress }),
+    publicClient.readContract({
+      address: managerAddress,
+      abi: AMIS_ABI,
+      functionName: "bot",
+      args: [],
+    }),
+  ]);
+
+  if (gas.status === "fulfilled" && gas.value.level !== GAS_LEVEL.Unknown) {
+    const { lowWei } = getGasThresholds();
+    result.balance = {
+      formatted: gas.value.balance,
+      level: gas.value.level,
+      low: gas.value.level !== GAS_LEVEL.Ok,
+      minimum: formatEther(lowWei),
+      opsLeft: gas.value.opsLeft,
+    };
+  } else {
+    const reason = gas.status === "fulfilled" ? gas.value.error : gas.reason;
+    result.errors.push(`balance: ${errorText(reason)}`);
+  }
+
+  if (code.status === "fulfilled") {
+    result.manager.hasCode = Boolean(code.value) && code.value !== "0x";
+  } else {
+    result.errors.push(`bytecode: ${errorText(code.reason)}`);
+  }
+
+  if (bot.status === "fulfilled") {
+    result.manager.bot = String(bot.value);
+    result.manager.botMatches =
+      result.manager.bot.toLowerCase() === account.address.toLowerCase();
+  } else if (result.manager.hasCode !== false) {
+    result.errors.push(`bot(): ${errorText(bot.reason)}`);
+  }
+
+  result.ok =
+    chainIdOk &&
+    result.errors.length === 0 &&
+    Boolean(result.balance) &&
+    result.balance.level !== GAS_LEVEL.Critical &&
+    result.manager.hasCode === true &&
+    result.manager.botMatches === true;
+  return result;
+}
+
+async function checkFx() {
+  try {
+    const { providers, cached } = await getFxStatus();
+    return {
+      ok: providers.some((p) => p.ok),
+      providers,
+      cached,
+    };
+  } catch (e) {
+    return { ok: false, providers: [], cached: null, error: errorText(e) };
+  }
+}
+
+async function checkLocks() {
+  try {
+    return { ok: true, ...(await lockStats()) };
+  } catch (e) {
+    return { ok: false, locks: null, cooldowns: null, error: errorText(e) };
+  }
+}
+
+async function checkWatchers() {
+  const indexer = getIndexerStatus();
+  const autoRelease = getAutoReleaseStatus();
+  let subscriptions = 0;
+  let inFlightTxs = 0;
+  for (const chain of listChains()) {
+    const { provider, txManager } = getChainClients(chain.id);
+    subscriptions += await provider.listenerCount();
+    inFlightTxs += txManager.stats().inFlight;
+  }
+  return { indexer, autoRelease, subscriptions, inFlightTxs };
+}
+
+/**
+ * Collect the full readiness report (DB, RPC and FX calls run in parallel).
+ * `ok` is true when the database is reachable, no migration is pending and every
+ * chain passed its checks. FX providers are informational: quotes fall back between them.
+ * @returns {Promise<{
+ *   ok: boolean,
+ *   durationMs: number,
+ *   database: { ok: boolean, now?: Date|null, latencyMs: number, error?: string },
+ *   migrations: { ok: boolean, applied?: string[], pending?: string[], changed?: string[], unknown?: string[], error?: string },
+ *   chains: Array<object>,
+ *   fx: { ok: boolean, providers: Array<{ source: string, ok: boolean, rate: number, error?: string }>, cached: object|null, error?: string },
+ *   locks: { ok: boolean, backend?: string, locks: number|null, cooldowns: number|null, error?: string },
+ *   watchers: { indexer: object, autoRelease: object, subscriptions: number, inFlightTxs: number },
+ * }>}
+ */
+export async function collectReadiness() {
+  const started = Date.now();
+  const [database, migrations, chains, fx, locks, watchers] = await Promise.all(
+    [
+      checkDatabase(),
+      checkMigrations(),
+      Promise.all(
+        listChains().map((chain) =>
+          checkChain(chain).catch((e) => ({
+            chainId: chain.id,
+            chainName: chain.name,
+            ok: false,
+            errors: [errorText(e)],
+          })),
+        ),
+      ),
+      checkFx(),
+      checkLocks(),
+      checkWatchers(),
+    ],
+  );
+
+  return {
+    ok: database.ok && migrations.ok && chains.every((c) => c.ok),
+    durationMs: Date.now() - started,
+    database,
+    migrations,
+    chains,
+    fx,
+    locks,
+    watchers,
+  };
+}
+
+export default {
+  collectReadiness,
+};
@@ -0,0 +1,204 @@
+/**
+ * reputation.js
+ *
+ * Counterparty reputation, computed from a user's escrows history (reputationRepo.js):
+ * - completed trades and their USD volume, cancellations
+ * - disputes won / lost (from the resolved split) and still open; a disputed trade never
+ *   counts as a completed one, even when its split was not stored
+ * - median time from funding to Mark Delivered as seller
+ * - average of the 1–5 ratings left by counterparties after completed trades (`/rate`)
+ *
+ * Shown on the trade confirmation embed (the counterparty's reputation) and by
+ * `/reputation`.
+ *
+ * Usage:
+ *   const stats = await loadReputation(discordId);
+ *   const lines = formatReputationLines(stats);
+ *   const counterparty = await loadCounterpartyReputation({ buyerId, sellerId, userId });
+ *   const res = await rateTrade({ escrow, raterId, score, comment });
+ */
+
+import { getChain } from "./chains.js";
+import { ESCROW_STATUS } from "./escrowRepo.js";
+import { formatUsd } from "./format.js";
+import {
+  getReputationStats,
+  listRatingsForUser,
+  upsertTradeRating,
+} from "./reputationRepo.js";
+
+export const RATING_COMMENT_MAX = 300;
+
+/**
+ * Reputation figures for display; null when they cannot be read.
+ * @param {string} discordId
+ * @returns {Promise<Awaited<ReturnType<typeof getReputationStats>> | null>}
+ */
+export async function loadReputation(discordId) {
+  if (!discordId) return null;
+  try {
+    return await getReputationStats(discordId);
+  } catch (e) {
+    console.warn("reputation: stats failed:", e?.message ?? e);
+    return null;
+  }
+}
+
+/**
+ * Latest ratings a user received; an empty list when they cannot be read.
+ * @param {string} discordId
+ * @param {number} [limit]
+ * @returns {Promise<object[]>}
+ */
+export async function loadRecentRatings(discordId, limit = 3) {
+  try {
+    return await listRatingsForUser(discordId, limit);
+  } catch (e) {
+    console.warn("reputation: ratings failed:", e?.message ?? e);
+    return [];
+  }
+}
+
+function formatDuration(sec) {
+  const minutes = Math.max(1, Math.round(sec / 60));
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function stars(avg) {
+  const full = Math.round(avg);
+  return "★".repeat(full) + "☆".repeat(5 - full);
+}
+
+/**
+ * Short summary lines of a user's reputation.
+ * @param {Awaited<ReturnType<typeof getReputationStats>> | null} stats
+ * @returns {string[]}
+ */
+export function formatReputationLines(stats) {
+  if (!stats) return ["Reputation unavailable right now."];
+  if (stats.trades === 0) return ["🆕 No trades with the bot yet."];
+
+  const lines = [
+    stats.ratingCount > 0
+      ? `${stars(stats.ratingAvg)} ${stats.ratingAvg.toFixed(1)}/5 from ${stats.ratingCount} rating${stats.ratingCount === 1 ? "" : "s"}`
+      : "No ratings yet",
+    `✅ ${stats.completed} completed ($${formatUsd(stats.volumeUsd)}) • ❌ ${stats.cancelled} cancelled`,
+  ];
+
+  const resolved =
+    stats.disputesWon +
+    stats.disputesLost +
+    stats.disputesSplit +
+    stats.disputesUnknown;
+  if (resolved > 0 || stats.disputesOpen > 0) {
+    const parts = [
+      `${stats.disputesWon} won`,
+      `${stats.disputesLost} lost`,
+      ...(stats.disputesSplit > 0 ? [`${stats.disputesSplit} split`] : []),
+      ...(stats.disputesUnknown > 0
+        ? [`${stats.disputesUnknown} outcome unknown`]
+        : []),
+      ...(stats.disputesOpen > 0 ? [`${stats.disputesOpen} open`] : []),
+    ];
+    lines.push(`⚖️ Disputes: ${parts.join(", ")}`);
+  }
+
+  if (stats.medianDeliverSec !== null) {
+    lines.push(
+      `⏱️ Delivers in ${formatDuration(stats.medianDeliverSec)} (median of ${stats.deliveriesTimed})`,
+    );
+  }
+  return lines;
+}
+
+/**
+ * Reputation of the other party of a trade being set up, for buildConfirmationEmbed.
+ * @param {{ buyerId: string|null, sellerId: string|null, userId: string }} params - userId: the viewer
+ * @returns {Promise<{ userId: string, lines: string[] } | null>} null when the counterparty is not chosen yet
+ */
+export async function loadCounterpartyReputation({
+  buyerId,
+  sellerId,
+  userId,
+}) {
+  const other = String(buyerId ?? "") === String(userId) ? sellerId : buyerId;
+  if (!other || String(other) === String(userId)) return null;
+  return {
+    userId: String(other),
+    lines: formatReputationLines(await loadReputation(other)),
+  };
+}
+
+/**
+ * Record a party's rating of a completed trade. The rating goes to the other party.
+ * @param {{ escrow: object|null, raterId: string, score: number, comment?: string|null }} params
+ * @returns {Promise<{ ok: true, rating: object, created: boolean, rateeId: string } | { ok: false, error: string }>}
+ */
+export async function rateTrade({ escrow, raterId, score, comment = null }) {
+  if (!escrow?.tradeId) {
+    return { ok: false, error: "Trade not found." };
+  }
+  const tradeId = escrow.tradeId;
+  const uid = String(raterId);
+  const role =
+    String(escrow.buyerDiscordId ?? "") === uid
+      ? "buyer"
+      : String(escrow.sellerDiscordId ?? "") === uid
+        ? "seller"
+        : null;
+  if (!role) {
+    return {
+      ok: false,
+      error: `Only the buyer and seller of trade #${tradeId} can rate it.`,
+    };
+  }
+  if (Number(escrow.status) !== ESCROW_STATUS.Completed) {
+    return {
+      ok: false,
+      error: `Trade #${tradeId} can be rated once it is completed.`,
+    };
+  }
+  const rateeId =
+    role === "buyer" ? escrow.sellerDiscordId : escrow.buyerDiscordId;
+  if (!rateeId) {
+    return {
+      ok: false,
+      error: `The counterparty of trade #${tradeId} is not known.`,
+    };
+  }
+  const s = Number(score);
+  if (!Number.isInteger(s) || s < 1 || s > 5) {
+    return { ok: false, error: "Score must be a whole number from 1 to 5." };
+  }
+  const text = String(comment ?? "").trim();
+  if (text.length > RATING_COMMENT_MAX) {
+    return {
+      ok: false,
+      error: `Comment is too long (max ${RATING_COMMENT_MAX} characters).`,
+    };
+  }
+
+  const { rating, created } = await upsertTradeRating({
+    chainId: escrow.chainId ?? getChain(null).id,
+    managerAddress: escrow.managerAddress,
+    tradeId,
+    raterDiscordId: uid,
+    rateeDiscordId: String(rateeId),
+    raterRole: role,
+    score: s,
+    comment: text || null,
+  });
+  return { ok: true, rating, created, rateeId: String(rateeId) };
+}
+
+export default {
+  RATING_COMMENT_MAX,
+  loadReputation,
+  loadRecentRatings,
+  formatReputationLines,
+  loadCounterpartyReputation,
+  rateTrade,
+};
@@ -0,0 +1,251 @@
+import { query } from "./db.js";
+import { ESCROW_STATUS } from "./escrowRepo.js";
+
+/**
+ * Reputation Repository (PostgreSQL)
+ *
+ * Aggregates a Discord user's trade history from "escrows" and stores the post-trade
+ * ratings parties give each other (see reputation.js).
+ *
+ * Table (see migration 20251128_000021_reputation.sql):
+ *   trade_ratings (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     chain_id INTEGER NOT NULL,
+ *     manager_address TEXT NOT NULL,   -- lowercase
+ *     trade_id NUMERIC(78,0) NOT NULL,
+ *     rater_discord_id TEXT NOT NULL,
+ *     ratee_discord_id TEXT NOT NULL,
+ *     rater_role TEXT NOT NULL,        -- 'buyer' | 'seller'
+ *     score SMALLINT NOT NULL,         -- 1..5
+ *     comment TEXT NULL,
+ *     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     UNIQUE (manager_address, trade_id, rater_discord_id)
+ *   )
+ */
+
+/**
+ * Convert DB row to JS object.
+ * @param {any} row
+ */
+function rowToRating(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    chainId: row.chain_id,
+    managerAddress: row.manager_address,
+    tradeId: String(row.trade_id),
+    raterDiscordId: row.rater_discord_id,
+    rateeDiscordId: row.ratee_discord_id,
+    raterRole: row.rater_role,
+    score: Number(row.score),
+    comment: row.comment ?? null,
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null,
+  };
+}
+
+/**
+ * Store a party's rating of a trade; rating the same trade again replaces it.
+ * @param {{
+ *   chainId: number,
+ *   managerAddress: string,
+ *   tradeId: bigint|string|number,
+ *   raterDiscordId: string,
+ *   rateeDiscordId: string,
+ *   raterRole: "buyer"|"seller",
+ *   score: number,
+ *   comment?: string|null,
+ * }} rating
+ * @returns {Promise<{ rating: object, created: boolean }>} created is false when replaced
+ */
+export async function upsertTradeRating(rating) {
+  const res = await query(
+    `
+    INSERT INTO trade_ratings (
+      chain_id, manager_address, trade_id, rater_discord_id, ratee_discord_id,
+      rater_role, score, comment
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (manager_address, trade_id, rater_discord_id) DO UPDATE SET
+      score = EXCLUDED.score,
+      comment = EXCLUDED.comment
+    RETURNING *, (xmax = 0) AS inserted
+  `,
+    [
+      rating.chainId,
+      String(rating.managerAddress).toLowerCase(),
+      BigInt(rating.tradeId).toString(),
+      String(rating.raterDiscordId),
+      String(rating.rateeDiscordId),
+      rating.raterRole,
+      Number(rating.score),
+      rating.comment ?? null,
+    ],
+  );
+  return {
+    rating: rowToRating(res.rows[0]),
+    created: res.rows[0]?.inserted === true,
+  };
+}
+
+/**
+ * Ratings a user received, newest first.
+ * @param {string} discordId
+ * @param {number} [limit]
+ * @returns {Promise<object[]>}
+ */
+export async function listRatingsForUser(discordId, limit = 5) {
+  const lim = Math.max(1, Math.min(50, Number(limit) || 5));
+  const res = await query(
+    `
+    SELECT * FROM trade_ratings
+    WHERE ratee_discord_id = $1
+    ORDER BY updated_at DESC, id DESC
+    LIMIT $2
+  `,
+    [String(discordId), lim],
+  );
+  return res.rows.map(rowToRating);
+}
+
+/**
+ * Trade history figures of a user across all chains.
+ * - completed / volumeUsd: trades released without a dispute (USD price agreed in the flow)
+ * - disputesWon / disputesLost / disputesSplit: resolved disputes, from the user's side
+ *   (won = more than half of the amount, split = exactly half)
+ * - disputesUnknown: resolved disputes whose split was not stored (e.g. resolved before
+ *   migration 000021); they count neither as completed nor as won or lost
+ * - medianDeliverSec: as seller, from funding to Mark Delivered
+ * @param {string} discordId
+ * @returns {Promise<{
+ *   trades: number,
+ *   completed: number,
+ *   completedAsBuyer: number,
+ *   completedAsSeller: number,
+ *   volumeUsd: string,
+ *   cancelled: number,
+ *   disputesOpen: number,
+ *   disputesWon: number,
+ *   disputesLost: number,
+ *   disputesSplit: number,
+ *   disputesUnknown: number,
+ *   medianDeliverSec: number|null,
+ *   deliveriesTimed: number,
+ *   firstTradeAt: Date|null,
+ *   ratingAvg: number|null,
+ *   ratingCount: number,
+ * }>}
+ */
+export async function getReputationStats(discordId) {
+  const id = String(discordId);
+  const [history, ratings] = await Promise.all([
+    query(
+      `
+      SELECT
+        COUNT(*)::int AS trades,
+        COUNT(*) FILTER (WHERE e.status = $2 AND NOT e.disputed)::int AS completed,
+        COUNT(*) FILTER (WHERE e.status = $2 AND NOT e.disputed
+          AND e.buyer_discord_id = $1)::int AS completed_as_buyer,
+        COUNT(*) FILTER (WHERE e.status = $2 AND NOT e.disputed
+          AND e.seller_discord_id = $1)::int AS completed_as_seller,
+        COALESCE(SUM(f.price_usd) FILTER (
+          WHERE e.status = $2 AND NOT e.disputed
+        ), 0) AS volume_usd,
+        COUNT(*) FILTER (WHERE e.status = $3)::int AS cancelled,
+        COUNT(*) FILTER (WHERE e.status = $4)::int AS disputes_open,
+        COUNT(*) FILTER (WHERE
+          (e.buyer_discord_id = $1 AND e.dispute_buyer_share_bps > 5000)
+          OR (e.seller_discord_id = $1 AND e.dispute_buyer_share_bps < 5000)
+        )::int AS disputes_won,
+        COUNT(*) FILTER (WHERE
+          (e.buyer_discord_id = $1 AND e.dispute_buyer_share_bps < 5000)
+          OR (e.seller_discord_id = $1 AND e.dispute_buyer_share_bps > 5000)
+        )::int AS disputes_lost,
+        COUNT(*) FILTER (WHERE e.dispute_buyer_share_bps = 5000)::int AS disputes_split,
+        COUNT(*) FILTER (WHERE e.status = $2 AND e.disputed
+          AND e.dispute_buyer_share_bps IS NULL)::int AS disputes_unknown,
+        PERCENTILE_CONT(0.5) WITHIN GROUP (
+          ORDER BY EXTRACT(EPOCH FROM (e.delivered_at - e.funded_at))
+        ) FILTER (
+          WHERE e.seller_discord_id = $1
+            AND e.funded_at IS NOT NULL
+            AND e.delivered_at >= e.funded_at
+        ) AS median_deliver_sec,
+        COUNT(*) FILTER (
+          WHERE e.seller_discord_id = $1
+            AND e.funded_at IS NOT NULL
+            AND e.delivered_at >= e.funded_at
+        )::int AS deliveries_timed,
+        MIN(e.created_at) AS first_trade_at
+      FROM (
+        -- disputed: flags that survive a lost resolve-modal write (status times set by
+        -- trigger, the dispute fee row written by the indexer from Refunded)
+        SELECT e.*, (
+          e.disputed_at IS NOT NULL
+          OR e.dispute_buyer_share_bps IS NOT NULL
+          OR EXISTS (
+            SELECT 1 FROM fee_ledger fl
+            WHERE fl.manager_address = e.manager_address
+              AND fl.trade_id = e.trade_id
+              AND fl.side = 'dispute'
+          )
+        ) AS disputed
+        FROM escrows e
+        WHERE (e.buyer_discord_id = $1 OR e.seller_discord_id = $1)
+          AND e.trade_id IS NOT NULL
+      ) e
+      LEFT JOIN LATERAL (
+        SELECT price_usd FROM flows
+        WHERE flows.thread_id = e.thread_id
+        ORDER BY flows.id DESC
+        LIMIT 1
+      ) f ON e.thread_id IS NOT NULL
+    `,
+      [
+        id,
+        ESCROW_STATUS.Completed,
+        ESCROW_STATUS.Cancelled,
+        ESCROW_STATUS.Disputed,
+      ],
+    ),
+    query(
+      `
+      SELECT AVG(score)::float AS avg, COUNT(*)::int AS count
+      FROM trade_ratings
+      WHERE ratee_discord_id = $1
+    `,
+      [id],
+    ),
+  ]);
+
+  const h = history.rows[0] ?? {};
+  const r = ratings.rows[0] ?? {};
+  return {
+    trades: h.trades ?? 0,
+    completed: h.completed ?? 0,
+    completedAsBuyer: h.completed_as_buyer ?? 0,
+    completedAsSeller: h.completed_as_seller ?? 0,
+    volumeUsd: String(h.volume_usd ?? "0"),
+    cancelled: h.cancelled ?? 0,
+    disputesOpen: h.disputes_open ?? 0,
+    disputesWon: h.disputes_won ?? 0,
+    disputesLost: h.disputes_lost ?? 0,
+    disputesSplit: h.disputes_split ?? 0,
+    disputesUnknown: h.disputes_unknown ?? 0,
+    medianDeliverSec:
+      h.median_deliver_sec !== null && h.median_deliver_sec !== undefined
+        ? Number(h.median_deliver_sec)
+        : null,
+    deliveriesTimed: h.deliveries_timed ?? 0,
+    firstTradeAt: h.first_trade_at ?? null,
+    ratingAvg: r.avg !== null && r.avg !== undefined ? Number(r.avg) : null,
+    ratingCount: r.count ?? 0,
+  };
+}
+
+export default {
+  upsertTradeRating,
+  listRatingsForUser,
+  getReputationStats,
+};
@@ -7,13 +7,14 @@
  *
  * Conventions:
  * - A "flow" object may contain:
+ *    - userId: string | undefined (flow owner; role/counterpartyId are from their side)
  *    - role: "buyer" | "seller" | undefined
  *    - counterpartyId: string | undefined
  *    - buyerDiscordId: string | undefined (locked at thread creation)
  *    - sellerDiscordId: string | undefined (locked at thread creation)
  *
  * - When locked IDs exist (buyerDiscordId/sellerDiscordId), they take precedence.
- * - Otherwise, we derive buyer/seller by looking at the caller's role and counterparty.
+ * - Otherwise, we derive buyer/seller from the owner's role and counterparty.
  */
 
 /**
@@ -43,7 +44,7 @@ function idEq(a, b) {
 /**
  * Resolve buyer/seller IDs with precedence:
  * 1) Locked IDs on flow (buyerDiscordId/sellerDiscordId)
- * 2) Derived from caller's role + counterparty
+ * 2) Derived from the owner's role + counterparty (owner = flow.userId, else uid)
  *
  * @param {any} flow
  * @param {string} uid - Caller/user Discord ID
@@ -63,7 +64,7 @@ export function resolveLockedRoles(flow, uid) {
   // Derive from role + counterparty as a fallback
   const role = flow?.role;
   const cp = toId(flow?.counterpartyId);
-  const me = toId(uid);
+  const me = toId(flow?.userId) ?? toId(uid);
 
   if (!me) {
     return { buyerId: null, sellerId: null };
@@ -158,6 +159,21 @@ export function assertSeller(uid, flow) {
   return { ok: true };
 }
 
+/**
+ * Assert the caller is either the buyer or the seller for this flow.
+ * @param {string} uid
+ * @param {any} flow
+ * @returns {{ ok: true, role: "buyer" | "seller" } | { ok: false, message: string }}
+ */
+export function assertParty(uid, flow) {
+  if (!flow) {
+    return { ok: false, message: "No active trade flow found." };
+  }
+  if (isBuyer(uid, flow)) return { ok: true, role: "buyer" };
+  if (isSeller(uid, flow)) return { ok: true, role: "seller" };
+  return { ok: false, message: "You are not a party to this trade." };
+}
+
 /**
  * Check if a member/interaction has admin privilege.
  * Returns true if:
@@ -221,5 +237,6 @@ export default {
   isSeller,
   assertBuyer,
   assertSeller,
+  assertParty,
   isAdmin,
 };
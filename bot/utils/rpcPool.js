@@ -0,0 +1,362 @@
+/**
+ * rpcPool.js
+ *
+ * Health-scored pool of JSON-RPC endpoints for one chain, exposed as a single ethers
+ * provider (client.js builds one per chain from the registry's rpcUrls, see chains.js).
+ *
+ * - Every endpoint keeps a latency average, an error rate and the last block height it
+ *   reported. Requests go to the best-scored endpoint first.
+ * - Reads that fail for transport reasons (timeouts, HTTP/server errors, rate limits)
+ *   are retried on the next endpoint. Deterministic errors (reverts, invalid arguments,
+ *   nonce/funds errors) are returned as is, since another node would answer the same.
+ * - Writes (broadcast, nonce and gas estimation) only go to endpoints within
+ *   RPC_MAX_LAG_BLOCKS of the highest block seen in the pool, so transactions are not
+ *   built against stale state. When no endpoint qualifies, all are tried.
+ * - An endpoint failing RPC_FAILURES_BEFORE_COOLDOWN times in a row is skipped for a
+ *   while (longer after each further failure) unless nothing else is left.
+ * - Block heights are refreshed by a background probe every RPC_HEALTH_INTERVAL_MS and
+ *   from every getBlockNumber answer. The probe also reads each endpoint's chain id;
+ *   endpoints serving another chain are not used while any other endpoint is left.
+ *
+ * Environment (optional):
+ * - RPC_TIMEOUT_MS: per-request timeout (default 10000)
+ * - RPC_MAX_LAG_BLOCKS: blocks an endpoint may trail the pool's head and still take writes (default 2)
+ * - RPC_HEALTH_INTERVAL_MS: background probe interval, 0 to disable (default 30000)
+ * - RPC_FAILURES_BEFORE_COOLDOWN: consecutive failures before an endpoint is skipped (default 3)
+ *
+ * Usage:
+ *   import { createRpcPool } from "./rpcPool.js";
+ *   const pool = createRpcPool(chain); // ChainConfig from chains.js
+ *   const wallet = new Wallet(key, pool.provider);
+ *   pool.health(); // per-endpoint snapshot for /healthcheck
+ */
+
+import {
+  AbstractProvider,
+  FetchRequest,
+  JsonRpcProvider,
+  Network,
+  Transaction,
+} from "ethers";
+
+const LATENCY_ALPHA = 0.3;
+const ERROR_ALPHA = 0.2;
+const UNKNOWN_LATENCY_MS = 250;
+const COOLDOWN_BASE_MS = 30_000;
+const COOLDOWN_MAX_MS = 300_000;
+
+// Answered by the node itself: another endpoint would return the same
+const DETERMINISTIC_CODES = new Set([
+  "CALL_EXCEPTION",
+  "INSUFFICIENT_FUNDS",
+  "NONCE_EXPIRED",
+  "REPLACEMENT_UNDERPRICED",
+  "TRANSACTION_REPLACED",
+  "INVALID_ARGUMENT",
+  "MISSING_ARGUMENT",
+  "UNEXPECTED_ARGUMENT",
+  "NUMERIC_FAULT",
+  "ACTION_REJECTED",
+  "UNSUPPORTED_OPERATION",
+]);
+
+// Requests whose answer must reflect the chain head
+const WRITE_METHODS = new Set([
+  "broadcastTransaction",
+  "getTransactionCount",
+  "estimateGas",
+]);
+
+function envInt(name, fallback, min = 0) {
+  const n = parseInt(String(process.env[name] ?? ""), 10);
+  if (!Number.isFinite(n) || n < min) return fallback;
+  return n;
+}
+
+function resolveConfig() {
+  return {
+    timeoutMs: envInt("RPC_TIMEOUT_MS", 10_000, 1),
+    maxLagBlocks: envInt("RPC_MAX_LAG_BLOCKS", 2),
+    healthIntervalMs: envInt("RPC_HEALTH_INTERVAL_MS", 30_000),
+    failuresBeforeCooldown: envInt("RPC_FAILURES_BEFORE_COOLDOWN", 3, 1),
+  };
+}
+
+/**
+ * RPC URL without path, query or credentials (API keys often live there).
+ * @param {string} url
+ */
+function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host}${u.pathname !== "/" || u.search ? "/…" : ""}`;
+  } catch {
+    return "(invalid url)";
+  }
+}
+
+/**
+ * Whether an error is worth retrying on another endpoint.
+ * @param {any} e
+ */
+function isTransportError(e) {
+  return !DETERMINISTIC_CODES.has(e?.code);
+}
+
+/**
+ * Create the pool for a chain.
+ * @param {import("./chains.js").ChainConfig} chain
+ * @returns {{ provider: AbstractProvider, health: () => object, probe: () => Promise<void>, stop: () => void }}
+ */
+export function createRpcPool(chain) {
+  const cfg = resolveConfig();
+  const network = Network.from({ name: chain.name, chainId: chain.id });
+
+  const endpoints = chain.rpcUrls.map((url) => {
+    const request = new FetchRequest(url);
+    request.timeout = cfg.timeoutMs;
+    return {
+      label: redactUrl(url),
+      provider: new JsonRpcProvider(request, network, {
+        staticNetwork: network,
+      }),
+      latencyMs: null,
+      errorRate: 0,
+      requests: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      cooldownUntil: 0,
+      blockNumber: null,
+      blockSeenAt: null,
+      chainId: null, // as reported by the endpoint (eth_chainId)
+      lastError: null,
+      lastErrorAt: null,
+    };
+  });
+
+  function headBlock() {
+    let head = null;
+    for (const ep of endpoints) {
+      if (ep.blockNumber !== null && (head === null || ep.blockNumber > head)) {
+        head = ep.blockNumber;
+      }
+    }
+    return head;
+  }
+
+  function wrongChain(ep) {
+    return ep.chainId !== null && ep.chainId !== chain.id;
+  }
+
+  function lagOf(ep, head = headBlock()) {
+    if (head === null || ep.blockNumber === null) return null;
+    return head - ep.blockNumber;
+  }
+
+  // Lower is better: latency, plus penalties for errors and lag
+  function scoreOf(ep, head) {
+    const lag = lagOf(ep, head) ?? 0;
+    return (
+      (ep.latencyMs ?? UNKNOWN_LATENCY_MS) + ep.errorRate * 2_000 + lag * 500
+    );
+  }
+
+  /**
+   * Endpoints in the order they should be tried for a request.
+   * @param {boolean} forWrite - only endpoints close to the head (when any)
+   */
+  function candidates(forWrite) {
+    const now = Date.now();
+    const head = headBlock();
+    let list = endpoints.slice();
+    const sameChain = list.filter((ep) => !wrongChain(ep));
+    if (sameChain.length > 0) list = sameChain;
+    if (forWrite) {
+      const synced = list.filter((ep) => {
+        const lag = lagOf(ep, head);
+        return lag !== null && lag <= cfg.maxLagBlocks;
+      });
+      if (synced.length > 0) list = synced;
+    }
+    const score = new Map(list.map((ep) => [ep, scoreOf(ep, head)]));
+    return list.sort((a, b) => {
+      const coolA = a.cooldownUntil > now;
+      const coolB = b.cooldownUntil > now;
+      if (coolA !== coolB) return coolA ? 1 : -1;
+      return score.get(a) - score.get(b);
+    });
+  }
+
+  function recordSuccess(ep, ms) {
+    ep.requests += 1;
+    ep.latencyMs =
+      ep.latencyMs === null
+        ? ms
+        : ep.latencyMs * (1 - LATENCY_ALPHA) + ms * LATENCY_ALPHA;
+    ep.errorRate *= 1 - ERROR_ALPHA;
+    ep.consecutiveFailures = 0;
+    ep.cooldownUntil = 0;
+  }
+
+  function recordFailure(ep, error) {
+    ep.requests += 1;
+    ep.failures += 1;
+    ep.errorRate = ep.errorRate * (1 - ERROR_ALPHA) + ERROR_ALPHA;
+    ep.consecutiveFailures += 1;
+    ep.lastError = String(error?.shortMessage ?? error?.message ?? error).slice(
+      0,
+      200,
+    );
+    ep.lastErrorAt = new Date();
+    if (ep.consecutiveFailures >= cfg.failuresBeforeCooldown) {
+      const steps = ep.consecutiveFailures - cfg.failuresBeforeCooldown;
+      ep.cooldownUntil =
+        Date.now() + Math.min(COOLDOWN_BASE_MS * 2 ** steps, COOLDOWN_MAX_MS);
+    }
+  }
+
+  function recordBlock(ep, value) {
+    const n = Number(BigInt(value));
+    if (!Number.isFinite(n)) return;
+    ep.blockNumber = n;
+    ep.blockSeenAt = new Date();
+  }
+
+  /**
+   * Run a raw request on the best endpoint, failing over on transport errors.
+   * @param {{ method: string }} req - ethers PerformActionRequest
+   */
+  async function perform(req) {
+    const list = candidates(WRITE_METHODS.has(req.method));
+    let lastError = null;
+    for (const ep of list) {
+      const started = Date.now();
+      try {
+        const result = await ep.provider._perform(req);
+        recordSuccess(ep, Date.now() - started);
+        if (req.method === "getBlockNumber") recordBlock(ep, result);
+        return result;
+      } catch (e) {
+        // A broadcast retried after a timeout may have reached the node already
+        if (
+          req.method === "broadcastTransaction" &&
+          lastError &&
+          /already known|known transaction/iu.test(String(e?.message ?? ""))
+        ) {
+          recordSuccess(ep, Date.now() - started);
+          return Transaction.from(req.signedTransaction).hash;
+        }
+        if (!isTransportError(e)) {
+          // The node answered; the request itself is at fault
+          recordSuccess(ep, Date.now() - started);
+          throw e;
+        }
+        recordFailure(ep, e);
+        lastError = e;
+        if (list.length > 1) {
+          console.warn(
+            `RPC ${chain.name}: ${req.method} failed on ${ep.label}, trying next endpoint:`,
+            ep.lastError,
+          );
+        }
+      }
+    }
+    throw lastError ?? new Error(`RPC ${chain.name}: no endpoint available`);
+  }
+
+  class PoolProvider extends AbstractProvider {
+    constructor() {
+      super(network);
+    }
+
+    async _detectNetwork() {
+      return network;
+    }
+
+    async _perform(req) {
+      return await perform(req);
+    }
+  }
+
+  /**
+   * Ask every endpoint for its chain id and block number (updates heights, latency
+   * and errors).
+   */
+  async function probe() {
+    await Promise.all(
+      endpoints.map(async (ep) => {
+        const started = Date.now();
+        try {
+          const [id, n] = await Promise.all([
+            ep.provider._perform({ method: "chainId" }),
+            ep.provider._perform({ method: "getBlockNumber" }),
+          ]);
+          recordSuccess(ep, Date.now() - started);
+          recordBlock(ep, n);
+          ep.chainId = Number(BigInt(id));
+        } catch (e) {
+          recordFailure(ep, e);
+        }
+      }),
+    );
+  }
+
+  /**
+   * Snapshot of the pool for /healthcheck and metrics (no network calls).
+   * @returns {{ chainId: number, chainName: string, headBlock: number|null, healthy: number, endpoints: Array<object> }}
+   */
+  function health() {
+    const now = Date.now();
+    const head = headBlock();
+    const rows = endpoints.map((ep) => {
+      const lag = lagOf(ep, head);
+      const coolingDown = ep.cooldownUntil > now;
+      return {
+        url: ep.label,
+        healthy:
+          !coolingDown &&
+          !wrongChain(ep) &&
+          ep.consecutiveFailures === 0 &&
+          (lag === null || lag <= cfg.maxLagBlocks),
+        coolingDown,
+        chainId: ep.chainId,
+        chainIdMatch: ep.chainId === null ? null : !wrongChain(ep),
+        blockNumber: ep.blockNumber,
+        lag,
+        latencyMs: ep.latencyMs === null ? null : Math.round(ep.latencyMs),
+        errorRate: Number(ep.errorRate.toFixed(3)),
+        requests: ep.requests,
+        failures: ep.failures,
+        lastError: ep.lastError,
+        lastErrorAt: ep.lastErrorAt,
+      };
+    });
+    return {
+      chainId: chain.id,
+      chainName: chain.name,
+      headBlock: head,
+      healthy: rows.filter((r) => r.healthy).length,
+      endpoints: rows,
+    };
+  }
+
+  let timer = null;
+  if (cfg.healthIntervalMs > 0) {
+    timer = setInterval(() => {
+      void probe();
+    }, cfg.healthIntervalMs);
+    timer.unref?.();
+    void probe();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { provider: new PoolProvider(), health, probe, stop };
+}
+
+export default {
+  createRpcPool,
+};
@@ -183,9 +183,39 @@ export async function safeThreadPatchMessage(
   );
 }
 
+/**
+ * Archive a thread once its trade is finished (best-effort).
+ * - Optionally locks it so only moderators can unarchive it again
+ *
+ * @param {import('discord.js').ThreadChannel|any} thread
+ * @param {{ reason?: string, lock?: boolean }} [options]
+ * @returns {Promise<{ ok: boolean, reason?: string }>}
+ */
+export async function archiveThread(thread, options = {}) {
+  if (!isThreadChannel(thread)) {
+    return { ok: false, reason: "not_thread" };
+  }
+
+  const { reason = "Trade finished", lock = false } = options;
+
+  try {
+    if (lock && !thread.locked) {
+      await thread.setLocked(true, reason);
+    }
+    if (!thread.archived) {
+      await thread.setArchived(true, reason);
+    }
+    return { ok: true };
+  } catch (err) {
+    console.error("archiveThread failed:", err);
+    return { ok: false, reason: "archive_failed" };
+  }
+}
+
 export default {
   ensureThreadWritable,
   safeThreadSend,
   safeThreadEditMessage,
   safeThreadPatchMessage,
+  archiveThread,
 };
@@ -0,0 +1,238 @@
+/**
+ * tokens.js
+ *
+ * ERC-20 tokens a trade can be escrowed in, next to native ETH.
+ *
+ * - Tokens are configured per chain ("tokens" in the chain registry, see chains.js; ESCROW_TOKENS
+ *   adds tokens on the default chain) and are expected to be USD stablecoins
+ *   (USDC/USDT-style): the USD price of a trade is escrowed 1:1 in token units.
+ * - Decimals (and the symbol when not configured) are read from the token contract once
+ *   and cached.
+ * - Token trades are created with createTokenTrade; the buyer approves the manager for
+ *   the buyer total, then calls fund(tradeId) without ETH (see fundLink.js).
+ *
+ * Environment (optional):
+ * - ESCROW_TOKENS: comma-separated SYMBOL:address pairs on the default chain,
+ *   e.g. "USDC:0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48,USDT:0xdAC17F958D2ee523a2206206994597C13D831ec7"
+ *
+ * Usage:
+ *   import { listEscrowTokens, resolveToken, getTokenAllowance } from "./tokens.js";
+ *   const token = await resolveToken(flow.tokenAddress, flow.chainId); // native coin when null
+ */
+
+import { getAddress, isAddress, Interface, ZeroAddress } from "ethers";
+
+import { getChainClients } from "./client.js";
+import { getChain, DEFAULT_CHAIN_ID } from "./chains.js";
+
+export const ERC20_ABI = [
+  "function decimals() view returns (uint8)",
+  "function symbol() view returns (string)",
+  "function balanceOf(address owner) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+];
+
+export const NATIVE_TOKEN = Object.freeze({
+  address: null,
+  symbol: "ETH",
+  decimals: 18,
+  isNative: true,
+});
+
+// "chainId:address" (lowercase) → resolved token
+const tokenCache = new Map();
+
+/**
+ * Parse ESCROW_TOKENS. Invalid entries are skipped with a warning.
+ * @returns {Array<{ symbol: string, address: string }>}
+ */
+function parseConfiguredTokens() {
+  const raw = String(process.env.ESCROW_TOKENS ?? "").trim();
+  if (!raw) return [];
+  const tokens = [];
+  for (const entry of raw.split(",")) {
+    const [symbol, address] = entry.split(":").map((s) => s?.trim());
+    if (!symbol || !address || !isAddress(address)) {
+      console.warn(`[tokens] Ignoring invalid ESCROW_TOKENS entry: ${entry}`);
+      continue;
+    }
+    tokens.push({ symbol: symbol.toUpperCase(), address: getAddress(address) });
+  }
+  return tokens;
+}
+
+const ENV_TOKENS = Object.freeze(parseConfiguredTokens());
+
+/**
+ * ERC-20 tokens users can choose for a trade on a chain (its native coin is always available).
+ * @param {number|string|null} [chainId] - default chain when omitted
+ * @returns {ReadonlyArray<{ symbol: string, address: string }>}
+ */
+export function listEscrowTokens(chainId) {
+  const chain = getChain(chainId);
+  if (chain.id !== DEFAULT_CHAIN_ID) return chain.tokens;
+  const known = new Set(ENV_TOKENS.map((t) => t.address.toLowerCase()));
+  return [
+    ...ENV_TOKENS,
+    ...chain.tokens.filter((t) => !known.has(t.address.toLowerCase())),
+  ];
+}
+
+/**
+ * Find a configured token by address or symbol (case-insensitive).
+ * @param {string|null|undefined} ref
+ * @param {number|string|null} [chainId] - default chain when omitted
+ * @returns {{ symbol: string, address: string } | null}
+ */
+export function findEscrowToken(ref, chainId) {
+  const s = String(ref ?? "")
+    .trim()
+    .toLowerCase();
+  if (!s) return null;
+  return (
+    listEscrowTokens(chainId).find(
+      (t) => t.address.toLowerCase() === s || t.symbol.toLowerCase() === s,
+    ) ?? null
+  );
+}
+
+/**
+ * Native coin of a chain as a token descriptor (NATIVE_TOKEN with the chain's symbol).
+ * @param {number|string|null} [chainId] - default chain when omitted
+ * @returns {{ address: null, symbol: string, decimals: number, isNative: true }}
+ */
+export function nativeToken(chainId) {
+  const { nativeSymbol } = getChain(chainId);
+  if (nativeSymbol === NATIVE_TOKEN.symbol) return NATIVE_TOKEN;
+  return Object.freeze({ ...NATIVE_TOKEN, symbol: nativeSymbol });
+}
+
+/**
+ * Symbol of a trade's asset from configuration only (no RPC), for setup screens.
+ * @param {string|null|undefined} address - token address; null = native coin
+ * @param {number|string|null} [chainId] - default chain when omitted
+ * @returns {string}
+ */
+export function escrowTokenSymbol(address, chainId) {
+  if (isNativeToken(address)) return nativeToken(chainId).symbol;
+  return findEscrowToken(address, chainId)?.symbol ?? "TOKEN";
+}
+
+/**
+ * Whether an address denotes native ETH (null, empty or the zero address).
+ * @param {string|null|undefined} address
+ * @returns {boolean}
+ */
+export function isNativeToken(address) {
+  return !address || String(address).toLowerCase() === ZeroAddress;
+}
+
+/**
+ * Resolve symbol and decimals of the asset a trade is paid in.
+ * @param {string|null|undefined} address - token address; null/zero = native coin
+ * @param {number|string|null} [chainId] - default chain when omitted
+ * @returns {Promise<{ address: string|null, symbol: string, decimals: number, isNative: boolean }>}
+ */
+export async function resolveToken(address, chainId) {
+  if (isNativeToken(address)) return nativeToken(chainId);
+  const { chainId: id, publicClient } = getChainClients(chainId);
+  const checksum = getAddress(address);
+  const key = `${id}:${checksum.toLowerCase()}`;
+  if (tokenCache.has(key)) return tokenCache.get(key);
+
+  const configured = findEscrowToken(checksum, id);
+  const [decimals, symbol] = await Promise.all([
+    publicClient.readContract({
+      address: checksum,
+      abi: ERC20_ABI,
+      functionName: "decimals",
+    }),
+    configured
+      ? configured.symbol
+      : publicClient
+          .readContract({
+            address: checksum,
+            abi: ERC20_ABI,
+            functionName: "symbol",
+          })
+          .catch(() => "TOKEN"),
+  ]);
+  const token = Object.freeze({
+    address: checksum,
+    symbol: String(symbol),
+    decimals: Number(decimals),
+    isNative: false,
+  });
+  tokenCache.set(key, token);
+  return token;
+}
+
+/**
+ * ERC-20 allowance of owner for spender (token units).
+ * @param {string} tokenAddress
+ * @param {string} owner
+ * @param {string} spender
+ * @param {number|string|null} [chainId] - default chain when omitted
+ * @returns {Promise<bigint>}
+ */
+export async function getTokenAllowance(tokenAddress, owner, spender, chainId) {
+  const { publicClient } = getChainClients(chainId);
+  const res = await publicClient.readContract({
+    address: tokenAddress,
+    abi: ERC20_ABI,
+    functionName: "allowance",
+    args: [owner, spender],
+  });
+  return BigInt(res ?? 0n);
+}
+
+/**
+ * ERC-20 balance of owner (token units).
+ * @param {string} tokenAddress
+ * @param {string} owner
+ * @param {number|string|null} [chainId] - default chain when omitted
+ * @returns {Promise<bigint>}
+ */
+export async function getTokenBalance(tokenAddress, owner, chainId) {
+  const { publicClient } = getChainClients(chainId);
+  const res = await publicClient.readContract({
+    address: tokenAddress,
+    abi: ERC20_ABI,
+    functionName: "balanceOf",
+    args: [owner],
+  });
+  return BigInt(res ?? 0n);
+}
+
+/**
+ * approve(spender, amount) transaction for the buyer's wallet.
+ * @param {string} tokenAddress
+ * @param {string} spender
+ * @param {bigint} amount - token units
+ * @returns {{ to: string, data: `0x${string}`, value: bigint }}
+ */
+export function buildApproveRequest(tokenAddress, spender, amount) {
+  const iface = new Interface(ERC20_ABI);
+  return {
+    to: getAddress(tokenAddress),
+    data: /** @type {`0x${string}`} */ (
+      iface.encodeFunctionData("approve", [spender, BigInt(amount)])
+    ),
+    value: 0n,
+  };
+}
+
+export default {
+  ERC20_ABI,
+  NATIVE_TOKEN,
+  listEscrowTokens,
+  findEscrowToken,
+  nativeToken,
+  escrowTokenSymbol,
+  isNativeToken,
+  resolveToken,
+  getTokenAllowance,
+  getTokenBalance,
+  buildApproveRequest,
+};
@@ -0,0 +1,223 @@
+import { query } from "./db.js";
+
+/**
+ * Trade Action Repository (PostgreSQL)
+ *
+ * One row per bot contract action on a trade: intent, broadcast transaction(s) and
+ * outcome. Used by tradeActions.js to make repeated actions attach to the open one.
+ *
+ * Table (see migration 20251125_000018_trade_actions.sql):
+ *   trade_actions (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     chain_id INTEGER NOT NULL,
+ *     manager_address TEXT NOT NULL,   -- lowercase
+ *     trade_id NUMERIC(78,0) NOT NULL,
+ *     function_name TEXT NOT NULL,
+ *     args JSONB NULL,
+ *     actor_discord_id TEXT NULL,
+ *     source TEXT NULL,
+ *     status TEXT NOT NULL,            -- 'intent' | 'submitted' | 'confirmed' | 'failed'
+ *     tx_hash TEXT NULL,
+ *     tx_hashes TEXT[] NOT NULL DEFAULT '{}',
+ *     nonce BIGINT NULL,
+ *     error TEXT NULL,
+ *     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     submitted_at TIMESTAMPTZ NULL,
+ *     settled_at TIMESTAMPTZ NULL,
+ *     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+ *   )
+ *   -- unique (chain_id, manager_address, trade_id, function_name) while status is
+ *   -- intent/submitted (migration 20251130_000023_trade_actions_chain.sql)
+ */
+
+export const TRADE_ACTION_STATUS = Object.freeze({
+  Intent: "intent",
+  Submitted: "submitted",
+  Confirmed: "confirmed",
+  Failed: "failed",
+});
+
+/**
+ * Convert DB row to JS object.
+ * @param {any} row
+ */
+function rowToTradeAction(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    chainId: row.chain_id,
+    managerAddress: row.manager_address,
+    tradeId: String(row.trade_id),
+    functionName: row.function_name,
+    args: row.args ?? null,
+    actorDiscordId: row.actor_discord_id ?? null,
+    source: row.source ?? null,
+    status: row.status,
+    txHash: row.tx_hash ?? null,
+    txHashes: row.tx_hashes ?? [],
+    nonce:
+      row.nonce !== null && row.nonce !== undefined ? Number(row.nonce) : null,
+    error: row.error ?? null,
+    createdAt: row.created_at ?? null,
+    submittedAt: row.submitted_at ?? null,
+    settledAt: row.settled_at ?? null,
+    updatedAt: row.updated_at ?? null,
+  };
+}
+
+/**
+ * JSON.stringify that keeps bigint values (as strings).
+ * @param {any} value
+ */
+function toJson(value) {
+  if (value === null || value === undefined) return null;
+  return JSON.stringify(value, (_k, v) =>
+    typeof v === "bigint" ? v.toString() : v,
+  );
+}
+
+/**
+ * Record the intent of an action, unless the same action is already open.
+ * @param {{
+ *   chainId: number,
+ *   managerAddress: string,
+ *   tradeId: bigint|string|number,
+ *   functionName: string,
+ *   args?: any[]|null,
+ *   actorDiscordId?: string|null,
+ *   source?: string|null,
+ * }} entry
+ * @returns {Promise<{ action: object, created: boolean } | null>} null when the open action settled meanwhile (claim again)
+ */
+export async function claimTradeAction(entry) {
+  const manager = String(entry.managerAddress).toLowerCase();
+  const tradeId = BigInt(entry.tradeId).toString();
+  const inserted = await query(
+    `
+    INSERT INTO trade_actions (
+      chain_id, manager_address, trade_id, function_name, args, actor_discord_id, source, status
+    )
+    VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, 'intent')
+    ON CONFLICT (chain_id, manager_address, trade_id, function_name)
+      WHERE status IN ('intent', 'submitted')
+      DO NOTHING
+    RETURNING *
+  `,
+    [
+      entry.chainId,
+      manager,
+      tradeId,
+      entry.functionName,
+      toJson(entry.args),
+      entry.actorDiscordId ?? null,
+      entry.source ?? null,
+    ],
+  );
+  if (inserted.rowCount) {
+    return { action: rowToTradeAction(inserted.rows[0]), created: true };
+  }
+  const open = await query(
+    `
+    SELECT * FROM trade_actions
+    WHERE chain_id = $1 AND manager_address = $2 AND trade_id = $3 AND function_name = $4
+      AND status IN ('intent', 'submitted')
+  `,
+    [entry.chainId, manager, tradeId, entry.functionName],
+  );
+  if (!open.rowCount) return null;
+  return { action: rowToTradeAction(open.rows[0]), created: false };
+}
+
+/**
+ * Record a broadcast (first send or fee-bumped replacement) of an open action.
+ * @param {string} id
+ * @param {{ txHash: string, nonce?: number|null }} tx
+ */
+export async function setTradeActionSubmitted(id, { txHash, nonce = null }) {
+  await query(
+    `
+    UPDATE trade_actions
+    SET status = 'submitted',
+        tx_hash = $2,
+        tx_hashes = CASE WHEN $2 = ANY(tx_hashes) THEN tx_hashes ELSE array_append(tx_hashes, $2) END,
+        nonce = COALESCE(nonce, $3),
+        submitted_at = COALESCE(submitted_at, NOW())
+    WHERE id = $1 AND status IN ('intent', 'submitted')
+  `,
+    [id, txHash, nonce],
+  );
+}
+
+/**
+ * Mark an action as mined successfully.
+ * @param {string} id
+ * @param {string} txHash - the mined version
+ */
+export async function setTradeActionConfirmed(id, txHash) {
+  await query(
+    `
+    UPDATE trade_actions
+    SET status = 'confirmed', tx_hash = $2, settled_at = NOW()
+    WHERE id = $1 AND status IN ('intent', 'submitted')
+  `,
+    [id, txHash],
+  );
+}
+
+/**
+ * Mark an open action as failed (not sent, reverted, dropped or abandoned).
+ * @param {string} id
+ * @param {string} error
+ * @param {string|null} [txHash] - the reverted version, when known
+ */
+export async function setTradeActionFailed(id, error, txHash = null) {
+  await query(
+    `
+    UPDATE trade_actions
+    SET status = 'failed', error = $2, tx_hash = COALESCE($3, tx_hash), settled_at = NOW()
+    WHERE id = $1 AND status IN ('intent', 'submitted')
+  `,
+    [id, error, txHash],
+  );
+}
+
+/**
+ * Latest actions of a trade (most recent first).
+ * @param {number} chainId
+ * @param {string} managerAddress
+ * @param {bigint|string|number} tradeId
+ * @param {number} [limit]
+ * @returns {Promise<object[]>}
+ */
+export async function listTradeActions(
+  chainId,
+  managerAddress,
+  tradeId,
+  limit = 10,
+) {
+  const lim = Math.max(1, Math.min(100, Number(limit) || 10));
+  const res = await query(
+    `
+    SELECT * FROM trade_actions
+    WHERE chain_id = $1 AND manager_address = $2 AND trade_id = $3
+    ORDER BY created_at DESC, id DESC
+    LIMIT $4
+  `,
+    [
+      chainId,
+      String(managerAddress).toLowerCase(),
+      BigInt(tradeId).toString(),
+      lim,
+    ],
+  );
+  return res.rows.map(rowToTradeAction);
+}
+
+export default {
+  TRADE_ACTION_STATUS,
+  claimTradeAction,
+  setTradeActionSubmitted,
+  setTradeActionConfirmed,
+  setTradeActionFailed,
+  listTradeActions,
+};
@@ -0,0 +1,223 @@
+/**
+ * tradeActions.js
+ *
+ * Idempotent bot writes on existing trades, backed by the trade_actions ledger
+ * (tradeActionRepo.js). Each action is recorded as intent → submitted (tx hash, updated on
+ * fee-bumped replacements) → confirmed / failed, and checked before anything is sent:
+ * - no open action: record the intent and send.
+ * - open action with a broadcast transaction: attach to it and return its hash instead of
+ *   sending again. After a restart the transaction is looked up on-chain first: mined
+ *   successfully → confirmed (its hash is returned); reverted or dropped → failed, and the
+ *   action is sent anew. A wait that timed out leaves the action submitted, since the
+ *   transaction may still be mined. Waits on such transactions end after TX_TIMEOUT_MS,
+ *   and the action is settled from the chain then (followUntracked).
+ * - open intent without a hash (another click is estimating/broadcasting): refuse, unless
+ *   it is older than STALE_INTENT_MS (process died before broadcast), then send anew.
+ *
+ * The ledger is required: if it cannot be read or written, the action is not sent.
+ * Locks and cooldowns (locks.js) still guard the Discord handlers; this covers what they
+ * cannot, such as a click after the bot restarted while a transaction was pending.
+ *
+ * Usage (amis.js):
+ *   const hash = await runTradeAction(
+ *     { chainId, managerAddress, tradeId, functionName, args, actorDiscordId, source, onStatus },
+ *     (trackedOnStatus) => walletClient.writeContract({ ..., onStatus: trackedOnStatus }),
+ *   );
+ */
+
+import { getChainClients, account } from "./client.js";
+import { TX_STATUS } from "./txManager.js";
+import {
+  TRADE_ACTION_STATUS,
+  claimTradeAction,
+  setTradeActionSubmitted,
+  setTradeActionConfirmed,
+  setTradeActionFailed,
+} from "./tradeActionRepo.js";
+
+// An intent this old without a transaction hash was abandoned before broadcast
+const STALE_INTENT_MS = 2 * 60 * 1000;
+
+/**
+ * Settle or attach to an open action found in the ledger.
+ * @param {object} action - open trade_actions row (see tradeActionRepo.js)
+ * @param {{ follow?: boolean }} [options] - follow: settle an attached, untracked
+ *   transaction when its wait ends (followUntracked)
+ * @returns {Promise<{ hash: string } | { busy: true } | null>} null when the action was
+ *   settled as failed and may be sent again
+ */
+async function resolveOpenAction(action, { follow = true } = {}) {
+  if (action.status === TRADE_ACTION_STATUS.Intent || !action.txHash) {
+    const age = Date.now() - new Date(action.createdAt).getTime();
+    if (age < STALE_INTENT_MS) return { busy: true };
+    await setTradeActionFailed(action.id, "abandoned before broadcast");
+    return null;
+  }
+
+  const { provider, txManager } = getChainClients(action.chainId);
+
+  // Still followed by this process (fee bumps, receipt): attach directly
+  if (txManager.waitFor(action.txHash)) return { hash: action.txHash };
+
+  for (const hash of action.txHashes) {
+    const receipt = await provider.getTransactionReceipt(hash);
+    if (!receipt) continue;
+    if (receipt.status === 1) {
+      await setTradeActionConfirmed(action.id, hash);
+      return { hash };
+    }
+    await setTradeActionFailed(action.id, "reverted", hash);
+    return null;
+  }
+
+  // No receipt: pending if the node still knows a version and its nonce is unused
+  if (action.nonce !== null) {
+    const mined = await provider.getTransactionCount(account.address, "latest");
+    if (mined > action.nonce) {
+      await setTradeActionFailed(action.id, "dropped (nonce used)");
+      return null;
+    }
+  }
+  for (const hash of [...action.txHashes].reverse()) {
+    if (await provider.getTransaction(hash)) {
+      if (follow) followUntracked(action);
+      return { hash: action.txHash };
+    }
+  }
+  await setTradeActionFailed(action.id, "dropped from mempool");
+  return null;
+}
+
+/**
+ * Settle an attached action whose transaction this process does not track (sent before
+ * a restart) once its wait ends: confirmed on success, failed on a revert. After
+ * TX_TIMEOUT_MS it is settled from the chain like on the next attempt (replaced or
+ * dropped → failed, still pending → left open). Runs in the background; errors are logged.
+ * @param {object} action - open trade_actions row with a tx hash
+ */
+function followUntracked(action) {
+  const { txManager } = getChainClients(action.chainId);
+  txManager
+    .waitUntracked(action.txHash)
+    .then(
+      (receipt) => setTradeActionConfirmed(action.id, receipt.hash),
+      (e) =>
+        e?.code === "TX_REVERTED"
+          ? setTradeActionFailed(action.id, "reverted", action.txHash)
+          : resolveOpenAction(action, { follow: false }),
+    )
+    .catch((e) => {
+      console.warn(
+        `tradeActions: settling ${action.functionName}(${action.tradeId}) failed:`,
+        e?.message ?? e,
+      );
+    });
+}
+
+/**
+ * Run a bot write on a trade at most once at a time.
+ * @param {{
+ *   chainId: number,
+ *   managerAddress: string,
+ *   tradeId: bigint,
+ *   functionName: string,
+ *   args: any[],
+ *   actorDiscordId?: string|null,
+ *   source?: string|null,
+ *   onStatus?: Function,
+ * }} params
+ * @param {(onStatus: Function) => Promise<string>} send - broadcasts the write with the given progress callback, returns its hash
+ * @returns {Promise<`0x${string}`>} hash of the new or attached transaction
+ */
+export async function runTradeAction(params, send) {
+  const { onStatus, ...entry } = params;
+  const label = `${entry.functionName}(${entry.tradeId})`;
+
+  let claim = await claimTradeAction(entry);
+  for (let i = 0; claim && !claim.created && i < 2; i++) {
+    const open = await resolveOpenAction(claim.action);
+    if (open?.busy) {
+      throw new Error(
+        `${label} is already being submitted. Try again shortly.`,
+      );
+    }
+    if (open) {
+      console.log(`tradeActions: ${label} attached to ${open.hash}`);
+      if (typeof onStatus === "function") {
+        await onStatus({
+          status: TX_STATUS.Pending,
+          hash: open.hash,
+          nonce: claim.action.nonce,
+          attached: true,
+        });
+      }
+      return open.hash;
+    }
+    claim = await claimTradeAction(entry);
+  }
+  if (!claim?.created) {
+    throw new Error(`${label} is already being submitted. Try again shortly.`);
+  }
+
+  // Mirror the transaction's lifecycle into the ledger, serialized like the tx audit
+  const id = claim.action.id;
+  let chain = Promise.resolve();
+  const run = (fn) => {
+    chain = chain.then(fn).catch((e) => {
+      console.warn(`tradeActions: ${label} update failed:`, e?.message ?? e);
+    });
+  };
+  const tracked = (e) => {
+    switch (e.status) {
+      case TX_STATUS.Pending:
+      case TX_STATUS.Replaced:
+        run(() =>
+          setTradeActionSubmitted(id, { txHash: e.hash, nonce: e.nonce }),
+        );
+        break;
+      case TX_STATUS.Confirmed:
+        run(() => setTradeActionConfirmed(id, e.hash));
+        break;
+      case TX_STATUS.Failed:
+        // Only a revert or a nonce used by another transaction is final. After a
+        // timeout the transaction may still be mined: the action stays submitted and
+        // the next attempt settles it from the chain (resolveOpenAction).
+        if (e.receipt || e.error?.code === "TX_DROPPED") {
+          run(() =>
+            setTradeActionFailed(
+              id,
+              String(e.error?.message ?? "failed"),
+              e.receipt ? e.hash : null,
+            ),
+          );
+        }
+        break;
+      default:
+        break;
+    }
+    if (typeof onStatus === "function") return onStatus(e);
+    return undefined;
+  };
+
+  let hash;
+  try {
+    hash = await send(tracked);
+  } catch (error) {
+    // Not broadcast (estimate, signing or RPC error): the action may be retried
+    await chain;
+    await setTradeActionFailed(
+      id,
+      String(error?.shortMessage ?? error?.message ?? error),
+    ).catch((e) => {
+      console.warn(`tradeActions: ${label} update failed:`, e?.message ?? e);
+    });
+    throw error;
+  }
+  // Make sure the hash is recorded before the caller moves on
+  await chain;
+  return hash;
+}
+
+export default {
+  runTradeAction,
+};
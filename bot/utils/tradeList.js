@@ -0,0 +1,220 @@
+/**
+ * tradeList.js
+ *
+ * Per-user trade listings for the /trades command:
+ * - active: Created, Funded, Delivered, Disputed
+ * - history: Completed, Cancelled
+ * - show: a single trade (parties and admins only)
+ *
+ * Rows come from the escrows table (buyer_discord_id / seller_discord_id) across every
+ * configured chain (chains.js); the status
+ * and amount shown are read live from the contract (getTradeState), falling back to
+ * the stored values when the RPC call fails.
+ *
+ * Pages are navigated with buttons (customId "trades_page:<scope>:<page>", see
+ * buildTradeListPagerRow) handled in handlers/buttons.js.
+ *
+ * Usage:
+ *   import { renderTradesPage, renderTradeDetail } from "./tradeList.js";
+ *   await interaction.editReply(await renderTradesPage({ userId, scope: "active", page: 0 }));
+ */
+
+import { getManagerAddress } from "./amisContract.js";
+import { getTradeState, AMIS_STATUS } from "./amis.js";
+import { listChains } from "./chains.js";
+import {
+  buildTradeListEmbed,
+  buildTradeListPagerRow,
+  buildTradeDetailEmbed,
+} from "./components.js";
+import {
+  getEscrowByManagerTrade,
+  listEscrowsForDiscordUser,
+  statusLabel,
+  ESCROW_STATUS,
+} from "./escrowRepo.js";
+import { getFlowByThread } from "./flowRepo.js";
+import { weiToEthString } from "./format.js";
+import { escrowTokenSymbol } from "./tokens.js";
+
+export const TRADES_PAGE_SIZE = 5;
+
+const SCOPES = Object.freeze({
+  active: {
+    title: "📂 Your active trades",
+    emptyText: "You have no active trades.",
+    statuses: [
+      ESCROW_STATUS.Created,
+      ESCROW_STATUS.Funded,
+      ESCROW_STATUS.Delivered,
+      ESCROW_STATUS.Disputed,
+    ],
+  },
+  history: {
+    title: "🗂️ Your trade history",
+    emptyText: "You have no finished trades yet.",
+    statuses: [ESCROW_STATUS.Completed, ESCROW_STATUS.Cancelled],
+  },
+});
+
+/**
+ * Parse a pager customId ("trades_page:<scope>:<page>").
+ * @param {string} customId
+ * @returns {{ scope: "active"|"history", page: number } | null}
+ */
+export function parseTradesPageId(customId) {
+  const m = /^trades_page:(active|history):(\d+)$/u.exec(String(customId));
+  if (!m) return null;
+  return { scope: m[1], page: Number(m[2]) };
+}
+
+/**
+ * Read live state, or null when the RPC call fails.
+ * @param {string} tradeId
+ * @param {number|null} [chainId]
+ */
+async function safeGetTradeState(tradeId, chainId = null) {
+  try {
+    return await getTradeState(tradeId, { chainId });
+  } catch (e) {
+    console.warn(`tradeList: getTradeState(${tradeId}) failed:`, e?.message);
+    return null;
+  }
+}
+
+/**
+ * Render one page of a user's trades.
+ * @param {{ userId: string, scope: "active"|"history", page?: number }} params
+ * @returns {Promise<{ embeds: any[], components: any[] }>}
+ */
+export async function renderTradesPage({ userId, scope, page = 0 }) {
+  const cfg = SCOPES[scope];
+  if (!cfg) throw new Error(`renderTradesPage: unknown scope ${scope}`);
+
+  let current = Math.max(0, Math.trunc(Number(page) || 0));
+  let res = await listEscrowsForDiscordUser(userId, {
+    managerAddress: listChains().map((c) => c.managerAddress),
+    statuses: cfg.statuses,
+    limit: TRADES_PAGE_SIZE,
+    offset: current * TRADES_PAGE_SIZE,
+  });
+  const pageCount = Math.ceil(res.total / TRADES_PAGE_SIZE);
+  if (pageCount > 0 && current >= pageCount) {
+    // List shrank since the buttons were rendered: show the last page instead
+    current = pageCount - 1;
+    res = await listEscrowsForDiscordUser(userId, {
+      managerAddress: listChains().map((c) => c.managerAddress),
+      statuses: cfg.statuses,
+      limit: TRADES_PAGE_SIZE,
+      offset: current * TRADES_PAGE_SIZE,
+    });
+  }
+
+  const states = await Promise.all(
+    res.rows.map((row) => safeGetTradeState(row.tradeId, row.chainId)),
+  );
+  const entries = res.rows.map((row, i) => {
+    const state = states[i];
+    const isBuyerRow = String(row.buyerDiscordId) === String(userId);
+    return {
+      tradeId: row.tradeId,
+      statusText: state?.statusText ?? statusLabel(row.status),
+      amountEth:
+        state?.amountEth ??
+        (row.amountWei && !row.tokenAddress
+          ? weiToEthString(row.amountWei)
+          : null),
+      amount: state?.amount ?? null,
+      tokenSymbol:
+        state?.token?.symbol ??
+        escrowTokenSymbol(row.tokenAddress, row.chainId),
+      role: isBuyerRow ? "buyer" : "seller",
+      counterpartyId: isBuyerRow ? row.sellerDiscordId : row.buyerDiscordId,
+      threadId: row.threadId ?? row.channelId,
+      txHash: row.factoryTxHash,
+      managerAddress: row.managerAddress,
+      chainId: row.chainId,
+    };
+  });
+
+  const embed = buildTradeListEmbed({
+    title: cfg.title,
+    entries,
+    page: current,
+    pageCount,
+    total: res.total,
+    emptyText: cfg.emptyText,
+  });
+  return {
+    embeds: [embed],
+    components:
+      pageCount > 1
+        ? [buildTradeListPagerRow({ scope, page: current, pageCount })]
+        : [],
+  };
+}
+
+/**
+ * Render a single trade. Only its buyer/seller (or an admin) may view it.
+ * @param {{ userId: string, tradeId: string, chainId?: number|null, asAdmin?: boolean }} params
+ *   chainId: chain the trade id belongs to (default chain when null)
+ * @returns {Promise<{ content?: string, embeds?: any[] }>}
+ */
+export async function renderTradeDetail({
+  userId,
+  tradeId,
+  chainId = null,
+  asAdmin = false,
+}) {
+  const escrow = await getEscrowByManagerTrade(
+    getManagerAddress(chainId),
+    tradeId,
+  );
+  const isParty =
+    escrow &&
+    [escrow.buyerDiscordId, escrow.sellerDiscordId]
+      .filter(Boolean)
+      .map(String)
+      .includes(String(userId));
+  if (!escrow || (!isParty && !asAdmin)) {
+    return { content: `⚠️ Trade #${tradeId} was not found among your trades.` };
+  }
+
+  const threadId = escrow.threadId ?? escrow.channelId;
+  const [state, flow] = await Promise.all([
+    safeGetTradeState(escrow.tradeId, escrow.chainId),
+    threadId ? getFlowByThread(threadId).catch(() => null) : null,
+  ]);
+
+  const embed = buildTradeDetailEmbed({
+    tradeId: escrow.tradeId,
+    statusText: state?.statusText ?? statusLabel(escrow.status),
+    amountEth:
+      state?.amountEth ??
+      (escrow.amountWei && !escrow.tokenAddress
+        ? weiToEthString(escrow.amountWei)
+        : null),
+    amount: state?.amount ?? null,
+    tokenSymbol:
+      state?.token?.symbol ??
+      escrowTokenSymbol(escrow.tokenAddress, escrow.chainId),
+    priceUsd: flow?.priceUsd ?? null,
+    buyerId: escrow.buyerDiscordId,
+    sellerId: escrow.sellerDiscordId,
+    threadId,
+    managerAddress: escrow.managerAddress,
+    chainId: escrow.chainId,
+    txHash: escrow.factoryTxHash,
+    deadlineSec:
+      state?.status === AMIS_STATUS.Delivered ? state.deadlineSec : null,
+    createdAt: escrow.createdAt,
+  });
+  return { embeds: [embed] };
+}
+
+export default {
+  TRADES_PAGE_SIZE,
+  parseTradesPageId,
+  renderTradesPage,
+  renderTradeDetail,
+};
@@ -0,0 +1,178 @@
+import { query } from "./db.js";
+
+/**
+ * Trade Transcript Repository (PostgreSQL)
+ *
+ * Generated thread transcripts per trade and trigger (see transcripts.js).
+ *
+ * Table (see migration 20251127_000020_trade_transcripts.sql):
+ *   trade_transcripts (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     chain_id INTEGER NOT NULL,
+ *     manager_address TEXT NOT NULL,   -- lowercase
+ *     trade_id NUMERIC(78,0) NOT NULL,
+ *     trigger TEXT NOT NULL,           -- 'completed' | 'disputed'
+ *     status TEXT NOT NULL,            -- 'stored' | 'failed'
+ *     attempts INTEGER NOT NULL DEFAULT 1,
+ *     error TEXT NULL,
+ *     message_count INTEGER NULL,
+ *     event_count INTEGER NULL,
+ *     html_path TEXT NULL,
+ *     json_path TEXT NULL,
+ *     html_sha256 TEXT NULL,
+ *     json_sha256 TEXT NULL,
+ *     posted_mod_log BOOLEAN NOT NULL DEFAULT FALSE,
+ *     parties_notified INTEGER NOT NULL DEFAULT 0,
+ *     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     UNIQUE (manager_address, trade_id, trigger)
+ *   )
+ */
+
+export const TRANSCRIPT_TRIGGER = Object.freeze({
+  Completed: "completed",
+  Disputed: "disputed",
+});
+
+export const TRANSCRIPT_STATUS = Object.freeze({
+  Stored: "stored",
+  Failed: "failed",
+});
+
+/**
+ * Convert DB row to JS object.
+ * @param {any} row
+ */
+function rowToTranscript(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    chainId: row.chain_id,
+    managerAddress: row.manager_address,
+    tradeId: String(row.trade_id),
+    trigger: row.trigger,
+    status: row.status,
+    attempts: row.attempts,
+    error: row.error ?? null,
+    messageCount: row.message_count ?? null,
+    eventCount: row.event_count ?? null,
+    htmlPath: row.html_path ?? null,
+    jsonPath: row.json_path ?? null,
+    htmlSha256: row.html_sha256 ?? null,
+    jsonSha256: row.json_sha256 ?? null,
+    postedModLog: row.posted_mod_log === true,
+    partiesNotified: row.parties_notified ?? 0,
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null,
+  };
+}
+
+/**
+ * Trades of a manager in the given escrows status that still need a transcript for the
+ * trigger: no row yet, or a failed one below maxAttempts. Only rows updated within the
+ * lookback window are considered, so old trades are not transcribed on first deploy.
+ * @param {{ managerAddress: string, status: number, trigger: string, lookbackHours: number, maxAttempts: number, limit?: number }} params
+ * @returns {Promise<Array<{ managerAddress: string, tradeId: string }>>}
+ */
+export async function listTradesNeedingTranscript({
+  managerAddress,
+  status,
+  trigger,
+  lookbackHours,
+  maxAttempts,
+  limit = 20,
+}) {
+  const lim = Math.max(1, Math.min(200, Number(limit) || 20));
+  const res = await query(
+    `
+    SELECT e.manager_address, e.trade_id
+    FROM escrows e
+    LEFT JOIN trade_transcripts t
+      ON t.manager_address = LOWER(e.manager_address)
+      AND t.trade_id = e.trade_id
+      AND t.trigger = $3
+    WHERE e.manager_address = $1
+      AND e.status = $2
+      AND e.trade_id IS NOT NULL
+      AND e.updated_at >= NOW() - $4::int * INTERVAL '1 hour'
+      AND (t.id IS NULL OR (t.status = 'failed' AND t.attempts < $5))
+    ORDER BY e.updated_at ASC
+    LIMIT $6
+  `,
+    [managerAddress, status, trigger, lookbackHours, maxAttempts, lim],
+  );
+  return res.rows.map((r) => ({
+    managerAddress: r.manager_address,
+    tradeId: String(r.trade_id),
+  }));
+}
+
+/**
+ * Record the outcome of a transcript attempt (insert, or update the previous attempt).
+ * @param {{
+ *   chainId: number,
+ *   managerAddress: string,
+ *   tradeId: bigint|string|number,
+ *   trigger: string,
+ *   status: string,
+ *   error?: string|null,
+ *   messageCount?: number|null,
+ *   eventCount?: number|null,
+ *   htmlPath?: string|null,
+ *   jsonPath?: string|null,
+ *   htmlSha256?: string|null,
+ *   jsonSha256?: string|null,
+ *   postedModLog?: boolean,
+ *   partiesNotified?: number,
+ * }} entry
+ * @returns {Promise<object>}
+ */
+export async function upsertTradeTranscript(entry) {
+  const res = await query(
+    `
+    INSERT INTO trade_transcripts (
+      chain_id, manager_address, trade_id, trigger, status, error,
+      message_count, event_count, html_path, json_path, html_sha256, json_sha256,
+      posted_mod_log, parties_notified
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    ON CONFLICT (manager_address, trade_id, trigger) DO UPDATE SET
+      status = EXCLUDED.status,
+      attempts = trade_transcripts.attempts + 1,
+      error = EXCLUDED.error,
+      message_count = EXCLUDED.message_count,
+      event_count = EXCLUDED.event_count,
+      html_path = EXCLUDED.html_path,
+      json_path = EXCLUDED.json_path,
+      html_sha256 = EXCLUDED.html_sha256,
+      json_sha256 = EXCLUDED.json_sha256,
+      posted_mod_log = EXCLUDED.posted_mod_log,
+      parties_notified = EXCLUDED.parties_notified
+    RETURNING *
+  `,
+    [
+      entry.chainId,
+      String(entry.managerAddress).toLowerCase(),
+      BigInt(entry.tradeId).toString(),
+      entry.trigger,
+      entry.status,
+      entry.error ?? null,
+      entry.messageCount ?? null,
+      entry.eventCount ?? null,
+      entry.htmlPath ?? null,
+      entry.jsonPath ?? null,
+      entry.htmlSha256 ?? null,
+      entry.jsonSha256 ?? null,
+      entry.postedModLog === true,
+      entry.partiesNotified ?? 0,
+    ],
+  );
+  return rowToTranscript(res.rows[0]);
+}
+
+export default {
+  TRANSCRIPT_TRIGGER,
+  TRANSCRIPT_STATUS,
+  listTradesNeedingTranscript,
+  upsertTradeTranscript,
+};
@@ -0,0 +1,623 @@
+/**
+ * Thread transcripts for completed and disputed trades.
+ *
+ * Trade threads are private and archive after a while; a transcript keeps a portable
+ * record of each trade:
+ * - every message of the trade thread (author, time, text, attachments, embeds)
+ * - the escrows row, the on-chain state and the trade's on-chain events
+ * - the seller's delivery evidence (deliveryEvidence.js)
+ * It is rendered as HTML (for people) and JSON (for tools), written to TRANSCRIPT_DIR,
+ * posted to the moderator log and sent to both parties by DM (in the thread when a DM
+ * cannot be delivered).
+ *
+ * A scheduler scans Completed and Disputed trades on startup and then periodically, and
+ * transcribes those without a transcript for that trigger (trade_transcripts table), so
+ * trades settled by any path (buttons, auto-release, admin commands, indexer) are
+ * covered once.
+ *
+ * Message text is only readable with the Message Content intent (MESSAGE_CONTENT_INTENT,
+ * see bot.js); without it, messages are listed with empty text.
+ *
+ * Environment (optional):
+ * - TRANSCRIPT_DIR: storage directory (default "transcripts", relative to the working dir)
+ * - TRANSCRIPT_CHANNEL_ID: channel for transcripts (default MOD_LOG_CHANNEL_ID)
+ * - TRANSCRIPT_INTERVAL_MS: scan interval in ms (default 60000, min 10000)
+ * - TRANSCRIPT_LOOKBACK_HOURS: only trades settled within this window (default 24)
+ * - TRANSCRIPT_MAX_MESSAGES: messages read per thread (default 5000)
+ * - TRANSCRIPT_MAX_ATTEMPTS: attempts per transcript before giving up (default 3)
+ * - TRANSCRIPTS_DISABLED=true: do not start the scheduler
+ *
+ * Usage:
+ *   import { startTranscriptScheduler } from "./transcripts.js";
+ *   startTranscriptScheduler(client); // e.g. from the clientReady event
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import { AttachmentBuilder } from "discord.js";
+
+import { getTradeState, getTradeEvents } from "./amis.js";
+import { loadTradeThreadContext } from "./amisStatus.js";
+import { listChains, getChain } from "./chains.js";
+import { getChainClients } from "./client.js";
+import { loadDeliveryEvidence } from "./deliveryEvidence.js";
+import {
+  getEscrowByManagerTrade,
+  ESCROW_STATUS,
+  statusLabel,
+} from "./escrowRepo.js";
+import { notifyModerators } from "./notify.js";
+import { safeThreadSend } from "./threads.js";
+import {
+  TRANSCRIPT_TRIGGER,
+  TRANSCRIPT_STATUS,
+  listTradesNeedingTranscript,
+  upsertTradeTranscript,
+} from "./transcriptRepo.js";
+
+const DEFAULT_INTERVAL_MS = 60_000;
+const MIN_INTERVAL_MS = 10_000;
+// Discord upload limit without server boosts
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+const TRIGGER_STATUS = [
+  [TRANSCRIPT_TRIGGER.Disputed, ESCROW_STATUS.Disputed],
+  [TRANSCRIPT_TRIGGER.Completed, ESCROW_STATUS.Completed],
+];
+
+let timer = null;
+let running = false;
+
+function envInt(name, fallback, min = 0) {
+  const n = parseInt(String(process.env[name] ?? ""), 10);
+  if (!Number.isFinite(n) || n < min) return fallback;
+  return n;
+}
+
+function resolveConfig() {
+  return {
+    dir: path.resolve(process.env.TRANSCRIPT_DIR || "transcripts"),
+    channelId: process.env.TRANSCRIPT_CHANNEL_ID || null,
+    intervalMs: Math.max(
+      MIN_INTERVAL_MS,
+      envInt("TRANSCRIPT_INTERVAL_MS", DEFAULT_INTERVAL_MS, 1),
+    ),
+    lookbackHours: envInt("TRANSCRIPT_LOOKBACK_HOURS", 24, 1),
+    maxMessages: envInt("TRANSCRIPT_MAX_MESSAGES", 5_000, 1),
+    maxAttempts: envInt("TRANSCRIPT_MAX_ATTEMPTS", 3, 1),
+  };
+}
+
+/**
+ * Start the periodic scan (idempotent). Runs one scan immediately.
+ * @param {import('discord.js').Client} client
+ * @returns {{ stop: () => void } | null} null when disabled
+ */
+export function startTranscriptScheduler(client) {
+  if (process.env.TRANSCRIPTS_DISABLED?.toLowerCase() === "true") {
+    console.log("Transcript scheduler disabled (TRANSCRIPTS_DISABLED).");
+    return null;
+  }
+  if (timer) return { stop: stopTranscriptScheduler };
+
+  const { intervalMs } = resolveConfig();
+  timer = setInterval(() => {
+    void runTranscriptScan(client);
+  }, intervalMs);
+  void runTranscriptScan(client);
+  console.log(`Transcript scheduler started (every ${intervalMs}ms).`);
+  return { stop: stopTranscriptScheduler };
+}
+
+/**
+ * Stop the periodic scan.
+ */
+export function stopTranscriptScheduler() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Transcribe settled trades that have no transcript yet. Overlapping scans are skipped.
+ * @param {import('discord.js').Client} client
+ * @returns {Promise<{ scanned: number, stored: number }>}
+ */
+export async function runTranscriptScan(client) {
+  if (running) return { scanned: 0, stored: 0 };
+  running = true;
+  const config = resolveConfig();
+  let scanned = 0;
+  let stored = 0;
+  try {
+    for (const chain of listChains()) {
+      for (const [trigger, status] of TRIGGER_STATUS) {
+        const due = await listTradesNeedingTranscript({
+          managerAddress: chain.managerAddress,
+          status,
+          trigger,
+          lookbackHours: config.lookbackHours,
+          maxAttempts: config.maxAttempts,
+        });
+        for (const { managerAddress, tradeId } of due) {
+          scanned += 1;
+          const escrow = await getEscrowByManagerTrade(managerAddress, tradeId);
+          if (!escrow) continue;
+          const res = await transcribeTrade(client, escrow, trigger, config);
+          if (res.ok) stored += 1;
+        }
+      }
+    }
+  } catch (e) {
+    console.error("Transcript scan failed:", e);
+  } finally {
+    running = false;
+  }
+  return { scanned, stored };
+}
+
+/**
+ * Build, store and post the transcript of one trade, and record the outcome.
+ * Errors are recorded (and retried by later scans), not thrown.
+ * @param {import('discord.js').Client} client
+ * @param {object} escrow - row from escrowRepo
+ * @param {string} trigger - TRANSCRIPT_TRIGGER value
+ * @param {ReturnType<typeof resolveConfig>} [config]
+ * @returns {Promise<{ ok: boolean, error?: string }>}
+ */
+export async function transcribeTrade(
+  client,
+  escrow,
+  trigger,
+  config = resolveConfig(),
+) {
+  const chainId = escrow.chainId ?? getChain(null).id;
+  const key = {
+    chainId,
+    managerAddress: escrow.managerAddress,
+    tradeId: escrow.tradeId,
+    trigger,
+  };
+  try {
+    const ctx = await loadTradeThreadContext(client, escrow);
+    const transcript = await buildTranscript(ctx, escrow, trigger, config);
+    const files = await storeTranscript(transcript, config);
+    const delivery = await postTranscript(
+      client,
+      ctx,
+      transcript,
+      files,
+      config,
+    );
+    await upsertTradeTranscript({
+      ...key,
+      status: TRANSCRIPT_STATUS.Stored,
+      messageCount: transcript.json.messages.length,
+      eventCount: transcript.json.events.length,
+      htmlPath: files.html.path,
+      jsonPath: files.json.path,
+      htmlSha256: files.html.sha256,
+      jsonSha256: files.json.sha256,
+      postedModLog: delivery.postedModLog,
+      partiesNotified: delivery.partiesNotified,
+    });
+    return { ok: true };
+  } catch (e) {
+    const error = String(e?.message ?? e);
+    console.error(
+      `Transcript (${trigger}) failed for trade ${escrow.tradeId}:`,
+      error,
+    );
+    try {
+      await upsertTradeTranscript({
+        ...key,
+        status: TRANSCRIPT_STATUS.Failed,
+        error,
+      });
+    } catch (dbErr) {
+      console.error(
+        "Transcript outcome not recorded:",
+        dbErr?.message ?? dbErr,
+      );
+    }
+    return { ok: false, error };
+  }
+}
+
+/**
+ * Read every message of a thread, oldest first (up to `max`).
+ * @param {import('discord.js').ThreadChannel} channel
+ * @param {number} max
+ * @returns {Promise<import('discord.js').Message[]>}
+ */
+async function fetchThreadMessages(channel, max) {
+  const out = [];
+  let before;
+  while (out.length < max) {
+    const page = await channel.messages.fetch({
+      limit: Math.min(100, max - out.length),
+      ...(before ? { before } : {}),
+    });
+    if (page.size === 0) break;
+    out.push(...page.values());
+    before = page.lastKey();
+    if (page.size < 100) break;
+  }
+  return out.reverse();
+}
+
+// JSON.stringify replacer: bigint → string
+function jsonSafe(_key, value) {
+  return typeof value === "bigint" ? value.toString() : value;
+}
+
+/**
+ * Block to start the event search at: the creation transaction's block when known,
+ * otherwise the chain's configured start block.
+ */
+async function eventsFromBlock(escrow, chainId) {
+  if (escrow.factoryTxHash) {
+    try {
+      // getTransactionReceipt returns null for unknown hashes instead of waiting
+      const receipt = await getChainClients(
+        chainId,
+      ).provider.getTransactionReceipt(escrow.factoryTxHash);
+      if (receipt?.blockNumber !== undefined && receipt?.blockNumber !== null) {
+        return BigInt(receipt.blockNumber);
+      }
+    } catch (e) {
+      console.warn(
+        `Transcript: creation tx of trade ${escrow.tradeId} not found:`,
+        e?.message ?? e,
+      );
+    }
+  }
+  const chain = getChain(chainId);
+  if (chain.startBlock !== null && chain.startBlock !== undefined) {
+    return BigInt(chain.startBlock);
+  }
+  return null;
+}
+
+/**
+ * Collect everything the transcript shows.
+ * @returns {Promise<{ json: object, html: string, baseName: string }>}
+ */
+async function buildTranscript(ctx, escrow, trigger, config) {
+  const chainId = escrow.chainId ?? getChain(null).id;
+  const notes = [];
+
+  let messages = [];
+  if (ctx?.channel?.messages) {
+    messages = (await fetchThreadMessages(ctx.channel, config.maxMessages)).map(
+      (m) => ({
+        id: m.id,
+        authorId: m.author?.id ?? null,
+        authorName: m.author?.tag ?? m.author?.username ?? null,
+        bot: m.author?.bot === true,
+        createdAt: m.createdAt?.toISOString() ?? null,
+        editedAt: m.editedAt?.toISOString() ?? null,
+        content: m.content ?? "",
+        attachments: [...m.attachments.values()].map((a) => ({
+          name: a.name,
+          url: a.url,
+          size: a.size,
+          contentType: a.contentType ?? null,
+        })),
+        embeds: m.embeds.map((e) => ({
+          title: e.title ?? null,
+          description: e.description ?? null,
+          fields: e.fields.map((f) => ({ name: f.name, value: f.value })),
+        })),
+      }),
+    );
+    if (messages.length >= config.maxMessages) {
+      notes.push(`Only the first ${config.maxMessages} messages are included.`);
+    }
+  } else {
+    notes.push("The trade thread was not reachable; no messages included.");
+  }
+
+  let state = null;
+  try {
+    state = await getTradeState(escrow.tradeId, { chainId });
+  } catch (e) {
+    notes.push(`On-chain state unavailable: ${e?.message ?? e}`);
+  }
+
+  let events = [];
+  const fromBlock = await eventsFromBlock(escrow, chainId);
+  if (fromBlock === null) {
+    notes.push(
+      "On-chain events not included: creation block unknown (set the chain's start block).",
+    );
+  } else {
+    try {
+      events = (
+        await getTradeEvents(escrow.tradeId, { chainId, fromBlock })
+      ).map((e) => ({
+        eventName: e.eventName,
+        args: e.args,
+        blockNumber: e.blockNumber,
+        transactionHash: e.transactionHash,
+        logIndex: e.logIndex,
+      }));
+    } catch (e) {
+      notes.push(`On-chain events unavailable: ${e?.message ?? e}`);
+    }
+  }
+
+  const evidence = await loadDeliveryEvidence(
+    escrow.managerAddress,
+    escrow.tradeId,
+  );
+
+  const json = JSON.parse(
+    JSON.stringify(
+      {
+        version: 1,
+        generatedAt: new Date().toISOString(),
+        trigger,
+        trade: {
+          chainId,
+          chainName: getChain(chainId).name,
+          managerAddress: escrow.managerAddress,
+          tradeId: escrow.tradeId,
+          threadId: escrow.threadId ?? escrow.channelId ?? null,
+          buyerDiscordId: ctx?.buyerId ?? escrow.buyerDiscordId ?? null,
+          sellerDiscordId: ctx?.sellerId ?? escrow.sellerDiscordId ?? null,
+          priceUsd: ctx?.priceUsd ?? null,
+        },
+        escrow,
+        onChain: state
+          ? {
+              status: state.status,
+              statusText: state.statusText,
+              buyer: state.buyer,
+              seller: state.seller,
+              amount: state.amount,
+              tokenSymbol: state.token?.symbol ?? null,
+              deliveredAtSec: state.deliveredAtSec ?? null,
+            }
+          : null,
+        events,
+        evidence,
+        messages,
+        notes,
+      },
+      jsonSafe,
+    ),
+  );
+
+  const baseName = `trade-${escrow.tradeId}-${trigger}`;
+  return { json, html: renderTranscriptHtml(json), baseName };
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/gu, "&amp;")
+    .replace(/</gu, "&lt;")
+    .replace(/>/gu, "&gt;")
+    .replace(/"/gu, "&quot;")
+    .replace(/'/gu, "&#39;");
+}
+
+/**
+ * Self-contained HTML page of a transcript (no external assets).
+ * @param {object} t - transcript JSON
+ * @returns {string}
+ */
+export function renderTranscriptHtml(t) {
+  const row = (label, value) =>
+    `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value ?? "—")}</td></tr>`;
+
+  const events = t.events
+    .map(
+      (e) =>
+        `<tr><td>${escapeHtml(e.blockNumber)}</td><td>${escapeHtml(e.eventName)}</td>` +
+        `<td><code>${escapeHtml(JSON.stringify(e.args))}</code></td>` +
+        `<td><code>${escapeHtml(e.transactionHash)}</code></td></tr>`,
+    )
+    .join("\n");
+
+  const evidence = t.evidence
+    .map(
+      (e) =>
+        `<li>${escapeHtml(e.kind)}: ${escapeHtml(e.content ?? e.fileName ?? "")}` +
+        ` <code>sha256 ${escapeHtml(e.sha256 ?? "not hashed")}</code></li>`,
+    )
+    .join("\n");
+
+  const messages = t.messages
+    .map((m) => {
+      const attachments = m.attachments
+        .map(
+          (a) =>
+            `<div class="att">📎 <a href="${escapeHtml(a.url)}">${escapeHtml(a.name)}</a> (${escapeHtml(a.size)} bytes)</div>`,
+        )
+        .join("");
+      const embeds = m.embeds
+        .map(
+          (e) =>
+            `<div class="embed">${e.title ? `<b>${escapeHtml(e.title)}</b><br>` : ""}` +
+            `${escapeHtml(e.description ?? "")}` +
+            e.fields
+              .map(
+                (f) =>
+                  `<div><b>${escapeHtml(f.name.trim())}</b>: ${escapeHtml(f.value)}</div>`,
+              )
+              .join("") +
+            `</div>`,
+        )
+        .join("");
+      return (
+        `<div class="msg${m.bot ? " bot" : ""}">` +
+        `<div class="meta"><b>${escapeHtml(m.authorName ?? m.authorId)}</b> ` +
+        `<span>${escapeHtml(m.createdAt)}${m.editedAt ? ` (edited ${escapeHtml(m.editedAt)})` : ""}</span></div>` +
+        `<div class="text">${escapeHtml(m.content)}</div>${attachments}${embeds}</div>`
+      );
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Trade #${escapeHtml(t.trade.tradeId)} transcript (${escapeHtml(t.trigger)})</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+code { font-size: 0.85em; word-break: break-all; }
+.msg { border-bottom: 1px solid #eee; padding: 8px 0; }
+.msg.bot { background: #f7f7fb; }
+.meta span { color: #777; font-size: 0.85em; }
+.text { white-space: pre-wrap; }
+.embed { border-left: 3px solid #99a; margin: 4px 0; padding: 4px 8px; white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>Trade #${escapeHtml(t.trade.tradeId)} — ${escapeHtml(t.trigger)}</h1>
+<table>
+${row("Generated", t.generatedAt)}
+${row("Network", `${t.trade.chainName} (${t.trade.chainId})`)}
+${row("Contract", t.trade.managerAddress)}
+${row("Stored status", statusLabel(t.escrow?.status))}
+${row("On-chain status", t.onChain?.statusText)}
+${row("Amount", t.onChain ? `${t.onChain.amount} ${t.onChain.tokenSymbol ?? ""}` : null)}
+${row("Price (USD)", t.trade.priceUsd)}
+${row("Buyer", `${t.trade.buyerDiscordId ?? "—"} / ${t.onChain?.buyer ?? t.escrow?.buyerAddress ?? "—"}`)}
+${row("Seller", `${t.trade.sellerDiscordId ?? "—"} / ${t.onChain?.seller ?? t.escrow?.sellerAddress ?? "—"}`)}
+${row("Thread", t.trade.threadId)}
+</table>
+${t.notes.length ? `<ul>${t.notes.map((n) => `<li>${escapeHtml(n)}</li>`).join("")}</ul>` : ""}
+<h2>On-chain events (${t.events.length})</h2>
+<table>
+<tr><th>Block</th><th>Event</th><th>Arguments</th><th>Transaction</th></tr>
+${events}
+</table>
+<h2>Delivery evidence (${t.evidence.length})</h2>
+<ul>
+${evidence}
+</ul>
+<h2>Messages (${t.messages.length})</h2>
+${messages}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the HTML and JSON files under TRANSCRIPT_DIR/<chainId>/<manager>/.
+ * @returns {Promise<{ html: { path: string, sha256: string, bytes: Buffer }, json: { path: string, sha256: string, bytes: Buffer } }>}
+ */
+async function storeTranscript(transcript, config) {
+  const dir = path.join(
+    config.dir,
+    String(transcript.json.trade.chainId),
+    String(transcript.json.trade.managerAddress).toLowerCase(),
+  );
+  await fs.mkdir(dir, { recursive: true });
+
+  const write = async (ext, text) => {
+    const bytes = Buffer.from(text, "utf8");
+    const file = path.join(dir, `${transcript.baseName}.${ext}`);
+    await fs.writeFile(file, bytes);
+    return {
+      path: file,
+      sha256: crypto.createHash("sha256").update(bytes).digest("hex"),
+      bytes,
+    };
+  };
+  return {
+    html: await write("html", transcript.html),
+    json: await write("json", `${JSON.stringify(transcript.json, null, 2)}\n`),
+  };
+}
+
+/**
+ * Post the transcript to the moderator log and send it to both parties.
+ * @returns {Promise<{ postedModLog: boolean, partiesNotified: number }>}
+ */
+async function postTranscript(client, ctx, transcript, files, config) {
+  const { tradeId } = transcript.json.trade;
+  const attachments = () =>
+    [
+      [files.html, "html"],
+      [files.json, "json"],
+    ]
+      .filter(([f]) => f.bytes.length <= MAX_ATTACHMENT_BYTES)
+      .map(
+        ([f, ext]) =>
+          new AttachmentBuilder(f.bytes, {
+            name: `${transcript.baseName}.${ext}`,
+          }),
+      );
+  const summary =
+    `📜 Transcript of trade #${tradeId} (${transcript.json.trigger}): ` +
+    `${transcript.json.messages.length} messages, ${transcript.json.events.length} on-chain events.\n` +
+    `SHA-256 html \`${files.html.sha256}\`, json \`${files.json.sha256}\``;
+
+  const modMsg = await notifyModerators({
+    client,
+    channelId: config.channelId,
+    message: `${summary}\nStored at \`${files.html.path}\`.`,
+    files: attachments(),
+  });
+
+  // Parties are asked to rate each other once the trade is completed (reputation.js)
+  const partyMessage =
+    transcript.json.trigger === TRANSCRIPT_TRIGGER.Completed
+      ? `${summary}\n⭐ Rate your counterparty with \`/rate trade_id:${tradeId}\` in the server.`
+      : summary;
+  const parties = [
+    ...new Set(
+      [
+        transcript.json.trade.buyerDiscordId,
+        transcript.json.trade.sellerDiscordId,
+      ]
+        .filter(Boolean)
+        .map(String),
+    ),
+  ];
+  let partiesNotified = 0;
+  const undelivered = [];
+  for (const id of parties) {
+    try {
+      const user = await client.users.fetch(id);
+      await user.send({ content: partyMessage, files: attachments() });
+      partiesNotified += 1;
+    } catch (e) {
+      console.warn(
+        `Transcript DM to ${id} failed (trade ${tradeId}):`,
+        e?.message ?? e,
+      );
+      undelivered.push(id);
+    }
+  }
+  if (undelivered.length > 0 && ctx?.channel) {
+    try {
+      await safeThreadSend(ctx.channel, {
+        content: `${undelivered.map((id) => `<@${id}>`).join(" ")} ${partyMessage}`,
+        files: attachments(),
+        allowedMentions: { users: undelivered, parse: [] },
+      });
+      partiesNotified += undelivered.length;
+    } catch (e) {
+      console.warn(
+        `Transcript post in thread failed (trade ${tradeId}):`,
+        e?.message ?? e,
+      );
+    }
+  }
+
+  return { postedModLog: modMsg !== null, partiesNotified };
+}
+
+export default {
+  startTranscriptScheduler,
+  stopTranscriptScheduler,
+  runTranscriptScan,
+  transcribeTrade,
+  renderTranscriptHtml,
+};
@@ -0,0 +1,316 @@
+import { query } from "./db.js";
+
+/**
+ * Transaction Audit Repository (PostgreSQL)
+ *
+ * One row per transaction signed by the bot wallet (see walletClient.writeContract
+ * in client.js): the Discord actor, trade, function and args, and the receipt result.
+ *
+ * Table (see migrations 20251117_000010_tx_audit.sql, 20251118_000011_tx_audit_replacements.sql):
+ *   tx_audit (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     chain_id INTEGER NULL,
+ *     from_address TEXT NOT NULL,
+ *     to_address TEXT NULL,
+ *     function_name TEXT NULL,
+ *     args JSONB NULL,
+ *     value_wei NUMERIC(78,0) NULL,
+ *     trade_id NUMERIC(78,0) NULL,
+ *     actor_discord_id TEXT NULL,
+ *     source TEXT NULL,
+ *     tx_hash TEXT NULL UNIQUE,
+ *     nonce BIGINT NULL,
+ *     replaced_by_tx_hash TEXT NULL,
+ *     status TEXT NOT NULL,            -- 'pending' | 'replaced' | 'success' | 'reverted' | 'failed'
+ *     error TEXT NULL,
+ *     gas_used NUMERIC(78,0) NULL,
+ *     effective_gas_price NUMERIC(78,0) NULL,
+ *     block_number NUMERIC(78,0) NULL,
+ *     submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     mined_at TIMESTAMPTZ NULL,
+ *     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+ *   )
+ */
+
+export const TX_AUDIT_STATUS = Object.freeze({
+  Pending: "pending",
+  Replaced: "replaced",
+  Success: "success",
+  Reverted: "reverted",
+  Failed: "failed",
+});
+
+/**
+ * Convert DB row to JS object.
+ * @param {any} row
+ */
+function rowToTxAudit(row) {
+  if (!row) return null;
+  const str = (v) => (v !== null && v !== undefined ? String(v) : null);
+  return {
+    id: str(row.id),
+    chainId: row.chain_id ?? null,
+    fromAddress: row.from_address,
+    toAddress: row.to_address ?? null,
+    functionName: row.function_name ?? null,
+    args: row.args ?? null,
+    valueWei: str(row.value_wei),
+    tradeId: str(row.trade_id),
+    actorDiscordId: row.actor_discord_id ?? null,
+    source: row.source ?? null,
+    txHash: row.tx_hash ?? null,
+    nonce:
+      row.nonce !== null && row.nonce !== undefined ? Number(row.nonce) : null,
+    replacedByTxHash: row.replaced_by_tx_hash ?? null,
+    status: row.status,
+    error: row.error ?? null,
+    gasUsed: str(row.gas_used),
+    effectiveGasPrice: str(row.effective_gas_price),
+    blockNumber: str(row.block_number),
+    submittedAt: row.submitted_at ?? null,
+    minedAt: row.mined_at ?? null,
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null,
+  };
+}
+
+/**
+ * Normalize a uint value into string for NUMERIC(78,0).
+ * @param {bigint|string|number|null|undefined} v
+ * @returns {string|null}
+ */
+function toDbUint(v) {
+  if (v === null || v === undefined) return null;
+  try {
+    return BigInt(v).toString();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * JSON.stringify that keeps bigint values (as strings).
+ * @param {any} value
+ */
+function toJson(value) {
+  if (value === null || value === undefined) return null;
+  return JSON.stringify(value, (_k, v) =>
+    typeof v === "bigint" ? v.toString() : v,
+  );
+}
+
+/**
+ * Record a submitted (or failed) transaction.
+ * @param {{
+ *   chainId?: number|null,
+ *   fromAddress: string,
+ *   toAddress?: string|null,
+ *   functionName?: string|null,
+ *   args?: any[]|null,
+ *   valueWei?: bigint|string|number|null,
+ *   tradeId?: bigint|string|number|null,
+ *   actorDiscordId?: string|null,
+ *   source?: string|null,
+ *   txHash?: string|null,
+ *   nonce?: number|null,
+ *   status: 'pending'|'failed',
+ *   error?: string|null,
+ *   submittedAt?: Date,
+ * }} entry
+ * @returns {Promise<object>}
+ */
+export async function insertTxAudit(entry) {
+  if (!entry?.fromAddress)
+    throw new Error("insertTxAudit: fromAddress required");
+  const res = await query(
+    `
+    INSERT INTO tx_audit (
+      chain_id, from_address, to_address, function_name, args, value_wei,
+      trade_id, actor_discord_id, source, tx_hash, status, error, submitted_at, nonce
+    )
+    VALUES ($1, $2, $3, $4, $5::jsonb, $6, $7, $8, $9, $10, $11, $12, COALESCE($13, NOW()), $14)
+    ON CONFLICT (tx_hash) DO NOTHING
+    RETURNING *
+  `,
+    [
+      entry.chainId ?? null,
+      entry.fromAddress,
+      entry.toAddress ?? null,
+      entry.functionName ?? null,
+      toJson(entry.args),
+      toDbUint(entry.valueWei),
+      toDbUint(entry.tradeId),
+      entry.actorDiscordId ?? null,
+      entry.source ?? null,
+      entry.txHash ?? null,
+      entry.status,
+      entry.error ?? null,
+      entry.submittedAt ?? null,
+      entry.nonce ?? null,
+    ],
+  );
+  return rowToTxAudit(res.rows[0]);
+}
+
+/**
+ * Store the receipt outcome of a transaction.
+ * @param {string} txHash
+ * @param {{ status: 'success'|'reverted', gasUsed?: bigint|null, effectiveGasPrice?: bigint|null, blockNumber?: bigint|number|null, minedAt?: Date|null }} receipt
+ * @returns {Promise<object|null>}
+ */
+export async function setTxAuditReceipt(txHash, receipt) {
+  const res = await query(
+    `
+    UPDATE tx_audit
+    SET status = $2,
+        gas_used = $3,
+        effective_gas_price = $4,
+        block_number = $5,
+        mined_at = COALESCE($6, NOW())
+    WHERE tx_hash = $1
+    RETURNING *
+  `,
+    [
+      txHash,
+      receipt.status,
+      toDbUint(receipt.gasUsed),
+      toDbUint(receipt.effectiveGasPrice),
+      toDbUint(receipt.blockNumber),
+      receipt.minedAt ?? null,
+    ],
+  );
+  if (res.rowCount === 0) return null;
+  return rowToTxAudit(res.rows[0]);
+}
+
+/**
+ * Mark a transaction as replaced by a fee-bumped version (same nonce).
+ * @param {string} txHash
+ * @param {string} replacedByTxHash
+ */
+export async function setTxAuditReplaced(txHash, replacedByTxHash) {
+  await query(
+    `
+    UPDATE tx_audit
+    SET status = 'replaced', replaced_by_tx_hash = $2
+    WHERE tx_hash = $1 AND status = 'pending'
+  `,
+    [txHash, replacedByTxHash],
+  );
+}
+
+/**
+ * Mark a pending transaction as failed without a receipt (dropped or timed out).
+ * @param {string} txHash
+ * @param {string} error
+ */
+export async function setTxAuditFailed(txHash, error) {
+  await query(
+    `UPDATE tx_audit SET status = 'failed', error = $2 WHERE tx_hash = $1 AND status = 'pending'`,
+    [txHash, error],
+  );
+}
+
+/**
+ * Set the trade id once known (createTrade learns it from the receipt).
+ * @param {string} txHash
+ * @param {bigint|string|number} tradeId
+ */
+export async function setTxAuditTradeId(txHash, tradeId) {
+  await query(
+    `UPDATE tx_audit SET trade_id = $2 WHERE tx_hash = $1 AND trade_id IS NULL`,
+    [txHash, toDbUint(tradeId)],
+  );
+}
+
+/**
+ * Query audit rows (most recent first). All filters are optional.
+ * @param {{ tradeId?: string|number|bigint|null, actorDiscordId?: string|null, functionName?: string|null, status?: string|null, limit?: number }} [filters]
+ * @returns {Promise<object[]>}
+ */
+export async function listTxAudit(filters = {}) {
+  const lim = Math.max(1, Math.min(100, Number(filters.limit) || 20));
+  const res = await query(
+    `
+    SELECT * FROM tx_audit
+    WHERE ($1::numeric IS NULL OR trade_id = $1::numeric)
+      AND ($2::text IS NULL OR actor_discord_id = $2)
+      AND ($3::text IS NULL OR function_name = $3)
+      AND ($4::text IS NULL OR status = $4)
+    ORDER BY submitted_at DESC, id DESC
+    LIMIT $5
+  `,
+    [
+      toDbUint(filters.tradeId),
+      filters.actorDiscordId ?? null,
+      filters.functionName ?? null,
+      filters.status ?? null,
+      lim,
+    ],
+  );
+  return res.rows.map(rowToTxAudit);
+}
+
+/**
+ * Average gas of the latest mined transactions sent from an address on a chain
+ * (rows without chain_id count for the default chain).
+ * @param {{ fromAddress: string, chainId: number, includeNullChain?: boolean, limit?: number }} params
+ * @returns {Promise<{ count: number, avgGasUsed: bigint|null, avgCostWei: bigint|null }>}
+ */
+export async function getRecentGasUsage({
+  fromAddress,
+  chainId,
+  includeNullChain = false,
+  limit = 50,
+}) {
+  const lim = Math.max(1, Math.min(500, Number(limit) || 50));
+  const res = await query(
+    `
+    SELECT COUNT(*) AS count,
+           ROUND(AVG(gas_used)) AS avg_gas_used,
+           ROUND(AVG(gas_used * effective_gas_price)) AS avg_cost_wei
+    FROM (
+      SELECT gas_used, effective_gas_price FROM tx_audit
+      WHERE lower(from_address) = lower($1)
+        AND (chain_id = $2 OR ($3 AND chain_id IS NULL))
+        AND gas_used IS NOT NULL
+      ORDER BY submitted_at DESC, id DESC
+      LIMIT $4
+    ) recent
+  `,
+    [fromAddress, chainId, includeNullChain, lim],
+  );
+  const row = res.rows[0] ?? {};
+  return {
+    count: Number(row.count ?? 0),
+    avgGasUsed: row.avg_gas_used != null ? BigInt(row.avg_gas_used) : null,
+    avgCostWei: row.avg_cost_wei != null ? BigInt(row.avg_cost_wei) : null,
+  };
+}
+
+/**
+ * Fetch a single row by transaction hash.
+ * @param {string} txHash
+ * @returns {Promise<object|null>}
+ */
+export async function getTxAuditByHash(txHash) {
+  const res = await query(
+    `SELECT * FROM tx_audit WHERE tx_hash = lower($1) LIMIT 1`,
+    [txHash],
+  );
+  if (res.rowCount === 0) return null;
+  return rowToTxAudit(res.rows[0]);
+}
+
+export default {
+  TX_AUDIT_STATUS,
+  insertTxAudit,
+  setTxAuditReceipt,
+  setTxAuditReplaced,
+  setTxAuditFailed,
+  setTxAuditTradeId,
+  listTxAudit,
+  getRecentGasUsage,
+  getTxAuditByHash,
+};
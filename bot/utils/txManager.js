@@ -0,0 +1,422 @@
+/**
+ * Transaction lifecycle manager for the bot wallet.
+ *
+ * All bot-signed transactions go through one manager (created in client.js), which:
+ * - Sends them one at a time with a locally tracked nonce, so concurrent actions on
+ *   different trades cannot pick the same nonce. The nonce is re-read from the chain
+ *   ("pending" count) on first use and after any nonce error.
+ * - Fixes the gas limit and EIP-1559 fees at submission (legacy gasPrice on chains
+ *   without a base fee), then polls for a receipt.
+ * - Treats a transaction without a receipt after TX_STUCK_AFTER_MS as stuck and
+ *   replaces it: same nonce and calldata, fees raised by TX_FEE_BUMP_PERCENT (at least
+ *   the current network fees), up to TX_MAX_BUMPS times. Whichever version is mined
+ *   first settles the transaction.
+ * - Reports progress through an onStatus callback: pending, replaced, confirmed, failed
+ *   (reverted, dropped, or no receipt within TX_TIMEOUT_MS).
+ *
+ * Environment (optional):
+ * - TX_CONFIRMATIONS: confirmations before a transaction counts as confirmed (default 1)
+ * - TX_POLL_MS: receipt poll interval in ms (default 4000, min 1000)
+ * - TX_STUCK_AFTER_MS: ms without a receipt before fees are bumped (default 90000)
+ * - TX_FEE_BUMP_PERCENT: fee increase per replacement, min 10 (default 15)
+ * - TX_MAX_BUMPS: replacements per transaction (default 3)
+ * - TX_TIMEOUT_MS: ms before a transaction without a receipt is reported failed (default 600000)
+ *
+ * Usage:
+ *   const txManager = createTxManager({ wallet, provider });
+ *   const { hash, wait } = await txManager.send({ to, data, value }, { onStatus });
+ *   const receipt = await wait(); // throws when reverted, dropped or timed out
+ *   await txManager.waitFor(hash); // same promise, also for replaced hashes
+ *   await txManager.waitUntracked(hash); // e.g. sent before a restart; same timeout
+ *   txManager.stats(); // { inFlight, tracked }
+ */
+
+export const TX_STATUS = Object.freeze({
+  Pending: "pending",
+  Replaced: "replaced",
+  Confirmed: "confirmed",
+  Failed: "failed",
+});
+
+// Nodes reject replacements that raise fees by less than 10%
+const MIN_BUMP_PERCENT = 10;
+const MIN_POLL_MS = 1_000;
+// How long settled transactions stay available to waitFor()
+const TRACK_RETENTION_MS = 10 * 60 * 1000;
+
+function envInt(name, fallback, min = 0) {
+  const n = parseInt(String(process.env[name] ?? ""), 10);
+  if (!Number.isFinite(n) || n < min) return fallback;
+  return n;
+}
+
+function resolveConfig() {
+  return {
+    confirmations: envInt("TX_CONFIRMATIONS", 1, 1),
+    pollMs: Math.max(MIN_POLL_MS, envInt("TX_POLL_MS", 4_000, 1)),
+    stuckAfterMs: envInt("TX_STUCK_AFTER_MS", 90_000, 1),
+    bumpPercent: Math.max(
+      MIN_BUMP_PERCENT,
+      envInt("TX_FEE_BUMP_PERCENT", 15, 1),
+    ),
+    maxBumps: envInt("TX_MAX_BUMPS", 3),
+    timeoutMs: envInt("TX_TIMEOUT_MS", 600_000, 1),
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {any} e
+ */
+function isNonceError(e) {
+  const code = e?.code ?? e?.error?.code;
+  if (code === "NONCE_EXPIRED") return true;
+  return /nonce (too low|has already been used)|already known/iu.test(
+    String(e?.shortMessage ?? e?.message ?? ""),
+  );
+}
+
+/**
+ * @param {string} message
+ * @param {string} code - TX_REVERTED | TX_DROPPED | TX_TIMEOUT
+ * @param {object} [extra]
+ */
+function txError(message, code, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * @param {bigint} value
+ * @param {number} percent
+ */
+function bump(value, percent) {
+  return (value * BigInt(100 + percent)) / 100n + 1n;
+}
+
+function maxBig(a, b) {
+  if (a === null || a === undefined) return b;
+  if (b === null || b === undefined) return a;
+  return a > b ? a : b;
+}
+
+/**
+ * Create a manager bound to one signer.
+ * @param {{ wallet: import('ethers').Wallet, provider: import('ethers').JsonRpcProvider }} params
+ */
+export function createTxManager({ wallet, provider }) {
+  const cfg = resolveConfig();
+  let nextNonce = null; // null = read from the chain on next send
+  let queue = Promise.resolve();
+  const tracked = new Map(); // tx hash -> Promise<receipt>
+  const inFlight = new Set(); // entries not settled yet
+
+  // Run fn after every previously queued send has been broadcast (or failed)
+  function enqueue(fn) {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function currentFees() {
+    const fee = await provider.getFeeData();
+    if (fee.maxFeePerGas !== null && fee.maxPriorityFeePerGas !== null) {
+      return {
+        maxFeePerGas: fee.maxFeePerGas,
+        maxPriorityFeePerGas: fee.maxPriorityFeePerGas,
+      };
+    }
+    return { gasPrice: fee.gasPrice };
+  }
+
+  async function bumpedFees(previous) {
+    const now = await currentFees().catch(() => ({}));
+    if (previous.gasPrice !== undefined) {
+      return {
+        gasPrice: maxBig(
+          bump(previous.gasPrice, cfg.bumpPercent),
+          now.gasPrice,
+        ),
+      };
+    }
+    const maxPriorityFeePerGas = maxBig(
+      bump(previous.maxPriorityFeePerGas, cfg.bumpPercent),
+      now.maxPriorityFeePerGas,
+    );
+    return {
+      maxPriorityFeePerGas,
+      maxFeePerGas: maxBig(
+        maxBig(bump(previous.maxFeePerGas, cfg.bumpPercent), now.maxFeePerGas),
+        maxPriorityFeePerGas,
+      ),
+    };
+  }
+
+  // Broadcast with the next local nonce; one retry with a fresh nonce on nonce errors
+  async function broadcast(tx) {
+    for (let attempt = 0; ; attempt++) {
+      if (nextNonce === null) {
+        nextNonce = await provider.getTransactionCount(
+          wallet.address,
+          "pending",
+        );
+      }
+      const nonce = nextNonce;
+      try {
+        const sent = await wallet.sendTransaction({ ...tx, nonce });
+        nextNonce = nonce + 1;
+        return sent;
+      } catch (e) {
+        nextNonce = null;
+        if (attempt === 0 && isNonceError(e)) continue;
+        throw e;
+      }
+    }
+  }
+
+  async function findReceipt(hashes) {
+    for (const hash of hashes) {
+      const receipt = await provider
+        .getTransactionReceipt(hash)
+        .catch(() => null);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * Poll until one version of the transaction is mined with enough confirmations,
+   * replacing it with higher fees while it is stuck.
+   */
+  async function monitor(entry, confirmations, emit) {
+    const started = Date.now();
+    let lastBroadcastAt = started;
+    let bumps = 0;
+
+    for (;;) {
+      await sleep(cfg.pollMs);
+
+      const receipt = await findReceipt(entry.hashes);
+      if (receipt) {
+        const remaining = Math.max(1, cfg.timeoutMs - (Date.now() - started));
+        const final =
+          confirmations > 1
+            ? ((await provider
+                .waitForTransaction(receipt.hash, confirmations, remaining)
+                .catch(() => null)) ?? receipt)
+            : receipt;
+        const replaced = final.hash !== entry.hashes[0];
+        if (final.status === 1) {
+          emit({
+            status: TX_STATUS.Confirmed,
+            hash: final.hash,
+            nonce: entry.nonce,
+            receipt: final,
+            replaced,
+          });
+          return final;
+        }
+        const err = txError(
+          `Transaction ${final.hash} reverted`,
+          "TX_REVERTED",
+          { receipt: final },
+        );
+        emit({
+          status: TX_STATUS.Failed,
+          hash: final.hash,
+          nonce: entry.nonce,
+          receipt: final,
+          replaced,
+          error: err,
+        });
+        throw err;
+      }
+
+      const latestHash = entry.hashes[entry.hashes.length - 1];
+      if (Date.now() - started >= cfg.timeoutMs) {
+        nextNonce = null;
+        const err = txError(
+          `Transaction ${latestHash} not mined within ${Math.round(cfg.timeoutMs / 1000)}s`,
+          "TX_TIMEOUT",
+        );
+        emit({
+          status: TX_STATUS.Failed,
+          hash: latestHash,
+          nonce: entry.nonce,
+          error: err,
+        });
+        throw err;
+      }
+
+      // Nonce used on-chain but none of our hashes has a receipt: replaced elsewhere
+      const minedCount = await provider
+        .getTransactionCount(wallet.address, "latest")
+        .catch(() => null);
+      if (minedCount !== null && minedCount > entry.nonce) {
+        if (await findReceipt(entry.hashes)) continue;
+        nextNonce = null;
+        const err = txError(
+          `Transaction ${latestHash} was dropped (nonce ${entry.nonce} used by another transaction)`,
+          "TX_DROPPED",
+        );
+        emit({
+          status: TX_STATUS.Failed,
+          hash: latestHash,
+          nonce: entry.nonce,
+          error: err,
+        });
+        throw err;
+      }
+
+      if (
+        bumps < cfg.maxBumps &&
+        Date.now() - lastBroadcastAt >= cfg.stuckAfterMs
+      ) {
+        lastBroadcastAt = Date.now();
+        try {
+          const fees = await bumpedFees(entry.fees);
+          const sent = await wallet.sendTransaction({
+            ...entry.request,
+            ...fees,
+            nonce: entry.nonce,
+          });
+          bumps += 1;
+          entry.fees = fees;
+          entry.hashes.push(sent.hash);
+          tracked.set(sent.hash, entry.done);
+          emit({
+            status: TX_STATUS.Replaced,
+            hash: sent.hash,
+            previousHash: latestHash,
+            nonce: entry.nonce,
+            attempt: bumps,
+          });
+        } catch (e) {
+          // Nonce errors mean a previous version was just mined; the next poll finds it
+          if (!isNonceError(e)) {
+            console.warn(
+              `txManager: replacing ${latestHash} failed:`,
+              e?.shortMessage ?? e?.message ?? e,
+            );
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Queue a transaction for broadcast and follow it until it settles.
+   * Resolves once broadcast; errors before broadcast (e.g. gas estimation reverts) are thrown.
+   * @param {{ to: string, data?: string, value?: bigint|number|string, gasLimit?: bigint }} tx
+   * @param {{
+   *   onStatus?: (e: { status: 'pending'|'replaced'|'confirmed'|'failed', hash: string, nonce: number, previousHash?: string, attempt?: number, receipt?: object, replaced?: boolean, error?: Error }) => void|Promise<void>,
+   *   confirmations?: number,
+   * }} [options]
+   * @returns {Promise<{ hash: string, nonce: number, wait: () => Promise<object> }>}
+   */
+  async function send(tx, { onStatus, confirmations } = {}) {
+    const emit = (event) => {
+      if (typeof onStatus !== "function") return;
+      Promise.resolve()
+        .then(() => onStatus(event))
+        .catch((e) =>
+          console.warn("txManager: onStatus callback failed:", e?.message ?? e),
+        );
+    };
+
+    const { sent, request, fees } = await enqueue(async () => {
+      const request = {
+        to: tx.to,
+        data: tx.data ?? "0x",
+        value: tx.value ?? 0n,
+      };
+      request.gasLimit =
+        tx.gasLimit ?? (await wallet.estimateGas({ ...request }));
+      const fees = await currentFees();
+      const sent = await broadcast({ ...request, ...fees });
+      return { sent, request, fees };
+    });
+
+    const entry = { nonce: sent.nonce, request, fees, hashes: [sent.hash] };
+    emit({ status: TX_STATUS.Pending, hash: sent.hash, nonce: sent.nonce });
+
+    entry.done = monitor(
+      entry,
+      Math.max(1, Number(confirmations) || cfg.confirmations),
+      emit,
+    );
+    tracked.set(sent.hash, entry.done);
+    inFlight.add(entry);
+    const forget = () => {
+      inFlight.delete(entry);
+      setTimeout(() => {
+        for (const h of entry.hashes) tracked.delete(h);
+      }, TRACK_RETENTION_MS).unref?.();
+    };
+    entry.done.then(forget, forget);
+
+    return { hash: sent.hash, nonce: sent.nonce, wait: () => entry.done };
+  }
+
+  /**
+   * Settlement promise of a transaction sent by this manager (any of its hashes),
+   * or null when the hash is unknown.
+   * @param {string} hash
+   * @returns {Promise<object>|null}
+   */
+  function waitFor(hash) {
+    return tracked.get(hash) ?? null;
+  }
+
+  /**
+   * Wait for a transaction this manager does not track (e.g. sent before a restart),
+   * with the same confirmations and timeout as tracked ones. Throws like a tracked wait:
+   * TX_REVERTED, or TX_TIMEOUT when no receipt arrived in time (it may have been
+   * replaced or dropped).
+   * @param {string} hash
+   * @returns {Promise<object>} receipt
+   */
+  async function waitUntracked(hash) {
+    const receipt = await provider
+      .waitForTransaction(hash, cfg.confirmations, cfg.timeoutMs)
+      .catch((e) => {
+        if (e?.code === "TIMEOUT") return null;
+        throw e;
+      });
+    if (!receipt) {
+      throw txError(
+        `Transaction ${hash} not mined within ${Math.round(cfg.timeoutMs / 1000)}s`,
+        "TX_TIMEOUT",
+      );
+    }
+    if (receipt.status !== 1) {
+      throw txError(`Transaction ${hash} reverted`, "TX_REVERTED", { receipt });
+    }
+    return receipt;
+  }
+
+  /**
+   * Forget the local nonce; the next send reads it from the chain.
+   */
+  function resetNonce() {
+    nextNonce = null;
+  }
+
+  /**
+   * Transactions being followed (broadcast, not settled yet).
+   * @returns {{ inFlight: number, tracked: number }}
+   */
+  function stats() {
+    return { inFlight: inFlight.size, tracked: tracked.size };
+  }
+
+  return { send, waitFor, waitUntracked, resetNonce, stats };
+}
+
+export default {
+  TX_STATUS,
+  createTxManager,
+};
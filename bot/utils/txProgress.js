@@ -0,0 +1,44 @@
+/**
+ * Progress reporting for bot-signed transactions in an interaction's ephemeral reply.
+ *
+ * Usage:
+ *   await markDelivered(tradeId, {
+ *     chainId,
+ *     onStatus: txProgressReporter(interaction, "Mark delivered", "", chainId),
+ *   });
+ */
+
+import { txUrl } from "./explorer.js";
+
+/**
+ * Progress callback for a bot-signed transaction (walletClient.writeContract onStatus):
+ * shows pending / replaced / confirmed / failed in the ephemeral reply.
+ * @param {import('discord.js').ButtonInteraction | import('discord.js').ModalSubmitInteraction} interaction
+ * @param {string} label - action name shown to the user
+ * @param {string} [header] - text kept above the progress line
+ * @param {number|null} [chainId] - chain the transaction is sent on (explorer links)
+ */
+export function txProgressReporter(
+  interaction,
+  label,
+  header = "",
+  chainId = null,
+) {
+  return async (e) => {
+    const link = `[${e.hash.slice(0, 10)}…](${txUrl(e.hash, chainId)})`;
+    const line = {
+      pending: `⏳ ${label}: transaction pending ${link}`,
+      replaced: `🔁 ${label}: network is slow, resent with higher fees (attempt ${e.attempt + 1}) ${link}`,
+      confirmed: `✅ ${label}: transaction confirmed ${link}. Updating the trade...`,
+      failed: `❌ ${label}: transaction failed ${link}`,
+    }[e.status];
+    if (!line) return;
+    await interaction.editReply({
+      content: header ? `${header}\n${line}` : line,
+    });
+  };
+}
+
+export default {
+  txProgressReporter,
+};
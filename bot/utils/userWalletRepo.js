@@ -0,0 +1,228 @@
+import { query, withTransaction } from "./db.js";
+
+/**
+ * User Wallet Repository (PostgreSQL)
+ *
+ * Addresses a Discord user saved with /wallet, used to pre-fill the buyer/seller
+ * address forms.
+ *
+ * Table (see migration 20251120_000013_user_wallets.sql):
+ *   user_wallets (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     discord_id TEXT NOT NULL,
+ *     address TEXT NOT NULL,            -- EIP-55 checksummed, UNIQUE (discord_id, address)
+ *     label TEXT NULL,
+ *     is_default BOOLEAN NOT NULL DEFAULT FALSE,   -- at most one per user
+ *     verified_at TIMESTAMPTZ NULL,     -- set after a signed-message proof (walletProof.js)
+ *     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+ *     updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+ *   )
+ */
+
+/**
+ * Convert DB row to JS object.
+ * @param {any} row
+ */
+function rowToWallet(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    discordId: row.discord_id,
+    address: row.address,
+    label: row.label ?? null,
+    isDefault: !!row.is_default,
+    verifiedAt: row.verified_at ?? null,
+    createdAt: row.created_at ?? null,
+    updatedAt: row.updated_at ?? null,
+  };
+}
+
+/**
+ * List a user's wallets (default first, then oldest first).
+ * @param {string} discordId
+ * @returns {Promise<object[]>}
+ */
+export async function listUserWallets(discordId) {
+  const res = await query(
+    `
+    SELECT * FROM user_wallets
+    WHERE discord_id = $1
+    ORDER BY is_default DESC, created_at ASC, id ASC
+  `,
+    [String(discordId)],
+  );
+  return res.rows.map(rowToWallet);
+}
+
+/**
+ * The user's default wallet, if any.
+ * @param {string} discordId
+ * @returns {Promise<object|null>}
+ */
+export async function getDefaultUserWallet(discordId) {
+  const res = await query(
+    `SELECT * FROM user_wallets WHERE discord_id = $1 AND is_default LIMIT 1`,
+    [String(discordId)],
+  );
+  if (res.rowCount === 0) return null;
+  return rowToWallet(res.rows[0]);
+}
+
+/**
+ * Find one of the user's wallets by address or label (both case-insensitive).
+ * @param {string} discordId
+ * @param {string} ref - address or label
+ * @returns {Promise<object|null>}
+ */
+export async function findUserWallet(discordId, ref) {
+  const res = await query(
+    `
+    SELECT * FROM user_wallets
+    WHERE discord_id = $1 AND (lower(address) = lower($2) OR lower(label) = lower($2))
+    ORDER BY (lower(address) = lower($2)) DESC
+    LIMIT 1
+  `,
+    [String(discordId), String(ref ?? "").trim()],
+  );
+  if (res.rowCount === 0) return null;
+  return rowToWallet(res.rows[0]);
+}
+
+/**
+ * Save (or relabel) a wallet. The first wallet of a user becomes the default.
+ * @param {{ discordId: string, address: string, label?: string|null, makeDefault?: boolean }} w
+ * @returns {Promise<object>}
+ */
+export async function addUserWallet({
+  discordId,
+  address,
+  label = null,
+  makeDefault = false,
+}) {
+  return withTransaction(async (client) => {
+    const count = await client.query(
+      `SELECT COUNT(*)::int AS n FROM user_wallets WHERE discord_id = $1 AND is_default`,
+      [String(discordId)],
+    );
+    const becomeDefault = makeDefault || count.rows[0].n === 0;
+    if (becomeDefault) {
+      await client.query(
+        `UPDATE user_wallets SET is_default = FALSE WHERE discord_id = $1 AND is_default AND address <> $2`,
+        [String(discordId), address],
+      );
+    }
+    const res = await client.query(
+      `
+      INSERT INTO user_wallets (discord_id, address, label, is_default)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (discord_id, address) DO UPDATE
+      SET label = COALESCE(EXCLUDED.label, user_wallets.label),
+          is_default = user_wallets.is_default OR EXCLUDED.is_default
+      RETURNING *
+    `,
+      [String(discordId), address, label, becomeDefault],
+    );
+    return rowToWallet(res.rows[0]);
+  });
+}
+
+/**
+ * Make one of the user's wallets the default.
+ * @param {string} discordId
+ * @param {string} address - checksummed
+ * @returns {Promise<object|null>} the wallet, or null if it is not saved
+ */
+export async function setDefaultUserWallet(discordId, address) {
+  return withTransaction(async (client) => {
+    await client.query(
+      `UPDATE user_wallets SET is_default = FALSE WHERE discord_id = $1 AND is_default AND address <> $2`,
+      [String(discordId), address],
+    );
+    const res = await client.query(
+      `UPDATE user_wallets SET is_default = TRUE WHERE discord_id = $1 AND address = $2 RETURNING *`,
+      [String(discordId), address],
+    );
+    if (res.rowCount === 0) return null;
+    return rowToWallet(res.rows[0]);
+  });
+}
+
+/**
+ * Remove a saved wallet. When the default is removed, the oldest remaining wallet
+ * becomes the default.
+ * @param {string} discordId
+ * @param {string} address - checksummed
+ * @returns {Promise<object|null>} the removed wallet, or null if it was not saved
+ */
+export async function removeUserWallet(discordId, address) {
+  return withTransaction(async (client) => {
+    const res = await client.query(
+      `DELETE FROM user_wallets WHERE discord_id = $1 AND address = $2 RETURNING *`,
+      [String(discordId), address],
+    );
+    if (res.rowCount === 0) return null;
+    const removed = rowToWallet(res.rows[0]);
+    if (removed.isDefault) {
+      await client.query(
+        `
+        UPDATE user_wallets SET is_default = TRUE
+        WHERE id = (
+          SELECT id FROM user_wallets WHERE discord_id = $1
+          ORDER BY created_at ASC, id ASC
+          LIMIT 1
+        )
+      `,
+        [String(discordId)],
+      );
+    }
+    return removed;
+  });
+}
+
+/**
+ * Record a signed-message proof for a saved wallet.
+ * @param {string} discordId
+ * @param {string} address - checksummed
+ * @returns {Promise<object|null>} the wallet, or null if it is not saved
+ */
+export async function markUserWalletVerified(discordId, address) {
+  const res = await query(
+    `
+    UPDATE user_wallets SET verified_at = NOW()
+    WHERE discord_id = $1 AND address = $2
+    RETURNING *
+  `,
+    [String(discordId), address],
+  );
+  if (res.rowCount === 0) return null;
+  return rowToWallet(res.rows[0]);
+}
+
+/**
+ * Whether the user saved and proved this address.
+ * @param {string} discordId
+ * @param {string} address - checksummed
+ * @returns {Promise<boolean>}
+ */
+export async function isVerifiedUserWallet(discordId, address) {
+  const res = await query(
+    `
+    SELECT 1 FROM user_wallets
+    WHERE discord_id = $1 AND address = $2 AND verified_at IS NOT NULL
+    LIMIT 1
+  `,
+    [String(discordId), address],
+  );
+  return res.rowCount > 0;
+}
+
+export default {
+  listUserWallets,
+  getDefaultUserWallet,
+  findUserWallet,
+  addUserWallet,
+  setDefaultUserWallet,
+  removeUserWallet,
+  markUserWalletVerified,
+  isVerifiedUserWallet,
+};
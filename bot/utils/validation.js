@@ -1,6 +1,6 @@
 import dotenv from "dotenv";
 import { isAddress, getAddress } from "ethers";
-import { publicClient } from "./client.js";
+import { getChainClients } from "./client.js";
 
 dotenv.config({ quiet: true });
 
@@ -40,11 +40,14 @@ export function isZeroAddress(addr) {
 /**
  * Check if an address is an EOA (i.e., not a contract) by verifying it has no bytecode.
  * @param {string} checksumAddress - EIP-55 checksummed address
+ * @param {number|null} [chainId] - chain to check on (default chain when omitted)
  * @returns {Promise<{ ok: boolean, isEoa?: boolean, error?: string }>}
  */
-export async function checkEoa(checksumAddress) {
+export async function checkEoa(checksumAddress, chainId = null) {
   try {
-    const code = await publicClient.getBytecode({ address: checksumAddress });
+    const code = await getChainClients(chainId).publicClient.getBytecode({
+      address: checksumAddress,
+    });
     // If code is "0x" or null/undefined, then it's an EOA
     const isEoa = !code || code === "0x";
     return { ok: true, isEoa };
@@ -60,10 +63,10 @@ export async function checkEoa(checksumAddress) {
  * - Syntactic validation via ethers's isAddress.
  * - Normalization to EIP-55 checksummed format via ethers's getAddress.
  * - Rejects zero address.
- * - If enforceEoa=true, rejects contract addresses (non-empty bytecode).
+ * - If enforceEoa=true, rejects contract addresses (non-empty bytecode) on the given chain.
  *
  * @param {string} input
- * @param {{ enforceEoa?: boolean }} [options]
+ * @param {{ enforceEoa?: boolean, chainId?: number|null }} [options]
  * @returns {Promise<{ ok: true, address: string } | { ok: false, error: string }>}
  */
 export async function normalizeAndValidateAddress(input, options = {}) {
@@ -92,7 +95,7 @@ export async function normalizeAndValidateAddress(input, options = {}) {
   }
 
   if (enforceEoa) {
-    const eoaCheck = await checkEoa(checksumAddress);
+    const eoaCheck = await checkEoa(checksumAddress, options.chainId ?? null);
     if (!eoaCheck.ok) {
       return { ok: false, error: eoaCheck.error || networkValidationError() };
     }
@@ -177,3 +180,26 @@ export function requireUsdAmount(input) {
   }
   return res.value;
 }
+
+/**
+ * Normalize a percentage share (0–100, up to 2 decimals) into basis points.
+ *
+ * Accepts formats like "50", "50%", "33.33", "100".
+ *
+ * @param {string|number} input
+ * @returns {{ ok: true, bps: number } | { ok: false, error: string }}
+ */
+export function normalizeSharePercent(input) {
+  const error = "Enter a share between 0 and 100 (up to 2 decimals), e.g. 50";
+  if (input === undefined || input === null) return { ok: false, error };
+
+  let raw = String(input).trim().replace(/\s+/g, "");
+  if (raw.endsWith("%")) raw = raw.slice(0, -1);
+  if (!/^\d+(\.\d{0,2})?$/.test(raw)) return { ok: false, error };
+
+  const num = Number(raw);
+  if (!Number.isFinite(num) || num < 0 || num > 100) {
+    return { ok: false, error };
+  }
+  return { ok: true, bps: Math.round(num * 100) };
+}
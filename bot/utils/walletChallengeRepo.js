@@ -0,0 +1,111 @@
+import { query } from "./db.js";
+
+/**
+ * Wallet Challenge Repository (PostgreSQL)
+ *
+ * One-time messages a user signs to prove control of an address (see walletProof.js).
+ *
+ * Table (see migration 20251119_000012_wallet_challenges.sql):
+ *   wallet_challenges (
+ *     id BIGSERIAL PRIMARY KEY,
+ *     discord_id TEXT NOT NULL,
+ *     address TEXT NOT NULL,            -- EIP-55 checksummed
+ *     purpose TEXT NOT NULL,            -- e.g. 'buyer_address' | 'seller_address'
+ *     flow_id BIGINT NULL,
+ *     nonce TEXT NOT NULL UNIQUE,
+ *     message TEXT NOT NULL,
+ *     expires_at TIMESTAMPTZ NOT NULL,
+ *     verified_at TIMESTAMPTZ NULL,
+ *     signature TEXT NULL,
+ *     created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+ *   )
+ */
+
+/**
+ * Convert DB row to JS object.
+ * @param {any} row
+ */
+function rowToChallenge(row) {
+  if (!row) return null;
+  return {
+    id: String(row.id),
+    discordId: row.discord_id,
+    address: row.address,
+    purpose: row.purpose,
+    flowId:
+      row.flow_id !== null && row.flow_id !== undefined
+        ? String(row.flow_id)
+        : null,
+    nonce: row.nonce,
+    message: row.message,
+    expiresAt: row.expires_at,
+    verifiedAt: row.verified_at ?? null,
+    signature: row.signature ?? null,
+    createdAt: row.created_at ?? null,
+  };
+}
+
+/**
+ * Store a new challenge.
+ * @param {{ discordId: string, address: string, purpose: string, flowId?: string|null, nonce: string, message: string, expiresAt: Date }} c
+ * @returns {Promise<object>}
+ */
+export async function insertChallenge(c) {
+  const res = await query(
+    `
+    INSERT INTO wallet_challenges (discord_id, address, purpose, flow_id, nonce, message, expires_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `,
+    [
+      String(c.discordId),
+      c.address,
+      c.purpose,
+      c.flowId ?? null,
+      c.nonce,
+      c.message,
+      c.expiresAt,
+    ],
+  );
+  return rowToChallenge(res.rows[0]);
+}
+
+/**
+ * Fetch a challenge by id.
+ * @param {string|number} id
+ * @returns {Promise<object|null>}
+ */
+export async function getChallenge(id) {
+  const res = await query(
+    `SELECT * FROM wallet_challenges WHERE id = $1 LIMIT 1`,
+    [String(id)],
+  );
+  if (res.rowCount === 0) return null;
+  return rowToChallenge(res.rows[0]);
+}
+
+/**
+ * Mark a challenge verified (only once, and only before it expires).
+ * @param {string|number} id
+ * @param {string} signature
+ * @returns {Promise<object|null>} updated row, or null if already used or expired
+ */
+export async function markChallengeVerified(id, signature) {
+  const res = await query(
+    `
+    UPDATE wallet_challenges
+    SET verified_at = NOW(), signature = $2
+    WHERE id = $1 AND verified_at IS NULL AND expires_at > NOW()
+    RETURNING *
+  `,
+    [String(id), signature],
+  );
+  if (res.rowCount === 0) return null;
+  return rowToChallenge(res.rows[0]);
+}
+
+export default {
+  insertChallenge,
+  getChallenge,
+  markChallengeVerified,
+};
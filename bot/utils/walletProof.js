@@ -0,0 +1,184 @@
+/**
+ * walletProof.js
+ *
+ * Proof that a Discord user controls the wallet address they submit. The bot issues a
+ * one-time challenge (random nonce bound to the user, address and purpose), the user
+ * signs it with the wallet (EIP-191 personal_sign, e.g. MetaMask, Etherscan's
+ * "Verified Signatures" page or `cast wallet sign`) and pastes the signature; the bot
+ * recovers the signer with ethers and accepts the address only if it matches.
+ *
+ * Challenges are stored in wallet_challenges, verify once, and expire. A verified
+ * saved wallet (/wallet add verify:true) is accepted for later trades without a new proof.
+ *
+ * Environment (optional):
+ * - WALLET_PROOF_REQUIRED: "true" to require a signature for buyer/seller addresses (default off)
+ * - WALLET_PROOF_TTL_MINUTES: minutes a challenge stays valid (default 15)
+ *
+ * Usage:
+ *   import { issueWalletChallenge, verifyWalletChallenge } from "./walletProof.js";
+ *   const challenge = await issueWalletChallenge({ discordId, address, purpose: "buyer_address", flowId, chainId });
+ *   // user signs challenge.message ...
+ *   const res = await verifyWalletChallenge({ challengeId: challenge.id, discordId, signature });
+ *   if (res.ok) acceptAddress(res.challenge.address);
+ */
+
+import crypto from "crypto";
+import { getAddress, verifyMessage } from "ethers";
+
+import { getChain } from "./chains.js";
+import {
+  insertChallenge,
+  getChallenge,
+  markChallengeVerified,
+} from "./walletChallengeRepo.js";
+
+const DEFAULT_TTL_MINUTES = 15;
+
+const PURPOSE_TEXT = Object.freeze({
+  buyer_address: "fund this trade as the buyer",
+  seller_address: "receive the payout of this trade as the seller",
+  saved_wallet: "trade on this Discord server (saved with /wallet)",
+});
+
+/**
+ * Whether buyer/seller addresses must be proven with a signature.
+ * @returns {boolean}
+ */
+export function isWalletProofRequired() {
+  return process.env.WALLET_PROOF_REQUIRED?.toLowerCase() === "true";
+}
+
+function resolveTtlMs() {
+  const n = parseInt(String(process.env.WALLET_PROOF_TTL_MINUTES ?? ""), 10);
+  const minutes = Number.isFinite(n) && n > 0 ? n : DEFAULT_TTL_MINUTES;
+  return minutes * 60 * 1000;
+}
+
+/**
+ * Text the user signs. Everything the proof is bound to is spelled out, so the user
+ * can see what they sign and a signature cannot be replayed for another user or address.
+ * Trade proofs name the trade's chain; saved wallets are used on every chain.
+ */
+function buildChallengeMessage({
+  discordId,
+  address,
+  purpose,
+  chainId,
+  nonce,
+  issuedAt,
+  expiresAt,
+}) {
+  return [
+    "TradeNest wallet verification",
+    "",
+    `I control ${address} and want to use it to ${PURPOSE_TEXT[purpose] ?? purpose}.`,
+    "",
+    `Discord user: ${discordId}`,
+    purpose === "saved_wallet"
+      ? "Chain ID: any (not tied to a chain)"
+      : `Chain ID: ${getChain(chainId).id}`,
+    `Nonce: ${nonce}`,
+    `Issued at: ${issuedAt.toISOString()}`,
+    `Expires at: ${expiresAt.toISOString()}`,
+  ].join("\n");
+}
+
+/**
+ * Create and store a challenge for an (already validated) address.
+ * @param {{ discordId: string, address: string, purpose: string, flowId?: string|null, chainId?: number|null }} params - chainId: the trade's chain (null = default chain), not used for saved_wallet
+ * @returns {Promise<{ id: string, address: string, message: string, expiresAt: Date }>}
+ */
+export async function issueWalletChallenge({
+  discordId,
+  address,
+  purpose,
+  flowId = null,
+  chainId = null,
+}) {
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + resolveTtlMs());
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const checksum = getAddress(address);
+  return insertChallenge({
+    discordId,
+    address: checksum,
+    purpose,
+    flowId,
+    nonce,
+    message: buildChallengeMessage({
+      discordId,
+      address: checksum,
+      purpose,
+      chainId,
+      nonce,
+      issuedAt,
+      expiresAt,
+    }),
+    expiresAt,
+  });
+}
+
+/**
+ * Verify a pasted signature against a challenge and consume it.
+ * @param {{ challengeId: string, discordId: string, signature: string }} params
+ * @returns {Promise<{ ok: true, challenge: object } | { ok: false, error: string }>}
+ */
+export async function verifyWalletChallenge({
+  challengeId,
+  discordId,
+  signature,
+}) {
+  const challenge = await getChallenge(challengeId);
+  if (!challenge || String(challenge.discordId) !== String(discordId)) {
+    return { ok: false, error: "This verification request was not found." };
+  }
+  if (challenge.verifiedAt) {
+    return { ok: false, error: "This verification request was already used." };
+  }
+  if (new Date(challenge.expiresAt).getTime() <= Date.now()) {
+    return {
+      ok: false,
+      error: "This verification request expired. Submit your address again.",
+    };
+  }
+
+  const sig = String(signature ?? "").trim();
+  if (!/^0x[0-9a-fA-F]{130}$/u.test(sig)) {
+    return {
+      ok: false,
+      error:
+        "Invalid signature. Paste the full 0x-prefixed signature (132 characters).",
+    };
+  }
+
+  let signer;
+  try {
+    signer = getAddress(verifyMessage(challenge.message, sig));
+  } catch {
+    return {
+      ok: false,
+      error: "Invalid signature. Please sign the message again.",
+    };
+  }
+  if (signer !== challenge.address) {
+    return {
+      ok: false,
+      error: `The signature was made by ${signer}, not ${challenge.address}. Sign the exact message with the wallet you submitted.`,
+    };
+  }
+
+  const verified = await markChallengeVerified(challenge.id, sig);
+  if (!verified) {
+    return {
+      ok: false,
+      error: "This verification request expired or was already used.",
+    };
+  }
+  return { ok: true, challenge: verified };
+}
+
+export default {
+  isWalletProofRequired,
+  issueWalletChallenge,
+  verifyWalletChallenge,
+};
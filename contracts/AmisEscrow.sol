@@ -2,8 +2,12 @@
 pragma solidity ^0.8.28;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 contract AmisEscrowManager is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
     uint256 public constant FEE_BPS = 250; // 2.5%
     uint256 public constant TOTAL_FEE_BPS = 500; // 5% total (2.5% buyer + 2.5% seller)
     uint256 public constant BOT_SHARE_BPS = 100; // 1%
@@ -35,6 +39,8 @@ contract AmisEscrowManager is ReentrancyGuard {
     }
 
     mapping(uint256 => Trade) public trades;
+    // ERC-20 the trade is paid in; address(0) = native ETH
+    mapping(uint256 => address) public tradeToken;
 
     // --- EVENTS ---
     event Created(uint256 indexed tradeId, address indexed buyer, address indexed seller, uint256 amount);
@@ -47,6 +53,7 @@ contract AmisEscrowManager is ReentrancyGuard {
     event Cancelled(uint256 indexed tradeId, address indexed by);
     event BuyerFeeSplit(uint256 indexed tradeId, uint256 buyerFee, uint256 botFee, uint256 feeReceiverFee);
     event SellerFeeSplit(uint256 indexed tradeId, uint256 sellerFee, uint256 botFee, uint256 feeReceiverFee);
+    event TokenTradeCreated(uint256 indexed tradeId, address indexed token);
     
     modifier onlyBot() {
         require(msg.sender == bot, "only bot can call this");
@@ -61,6 +68,23 @@ contract AmisEscrowManager is ReentrancyGuard {
 
     // --- TRADE CREATION ---
     function createTrade(address _buyer, address _seller, uint256 _amount) external onlyBot returns (uint256) {
+        return _createTrade(_buyer, _seller, _amount);
+    }
+
+    // Same as createTrade, but funded and paid out in an ERC-20 (amount in token units)
+    function createTokenTrade(address _buyer, address _seller, address _token, uint256 _amount)
+        external
+        onlyBot
+        returns (uint256)
+    {
+        require(_token != address(0) && _token.code.length > 0, "invalid token");
+        uint256 id = _createTrade(_buyer, _seller, _amount);
+        tradeToken[id] = _token;
+        emit TokenTradeCreated(id, _token);
+        return id;
+    }
+
+    function _createTrade(address _buyer, address _seller, uint256 _amount) internal returns (uint256) {
         require(_buyer != address(0) && _seller != address(0), "invalid address");
         require(_buyer != _seller, "buyer and seller cannot be same");
         require(_amount > 0, "amount must be greater than 0");
@@ -93,7 +117,16 @@ contract AmisEscrowManager is ReentrancyGuard {
         require(t.status == TradeStatus.Created, "can only fund at 'created' state");
 
         uint256 requiredTotal = t.amount + ((t.amount * FEE_BPS) / 10000);
-        require(msg.value == requiredTotal, "incorrect funding amount");
+        address token = tradeToken[tradeId];
+        if (token == address(0)) {
+            require(msg.value == requiredTotal, "incorrect funding amount");
+        } else {
+            // Buyer approves requiredTotal first; fee-on-transfer tokens are rejected
+            require(msg.value == 0, "token trade takes no ETH");
+            uint256 before = IERC20(token).balanceOf(address(this));
+            IERC20(token).safeTransferFrom(msg.sender, address(this), requiredTotal);
+            require(IERC20(token).balanceOf(address(this)) - before == requiredTotal, "incorrect funding amount");
+        }
 
         t.status = TradeStatus.Funded;
 
@@ -165,18 +198,23 @@ contract AmisEscrowManager is ReentrancyGuard {
         t.pendingBotFee = 0;
         t.pendingfeeReceiverFee = 0;
 
-        (bool sentSeller, ) = t.seller.call{value: payout}("");
-        require(sentSeller, "seller transfer failed");
-
-        (bool sentBot, ) = bot.call{value: botAmount}("");
-        require(sentBot, "bot transfer failed");
-
-        (bool sentFeeReceiver, ) = feeReceiver.call{value: receiverAmount}("");
-        require(sentFeeReceiver, "feeReceiver transfer failed");
+        _pay(tradeId, t.seller, payout, "seller transfer failed");
+        _pay(tradeId, bot, botAmount, "bot transfer failed");
+        _pay(tradeId, feeReceiver, receiverAmount, "feeReceiver transfer failed");
 
         emit Released(tradeId, t.seller, payout);
     }
 
+    function _pay(uint256 tradeId, address to, uint256 amount, string memory err) internal {
+        address token = tradeToken[tradeId];
+        if (token == address(0)) {
+            (bool sent, ) = to.call{value: amount}("");
+            require(sent, err);
+        } else if (amount > 0) {
+            IERC20(token).safeTransfer(to, amount);
+        }
+    }
+
     // --- DISPUTE ---
     function openDispute(uint256 tradeId, address raisedBy) external onlyBot {
         require(tradeId > 0 && tradeId <= tradeCount, "invalid trade id");
@@ -223,20 +261,15 @@ contract AmisEscrowManager is ReentrancyGuard {
         t.pendingfeeReceiverFee = 0;
 
         if (buyerPayout > 0) {
-            (bool sentBuyer, ) = t.buyer.call{value: buyerPayout}("");
-            require(sentBuyer, "buyer transfer failed");
+            _pay(tradeId, t.buyer, buyerPayout, "buyer transfer failed");
         }
     
         if (sellerPayout > 0) {
-            (bool sentSeller, ) = t.seller.call{value: sellerPayout}("");
-            require(sentSeller, "seller transfer failed");
+            _pay(tradeId, t.seller, sellerPayout, "seller transfer failed");
         }
 
-        (bool sentBot, ) = bot.call{value: botAmount}("");
-        require(sentBot, "bot transfer failed");
-
-        (bool sentFeeReceiver, ) = feeReceiver.call{value: receiverAmount}("");
-        require(sentFeeReceiver, "feeReceiver transfer failed");
+        _pay(tradeId, bot, botAmount, "bot transfer failed");
+        _pay(tradeId, feeReceiver, receiverAmount, "feeReceiver transfer failed");
 
 
         emit Refunded(tradeId, t.buyer, buyerPayout);